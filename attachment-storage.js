@@ -0,0 +1,52 @@
+/**
+ * Storage for expense attachments (receipts, invoices).
+ * The server only talks to the interface below, so another backend (S3, a database) can replace the
+ * local disk one by returning an object with the same async methods:
+ *   save(key, buffer) - write the file under key, replacing anything already there
+ *   read(key)         - resolve to the file's Buffer, or null when there is no such file
+ *   remove(key)       - delete the file; deleting a missing file is not an error
+ * Keys are generated by the server ('<userId>/<uuid>'), never taken from the client.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function createLocalStorage(rootDir) {
+    const root = path.resolve(rootDir);
+
+    // Keep every key inside the storage directory, whatever it contains
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, String(key));
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error('Invalid attachment key');
+        }
+        return filePath;
+    };
+
+    return {
+        async save(key, buffer) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+        },
+
+        async read(key) {
+            try {
+                return await fs.promises.readFile(resolveKey(key));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async remove(key) {
+            try {
+                await fs.promises.unlink(resolveKey(key));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        },
+    };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,328 @@
+/**
+ * Bank statement parsers for the import flow.
+ * Every parser returns transactions in the same shape so preview/commit don't care about the source format:
+ * { rowNumber, date: 'YYYY-MM-DD', description, amount (positive), type: 'income' | 'expense', externalId, error }
+ * externalId is the bank's own transaction id (OFX FITID) when the format has one, otherwise null.
+ */
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const CSV_DATE_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'];
+
+const STATEMENT_FORMATS = ['csv', 'ofx', 'qif'];
+
+// Split CSV text into rows of fields (RFC 4180: quoted fields, "" escapes, CRLF line endings)
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function formatDateParts(year, month, day) {
+    if (year < 100) year += 2000;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date.toISOString().split('T')[0];
+}
+
+// Parse a statement date into YYYY-MM-DD. Numeric dates follow `dateFormat`;
+// dates with month names (05-Jul-2025, Jul 5 2025) are recognised in any format.
+function parseStatementDate(value, dateFormat = 'DD/MM/YYYY') {
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    const named = text.match(/^(\d{1,2})[\s\-/.]([A-Za-z]{3})[A-Za-z]*[\s\-/.,]+(\d{2,4})$/) ||
+        text.match(/^([A-Za-z]{3})[A-Za-z]*[\s\-/.](\d{1,2}),?[\s\-/.]+(\d{2,4})$/);
+    if (named) {
+        const [day, monthName] = /^\d/.test(named[1]) ? [named[1], named[2]] : [named[2], named[1]];
+        const month = MONTH_NAMES.indexOf(monthName.toLowerCase()) + 1;
+        return month > 0 ? formatDateParts(parseInt(named[3]), month, parseInt(day)) : null;
+    }
+
+    const parts = text.split(/[\sT]/)[0].split(/[-/.]/).map(part => parseInt(part, 10));
+    if (parts.length !== 3 || parts.some(isNaN)) return null;
+
+    if (dateFormat === 'YYYY-MM-DD') return formatDateParts(parts[0], parts[1], parts[2]);
+    if (dateFormat === 'MM/DD/YYYY') return formatDateParts(parts[2], parts[0], parts[1]);
+    return formatDateParts(parts[2], parts[1], parts[0]);
+}
+
+// Parse a statement amount: strips currency symbols and thousands separators,
+// treats (123.45) and "123.45 Dr" as negative. Returns null for blank/invalid cells.
+function parseAmount(value) {
+    let text = String(value ?? '').trim();
+    if (!text) return null;
+
+    let sign = 1;
+    if (/^\(.*\)$/.test(text)) {
+        sign = -1;
+        text = text.slice(1, -1);
+    }
+    if (/\bdr\.?$/i.test(text)) {
+        sign = -1;
+    }
+    text = text.replace(/\b(dr|cr)\.?$/i, '').replace(/[₹$€£,\s]|INR|Rs\.?/gi, '');
+    if (text.startsWith('-')) {
+        sign = -sign;
+        text = text.slice(1);
+    } else if (text.startsWith('+')) {
+        text = text.slice(1);
+    }
+
+    if (!/^\d*\.?\d+$/.test(text)) return null;
+    return sign * parseFloat(text);
+}
+
+// Guess which columns hold the date, description, debit and credit from the header names
+function guessCsvMapping(headers) {
+    const find = (pattern) => {
+        const index = headers.findIndex(header => pattern.test(String(header).trim()));
+        return index === -1 ? null : index;
+    };
+
+    const amount = find(/^amount|amount$/i);
+    return {
+        date: find(/date/i),
+        description: find(/desc|narration|particular|details|remark|memo|payee/i),
+        debit: find(/debit|withdraw|dr\.?$/i) ?? amount,
+        credit: find(/credit|deposit|cr\.?$/i) ?? amount,
+    };
+}
+
+// Turn CSV text into import transactions using a column mapping.
+// When debit and credit map to the same column, negative amounts are debits.
+function parseCsvStatement(text, options = {}) {
+    const { dateFormat = 'DD/MM/YYYY', hasHeader = true } = options;
+    const rows = parseCsv(text);
+
+    if (rows.length === 0) {
+        return { columns: [], mapping: { date: null, description: null, debit: null, credit: null }, transactions: [] };
+    }
+
+    const width = Math.max(...rows.map(row => row.length));
+    const columns = hasHeader
+        ? rows[0].map((header, index) => header.trim() || `Column ${index + 1}`)
+        : Array.from({ length: width }, (_, index) => `Column ${index + 1}`);
+    const mapping = options.mapping || (hasHeader ? guessCsvMapping(columns) : { date: null, description: null, debit: null, credit: null });
+    const dataRows = hasHeader ? rows.slice(1) : rows;
+
+    const transactions = dataRows.map((row, index) => {
+        const rowNumber = index + (hasHeader ? 2 : 1);
+        const cell = (column) => (column === null || column === undefined || column === '' ? '' : (row[column] || '').trim());
+
+        const date = parseStatementDate(cell(mapping.date), dateFormat);
+        const description = cell(mapping.description);
+        let amount = null;
+        let type = null;
+
+        if (String(mapping.debit) === String(mapping.credit)) {
+            const signed = parseAmount(cell(mapping.debit));
+            if (signed) {
+                amount = Math.abs(signed);
+                type = signed < 0 ? 'expense' : 'income';
+            }
+        } else {
+            const debit = parseAmount(cell(mapping.debit));
+            const credit = parseAmount(cell(mapping.credit));
+            if (debit) {
+                amount = Math.abs(debit);
+                type = 'expense';
+            } else if (credit) {
+                amount = Math.abs(credit);
+                type = 'income';
+            }
+        }
+
+        let error = null;
+        if (!date) {
+            error = 'Invalid or missing date';
+        } else if (!amount) {
+            error = 'No debit or credit amount';
+        } else if (!description) {
+            error = 'Missing description';
+        }
+
+        return { rowNumber, date, description, amount, type, externalId: null, error };
+    });
+
+    return { columns, mapping, transactions };
+}
+
+// Shared validation for formats without column mapping
+function toImportTransaction(rowNumber, date, description, signedAmount, externalId) {
+    let error = null;
+    if (!date) {
+        error = 'Invalid or missing date';
+    } else if (!signedAmount) {
+        error = 'Missing amount';
+    } else if (!description) {
+        error = 'Missing description';
+    }
+
+    return {
+        rowNumber,
+        date,
+        description,
+        amount: signedAmount ? Math.abs(signedAmount) : null,
+        type: signedAmount ? (signedAmount < 0 ? 'expense' : 'income') : null,
+        externalId: externalId || null,
+        error,
+    };
+}
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+// OFX dates are YYYYMMDD optionally followed by time and timezone ([+5.30:IST])
+function parseOfxDate(value) {
+    const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+    return match ? formatDateParts(parseInt(match[1]), parseInt(match[2]), parseInt(match[3])) : null;
+}
+
+// Parse OFX/QFX in both flavors: SGML (OFX 1.x, leaf tags left unclosed) and XML (OFX 2.x).
+// Amounts are signed from the account holder's view, so negative TRNAMT is money out.
+function parseOfxStatement(text) {
+    const content = String(text || '');
+    const blocks = content.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+    const transactions = blocks.map((block, index) => {
+        const field = (tag) => {
+            const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+            return match ? decodeXmlEntities(match[1].trim()) : '';
+        };
+
+        const name = field('NAME') || field('PAYEE');
+        const memo = field('MEMO');
+        const description = name && memo && !name.includes(memo) ? `${name} - ${memo}` : (name || memo);
+
+        return toImportTransaction(
+            index + 1,
+            parseOfxDate(field('DTPOSTED')),
+            description,
+            parseAmount(field('TRNAMT')),
+            field('FITID')
+        );
+    });
+
+    return { columns: [], mapping: null, transactions };
+}
+
+// Parse QIF: one field per line (D date, T/U amount, P payee, M memo), records end with ^.
+// QIF dates are locale dependent, so they follow the chosen date format (M/D'YY style is accepted).
+function parseQifStatement(text, options = {}) {
+    const { dateFormat = 'DD/MM/YYYY' } = options;
+    const transactions = [];
+    let record = {};
+
+    const finishRecord = () => {
+        if (Object.keys(record).length === 0) return;
+        const date = parseStatementDate(String(record.D || '').replace(/'\s*/, '/'), dateFormat);
+        const description = record.P && record.M && !record.P.includes(record.M)
+            ? `${record.P} - ${record.M}`
+            : (record.P || record.M || '');
+        transactions.push(toImportTransaction(transactions.length + 1, date, description, parseAmount(record.T ?? record.U), null));
+        record = {};
+    };
+
+    String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('!')) return;
+
+        if (line === '^') {
+            finishRecord();
+            return;
+        }
+
+        const code = line[0];
+        if (!(code in record)) {
+            record[code] = line.slice(1).trim();
+        }
+    });
+    finishRecord();
+
+    return { columns: [], mapping: null, transactions };
+}
+
+// Work out a statement's format from its contents when the client doesn't say
+function detectStatementFormat(text) {
+    const head = String(text || '').replace(/^\uFEFF/, '').trimStart().slice(0, 2000);
+    if (/OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+    if (/^!(Type|Account|Option)/i.test(head)) return 'qif';
+    return 'csv';
+}
+
+// Parse a statement of any supported format into import transactions
+function parseStatement(text, options = {}) {
+    const format = options.format || detectStatementFormat(text);
+
+    let parsed;
+    if (format === 'ofx') {
+        parsed = parseOfxStatement(text);
+    } else if (format === 'qif') {
+        parsed = parseQifStatement(text, options);
+    } else {
+        parsed = parseCsvStatement(text, options);
+    }
+
+    return { format, ...parsed };
+}
+
+module.exports = {
+    CSV_DATE_FORMATS,
+    STATEMENT_FORMATS,
+    parseCsv,
+    parseStatementDate,
+    parseAmount,
+    guessCsvMapping,
+    parseCsvStatement,
+    parseOfxStatement,
+    parseQifStatement,
+    detectStatementFormat,
+    parseStatement,
+};
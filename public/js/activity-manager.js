@@ -3,6 +3,21 @@
  * Handles user activity tracking and display
  */
 
+// Activity filter query parameter -> filter input; the same names are used by /api/activity,
+// saved filters and shareable links (?view=activity&type=expense&period=this_quarter)
+const ACTIVITY_FILTER_FIELDS = {
+    month: 'activity-month',
+    year: 'activity-year',
+    period: 'activity-period',
+    from_date: 'activity-from-date',
+    to_date: 'activity-to-date',
+    type: 'activity-type',
+    account: 'activity-account',
+    min_amount: 'activity-min-amount',
+    max_amount: 'activity-max-amount',
+    tag: 'activity-tag'
+};
+
 class ActivityManager {
     constructor() {
         this.apiClient = window.apiClient;
@@ -15,10 +30,84 @@ class ActivityManager {
             dateFrom: '',
             dateTo: ''
         };
+        this.savedFilters = [];
     }
 
     async onSectionShow() {
-        await this.loadActivityData();
+        await this.loadAccountOptions();
+        this.loadSavedFilters();
+
+        // A shared link opens the feed with its filters applied
+        const sharedFilters = this.getSharedFilters();
+        if (sharedFilters) {
+            this.setFilterInputs(sharedFilters);
+            await this.filterActivity();
+        } else {
+            await this.loadActivityData();
+        }
+    }
+
+    // Filters from a ?view=activity&... link, or null when the page wasn't opened from one
+    getSharedFilters() {
+        const params = new URLSearchParams(window.location.search);
+        return params.get('view') === 'activity' ? params : null;
+    }
+
+    hasSharedFilters() {
+        return this.getSharedFilters() !== null;
+    }
+
+    async loadAccountOptions() {
+        const accountSelect = document.getElementById('activity-account');
+        if (!accountSelect) return;
+
+        try {
+            const [banks, cards] = await Promise.all([
+                this.apiClient.get('/api/banks'),
+                this.apiClient.get('/api/credit-cards')
+            ]);
+            const selected = accountSelect.value;
+
+            accountSelect.innerHTML = `
+                <option value="">All Accounts</option>
+                <option value="cash">Cash</option>
+                <option value="bank">All Banks</option>
+                <option value="credit_card">All Credit Cards</option>
+                ${banks.map(bank => `<option value="bank-${bank.id}">🏦 ${window.escapeHtml(bank.name)}</option>`).join('')}
+                ${cards.map(card => `<option value="credit_card-${card.id}">💳 ${window.escapeHtml(card.name)}</option>`).join('')}
+            `;
+            accountSelect.value = selected;
+        } catch (error) {
+            console.error('Error loading accounts for activity filters:', error);
+        }
+    }
+
+    // Current filter inputs as query parameters (empty filters left out)
+    getFilterParams() {
+        const params = new URLSearchParams();
+        Object.entries(ACTIVITY_FILTER_FIELDS).forEach(([key, inputId]) => {
+            const value = document.getElementById(inputId)?.value.trim();
+            if (value) params.append(key, value);
+        });
+        return params;
+    }
+
+    setFilterInputs(params) {
+        Object.entries(ACTIVITY_FILTER_FIELDS).forEach(([key, inputId]) => {
+            const input = document.getElementById(inputId);
+            if (input) input.value = params.get(key) || '';
+        });
+    }
+
+    // Keep the address bar in step with the filters so the page can be bookmarked or shared
+    updateShareableUrl(params) {
+        const query = params.toString();
+        const url = query ? `${window.location.pathname}?view=activity&${query}` : window.location.pathname;
+        window.history.replaceState(null, '', url);
+    }
+
+    getShareableLink(query) {
+        return `${window.location.origin}${window.location.pathname}?view=activity&${query}`;
     }
 
     async loadActivityData() {
@@ -95,18 +184,15 @@ class ActivityManager {
 
     renderEtherscanStyleActivity(activity) {
         const date = new Date(activity.activity_date || activity.created_at);
-        const formattedDate = date.toLocaleDateString('en-IN', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric'
-        });
-        const formattedTime = date.toLocaleTimeString('en-IN', {
+        const formattedDate = this.formatDate(date);
+        const formattedTime = date.toLocaleTimeString(this.getLocale(), {
             hour: '2-digit',
             minute: '2-digit'
         });
 
         // Handle different activity types with proper amount display
         let actionIcon, actionText, actionClass, amount, description, accountInfo;
+        let details = '';
 
         if (activity.activity_type === 'audit') {
             // Handle audit logs properly
@@ -136,12 +222,13 @@ class ActivityManager {
                 break;
             case 'updated':
                 actionIcon = '✏️';
-                actionText = 'Updated';
+                actionText = `${this.getAuditEntityLabel(activity.entity_type)} Updated`;
                 actionClass = 'action-update';
+                details = this.renderAuditDiff(activity.before_data, activity.after_data);
                 break;
             case 'deleted':
                 actionIcon = '🗑️';
-                actionText = 'Deleted';
+                actionText = `${this.getAuditEntityLabel(activity.entity_type)} Deleted`;
                 actionClass = 'action-delete';
                 break;
             default:
@@ -149,7 +236,7 @@ class ActivityManager {
                 actionText = 'Modified';
                 actionClass = 'action-other';
             }
-            amount = activity.amount ? `₹${parseFloat(activity.amount).toLocaleString('en-IN', {minimumFractionDigits: 2})}` : '—';
+            amount = activity.amount ? this.formatAmount(activity.amount, activity.currency) : '—';
             description = activity.description || 'System operation';
             accountInfo = activity.account_info || 'System';
         } else {
@@ -165,6 +252,16 @@ class ActivityManager {
                 actionText = 'Expense Added';
                 actionClass = 'action-expense';
                 break;
+            case 'transfer':
+                actionIcon = '🔄';
+                actionText = 'Transfer';
+                actionClass = 'action-transfer';
+                break;
+            case 'card_payment':
+                actionIcon = '💳';
+                actionText = 'Card Payment';
+                actionClass = 'action-card-payment';
+                break;
             case 'setup':
                 actionIcon = '⚙️';
                 actionText = 'Account Setup';
@@ -175,7 +272,7 @@ class ActivityManager {
                 actionText = 'Transaction';
                 actionClass = 'action-other';
             }
-            amount = activity.amount ? `₹${parseFloat(activity.amount).toLocaleString('en-IN', {minimumFractionDigits: 2})}` : '—';
+            amount = activity.amount ? this.formatAmount(activity.amount, activity.currency) : '—';
             description = activity.description || 'Transaction';
             accountInfo = activity.account_info || 'Unknown Account';
         }
@@ -196,14 +293,116 @@ class ActivityManager {
                         </div>
                         <div class="activity-meta">
                             <span class="activity-account">📍 ${accountInfo}</span>
+                            ${activity.category_name ? `<span class="category-chip">🏷️ ${window.escapeHtml(activity.category_name)}</span>` : ''}
                             <span class="activity-timestamp">🕒 ${formattedDate} at ${formattedTime}</span>
                         </div>
+                        ${details}
                     </div>
                 </div>
             </div>
         `;
     }
 
+    getAuditEntityLabel(entityType) {
+        const labels = {
+            income: 'Income',
+            expense: 'Expense',
+            bank: 'Bank',
+            credit_card: 'Credit Card',
+            cash: 'Cash Balance'
+        };
+        return labels[entityType] || 'Record';
+    }
+
+    getLocale() {
+        return window.expenseTracker?.preferences?.locale || 'en-IN';
+    }
+
+    formatDate(value) {
+        if (window.expenseTracker?.formatDate) {
+            return window.expenseTracker.formatDate(value);
+        }
+        return new Date(value).toLocaleDateString('en-IN', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+    }
+
+    formatAmount(amount, currency) {
+        if (window.expenseTracker?.formatAmount) {
+            return window.expenseTracker.formatAmount(amount, currency);
+        }
+        return parseFloat(amount).toLocaleString('en-IN', {
+            style: 'currency',
+            currency: currency || window.expenseTracker?.baseCurrency || 'INR',
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        });
+    }
+
+    // Field-by-field "before → after" list for an audited update
+    renderAuditDiff(before, after) {
+        if (!before || !after) return '';
+
+        const labels = {
+            source: 'Source',
+            title: 'Title',
+            name: 'Name',
+            amount: 'Amount',
+            date: 'Date',
+            credited_to_type: 'Credited to',
+            credited_to_id: 'Account',
+            payment_method: 'Payment method',
+            payment_source_id: 'Account',
+            category_id: 'Category',
+            initial_balance: 'Initial balance',
+            current_balance: 'Current balance',
+            credit_limit: 'Credit limit',
+            used_limit: 'Used limit',
+            statement_day: 'Statement day',
+            payment_due_days: 'Payment due days',
+            balance: 'Balance',
+            deleted_at: 'In trash since',
+            currency: 'Currency',
+            tags: 'Tags',
+            notes: 'Notes'
+        };
+        const moneyFields = ['amount', 'initial_balance', 'current_balance', 'credit_limit', 'used_limit', 'balance'];
+        // Bookkeeping columns that change with the record rather than being edited
+        const ignoredFields = ['id', 'user_id', 'month', 'year', 'created_at', 'updated_at'];
+
+        const formatValue = (field, value) => {
+            if (value === null || value === undefined || value === '') return '—';
+            if (moneyFields.includes(field)) {
+                return this.formatAmount(value, after.currency || before.currency);
+            }
+            if (field === 'date' || field === 'deleted_at') return this.formatDate(value);
+            if (Array.isArray(value)) {
+                return value.length > 0 ? window.escapeHtml(value.map(tag => `#${tag}`).join(' ')) : '—';
+            }
+            return window.escapeHtml(String(value));
+        };
+
+        const changes = Object.keys({ ...before, ...after })
+            .filter(field => !ignoredFields.includes(field))
+            .filter(field => formatValue(field, before[field]) !== formatValue(field, after[field]));
+
+        if (changes.length === 0) return '';
+
+        return `
+            <ul class="activity-diff">
+                ${changes.map(field => `
+                    <li>
+                        <span class="diff-field">${labels[field] || field.replace(/_/g, ' ')}</span>
+                        <span class="diff-before">${formatValue(field, before[field])}</span>
+                        <span class="diff-arrow">→</span>
+                        <span class="diff-after">${formatValue(field, after[field])}</span>
+                    </li>`).join('')}
+            </ul>
+        `;
+    }
+
     renderPagination(totalPages) {
         if (totalPages <= 1) return '';
 
@@ -247,7 +446,8 @@ class ActivityManager {
     }
 
     attachPaginationEvents() {
-        const paginationBtns = document.querySelectorAll('.pagination-btn');
+        // Scoped to the feed: the transaction history has its own pagination buttons
+        const paginationBtns = document.querySelectorAll('#activity-list .pagination-btn');
         paginationBtns.forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const page = parseInt(e.target.getAttribute('data-page'));
@@ -260,8 +460,7 @@ class ActivityManager {
     }
 
     async filterActivity() {
-        const monthFilter = document.getElementById('activity-month')?.value || '';
-        const yearFilter = document.getElementById('activity-year')?.value || '';
+        const params = this.getFilterParams();
         const loadBtn = document.querySelector('button[data-action="filterActivity"]');
 
         try {
@@ -271,11 +470,7 @@ class ActivityManager {
                 loadBtn.querySelector('.btn-icon').textContent = '⏳';
             }
 
-            // Build query parameters for server-side filtering
-            const params = new URLSearchParams();
-            if (monthFilter) params.append('month', monthFilter);
-            if (yearFilter) params.append('year', yearFilter);
-            
+            // Server-side filtering uses the same parameters as the shareable link
             const queryString = params.toString();
             const endpoint = queryString ? `/api/activity?${queryString}` : '/api/activity';
             
@@ -295,8 +490,9 @@ class ActivityManager {
             // Reset to first page when filtering
             this.currentPage = 1;
             this.renderActivityFeed();
+            this.updateShareableUrl(params);
         } catch (error) {
-            this.showError('Failed to load filtered activity data. Please try again.');
+            this.showError(error.message || 'Failed to load filtered activity data. Please try again.');
         } finally {
             // Remove loading state
             if (loadBtn) {
@@ -307,9 +503,6 @@ class ActivityManager {
     }
 
     clearActivityFilters() {
-        // Reset filter inputs
-        const monthFilter = document.getElementById('activity-month');
-        const yearFilter = document.getElementById('activity-year');
         const clearBtn = document.querySelector('button[data-action="clearActivityFilters"]');
 
         // Add loading state
@@ -318,15 +511,15 @@ class ActivityManager {
             clearBtn.querySelector('.btn-icon').textContent = '⏳';
         }
 
-        if (monthFilter) monthFilter.value = '';
-        if (yearFilter) yearFilter.value = '';
+        // Reset filter inputs
+        this.setFilterInputs(new URLSearchParams());
+        this.updateShareableUrl(new URLSearchParams());
 
-        // Reset filters and show all activities
-        setTimeout(() => {
-            this.filteredActivities = [...this.activities];
+        // Reload the unfiltered feed (the current one only holds the filtered activities)
+        setTimeout(async () => {
             this.currentPage = 1; // Reset to first page
-            this.renderActivityFeed();
-            
+            await this.loadActivityData();
+
             // Remove loading state
             if (clearBtn) {
                 clearBtn.classList.remove('loading');
@@ -335,6 +528,206 @@ class ActivityManager {
         }, 300); // Small delay for visual feedback
     }
 
+    async loadSavedFilters() {
+        try {
+            this.savedFilters = await this.apiClient.get('/api/saved-filters');
+            this.renderSavedFilters();
+        } catch (error) {
+            console.error('Error loading saved filters:', error);
+        }
+    }
+
+    renderSavedFilters() {
+        const list = document.getElementById('saved-filter-list');
+        if (!list) return;
+
+        if (this.savedFilters.length === 0) {
+            list.innerHTML = '<p class="no-data">No saved views yet. Set some filters, name them and save.</p>';
+            return;
+        }
+
+        list.innerHTML = this.savedFilters.map(filter => `
+            <div class="saved-filter-item">
+                <button class="saved-filter-chip" data-saved-filter="apply" data-id="${filter.id}" title="${window.escapeHtml(filter.query)}">${window.escapeHtml(filter.name)}</button>
+                <button class="saved-filter-icon" data-saved-filter="copy" data-id="${filter.id}" title="Copy link">🔗</button>
+                <button class="saved-filter-icon" data-saved-filter="delete" data-id="${filter.id}" title="Delete">✖</button>
+            </div>
+        `).join('');
+        this.attachSavedFilterEvents();
+    }
+
+    attachSavedFilterEvents() {
+        document.querySelectorAll('[data-saved-filter]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const filter = this.savedFilters.find(saved => saved.id === parseInt(btn.getAttribute('data-id')));
+                if (!filter) return;
+
+                const action = btn.getAttribute('data-saved-filter');
+                if (action === 'apply') {
+                    this.applySavedFilter(filter);
+                } else if (action === 'copy') {
+                    this.copyLink(filter.query);
+                } else if (action === 'delete') {
+                    this.deleteSavedFilter(filter);
+                }
+            });
+        });
+    }
+
+    async applySavedFilter(filter) {
+        this.setFilterInputs(new URLSearchParams(filter.query));
+        await this.filterActivity();
+    }
+
+    async saveCurrentFilter() {
+        const nameInput = document.getElementById('saved-filter-name');
+        const name = nameInput?.value.trim() || '';
+        const query = this.getFilterParams().toString();
+
+        if (!name) {
+            if (window.showError) window.showError('Please name this view before saving it');
+            return;
+        }
+        if (!query) {
+            if (window.showError) window.showError('Choose at least one filter to save');
+            return;
+        }
+
+        try {
+            await this.apiClient.post('/api/saved-filters', { name, query });
+            nameInput.value = '';
+            if (window.showSuccess) window.showSuccess(`Saved view "${name}"`);
+            await this.loadSavedFilters();
+        } catch (error) {
+            if (window.showError) window.showError(error.message || 'Failed to save the view');
+        }
+    }
+
+    async deleteSavedFilter(filter) {
+        try {
+            await this.apiClient.delete(`/api/saved-filters/${filter.id}`);
+            if (window.showSuccess) window.showSuccess(`Deleted view "${filter.name}"`);
+            await this.loadSavedFilters();
+        } catch (error) {
+            if (window.showError) window.showError(error.message || 'Failed to delete the view');
+        }
+    }
+
+    // Copy a link that opens the activity feed with these filters (the current ones by default)
+    async copyLink(query = this.getFilterParams().toString()) {
+        const link = this.getShareableLink(query);
+
+        try {
+            await navigator.clipboard.writeText(link);
+            if (window.showSuccess) window.showSuccess('Link copied to clipboard');
+        } catch {
+            // Clipboard access can be blocked (e.g. over plain HTTP); show the link so it can be copied by hand
+            if (window.showInfo) window.showInfo(link, 10000);
+        }
+    }
+
+    // Full-text search over income and expenses; results show above the activity feed
+    async searchTransactions() {
+        const input = document.getElementById('activity-search');
+        const resultsDiv = document.getElementById('activity-search-results');
+        const query = input?.value.trim() || '';
+
+        if (!resultsDiv) return;
+        if (!query) {
+            this.clearSearch();
+            return;
+        }
+
+        try {
+            const response = await this.apiClient.get(`/api/search?q=${encodeURIComponent(query)}`);
+            resultsDiv.innerHTML = this.renderSearchResults(response);
+        } catch (error) {
+            resultsDiv.innerHTML = `<p class="error-message">${window.escapeHtml(error.message || 'Search failed. Please try again.')}</p>`;
+        }
+        resultsDiv.classList.remove('hidden');
+    }
+
+    clearSearch() {
+        const input = document.getElementById('activity-search');
+        const resultsDiv = document.getElementById('activity-search-results');
+
+        if (input) input.value = '';
+        if (resultsDiv) {
+            resultsDiv.innerHTML = '';
+            resultsDiv.classList.add('hidden');
+        }
+    }
+
+    renderSearchResults({ criteria, results }) {
+        if (results.length === 0) {
+            return '<div class="no-activities">No transactions match your search</div>';
+        }
+
+        // Bare numbers can match the text as well as the amount
+        const terms = [...criteria.terms, ...criteria.amounts];
+
+        const items = results.map(result => `
+            <div class="activity-item search-result ${result.type === 'income' ? 'action-income' : 'action-expense'}">
+                <div class="activity-main">
+                    <div class="activity-icon">
+                        <span class="icon">${result.type === 'income' ? '📈' : '📉'}</span>
+                    </div>
+                    <div class="activity-content">
+                        <div class="activity-header-row">
+                            <span class="activity-action">${this.highlightMatches(result.description, terms)}</span>
+                            <span class="activity-amount${this.amountMatches(result.amount, criteria) ? ' search-amount-match' : ''}">${this.formatAmount(result.amount, result.currency)}</span>
+                        </div>
+                        ${result.notes ? `<div class="activity-description">${this.highlightMatches(result.notes, terms)}</div>` : ''}
+                        <div class="activity-meta">
+                            <span class="activity-account">📍 ${this.highlightMatches(result.account_name, terms)}</span>
+                            ${result.category_name ? `<span class="category-chip">🏷️ ${window.escapeHtml(result.category_name)}</span>` : ''}
+                            <span class="activity-timestamp">🕒 ${this.formatDate(result.date)}</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+
+        return `
+            <div class="activity-feed search-results">
+                <div class="activity-header">
+                    <h3>Search Results</h3>
+                    <div class="activity-stats">
+                        <span class="stat-item">${results.length === 1 ? '1 match' : `${results.length} matches`}</span>
+                    </div>
+                </div>
+                <div class="activity-items">${items}</div>
+            </div>
+        `;
+    }
+
+    // Wrap searched words in <mark>, matching at word starts like the server's prefix search
+    highlightMatches(text, terms) {
+        const value = String(text ?? '');
+        if (terms.length === 0) return window.escapeHtml(value);
+
+        const alternatives = terms.map(term => String(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${alternatives.join('|')})`, 'giu');
+
+        return value.split(pattern)
+            .map((part, index) => (index % 2 === 1 ? `<mark>${window.escapeHtml(part)}</mark>` : window.escapeHtml(part)))
+            .join('');
+    }
+
+    amountMatches(amount, criteria) {
+        const value = parseFloat(amount);
+        const compare = {
+            '>': bound => value > bound,
+            '>=': bound => value >= bound,
+            '<': bound => value < bound,
+            '<=': bound => value <= bound
+        };
+
+        if (criteria.amounts.some(exact => Number(exact) === value)) return true;
+        return criteria.amountConditions.length > 0 &&
+            criteria.amountConditions.every(({ operator, value: bound }) => compare[operator](bound));
+    }
+
     showLoading() {
         const loadingEl = document.getElementById('activity-loading');
         if (loadingEl) {
@@ -123,6 +123,22 @@ class ApiClient {
         return this.post('/api/cash-balance', balanceData);
     }
 
+    static async getCategories() {
+        return this.get('/api/categories');
+    }
+
+    static async addCategory(categoryData) {
+        return this.post('/api/categories', categoryData);
+    }
+
+    static async getBudgets(month, year) {
+        return this.get(`/api/budgets?month=${month}&year=${year}`);
+    }
+
+    static async setBudget(budgetData) {
+        return this.post('/api/budgets', budgetData);
+    }
+
     // Transaction endpoints
     static async getIncome(month, year) {
         return this.get(`/api/income?month=${month}&year=${year}`);
@@ -3,10 +3,21 @@
  * Main application logic and state management
  */
 
+// Display preferences used until the user's own are loaded (see /api/user)
+const DEFAULT_PREFERENCES = {
+    currencySymbol: null,
+    locale: 'en-IN',
+    dateFormat: 'DD/MM/YYYY',
+    firstDayOfWeek: 1
+};
+
 class ExpenseTracker {
     constructor() {
         this.currentUser = null;
         this.trackingOption = 'both';
+        this.fiscalYearStart = 1;
+        this.baseCurrency = 'INR';
+        this.preferences = { ...DEFAULT_PREFERENCES };
         this.resetUserId = null;
         this.isAuthenticated = false;
         this.init();
@@ -30,6 +41,9 @@ class ExpenseTracker {
                 this.isAuthenticated = true;
                 this.currentUser = authStatus.user;
                 this.trackingOption = authStatus.user.tracking_option || 'both';
+                this.setFiscalYearStart(authStatus.user.fiscal_year_start);
+                this.setBaseCurrency(authStatus.user.base_currency);
+                this.setPreferences(authStatus.user.preferences);
 
                 // User is authenticated, show the main app
                 this.showMainApplication();
@@ -77,8 +91,9 @@ class ExpenseTracker {
                 if (userName && this.currentUser) {
                     userName.textContent = this.currentUser.name || this.currentUser.username;
                 }
-                // Show setup section by default
-                window.navigationManager.showSection('setup');
+                // Show setup section by default, or the activity feed when opened from a shared filter link
+                const startSection = window.activityManager?.hasSharedFilters() ? 'activity' : 'setup';
+                window.navigationManager.showSection(startSection);
             }
         } else {
             // New user or no tracking option set, show welcome section
@@ -127,25 +142,130 @@ class ExpenseTracker {
         const dateString = currentDate.toISOString().split('T')[0]; // YYYY-MM-DD format
         const incomeDate = document.getElementById('income-date');
         const expenseDate = document.getElementById('expense-date');
+        const transferDate = document.getElementById('transfer-date');
 
         if (incomeDate) incomeDate.value = dateString;
         if (expenseDate) expenseDate.value = dateString;
+        if (transferDate) transferDate.value = dateString;
     }
 
-    setupYearDropdown() {
-        const yearSelect = document.getElementById('summary-year');
-        if (!yearSelect) return;
-
-        const currentYear = new Date().getFullYear();
-        yearSelect.innerHTML = '';
-
-        for (let year = currentYear - 5; year <= currentYear + 1; year++) {
-            const option = document.createElement('option');
-            option.value = year;
-            option.textContent = year;
-            if (year === currentYear) option.selected = true;
-            yearSelect.appendChild(option);
+    setFiscalYearStart(month) {
+        this.fiscalYearStart = parseInt(month) || 1;
+
+        const fiscalYearSelect = document.getElementById('fiscal-year-start');
+        if (fiscalYearSelect) fiscalYearSelect.value = String(this.fiscalYearStart);
+
+        this.setupYearDropdown();
+    }
+
+    // Summaries are shown in this currency; accounts keep their own
+    setBaseCurrency(currency) {
+        this.baseCurrency = currency || 'INR';
+
+        const baseCurrencySelect = document.getElementById('base-currency');
+        if (baseCurrencySelect) baseCurrencySelect.value = this.baseCurrency;
+    }
+
+    setPreferences(preferences) {
+        this.preferences = { ...DEFAULT_PREFERENCES, ...preferences };
+
+        const fields = {
+            'preference-currency-symbol': this.preferences.currencySymbol || '',
+            'preference-locale': this.preferences.locale,
+            'preference-date-format': this.preferences.dateFormat,
+            'preference-first-day': String(this.preferences.firstDayOfWeek)
+        };
+        Object.entries(fields).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        });
+    }
+
+    // Amounts in the user's locale. The custom currency symbol, when set, replaces the
+    // base currency's symbol only; other currencies keep their own.
+    formatAmount(amount, currency = this.baseCurrency) {
+        const { locale, currencySymbol } = this.preferences;
+        const code = currency || this.baseCurrency;
+        let formatter;
+        try {
+            formatter = new Intl.NumberFormat(locale, { style: 'currency', currency: code, minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        } catch {
+            formatter = new Intl.NumberFormat(DEFAULT_PREFERENCES.locale, { style: 'currency', currency: code, minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        }
+
+        const value = parseFloat(amount || 0);
+        if (!currencySymbol || code !== this.baseCurrency) {
+            return formatter.format(value);
         }
+        return formatter.formatToParts(value)
+            .map(part => (part.type === 'currency' ? currencySymbol : part.value))
+            .join('');
+    }
+
+    // Dates in the user's chosen format (DD/MM/YYYY, MM/DD/YYYY, YYYY-MM-DD or DD MMM YYYY)
+    formatDate(value) {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return '';
+
+        const day = String(date.getDate()).padStart(2, '0');
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const year = date.getFullYear();
+
+        switch (this.preferences.dateFormat) {
+        case 'MM/DD/YYYY':
+            return `${month}/${day}/${year}`;
+        case 'YYYY-MM-DD':
+            return `${year}-${month}-${day}`;
+        case 'DD MMM YYYY':
+            return `${day} ${date.toLocaleDateString(this.preferences.locale, { month: 'short' })} ${year}`;
+        default:
+            return `${day}/${month}/${year}`;
+        }
+    }
+
+    // Used after login, where the login response doesn't carry the user's settings
+    async loadUserSettings() {
+        try {
+            const user = await window.apiClient.get('/api/user');
+            this.setFiscalYearStart(user.fiscal_year_start);
+            this.setBaseCurrency(user.base_currency);
+            this.setPreferences(user.preferences);
+        } catch {
+            // Keep calendar years, rupees and the default formats if the user can't be loaded
+        }
+    }
+
+    // Financial year today falls in, named after the calendar year it starts in
+    getCurrentFiscalYear() {
+        const today = new Date();
+        return today.getMonth() + 1 >= this.fiscalYearStart ? today.getFullYear() : today.getFullYear() - 1;
+    }
+
+    getFiscalYearLabel(year) {
+        return this.fiscalYearStart === 1 ? String(year) : `FY ${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+    }
+
+    // Year dropdowns list financial years ("FY 2025-26") unless the year starts in January
+    setupYearDropdown() {
+        const currentYear = this.getCurrentFiscalYear();
+
+        ['summary-year', 'report-year', 'activity-year'].forEach(selectId => {
+            const yearSelect = document.getElementById(selectId);
+            if (!yearSelect) return;
+
+            const selected = yearSelect.value;
+            const allowAllYears = selectId === 'activity-year';
+            yearSelect.innerHTML = allowAllYears ? '<option value="">All Years</option>' : '';
+
+            for (let year = currentYear - 5; year <= currentYear + 1; year++) {
+                const option = document.createElement('option');
+                option.value = year;
+                option.textContent = this.getFiscalYearLabel(year);
+                yearSelect.appendChild(option);
+            }
+
+            yearSelect.value = selected || (allowAllYears ? '' : String(currentYear));
+        });
     }
 
     setCurrentMonth() {
@@ -177,15 +297,35 @@ class ExpenseTracker {
         window.addBank = () => window.setupManager.addBank();
         window.addCreditCard = () => window.setupManager.addCreditCard();
         window.setCashBalance = () => window.setupManager.setCashBalance();
+        window.saveFiscalYearStart = () => window.setupManager.saveFiscalYearStart();
+        window.saveBaseCurrency = () => window.setupManager.saveBaseCurrency();
+        window.savePreferences = () => window.setupManager.savePreferences();
+        window.saveExchangeRate = () => window.setupManager.saveExchangeRate();
+        window.addCategory = () => window.setupManager.addCategory();
+        window.addCategoryRule = () => window.setupManager.addCategoryRule();
+        window.applyCategoryRules = () => window.setupManager.applyCategoryRules();
+        window.restoreBackup = () => window.setupManager.restoreBackup();
 
         window.addIncome = () => window.transactionManager.addIncome();
         window.addExpense = () => window.transactionManager.addExpense();
+        window.addTransfer = () => window.transactionManager.addTransfer();
 
         window.loadMonthlySummary = () => window.summaryManager.loadMonthlySummary();
+        window.loadReport = () => window.reportManager.loadReport();
 
         // Activity Manager functions
         window.filterActivity = () => window.activityManager.filterActivity();
         window.clearActivityFilters = () => window.activityManager.clearActivityFilters();
+        window.searchTransactions = () => window.activityManager.searchTransactions();
+        window.clearSearch = () => window.activityManager.clearSearch();
+        window.saveActivityFilter = () => window.activityManager.saveCurrentFilter();
+        window.copyActivityLink = () => window.activityManager.copyLink();
+
+        // Recurring Manager functions
+        window.addRecurring = () => window.recurringManager.addRecurring();
+
+        // Import Manager functions
+        window.previewImport = () => window.importManager.previewImport();
     }
 }
 
@@ -130,6 +130,7 @@ class AuthManager {
                 window.expenseTracker.currentUser = data;
                 window.expenseTracker.trackingOption = data.trackingOption;
                 window.expenseTracker.isAuthenticated = true;
+                window.expenseTracker.loadUserSettings?.();
                 document.getElementById('user-name').textContent = data.name;
                 this.hideAuthSection();
                 window.expenseTracker.showMainApplication();
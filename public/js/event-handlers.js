@@ -44,6 +44,15 @@ class EventHandlers {
 
         // Summary events
         this.bindSummaryEvents();
+
+        // Report events
+        this.bindReportEvents();
+
+        // Recurring transaction events
+        this.bindRecurringEvents();
+
+        // Statement import events
+        this.bindImportEvents();
     }
 
     bindAuthEvents() {
@@ -186,6 +195,84 @@ class EventHandlers {
             });
         }
 
+        // Category add button
+        const addCategoryBtn = document.querySelector('button[data-action="addCategory"]');
+        if (addCategoryBtn) {
+            addCategoryBtn.addEventListener('click', () => {
+                if (window.setupManager) {
+                    window.setupManager.addCategory();
+                }
+            });
+        }
+
+        // Categorization rule buttons: add a rule, re-run the rules over past expenses
+        const addRuleBtn = document.querySelector('button[data-action="addCategoryRule"]');
+        if (addRuleBtn) {
+            addRuleBtn.addEventListener('click', () => {
+                if (window.setupManager) {
+                    window.setupManager.addCategoryRule();
+                }
+            });
+        }
+
+        const applyRulesBtn = document.querySelector('button[data-action="applyCategoryRules"]');
+        if (applyRulesBtn) {
+            applyRulesBtn.addEventListener('click', () => {
+                if (window.setupManager) {
+                    window.setupManager.applyCategoryRules();
+                }
+            });
+        }
+
+        // Save financial year button
+        const saveFiscalYearBtn = document.querySelector('button[data-action="saveFiscalYearStart"]');
+        if (saveFiscalYearBtn) {
+            saveFiscalYearBtn.addEventListener('click', () => {
+                if (window.setupManager) {
+                    window.setupManager.saveFiscalYearStart();
+                }
+            });
+        }
+
+        // Save display preferences button
+        const savePreferencesBtn = document.querySelector('button[data-action="savePreferences"]');
+        if (savePreferencesBtn) {
+            savePreferencesBtn.addEventListener('click', () => {
+                if (window.setupManager) {
+                    window.setupManager.savePreferences();
+                }
+            });
+        }
+
+        // Base currency and exchange rate buttons
+        const saveBaseCurrencyBtn = document.querySelector('button[data-action="saveBaseCurrency"]');
+        if (saveBaseCurrencyBtn) {
+            saveBaseCurrencyBtn.addEventListener('click', () => {
+                if (window.setupManager) {
+                    window.setupManager.saveBaseCurrency();
+                }
+            });
+        }
+
+        const saveExchangeRateBtn = document.querySelector('button[data-action="saveExchangeRate"]');
+        if (saveExchangeRateBtn) {
+            saveExchangeRateBtn.addEventListener('click', () => {
+                if (window.setupManager) {
+                    window.setupManager.saveExchangeRate();
+                }
+            });
+        }
+
+        // Restore backup button
+        const restoreBackupBtn = document.querySelector('button[data-action="restoreBackup"]');
+        if (restoreBackupBtn) {
+            restoreBackupBtn.addEventListener('click', () => {
+                if (window.setupManager) {
+                    window.setupManager.restoreBackup();
+                }
+            });
+        }
+
         // Bank form submission (if forms exist)
         const bankForm = document.querySelector('#bank-form');
         if (bankForm) {
@@ -283,6 +370,16 @@ class EventHandlers {
             });
         }
 
+        // Add transfer button
+        const addTransferBtn = document.querySelector('button[data-action="addTransfer"]');
+        if (addTransferBtn) {
+            addTransferBtn.addEventListener('click', () => {
+                if (window.transactionManager) {
+                    window.transactionManager.addTransfer();
+                }
+            });
+        }
+
         // Income form submission
         const incomeForm = document.querySelector('#income-form');
         if (incomeForm) {
@@ -345,6 +442,54 @@ class EventHandlers {
                 }
             });
         }
+
+        // Transaction search: button, Enter in the search box, and clear
+        const searchBtn = document.querySelector('button[data-action="searchTransactions"]');
+        if (searchBtn) {
+            searchBtn.addEventListener('click', () => {
+                if (window.activityManager) {
+                    window.activityManager.searchTransactions();
+                }
+            });
+        }
+
+        const searchInput = document.getElementById('activity-search');
+        if (searchInput) {
+            searchInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter' && window.activityManager) {
+                    event.preventDefault();
+                    window.activityManager.searchTransactions();
+                }
+            });
+        }
+
+        const clearSearchBtn = document.querySelector('button[data-action="clearSearch"]');
+        if (clearSearchBtn) {
+            clearSearchBtn.addEventListener('click', () => {
+                if (window.activityManager) {
+                    window.activityManager.clearSearch();
+                }
+            });
+        }
+
+        // Saved views: save the current filters, copy a link to them
+        const saveFilterBtn = document.querySelector('button[data-action="saveActivityFilter"]');
+        if (saveFilterBtn) {
+            saveFilterBtn.addEventListener('click', () => {
+                if (window.activityManager) {
+                    window.activityManager.saveCurrentFilter();
+                }
+            });
+        }
+
+        const copyLinkBtn = document.querySelector('button[data-action="copyActivityLink"]');
+        if (copyLinkBtn) {
+            copyLinkBtn.addEventListener('click', () => {
+                if (window.activityManager) {
+                    window.activityManager.copyLink();
+                }
+            });
+        }
     }
 
     bindSummaryEvents() {
@@ -358,6 +503,16 @@ class EventHandlers {
             });
         }
 
+        // Net worth trend button
+        const netWorthBtn = document.querySelector('button[data-action="loadNetWorthHistory"]');
+        if (netWorthBtn) {
+            netWorthBtn.addEventListener('click', () => {
+                if (window.summaryManager) {
+                    window.summaryManager.loadNetWorthHistory();
+                }
+            });
+        }
+
         // Summary month navigation
         const summaryPrevBtn = document.querySelector('#summary-prev-month');
         if (summaryPrevBtn) {
@@ -388,6 +543,42 @@ class EventHandlers {
         }
     }
 
+    bindRecurringEvents() {
+        // Add recurring transaction button
+        const addRecurringBtn = document.querySelector('button[data-action="addRecurring"]');
+        if (addRecurringBtn) {
+            addRecurringBtn.addEventListener('click', () => {
+                if (window.recurringManager) {
+                    window.recurringManager.addRecurring();
+                }
+            });
+        }
+    }
+
+    bindReportEvents() {
+        // Generate report button
+        const loadReportBtn = document.querySelector('button[data-action="loadReport"]');
+        if (loadReportBtn) {
+            loadReportBtn.addEventListener('click', () => {
+                if (window.reportManager) {
+                    window.reportManager.loadReport();
+                }
+            });
+        }
+    }
+
+    bindImportEvents() {
+        // Preview statement import button
+        const previewImportBtn = document.querySelector('button[data-action="previewImport"]');
+        if (previewImportBtn) {
+            previewImportBtn.addEventListener('click', () => {
+                if (window.importManager) {
+                    window.importManager.previewImport();
+                }
+            });
+        }
+    }
+
     // Utility method to rebind events after dynamic content changes
     rebindEvents() {
         this.bindEvents();
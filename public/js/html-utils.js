@@ -0,0 +1,20 @@
+/**
+ * HTML Utilities
+ * Escapes user-entered text before it is interpolated into innerHTML templates
+ */
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;'
+};
+
+// Quotes are escaped too, so the result is safe inside attribute values as well as element content
+function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+window.escapeHtml = escapeHtml;
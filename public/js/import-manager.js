@@ -0,0 +1,366 @@
+/**
+ * Import Manager Module
+ * Handles bank statement import (CSV, OFX/QFX, QIF): upload, column mapping, preview and commit
+ */
+
+class ImportManager {
+    constructor() {
+        this.apiClient = window.apiClient;
+        this.fileContent = null;
+        this.fileFormat = null;
+        this.columns = [];
+        this.transactions = [];
+        this.banks = [];
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        // Event delegation for preview actions
+        document.addEventListener('click', (event) => {
+            const target = event.target;
+            if (!target.hasAttribute('data-action')) return;
+
+            switch (target.getAttribute('data-action')) {
+            case 'commit-import':
+                this.commitImport();
+                break;
+            case 'cancel-import':
+                this.resetImport();
+                break;
+            default:
+                return; // Let other actions bubble up
+            }
+
+            event.preventDefault();
+        });
+
+        document.addEventListener('change', (event) => {
+            const target = event.target;
+            if (target.classList.contains('import-map')) {
+                // Re-parse with the new column mapping
+                this.previewImport(this.getMapping());
+            } else if (target.id === 'import-file' || target.id === 'import-bank' ||
+                target.id === 'import-date-format' || target.id === 'import-has-header') {
+                // Source changed: guess the mapping again on the next preview
+                this.clearPreview();
+            } else if (target.classList.contains('import-row-select')) {
+                this.updateSelectionSummary();
+            } else if (target.id === 'import-select-all') {
+                document.querySelectorAll('.import-row-select:not(:disabled)').forEach(checkbox => {
+                    checkbox.checked = target.checked;
+                });
+                this.updateSelectionSummary();
+            }
+        });
+    }
+
+    async onSectionShow() {
+        await this.loadBankOptions();
+    }
+
+    async loadBankOptions() {
+        try {
+            const banks = await this.apiClient.get('/api/banks');
+            this.banks = banks;
+            const bankSelect = document.getElementById('import-bank');
+            if (!bankSelect) return;
+
+            const selected = bankSelect.value;
+            bankSelect.innerHTML = '<option value="">Select bank</option>';
+            banks.forEach(bank => {
+                const option = document.createElement('option');
+                option.value = bank.id;
+                option.textContent = bank.name;
+                bankSelect.appendChild(option);
+            });
+            bankSelect.value = selected;
+        } catch (error) {
+            console.error('Error loading banks for import:', error);
+        }
+    }
+
+    async readSelectedFile() {
+        const fileInput = document.getElementById('import-file');
+        const file = fileInput?.files?.[0];
+        if (!file) return null;
+
+        if (file.size > 5 * 1024 * 1024) {
+            throw new Error('Statement file must be smaller than 5 MB');
+        }
+
+        this.fileFormat = this.getFormatFromFileName(file.name);
+        return file.text();
+    }
+
+    // The server sniffs the contents when the extension doesn't tell us the format
+    getFormatFromFileName(fileName) {
+        const extension = String(fileName).split('.').pop().toLowerCase();
+        if (extension === 'ofx' || extension === 'qfx') return 'ofx';
+        if (extension === 'qif') return 'qif';
+        if (extension === 'csv') return 'csv';
+        return null;
+    }
+
+    async previewImport(mapping = null) {
+        const bankId = document.getElementById('import-bank').value;
+
+        if (!bankId) {
+            this.showMessage('Please select the bank this statement belongs to', 'error');
+            return;
+        }
+
+        try {
+            if (!mapping || !this.fileContent) {
+                this.fileContent = await this.readSelectedFile();
+            }
+
+            if (!this.fileContent) {
+                this.showMessage('Please choose a statement file', 'error');
+                return;
+            }
+
+            const response = await this.apiClient.post('/api/import/preview', {
+                content: this.fileContent,
+                bankId,
+                format: this.fileFormat,
+                mapping,
+                dateFormat: document.getElementById('import-date-format').value,
+                hasHeader: document.getElementById('import-has-header').checked
+            });
+
+            this.columns = response.columns;
+            this.transactions = response.transactions;
+            if (response.format === 'csv') {
+                this.renderMapping(response.mapping);
+            } else {
+                // OFX and QIF have fixed fields, nothing to map
+                document.getElementById('import-mapping').classList.add('hidden');
+            }
+            this.renderPreview(response.summary);
+            this.showMessage('', '');
+        } catch (error) {
+            console.error('Error previewing import:', error);
+            this.showMessage(error.message || 'Error reading statement', 'error');
+        }
+    }
+
+    renderMapping(mapping) {
+        const fields = ['date', 'description', 'debit', 'credit'];
+
+        fields.forEach(field => {
+            const select = document.getElementById(`import-map-${field}`);
+            if (!select) return;
+
+            select.innerHTML = '<option value="">— Not in file —</option>';
+            this.columns.forEach((column, index) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = column;
+                select.appendChild(option);
+            });
+            select.value = mapping[field] === null || mapping[field] === undefined ? '' : String(mapping[field]);
+        });
+
+        document.getElementById('import-mapping').classList.remove('hidden');
+    }
+
+    getMapping() {
+        const value = (field) => {
+            const selected = document.getElementById(`import-map-${field}`).value;
+            return selected === '' ? null : parseInt(selected);
+        };
+
+        return {
+            date: value('date'),
+            description: value('description'),
+            debit: value('debit'),
+            credit: value('credit')
+        };
+    }
+
+    renderPreview(summary) {
+        const previewDiv = document.getElementById('import-preview');
+        if (!previewDiv) return;
+
+        if (this.transactions.length === 0) {
+            previewDiv.innerHTML = '<p class="no-data">No transactions found in this file.</p>';
+            return;
+        }
+
+        // Statement amounts are in the currency of the bank they are imported into
+        const bankId = document.getElementById('import-bank')?.value;
+        const currency = this.banks.find(bank => String(bank.id) === bankId)?.currency;
+
+        let html = `
+            <div id="import-preview-card">
+                <h3>Preview</h3>
+                <p class="import-summary">
+                    ${summary.total} rows · ${summary.valid} ready · ${summary.duplicates} possible duplicate${summary.duplicates === 1 ? '' : 's'} · ${summary.alreadyImported} already imported · ${summary.errors} with errors
+                </p>
+                <div class="scrollable-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th><input type="checkbox" id="import-select-all" checked></th>
+                                <th>Row</th>
+                                <th>Date</th>
+                                <th>Description</th>
+                                <th>Debit</th>
+                                <th>Credit</th>
+                                <th>Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>`;
+
+        this.transactions.forEach((transaction, index) => {
+            let status = '<span class="import-status-ok">New</span>';
+            let rowClass = '';
+            if (transaction.error) {
+                status = `<span class="import-status-error">${transaction.error}</span>`;
+                rowClass = 'import-row-error';
+            } else if (transaction.alreadyImported) {
+                status = '<span class="import-status-imported">Already imported</span>';
+                rowClass = 'import-row-error';
+            } else if (transaction.duplicate) {
+                status = '<span class="import-status-duplicate">Possible duplicate</span>';
+                rowClass = 'import-row-duplicate';
+            }
+
+            // Duplicates start unticked so re-importing the same statement is safe by default
+            const checked = !transaction.error && !transaction.duplicate ? 'checked' : '';
+            // Rows the bank id says we already have can't be imported again
+            const disabled = transaction.error || transaction.alreadyImported ? 'disabled' : '';
+
+            html += `
+                <tr class="${rowClass}">
+                    <td><input type="checkbox" class="import-row-select" data-index="${index}" ${checked} ${disabled}></td>
+                    <td>${transaction.rowNumber}</td>
+                    <td>${transaction.date ? this.formatDate(transaction.date) : '—'}</td>
+                    <td>${window.escapeHtml(transaction.description || '')}</td>
+                    <td>${transaction.type === 'expense' ? this.formatAmount(transaction.amount, currency) : ''}</td>
+                    <td>${transaction.type === 'income' ? this.formatAmount(transaction.amount, currency) : ''}</td>
+                    <td>${status}</td>
+                </tr>`;
+        });
+
+        html += `
+                        </tbody>
+                    </table>
+                </div>
+                <div class="import-actions">
+                    <button class="primary-button" data-action="commit-import" id="import-commit-button">Import</button>
+                    <button class="secondary-button" data-action="cancel-import">Cancel</button>
+                </div>
+            </div>`;
+
+        previewDiv.innerHTML = html;
+        this.updateSelectionSummary();
+    }
+
+    getSelectedTransactions() {
+        return Array.from(document.querySelectorAll('.import-row-select:checked'))
+            .map(checkbox => this.transactions[parseInt(checkbox.getAttribute('data-index'))])
+            .filter(transaction => transaction && !transaction.error && !transaction.alreadyImported);
+    }
+
+    updateSelectionSummary() {
+        const button = document.getElementById('import-commit-button');
+        if (!button) return;
+
+        const count = this.getSelectedTransactions().length;
+        button.textContent = `Import ${count} transaction${count === 1 ? '' : 's'}`;
+        button.disabled = count === 0;
+    }
+
+    async commitImport() {
+        const bankId = document.getElementById('import-bank').value;
+        const selected = this.getSelectedTransactions();
+
+        if (selected.length === 0) {
+            this.showMessage('Select at least one transaction to import', 'error');
+            return;
+        }
+
+        try {
+            const response = await this.apiClient.post('/api/import/commit', {
+                bankId,
+                transactions: selected.map(transaction => ({
+                    date: transaction.date,
+                    description: transaction.description,
+                    amount: transaction.amount,
+                    type: transaction.type,
+                    externalId: transaction.externalId
+                }))
+            });
+
+            const skippedText = response.skipped > 0 ? `, ${response.skipped} already imported skipped` : '';
+            window.toastManager.success(`Imported ${response.imported} transactions (${response.incomeCount} income, ${response.expenseCount} expenses${skippedText})`);
+            this.resetImport();
+            this.refreshDependentViews();
+        } catch (error) {
+            console.error('Error importing transactions:', error);
+            this.showMessage(error.message || 'Error importing transactions', 'error');
+        }
+    }
+
+    clearPreview() {
+        this.fileContent = null;
+        this.fileFormat = null;
+        this.columns = [];
+        this.transactions = [];
+
+        const previewDiv = document.getElementById('import-preview');
+        if (previewDiv) previewDiv.innerHTML = '';
+        const mappingDiv = document.getElementById('import-mapping');
+        if (mappingDiv) mappingDiv.classList.add('hidden');
+    }
+
+    resetImport() {
+        this.clearPreview();
+        const fileInput = document.getElementById('import-file');
+        if (fileInput) fileInput.value = '';
+    }
+
+    // Imported entries change balances and transaction lists elsewhere in the app
+    refreshDependentViews() {
+        if (window.setupManager) {
+            window.setupManager.loadSetupData();
+        }
+        if (window.activityManager) {
+            window.activityManager.refreshData();
+        }
+    }
+
+    formatAmount(amount, currency) {
+        if (window.expenseTracker?.formatAmount) {
+            return window.expenseTracker.formatAmount(amount, currency);
+        }
+        return parseFloat(amount || 0).toLocaleString('en-IN', { style: 'currency', currency: currency || 'INR', minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+
+    formatDate(value) {
+        if (window.expenseTracker?.formatDate) {
+            return window.expenseTracker.formatDate(`${value}T00:00:00`);
+        }
+        return new Date(`${value}T00:00:00`).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+    }
+
+    showMessage(message, type) {
+        const messageElement = document.getElementById('import-message');
+        if (messageElement) {
+            messageElement.className = type;
+            messageElement.textContent = message;
+
+            // Auto-clear success messages after 5 seconds
+            if (type === 'success') {
+                setTimeout(() => {
+                    messageElement.textContent = '';
+                    messageElement.className = '';
+                }, 5000);
+            }
+        }
+    }
+}
+
+// Global import manager instance
+window.importManager = new ImportManager();
@@ -10,7 +10,7 @@ class NavigationManager {
 
     showSection(section) {
         // Hide all sections
-        const sections = ['setup-section', 'transactions-section', 'summary-section', 'activity-section'];
+        const sections = ['setup-section', 'transactions-section', 'summary-section', 'reports-section', 'activity-section', 'recurring-section', 'import-section'];
         sections.forEach(sectionId => {
             const element = document.getElementById(sectionId);
             if (element) element.classList.add('hidden');
@@ -30,10 +30,22 @@ class NavigationManager {
             window.transactionManager.loadTransactions();
         } else if (section === 'summary') {
             window.summaryManager.loadMonthlySummary();
+        } else if (section === 'reports') {
+            if (window.reportManager) {
+                window.reportManager.onSectionShow();
+            }
         } else if (section === 'activity') {
             if (window.activityManager) {
                 window.activityManager.onSectionShow();
             }
+        } else if (section === 'recurring') {
+            if (window.recurringManager) {
+                window.recurringManager.onSectionShow();
+            }
+        } else if (section === 'import') {
+            if (window.importManager) {
+                window.importManager.onSectionShow();
+            }
         }
     }
 
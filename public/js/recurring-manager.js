@@ -0,0 +1,365 @@
+/**
+ * Recurring Manager Module
+ * Handles recurring income and expense templates (salary, rent, subscriptions)
+ */
+
+class RecurringManager {
+    constructor() {
+        this.apiClient = window.apiClient;
+        this.templates = [];
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        // Event delegation for recurring list actions
+        document.addEventListener('click', (event) => {
+            const target = event.target;
+            if (!target.hasAttribute('data-action')) return;
+
+            const action = target.getAttribute('data-action');
+            const id = parseInt(target.getAttribute('data-id'));
+
+            switch (action) {
+            case 'toggle-recurring':
+                this.toggleRecurring(id);
+                break;
+            case 'delete-recurring':
+                this.deleteRecurring(id);
+                break;
+            case 'confirm-delete-recurring':
+                this.confirmDeleteRecurring();
+                break;
+            case 'close-delete-recurring':
+                this.closeDeleteModal();
+                break;
+            default:
+                return; // Let other actions bubble up
+            }
+
+            event.preventDefault();
+        });
+
+        // Show the end date / occurrence count input matching the selected end type
+        document.addEventListener('change', (event) => {
+            if (event.target.id === 'recurring-end-type') {
+                this.updateEndInputs();
+            } else if (event.target.id === 'recurring-type') {
+                this.updateAccountOptions();
+            }
+        });
+    }
+
+    async onSectionShow() {
+        const startDate = document.getElementById('recurring-start-date');
+        if (startDate && !startDate.value) {
+            startDate.value = new Date().toISOString().split('T')[0];
+        }
+
+        await this.loadFormOptions();
+        this.updateEndInputs();
+        await this.loadRecurring();
+    }
+
+    async loadFormOptions() {
+        try {
+            const [banks, cards, categories] = await Promise.all([
+                this.apiClient.get('/api/banks'),
+                this.apiClient.get('/api/credit-cards'),
+                this.apiClient.get('/api/categories')
+            ]);
+
+            this.banks = banks;
+            this.cards = cards;
+            this.updateAccountOptions();
+
+            const categorySelect = document.getElementById('recurring-category');
+            if (categorySelect) {
+                categorySelect.innerHTML = '<option value="">Uncategorized</option>';
+                categories.forEach(category => {
+                    const option = document.createElement('option');
+                    option.value = category.id;
+                    option.textContent = category.name;
+                    categorySelect.appendChild(option);
+                });
+            }
+        } catch (error) {
+            console.error('Error loading recurring form options:', error);
+        }
+    }
+
+    // Income can go to banks/cash; expenses can also be charged to credit cards
+    updateAccountOptions() {
+        const type = document.getElementById('recurring-type')?.value || 'expense';
+        const accountSelect = document.getElementById('recurring-account');
+        if (!accountSelect) return;
+
+        accountSelect.innerHTML = '<option value="cash">Cash</option>';
+
+        (this.banks || []).forEach(bank => {
+            const option = document.createElement('option');
+            option.value = `bank-${bank.id}`;
+            option.textContent = bank.name;
+            accountSelect.appendChild(option);
+        });
+
+        if (type === 'expense') {
+            (this.cards || []).forEach(card => {
+                const option = document.createElement('option');
+                option.value = `credit_card-${card.id}`;
+                option.textContent = card.name;
+                accountSelect.appendChild(option);
+            });
+        }
+
+        // Categories only apply to expenses
+        const categoryGroup = document.getElementById('recurring-category-group');
+        if (categoryGroup) {
+            categoryGroup.classList.toggle('hidden', type !== 'expense');
+        }
+    }
+
+    updateEndInputs() {
+        const endType = document.getElementById('recurring-end-type')?.value || 'never';
+        const endDate = document.getElementById('recurring-end-date');
+        const occurrences = document.getElementById('recurring-occurrences');
+
+        if (endDate) endDate.classList.toggle('hidden', endType !== 'date');
+        if (occurrences) occurrences.classList.toggle('hidden', endType !== 'count');
+    }
+
+    async addRecurring() {
+        const type = document.getElementById('recurring-type').value;
+        const title = document.getElementById('recurring-title').value.trim();
+        const amount = document.getElementById('recurring-amount').value;
+        const account = document.getElementById('recurring-account').value;
+        const categoryId = document.getElementById('recurring-category')?.value || null;
+        const frequency = document.getElementById('recurring-frequency').value;
+        const startDate = document.getElementById('recurring-start-date').value;
+        const endType = document.getElementById('recurring-end-type').value;
+        const endDate = document.getElementById('recurring-end-date').value;
+        const occurrenceLimit = document.getElementById('recurring-occurrences').value;
+
+        if (!title || !amount || !startDate) {
+            this.showMessage('Please fill all fields', 'error');
+            return;
+        }
+
+        if (endType === 'date' && !endDate) {
+            this.showMessage('Please choose an end date', 'error');
+            return;
+        }
+
+        if (endType === 'count' && (!occurrenceLimit || parseInt(occurrenceLimit) <= 0)) {
+            this.showMessage('Please enter the number of occurrences', 'error');
+            return;
+        }
+
+        let accountType, accountId;
+        if (account === 'cash') {
+            accountType = 'cash';
+            accountId = null;
+        } else {
+            [accountType, accountId] = account.split('-');
+        }
+
+        try {
+            const response = await this.apiClient.post('/api/recurring', {
+                type,
+                title,
+                amount: parseFloat(amount),
+                accountType,
+                accountId,
+                categoryId: type === 'expense' ? categoryId : null,
+                frequency,
+                startDate,
+                endDate: endType === 'date' ? endDate : null,
+                occurrenceLimit: endType === 'count' ? parseInt(occurrenceLimit) : null
+            });
+
+            document.getElementById('recurring-title').value = '';
+            document.getElementById('recurring-amount').value = '';
+
+            const createdText = response.created > 0 ? ` ${response.created} entr${response.created === 1 ? 'y' : 'ies'} created.` : '';
+            this.showMessage(`Recurring ${type} added successfully!${createdText}`, 'success');
+            await this.loadRecurring();
+            this.refreshDependentViews(response.created);
+        } catch (error) {
+            console.error('Error adding recurring transaction:', error);
+            this.showMessage(error.message || 'Error adding recurring transaction', 'error');
+        }
+    }
+
+    async loadRecurring() {
+        try {
+            this.templates = await this.apiClient.get('/api/recurring');
+            this.displayRecurring();
+        } catch (error) {
+            console.error('Error loading recurring transactions:', error);
+        }
+    }
+
+    displayRecurring() {
+        const listDiv = document.getElementById('recurring-list');
+        if (!listDiv) return;
+
+        if (this.templates.length === 0) {
+            listDiv.innerHTML = '<p>No recurring transactions yet.</p>';
+            return;
+        }
+
+        let html = `
+            <div class="scrollable-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Title</th>
+                            <th>Type</th>
+                            <th>Amount</th>
+                            <th>Account</th>
+                            <th>Repeats</th>
+                            <th>Next Date</th>
+                            <th>Ends</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>`;
+
+        this.templates.forEach(template => {
+            const amount = window.expenseTracker?.formatAmount
+                ? window.expenseTracker.formatAmount(template.amount)
+                : `₹${parseFloat(template.amount).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}`;
+            const nextDate = template.is_active ? this.formatDate(template.next_run_date) : '—';
+            let ends = 'Never';
+            if (template.occurrence_limit) {
+                ends = `${template.occurrences_created}/${template.occurrence_limit} times`;
+            } else if (template.end_date) {
+                ends = this.formatDate(template.end_date);
+            }
+
+            html += `
+                <tr class="${template.is_active ? '' : 'recurring-inactive'}">
+                    <td>${window.escapeHtml(template.title)}${template.category_name ? ` <span class="category-chip">${window.escapeHtml(template.category_name)}</span>` : ''}</td>
+                    <td>${template.type === 'income' ? '💰 Income' : '💸 Expense'}</td>
+                    <td>${amount}</td>
+                    <td>${window.escapeHtml(template.account_name || 'Cash')}</td>
+                    <td>${template.frequency.charAt(0).toUpperCase() + template.frequency.slice(1)}</td>
+                    <td>${nextDate}</td>
+                    <td>${ends}</td>
+                    <td>
+                        <button class="edit-btn" data-action="toggle-recurring" data-id="${template.id}">${template.is_active ? 'Pause' : 'Resume'}</button>
+                        <button class="delete-btn" data-action="delete-recurring" data-id="${template.id}">Delete</button>
+                    </td>
+                </tr>`;
+        });
+
+        html += `
+                    </tbody>
+                </table>
+            </div>`;
+
+        listDiv.innerHTML = html;
+    }
+
+    async toggleRecurring(id) {
+        const template = this.templates.find(t => t.id === id);
+        if (!template) return;
+
+        try {
+            const response = await this.apiClient.put(`/api/recurring/${id}`, {
+                type: template.type,
+                title: template.title,
+                amount: template.amount,
+                accountType: template.account_type,
+                accountId: template.account_id,
+                categoryId: template.category_id,
+                frequency: template.frequency,
+                startDate: this.toDateInputValue(template.start_date),
+                endDate: template.end_date ? this.toDateInputValue(template.end_date) : null,
+                occurrenceLimit: template.occurrence_limit,
+                isActive: !template.is_active
+            });
+
+            window.toastManager.success(template.is_active ? 'Recurring transaction paused' : 'Recurring transaction resumed');
+            await this.loadRecurring();
+            this.refreshDependentViews(response.created);
+        } catch (error) {
+            console.error('Error updating recurring transaction:', error);
+            window.toastManager.error(error.message || 'Error updating recurring transaction');
+        }
+    }
+
+    deleteRecurring(id) {
+        // Show confirmation modal
+        const modal = document.getElementById('delete-recurring-modal');
+        modal.dataset.recurringId = id;
+        modal.classList.remove('hidden');
+    }
+
+    async confirmDeleteRecurring() {
+        const modal = document.getElementById('delete-recurring-modal');
+        const id = modal.dataset.recurringId;
+
+        try {
+            await this.apiClient.delete(`/api/recurring/${id}`);
+            window.toastManager.success('Recurring transaction deleted successfully');
+            this.closeDeleteModal();
+            await this.loadRecurring();
+        } catch (error) {
+            console.error('Error deleting recurring transaction:', error);
+            window.toastManager.error(error.message || 'Error deleting recurring transaction');
+        }
+    }
+
+    closeDeleteModal() {
+        const modal = document.getElementById('delete-recurring-modal');
+        if (modal) {
+            modal.classList.add('hidden');
+            delete modal.dataset.recurringId;
+        }
+    }
+
+    // Newly created entries change balances and transaction lists elsewhere in the app
+    refreshDependentViews(createdCount) {
+        if (!createdCount) return;
+
+        if (window.setupManager) {
+            window.setupManager.loadSetupData();
+        }
+        if (window.activityManager) {
+            window.activityManager.refreshData();
+        }
+    }
+
+    formatDate(value) {
+        if (window.expenseTracker?.formatDate) {
+            return window.expenseTracker.formatDate(value);
+        }
+        return new Date(value).toLocaleDateString('en-IN');
+    }
+
+    toDateInputValue(value) {
+        const date = new Date(value);
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    showMessage(message, type) {
+        const messageElement = document.getElementById('recurring-message');
+        if (messageElement) {
+            messageElement.className = type;
+            messageElement.textContent = message;
+
+            // Auto-clear success messages after 5 seconds
+            if (type === 'success') {
+                setTimeout(() => {
+                    messageElement.textContent = '';
+                    messageElement.className = '';
+                }, 5000);
+            }
+        }
+    }
+}
+
+// Global recurring manager instance
+window.recurringManager = new RecurringManager();
@@ -0,0 +1,208 @@
+/**
+ * Report Manager Module
+ * Handles yearly, quarterly and custom-range financial reports
+ */
+
+class ReportManager {
+    constructor() {
+        this.apiClient = window.apiClient;
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        // Show the inputs that belong to the selected period
+        document.addEventListener('change', (event) => {
+            if (event.target.id === 'report-period') {
+                this.updatePeriodInputs();
+            }
+        });
+    }
+
+    onSectionShow() {
+        this.setupQuarterOptions();
+        this.updatePeriodInputs();
+    }
+
+    // Quarters follow the financial year, so Q1 starts in the fiscal start month
+    setupQuarterOptions() {
+        const quarterSelect = document.getElementById('report-quarter');
+        if (!quarterSelect) return;
+
+        const fiscalYearStart = window.expenseTracker?.fiscalYearStart || 1;
+        const monthName = (offset) => new Date(2000, fiscalYearStart - 1 + offset, 1).toLocaleDateString('en-IN', { month: 'short' });
+
+        Array.from(quarterSelect.options).forEach((option, index) => {
+            option.textContent = `Q${index + 1} (${monthName(index * 3)} – ${monthName(index * 3 + 2)})`;
+        });
+
+        if (!this.quarterSelected) {
+            const monthsIntoYear = (new Date().getMonth() + 1 - fiscalYearStart + 12) % 12;
+            quarterSelect.value = String(Math.floor(monthsIntoYear / 3) + 1);
+            this.quarterSelected = true;
+        }
+    }
+
+    updatePeriodInputs() {
+        const period = document.getElementById('report-period')?.value || 'year';
+
+        document.querySelectorAll('.report-year-field').forEach(field => {
+            field.classList.toggle('hidden', period === 'custom');
+        });
+        document.querySelectorAll('.report-quarter-field').forEach(field => {
+            field.classList.toggle('hidden', period !== 'quarter');
+        });
+        document.querySelectorAll('.report-custom-field').forEach(field => {
+            field.classList.toggle('hidden', period !== 'custom');
+        });
+    }
+
+    getReportQuery() {
+        const period = document.getElementById('report-period').value;
+        const params = new URLSearchParams({ period });
+
+        if (period === 'custom') {
+            params.set('from', document.getElementById('report-from').value);
+            params.set('to', document.getElementById('report-to').value);
+        } else {
+            params.set('year', document.getElementById('report-year').value);
+            if (period === 'quarter') {
+                params.set('quarter', document.getElementById('report-quarter').value);
+            }
+        }
+
+        return params.toString();
+    }
+
+    async loadReport() {
+        const display = document.getElementById('report-display');
+        if (!display) return;
+
+        try {
+            const report = await this.apiClient.get(`/api/reports?${this.getReportQuery()}`);
+            display.innerHTML = this.renderReport(report);
+        } catch (error) {
+            display.innerHTML = `<p class="error">Error loading report: ${error.message}</p>`;
+        }
+    }
+
+    // Totals and rankings come converted to the base currency; account rows are in each account's own
+    formatAmount(amount, currency) {
+        if (window.expenseTracker?.formatAmount) {
+            return window.expenseTracker.formatAmount(amount, currency);
+        }
+        return parseFloat(amount || 0).toLocaleString('en-IN', { style: 'currency', currency: currency || 'INR', minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+
+    formatDate(value) {
+        if (window.expenseTracker?.formatDate) {
+            return window.expenseTracker.formatDate(`${value}T00:00:00`);
+        }
+        return new Date(`${value}T00:00:00`).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+    }
+
+    renderReport(report) {
+        const savingsRate = report.savingsRate === null || report.savingsRate === undefined
+            ? '—'
+            : `${report.savingsRate}%`;
+
+        let html = `<h2 class="report-title">📑 ${window.escapeHtml(report.label)} Report</h2>
+            <p class="report-range">${this.formatDate(report.from)} – ${this.formatDate(report.to)}</p>`;
+
+        html += `
+            <div class="summary-dashboard">
+                <div class="summary-card income">
+                    <h3>💰 Total Income</h3>
+                    <div class="summary-amount">${this.formatAmount(report.totalIncome, report.baseCurrency)}</div>
+                </div>
+                <div class="summary-card expense">
+                    <h3>💸 Total Expenses</h3>
+                    <div class="summary-amount">${this.formatAmount(report.totalExpenses, report.baseCurrency)}</div>
+                </div>
+                <div class="summary-card savings">
+                    <h3>${report.netSavings >= 0 ? '📈' : '📉'} Net Savings</h3>
+                    <div class="summary-amount">${this.formatAmount(report.netSavings, report.baseCurrency)}</div>
+                    <div class="summary-subtitle">Income - Expenses</div>
+                </div>
+                <div class="summary-card wealth">
+                    <h3>🎯 Savings Rate</h3>
+                    <div class="summary-amount">${savingsRate}</div>
+                    <div class="summary-subtitle">Share of income not spent</div>
+                </div>
+            </div>`;
+
+        html += '<div class="report-rankings">';
+        html += this.renderRanking('💼 Top Income Sources', report.topIncomeSources, 'No income in this period.', report.baseCurrency);
+        html += this.renderRanking('🛒 Top Payees', report.topPayees, 'No expenses in this period.', report.baseCurrency);
+        html += '</div>';
+
+        html += this.renderAccountMovement(report.accounts);
+
+        return html;
+    }
+
+    renderRanking(title, rows, emptyText, currency) {
+        let html = `<div class="report-ranking"><h3>${title}</h3>`;
+
+        if (!rows || rows.length === 0) {
+            return `${html}<p class="no-data">${emptyText}</p></div>`;
+        }
+
+        html += '<table><thead><tr><th>Name</th><th>Transactions</th><th>Total</th></tr></thead><tbody>';
+        rows.forEach(row => {
+            html += `
+                <tr>
+                    <td>${window.escapeHtml(row.name)}</td>
+                    <td>${row.transactionCount}</td>
+                    <td>${this.formatAmount(row.total, currency)}</td>
+                </tr>`;
+        });
+        html += '</tbody></table></div>';
+        return html;
+    }
+
+    renderAccountMovement(accounts) {
+        if (!accounts || accounts.length === 0) {
+            return '';
+        }
+
+        const icons = { bank: '🏦', cash: '💵', credit_card: '💳' };
+
+        let html = `
+            <div class="report-accounts">
+                <h3>🔄 Account Movement</h3>
+                <p class="info-text">Credit card balances are shown as amounts owed (negative).</p>
+                <div class="scrollable-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Account</th>
+                                <th>Opening</th>
+                                <th>Money In</th>
+                                <th>Money Out</th>
+                                <th>Closing</th>
+                            </tr>
+                        </thead>
+                        <tbody>`;
+
+        accounts.forEach(account => {
+            html += `
+                <tr>
+                    <td>${icons[account.type] || ''} ${window.escapeHtml(account.name)}</td>
+                    <td>${this.formatAmount(account.openingBalance, account.currency)}</td>
+                    <td class="report-inflow">${this.formatAmount(account.inflow, account.currency)}</td>
+                    <td class="report-outflow">${this.formatAmount(account.outflow, account.currency)}</td>
+                    <td><strong>${this.formatAmount(account.closingBalance, account.currency)}</strong></td>
+                </tr>`;
+        });
+
+        html += `
+                        </tbody>
+                    </table>
+                </div>
+            </div>`;
+        return html;
+    }
+}
+
+// Global report manager instance
+window.reportManager = new ReportManager();
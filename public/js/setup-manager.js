@@ -1,6 +1,6 @@
 /**
  * Setup Manager Module
- * Handles bank, credit card, and cash balance setup
+ * Handles bank, credit card, cash balance and expense category setup
  */
 
 class SetupManager {
@@ -21,7 +21,7 @@ class SetupManager {
                 const id = target.getAttribute('data-id');
 
                 // Only handle setup-related actions
-                if (action.includes('bank') || action.includes('credit-card') || action.includes('setup') || action.includes('cash')) {
+                if (action.includes('bank') || action.includes('credit-card') || action.includes('setup') || action.includes('cash') || action.includes('category') || action.includes('exchange-rate')) {
 
                     this.handleSetupAction(action, { id });
                     event.preventDefault();
@@ -59,6 +59,20 @@ class SetupManager {
         }
     }
 
+    // Amounts in setup are shown in each account's own currency
+    formatAmount(amount, currency = 'INR') {
+        if (window.expenseTracker?.formatAmount) {
+            return window.expenseTracker.formatAmount(amount, currency);
+        }
+        return parseFloat(amount || 0).toLocaleString('en-IN', { style: 'currency', currency, minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+
+    // Currency typed into one of the currency inputs; new accounts default to the base currency
+    getCurrencyInput(inputId) {
+        const value = document.getElementById(inputId)?.value.trim().toUpperCase();
+        return value || window.expenseTracker?.baseCurrency || 'INR';
+    }
+
     async init() {
         if (this.isInitialized) {
             return; // Already initialized
@@ -78,7 +92,9 @@ class SetupManager {
             await Promise.all([
                 this.loadBanks(),
                 this.loadCreditCards(),
-                this.loadCashBalance()
+                this.loadCashBalance(),
+                this.loadCategories(),
+                this.loadExchangeRates()
             ]);
             this.updateCreditCardVisibility();
             this.attachInputListeners();
@@ -113,6 +129,12 @@ class SetupManager {
         if (cashBalanceInput) {
             cashBalanceInput.addEventListener('input', () => this.clearMessage('cash-message'));
         }
+
+        // Clear category message when user starts typing
+        const categoryNameInput = document.getElementById('category-name');
+        if (categoryNameInput) {
+            categoryNameInput.addEventListener('input', () => this.clearMessage('category-message'));
+        }
     }
 
     updateCreditCardVisibility() {
@@ -145,11 +167,13 @@ class SetupManager {
         try {
             await this.apiClient.post('/api/banks', {
                 name,
-                initialBalance: balance ? parseFloat(balance) : 0
+                initialBalance: balance ? parseFloat(balance) : 0,
+                currency: this.getCurrencyInput('bank-currency')
             });
 
             document.getElementById('bank-name').value = '';
             document.getElementById('bank-balance').value = '';
+            document.getElementById('bank-currency').value = '';
             this.showSuccess('bank-message', 'Bank added successfully');
             this.loadBanks();
 
@@ -181,6 +205,7 @@ class SetupManager {
                 table.innerHTML = `
                     <tr>
                         <th>Bank Name</th>
+                        <th>Currency</th>
                         <th>Initial Balance</th>
                         <th>Current Balance</th>
                         <th>Actions</th>
@@ -191,8 +216,9 @@ class SetupManager {
                     const row = table.insertRow();
                     row.innerHTML = `
                         <td>${bank.name}</td>
-                        <td>₹${parseFloat(bank.initial_balance).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
-                        <td>₹${parseFloat(bank.current_balance).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
+                        <td>${bank.currency || 'INR'}</td>
+                        <td>${this.formatAmount(bank.initial_balance, bank.currency)}</td>
+                        <td>${this.formatAmount(bank.current_balance, bank.currency)}</td>
                         <td>
                             <button class="edit-btn" data-action="edit-bank" data-id="${bank.id}">Edit</button>
                             <button class="delete-btn" data-action="delete-bank" data-id="${bank.id}">Delete</button>
@@ -209,6 +235,8 @@ class SetupManager {
     async addCreditCard() {
         const name = document.getElementById('cc-name').value.trim();
         const limit = document.getElementById('cc-limit').value;
+        const statementDay = document.getElementById('cc-statement-day')?.value;
+        const dueDays = document.getElementById('cc-due-days')?.value;
 
         // Clear previous messages
         this.clearMessage('credit-card-message');
@@ -226,12 +254,18 @@ class SetupManager {
         try {
             const response = await this.apiClient.post('/api/credit-cards', {
                 name,
-                creditLimit: parseFloat(limit)
+                creditLimit: parseFloat(limit),
+                statementDay: statementDay ? parseInt(statementDay) : undefined,
+                paymentDueDays: dueDays ? parseInt(dueDays) : undefined,
+                currency: this.getCurrencyInput('cc-currency')
             });
 
             if (response.success !== false) {
                 document.getElementById('cc-name').value = '';
                 document.getElementById('cc-limit').value = '';
+                document.getElementById('cc-statement-day').value = '';
+                document.getElementById('cc-due-days').value = '';
+                document.getElementById('cc-currency').value = '';
                 this.showSuccess('credit-card-message', 'Credit card added successfully');
                 this.loadCreditCards();
 
@@ -269,19 +303,25 @@ class SetupManager {
                         <th>Credit Limit</th>
                         <th>Used Limit</th>
                         <th>Available</th>
+                        <th>Current Due</th>
                         <th>Actions</th>
                     </tr>
                 `;
 
-                cards.forEach(card => {
+                // Fetch each card's latest statement so the table can show what is due and when
+                const cycles = await Promise.all(cards.map(card => this.loadCardCycle(card.id)));
+
+                cards.forEach((card, index) => {
                     const row = table.insertRow();
                     const available = parseFloat(card.credit_limit) - parseFloat(card.used_limit);
                     row.innerHTML = `
                         <td>${card.name}</td>
-                        <td>₹${parseFloat(card.credit_limit).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
-                        <td>₹${parseFloat(card.used_limit).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
-                        <td>₹${available.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
+                        <td>${this.formatAmount(card.credit_limit, card.currency)}</td>
+                        <td>${this.formatAmount(card.used_limit, card.currency)}</td>
+                        <td>${this.formatAmount(available, card.currency)}</td>
+                        <td>${this.formatCardDue(cycles[index], card.currency)}</td>
                         <td>
+                            <button class="edit-btn" data-action="pay-credit-card" data-id="${card.id}" ${parseFloat(card.used_limit) > 0 ? '' : 'disabled'}>Pay Bill</button>
                             <button class="edit-btn" data-action="edit-credit-card" data-id="${card.id}">Edit</button>
                             <button class="delete-btn" data-action="delete-credit-card" data-id="${card.id}">Delete</button>
                         </td>
@@ -295,6 +335,40 @@ class SetupManager {
         }
     }
 
+    async loadCardCycle(cardId) {
+        try {
+            const statement = await this.apiClient.get(`/api/credit-cards/${cardId}/statements?count=1`);
+            return statement?.currentDue || null;
+        } catch (error) {
+            console.error('Error loading card statement:', error);
+            return null;
+        }
+    }
+
+    formatCardDue(currentDue, currency) {
+        if (!currentDue) {
+            return '—';
+        }
+
+        if (currentDue.amountDue <= 0) {
+            return '<span class="card-due card-due-clear">No dues</span>';
+        }
+
+        const amount = this.formatAmount(currentDue.amountDue, currency);
+        const days = Math.abs(currentDue.daysUntilDue);
+        let when;
+        if (currentDue.daysUntilDue < 0) {
+            when = `overdue by ${days} day${days === 1 ? '' : 's'}`;
+        } else if (currentDue.daysUntilDue === 0) {
+            when = 'due today';
+        } else {
+            when = `due in ${days} day${days === 1 ? '' : 's'}`;
+        }
+
+        const statusClass = currentDue.daysUntilDue < 0 ? 'card-due-overdue' : currentDue.daysUntilDue <= 5 ? 'card-due-soon' : '';
+        return `<span class="card-due ${statusClass}">${amount}<br><small>${when}</small></span>`;
+    }
+
     async setCashBalance() {
         const balance = document.getElementById('cash-balance').value;
 
@@ -309,10 +383,13 @@ class SetupManager {
 
         try {
             await this.apiClient.post('/api/cash-balance', {
-                balance: balance ? parseFloat(balance) : 0
+                balance: balance ? parseFloat(balance) : 0,
+                // Left out when blank so an existing wallet keeps its currency
+                currency: document.getElementById('cash-currency').value.trim() || undefined
             });
 
             document.getElementById('cash-balance').value = '';
+            document.getElementById('cash-currency').value = '';
             this.showSuccess('cash-message', 'Cash balance updated successfully');
             this.loadCashBalance();
 
@@ -345,7 +422,7 @@ class SetupManager {
             cashDiv.innerHTML = `
                 <h4>Cash Balance</h4>
                 <div class="cash-balance-display">
-                    <span class="cash-amount">₹${balance.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</span>
+                    <span class="cash-amount">${this.formatAmount(balance, cashData.currency)}</span>
                     <button class="edit-btn" data-action="edit-cash-balance" ${isZeroBalance ? 'disabled' : ''}>Edit</button>
                 </div>
             `;
@@ -365,6 +442,500 @@ class SetupManager {
         }
     }
 
+    async addCategory() {
+        const name = document.getElementById('category-name').value.trim();
+
+        // Clear previous messages
+        this.clearMessage('category-message');
+
+        if (!name) {
+            this.showError('category-message', 'Please enter category name');
+            return;
+        }
+
+        try {
+            await this.apiClient.post('/api/categories', { name });
+
+            document.getElementById('category-name').value = '';
+            this.showSuccess('category-message', 'Category added successfully');
+            this.loadCategories();
+
+            // Keep the expense form dropdowns in sync
+            if (window.transactionManager) {
+                window.transactionManager.loadCategoryOptions();
+            }
+
+            // Clear success message after 3 seconds
+            setTimeout(() => this.clearMessage('category-message'), 3000);
+        } catch (error) {
+            console.error('Error adding category:', error);
+            this.showError('category-message', error.message || 'Error adding category');
+        }
+    }
+
+    async saveFiscalYearStart() {
+        const fiscalYearStart = document.getElementById('fiscal-year-start').value;
+
+        try {
+            const response = await this.apiClient.post('/api/set-fiscal-year-start', { fiscalYearStart });
+
+            // Year dropdowns and report quarters are labelled by financial year
+            if (window.expenseTracker) {
+                window.expenseTracker.setFiscalYearStart(response.fiscalYearStart);
+            }
+            this.showSuccess('fiscal-year-message', 'Financial year updated');
+
+            // Clear success message after 3 seconds
+            setTimeout(() => this.clearMessage('fiscal-year-message'), 3000);
+        } catch (error) {
+            console.error('Error saving financial year:', error);
+            this.showError('fiscal-year-message', error.message || 'Error saving financial year');
+        }
+    }
+
+    async savePreferences() {
+        const preferences = {
+            currencySymbol: document.getElementById('preference-currency-symbol').value.trim(),
+            locale: document.getElementById('preference-locale').value,
+            dateFormat: document.getElementById('preference-date-format').value,
+            firstDayOfWeek: document.getElementById('preference-first-day').value
+        };
+
+        try {
+            const response = await this.apiClient.post('/api/set-preferences', preferences);
+
+            if (window.expenseTracker) {
+                window.expenseTracker.setPreferences(response.preferences);
+            }
+            this.showSuccess('preferences-message', 'Preferences updated');
+            // Re-render the setup lists with the new number format
+            this.loadSetupData();
+
+            // Clear success message after 3 seconds
+            setTimeout(() => this.clearMessage('preferences-message'), 3000);
+        } catch (error) {
+            console.error('Error saving preferences:', error);
+            this.showError('preferences-message', error.message || 'Error saving preferences');
+        }
+    }
+
+    async saveBaseCurrency() {
+        const baseCurrency = document.getElementById('base-currency').value.trim().toUpperCase();
+
+        if (!/^[A-Z]{3}$/.test(baseCurrency)) {
+            this.showError('currency-message', 'Please enter a three-letter currency code such as INR or USD');
+            return;
+        }
+
+        try {
+            const response = await this.apiClient.post('/api/set-base-currency', { baseCurrency });
+
+            if (window.expenseTracker) {
+                window.expenseTracker.setBaseCurrency(response.baseCurrency);
+            }
+            this.showSuccess('currency-message', 'Base currency updated');
+            // Stored rates are re-expressed against the new base
+            this.loadExchangeRates();
+
+            // Clear success message after 3 seconds
+            setTimeout(() => this.clearMessage('currency-message'), 3000);
+        } catch (error) {
+            console.error('Error saving base currency:', error);
+            this.showError('currency-message', error.message || 'Error saving base currency');
+        }
+    }
+
+    async saveExchangeRate() {
+        const currency = document.getElementById('rate-currency').value.trim().toUpperCase();
+        const rate = document.getElementById('rate-value').value;
+
+        this.clearMessage('currency-message');
+
+        if (!/^[A-Z]{3}$/.test(currency)) {
+            this.showError('currency-message', 'Please enter a three-letter currency code such as USD');
+            return;
+        }
+
+        if (!rate || isNaN(rate) || parseFloat(rate) <= 0) {
+            this.showError('currency-message', 'Please enter a rate greater than 0');
+            return;
+        }
+
+        try {
+            await this.apiClient.put(`/api/exchange-rates/${currency}`, { rate: parseFloat(rate) });
+
+            document.getElementById('rate-currency').value = '';
+            document.getElementById('rate-value').value = '';
+            this.showSuccess('currency-message', `Exchange rate for ${currency} saved`);
+            this.loadExchangeRates();
+
+            // Clear success message after 3 seconds
+            setTimeout(() => this.clearMessage('currency-message'), 3000);
+        } catch (error) {
+            console.error('Error saving exchange rate:', error);
+            this.showError('currency-message', error.message || 'Error saving exchange rate');
+        }
+    }
+
+    async loadExchangeRates() {
+        try {
+            const data = await this.apiClient.get('/api/exchange-rates');
+
+            const ratesDiv = document.getElementById('exchange-rates-list');
+            if (!ratesDiv) return;
+
+            const label = document.getElementById('rate-value-label');
+            if (label) label.textContent = `Value of 1 unit in ${data.baseCurrency}`;
+
+            let html = '';
+            if (data.missingRates.length > 0) {
+                html += `<p class="currency-warning">No rate yet for ${data.missingRates.join(', ')}. These accounts are counted 1:1 in summaries until you add one.</p>`;
+            }
+
+            if (data.rates.length === 0) {
+                ratesDiv.innerHTML = `${html}<p>No exchange rates added yet.</p>`;
+                return;
+            }
+
+            html += '<table><tr><th>Currency</th><th>Rate</th><th>Updated</th><th>Actions</th></tr>';
+            data.rates.forEach(rate => {
+                html += `
+                    <tr>
+                        <td>1 ${rate.currency}</td>
+                        <td>${parseFloat(rate.rate)} ${data.baseCurrency}</td>
+                        <td>${new Date(rate.updated_at).toLocaleDateString('en-IN')}</td>
+                        <td>
+                            <button class="delete-btn" data-action="remove-exchange-rate" data-id="${rate.currency}">Remove</button>
+                        </td>
+                    </tr>`;
+            });
+            html += '</table>';
+            ratesDiv.innerHTML = html;
+        } catch (error) {
+            console.error('Error loading exchange rates:', error);
+        }
+    }
+
+    async removeExchangeRate(currency) {
+        try {
+            await this.apiClient.delete(`/api/exchange-rates/${currency}`);
+            window.toastManager.success(`Exchange rate for ${currency} removed`);
+            this.loadExchangeRates();
+        } catch (error) {
+            console.error('Error removing exchange rate:', error);
+            window.toastManager.error(error.message || 'Error removing exchange rate');
+        }
+    }
+
+    async restoreBackup() {
+        const fileInput = document.getElementById('restore-file');
+        const file = fileInput?.files?.[0];
+        const mode = document.getElementById('restore-mode').value;
+
+        this.clearMessage('restore-message');
+
+        if (!file) {
+            this.showError('restore-message', 'Please choose an exported JSON file');
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch {
+            this.showError('restore-message', 'Backup file is not valid JSON');
+            return;
+        }
+
+        try {
+            const response = await this.apiClient.post('/api/restore', { data, mode });
+            const restored = response.restored;
+            const entries = restored.income_entries + restored.expenses + restored.transfers + restored.card_payments;
+
+            fileInput.value = '';
+            this.showSuccess('restore-message', `Backup restored: ${restored.banks} banks, ${restored.credit_cards} cards and ${entries} transactions`);
+            this.loadSetupData();
+
+            // Restored entries show up in the transaction and activity views too
+            if (window.transactionManager) {
+                window.transactionManager.loadCategoryOptions();
+            }
+            if (window.activityManager) {
+                window.activityManager.refreshData();
+            }
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            this.showError('restore-message', error.message || 'Error restoring backup');
+        }
+    }
+
+    async loadCategories() {
+        try {
+            const [categories, budgets] = await Promise.all([
+                this.apiClient.get('/api/categories'),
+                this.apiClient.get('/api/budgets')
+            ]);
+
+            const categoriesDiv = document.getElementById('categories-list');
+            if (!categoriesDiv) return;
+            categoriesDiv.innerHTML = '';
+
+            if (categories.length === 0) {
+                categoriesDiv.innerHTML += '<p>No categories added yet.</p>';
+            } else {
+                const table = document.createElement('table');
+                table.innerHTML = `
+                    <tr>
+                        <th>Category</th>
+                        <th>Monthly Budget</th>
+                        <th>Actions</th>
+                    </tr>
+                `;
+
+                categories.forEach(category => {
+                    const budget = (budgets || []).find(b => b.categoryId === category.id);
+                    const row = table.insertRow();
+                    row.innerHTML = `
+                        <td>${window.escapeHtml(category.name)}</td>
+                        <td>
+                            <input type="number" class="budget-input" id="budget-limit-${category.id}" placeholder="No limit" min="0" step="0.01" value="${budget ? budget.monthlyLimit : ''}">
+                        </td>
+                        <td>
+                            <button class="edit-btn" data-action="save-category-budget" data-id="${category.id}">Set Budget</button>
+                            ${budget ? `<button class="delete-btn" data-action="remove-category-budget" data-id="${budget.id}">Remove Budget</button>` : ''}
+                            <button class="delete-btn" data-action="delete-category" data-id="${category.id}">Delete</button>
+                        </td>
+                    `;
+                });
+
+                categoriesDiv.appendChild(table);
+            }
+
+            // Rules show and pick categories, so they follow any change to the list
+            await this.loadCategoryRules(categories);
+        } catch (error) {
+            console.error('Error loading categories:', error);
+        }
+    }
+
+    async loadCategoryRules(categories) {
+        try {
+            const [rules, banks, cards] = await Promise.all([
+                this.apiClient.get('/api/category-rules'),
+                this.apiClient.get('/api/banks'),
+                this.apiClient.get('/api/credit-cards')
+            ]);
+
+            // Payment source options in the same form the API takes: cash, bank, bank-3...
+            this.ruleAccountNames = { cash: 'Cash', bank: 'Any bank', credit_card: 'Any credit card' };
+            banks.forEach(bank => { this.ruleAccountNames[`bank-${bank.id}`] = bank.name; });
+            cards.forEach(card => { this.ruleAccountNames[`credit_card-${card.id}`] = card.name; });
+
+            const sourceSelect = document.getElementById('rule-payment-source');
+            if (sourceSelect) {
+                sourceSelect.innerHTML = '<option value="">Any account</option>' + Object.entries(this.ruleAccountNames)
+                    .map(([value, name]) => `<option value="${value}">${window.escapeHtml(name)}</option>`)
+                    .join('');
+            }
+
+            const categorySelect = document.getElementById('rule-category');
+            if (categorySelect && categories) {
+                categorySelect.innerHTML = '<option value="">Don\'t change</option>' + categories
+                    .map(category => `<option value="${category.id}">${window.escapeHtml(category.name)}</option>`)
+                    .join('');
+            }
+
+            this.renderCategoryRules(rules);
+        } catch (error) {
+            console.error('Error loading categorization rules:', error);
+        }
+    }
+
+    renderCategoryRules(rules) {
+        const rulesDiv = document.getElementById('category-rules-list');
+        if (!rulesDiv) return;
+
+        if (rules.length === 0) {
+            rulesDiv.innerHTML = '<p>No rules yet.</p>';
+            return;
+        }
+
+        rulesDiv.innerHTML = `
+            <table>
+                <tr>
+                    <th>#</th>
+                    <th>When</th>
+                    <th>Then</th>
+                    <th>Actions</th>
+                </tr>
+                ${rules.map((rule, index) => `
+                    <tr>
+                        <td>${index + 1}</td>
+                        <td>${this.describeRuleConditions(rule)}</td>
+                        <td>${this.describeRuleActions(rule)}</td>
+                        <td><button class="delete-btn" data-action="delete-category-rule" data-id="${rule.id}">Delete</button></td>
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+    }
+
+    describeRuleConditions(rule) {
+        const conditions = [];
+        if (rule.pattern) {
+            const verb = rule.match_type === 'regex' ? 'matches' : 'contains';
+            conditions.push(`title ${verb} <code>${window.escapeHtml(rule.pattern)}</code>`);
+        }
+        if (rule.min_amount !== null && rule.max_amount !== null) {
+            conditions.push(`amount ${this.formatAmount(rule.min_amount, window.expenseTracker?.baseCurrency)} – ${this.formatAmount(rule.max_amount, window.expenseTracker?.baseCurrency)}`);
+        } else if (rule.min_amount !== null) {
+            conditions.push(`amount at least ${this.formatAmount(rule.min_amount, window.expenseTracker?.baseCurrency)}`);
+        } else if (rule.max_amount !== null) {
+            conditions.push(`amount up to ${this.formatAmount(rule.max_amount, window.expenseTracker?.baseCurrency)}`);
+        }
+        if (rule.payment_method) {
+            const source = rule.payment_source_id ? `${rule.payment_method}-${rule.payment_source_id}` : rule.payment_method;
+            conditions.push(`paid from ${window.escapeHtml(this.ruleAccountNames?.[source] || 'a removed account')}`);
+        }
+        return conditions.join(', ');
+    }
+
+    describeRuleActions(rule) {
+        const actions = [];
+        if (rule.category_name) {
+            actions.push(`category <strong>${window.escapeHtml(rule.category_name)}</strong>`);
+        }
+        if (rule.tags && rule.tags.length > 0) {
+            actions.push(rule.tags.map(tag => `#${tag}`).join(' '));
+        }
+        if (rule.rename_to) {
+            actions.push(`rename to “${window.escapeHtml(rule.rename_to)}”`);
+        }
+        return actions.join(', ') || 'nothing (its category was deleted)';
+    }
+
+    async addCategoryRule() {
+        const value = (id) => document.getElementById(id)?.value.trim() || '';
+        this.clearMessage('category-rule-message');
+
+        try {
+            await this.apiClient.post('/api/category-rules', {
+                matchType: value('rule-match-type') || 'contains',
+                pattern: value('rule-pattern'),
+                minAmount: value('rule-min-amount'),
+                maxAmount: value('rule-max-amount'),
+                paymentSource: value('rule-payment-source'),
+                categoryId: value('rule-category') ? parseInt(value('rule-category')) : null,
+                tags: value('rule-tags'),
+                renameTo: value('rule-rename')
+            });
+
+            ['rule-pattern', 'rule-min-amount', 'rule-max-amount', 'rule-payment-source', 'rule-category', 'rule-tags', 'rule-rename'].forEach(id => {
+                const input = document.getElementById(id);
+                if (input) input.value = '';
+            });
+            this.showSuccess('category-rule-message', 'Rule added. It applies to new expenses and imports; re-run rules to update past expenses.');
+            this.loadCategories();
+        } catch (error) {
+            console.error('Error adding rule:', error);
+            this.showError('category-rule-message', error.message || 'Error adding rule');
+        }
+    }
+
+    deleteCategoryRule(ruleId) {
+        document.getElementById('delete-setup-message').textContent = 'Are you sure you want to delete this rule? Expenses it already changed stay as they are.';
+        document.getElementById('delete-setup-modal').dataset.itemType = 'category-rule';
+        document.getElementById('delete-setup-modal').dataset.itemId = ruleId;
+        document.getElementById('delete-setup-modal').classList.remove('hidden');
+    }
+
+    async confirmDeleteCategoryRule(ruleId) {
+        try {
+            await this.apiClient.delete(`/api/category-rules/${ruleId}`);
+            window.toastManager.success('Rule deleted successfully');
+            this.loadCategories();
+            this.closeDeleteSetupModal();
+        } catch (error) {
+            console.error('Error deleting rule:', error);
+            window.toastManager.error(error.message || 'Error deleting rule');
+        }
+    }
+
+    // Re-run every rule over past expenses
+    async applyCategoryRules() {
+        const overwriteCategory = document.getElementById('rule-overwrite-category')?.checked === true;
+        this.clearMessage('category-rule-message');
+
+        try {
+            const result = await this.apiClient.post('/api/category-rules/apply', { overwriteCategory });
+            this.showSuccess('category-rule-message', `Checked ${result.checked} expenses, updated ${result.updated}`);
+
+            if (window.transactionManager && result.updated > 0) {
+                window.transactionManager.loadTransactions();
+            }
+        } catch (error) {
+            console.error('Error applying rules:', error);
+            this.showError('category-rule-message', error.message || 'Error applying rules');
+        }
+    }
+
+    async saveCategoryBudget(categoryId) {
+        const input = document.getElementById(`budget-limit-${categoryId}`);
+        const monthlyLimit = input ? input.value : '';
+
+        if (!monthlyLimit || isNaN(monthlyLimit) || parseFloat(monthlyLimit) <= 0) {
+            window.toastManager.error('Please enter a valid monthly budget');
+            return;
+        }
+
+        try {
+            await this.apiClient.post('/api/budgets', {
+                categoryId: parseInt(categoryId),
+                monthlyLimit: parseFloat(monthlyLimit)
+            });
+            window.toastManager.success('Budget saved successfully');
+            this.loadCategories();
+        } catch (error) {
+            console.error('Error saving budget:', error);
+            window.toastManager.error(error.message || 'Error saving budget');
+        }
+    }
+
+    async removeCategoryBudget(budgetId) {
+        try {
+            await this.apiClient.delete(`/api/budgets/${budgetId}`);
+            window.toastManager.success('Budget removed successfully');
+            this.loadCategories();
+        } catch (error) {
+            console.error('Error removing budget:', error);
+            window.toastManager.error(error.message || 'Error removing budget');
+        }
+    }
+
+    async deleteCategory(categoryId) {
+        // Show confirmation modal
+        document.getElementById('delete-setup-message').textContent = 'Are you sure you want to delete this category? Its expenses will become uncategorized.';
+        document.getElementById('delete-setup-modal').dataset.itemType = 'category';
+        document.getElementById('delete-setup-modal').dataset.itemId = categoryId;
+        document.getElementById('delete-setup-modal').classList.remove('hidden');
+    }
+
+    async confirmDeleteCategory(categoryId) {
+        try {
+            await this.apiClient.delete(`/api/categories/${categoryId}`);
+            window.toastManager.success('Category deleted successfully');
+            this.loadCategories();
+            this.closeDeleteSetupModal();
+
+            if (window.transactionManager) {
+                window.transactionManager.loadCategoryOptions();
+            }
+        } catch (error) {
+            console.error('Error deleting category:', error);
+            window.toastManager.error(error.message || 'Error deleting category');
+        }
+    }
+
     // Bank CRUD operations
     async editBank(bankId) {
         try {
@@ -379,6 +950,7 @@ class SetupManager {
             // Populate modal with current bank data
             document.getElementById('edit-bank-name').value = bank.name;
             document.getElementById('edit-bank-balance').value = parseFloat(bank.initial_balance);
+            document.getElementById('edit-bank-currency').value = bank.currency || 'INR';
 
             // Store bank ID for saving
             document.getElementById('edit-bank-modal').dataset.bankId = bankId;
@@ -410,7 +982,8 @@ class SetupManager {
         try {
             await this.apiClient.put(`/api/banks/${bankId}`, {
                 name,
-                initialBalance: parseFloat(initialBalance)
+                initialBalance: parseFloat(initialBalance),
+                currency: this.getCurrencyInput('edit-bank-currency')
             });
 
             window.toastManager.success('Bank updated successfully');
@@ -456,11 +1029,14 @@ class SetupManager {
             // Populate modal with current card data
             document.getElementById('edit-credit-card-name').value = card.name;
             document.getElementById('edit-credit-card-limit').value = parseFloat(card.credit_limit);
+            document.getElementById('edit-credit-card-statement-day').value = card.statement_day || 1;
+            document.getElementById('edit-credit-card-due-days').value = card.payment_due_days ?? 20;
+            document.getElementById('edit-credit-card-currency').value = card.currency || 'INR';
 
             // Show used limit info
             const usedLimit = parseFloat(card.used_limit);
             document.getElementById('credit-card-used-info').innerHTML =
-                `<strong>Current Used Limit:</strong> ₹${usedLimit.toLocaleString('en-IN', { minimumFractionDigits: 2 })}<br>
+                `<strong>Current Used Limit:</strong> ${this.formatAmount(usedLimit, card.currency)}<br>
                  <em>Credit limit must be at least this amount.</em>`;
 
             // Store card ID for saving
@@ -479,6 +1055,8 @@ class SetupManager {
         const cardId = modal.dataset.cardId;
         const name = document.getElementById('edit-credit-card-name').value.trim();
         const creditLimit = document.getElementById('edit-credit-card-limit').value;
+        const statementDay = parseInt(document.getElementById('edit-credit-card-statement-day').value);
+        const paymentDueDays = parseInt(document.getElementById('edit-credit-card-due-days').value);
 
         if (!name) {
             window.toastManager.error('Card name is required');
@@ -490,10 +1068,23 @@ class SetupManager {
             return;
         }
 
+        if (isNaN(statementDay) || statementDay < 1 || statementDay > 31) {
+            window.toastManager.error('Statement day must be between 1 and 31');
+            return;
+        }
+
+        if (isNaN(paymentDueDays) || paymentDueDays < 0 || paymentDueDays > 60) {
+            window.toastManager.error('Payment due days must be between 0 and 60');
+            return;
+        }
+
         try {
             await this.apiClient.put(`/api/credit-cards/${cardId}`, {
                 name,
-                creditLimit: parseFloat(creditLimit)
+                creditLimit: parseFloat(creditLimit),
+                statementDay,
+                paymentDueDays,
+                currency: this.getCurrencyInput('edit-credit-card-currency')
             });
 
             window.toastManager.success('Credit card updated successfully');
@@ -525,6 +1116,91 @@ class SetupManager {
         }
     }
 
+    // Credit card bill payments
+    async payCreditCard(cardId) {
+        try {
+            const [cards, banks] = await Promise.all([
+                this.apiClient.get('/api/credit-cards'),
+                this.apiClient.get('/api/banks')
+            ]);
+            const card = cards.find(c => c.id === parseInt(cardId));
+
+            if (!card) {
+                window.toastManager.error('Credit card not found');
+                return;
+            }
+
+            const usedLimit = parseFloat(card.used_limit);
+            document.getElementById('credit-card-outstanding-info').innerHTML =
+                `<strong>${window.escapeHtml(card.name)} outstanding:</strong> ${this.formatAmount(usedLimit, card.currency)}`;
+
+            const sourceSelect = document.getElementById('pay-credit-card-source');
+            sourceSelect.innerHTML = '<option value="cash">Cash</option>';
+            banks.forEach(bank => {
+                const option = document.createElement('option');
+                option.value = `bank-${bank.id}`;
+                option.textContent = bank.name;
+                sourceSelect.appendChild(option);
+            });
+            if (banks.length > 0) {
+                sourceSelect.value = `bank-${banks[0].id}`;
+            }
+
+            document.getElementById('pay-credit-card-amount').value = usedLimit.toFixed(2);
+            document.getElementById('pay-credit-card-amount').max = usedLimit.toFixed(2);
+            document.getElementById('pay-credit-card-date').value = new Date().toISOString().split('T')[0];
+
+            // Store card ID for paying
+            document.getElementById('pay-credit-card-modal').dataset.cardId = cardId;
+            document.getElementById('pay-credit-card-modal').classList.remove('hidden');
+        } catch (error) {
+            console.error('Error loading credit card data:', error);
+            window.toastManager.error('Error loading credit card data');
+        }
+    }
+
+    async confirmPayCreditCard() {
+        const modal = document.getElementById('pay-credit-card-modal');
+        const cardId = modal.dataset.cardId;
+        const source = document.getElementById('pay-credit-card-source').value;
+        const amount = document.getElementById('pay-credit-card-amount').value;
+        const date = document.getElementById('pay-credit-card-date').value;
+        const note = document.getElementById('pay-credit-card-note').value.trim();
+
+        if (!amount || isNaN(amount) || parseFloat(amount) <= 0) {
+            window.toastManager.error('Valid amount greater than 0 is required');
+            return;
+        }
+
+        if (!date) {
+            window.toastManager.error('Payment date is required');
+            return;
+        }
+
+        const [sourceType, sourceId] = source === 'cash' ? ['cash', null] : source.split('-');
+
+        try {
+            await this.apiClient.post('/api/card-payments', {
+                cardId,
+                sourceType,
+                sourceId,
+                amount: parseFloat(amount),
+                date,
+                note
+            });
+
+            window.toastManager.success('Credit card bill paid successfully');
+            this.closePayCreditCardModal();
+            await this.loadSetupData();
+            if (window.activityManager) {
+                window.activityManager.refreshData();
+            }
+        } catch (error) {
+            console.error('Error paying credit card bill:', error);
+            window.toastManager.error(error.message || 'Error paying credit card bill');
+        }
+    }
+
     // Modal management methods
     closeEditBankModal() {
         document.getElementById('edit-bank-modal').classList.add('hidden');
@@ -536,6 +1212,13 @@ class SetupManager {
         document.getElementById('edit-credit-card-form').reset();
     }
 
+    closePayCreditCardModal() {
+        const modal = document.getElementById('pay-credit-card-modal');
+        modal.classList.add('hidden');
+        delete modal.dataset.cardId;
+        document.getElementById('pay-credit-card-form').reset();
+    }
+
     closeDeleteSetupModal() {
         document.getElementById('delete-setup-modal').classList.add('hidden');
     }
@@ -552,6 +1235,7 @@ class SetupManager {
 
             // Populate modal with current cash balance
             document.getElementById('edit-cash-balance').value = parseFloat(cashData.balance || 0);
+            document.getElementById('edit-cash-currency').value = cashData.currency || 'INR';
 
             // Show modal
             document.getElementById('edit-cash-modal').classList.remove('hidden');
@@ -571,7 +1255,8 @@ class SetupManager {
 
         try {
             await this.apiClient.post('/api/cash-balance', {
-                balance: parseFloat(balance)
+                balance: parseFloat(balance),
+                currency: this.getCurrencyInput('edit-cash-currency')
             });
 
             window.toastManager.success('Cash balance updated successfully');
@@ -603,9 +1288,30 @@ class SetupManager {
         case 'delete-credit-card':
             await this.deleteCreditCard(data.id);
             break;
+        case 'pay-credit-card':
+            await this.payCreditCard(data.id);
+            break;
+        case 'confirm-pay-credit-card':
+            await this.confirmPayCreditCard();
+            break;
         case 'edit-cash-balance':
             await this.editCashBalance();
             break;
+        case 'delete-category':
+            await this.deleteCategory(data.id);
+            break;
+        case 'save-category-budget':
+            await this.saveCategoryBudget(data.id);
+            break;
+        case 'remove-category-budget':
+            await this.removeCategoryBudget(data.id);
+            break;
+        case 'delete-category-rule':
+            this.deleteCategoryRule(data.id);
+            break;
+        case 'remove-exchange-rate':
+            await this.removeExchangeRate(data.id);
+            break;
         case 'save-bank':
             await this.saveBank();
             break;
@@ -623,6 +1329,10 @@ class SetupManager {
                 await this.confirmDeleteBank(itemId);
             } else if (itemType === 'credit-card') {
                 await this.confirmDeleteCreditCard(itemId);
+            } else if (itemType === 'category') {
+                await this.confirmDeleteCategory(itemId);
+            } else if (itemType === 'category-rule') {
+                await this.confirmDeleteCategoryRule(itemId);
             }
             break;
         }
@@ -632,6 +1342,9 @@ class SetupManager {
         case 'close-edit-credit-card':
             this.closeEditCreditCardModal();
             break;
+        case 'close-pay-credit-card':
+            this.closePayCreditCardModal();
+            break;
         case 'close-edit-cash':
             this.closeEditCashModal();
             break;
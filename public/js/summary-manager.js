@@ -10,15 +10,20 @@ class SummaryManager {
     async loadMonthlySummary() {
         try {
             const month = document.getElementById('summary-month').value;
-            const year = document.getElementById('summary-year').value;
+            const selectedYear = document.getElementById('summary-year').value;
 
-            if (!month || !year) {
+            if (!month || !selectedYear) {
                 document.getElementById('summary-display').innerHTML = '<p class="error">Please select both month and year.</p>';
                 return;
             }
 
+            const year = this.getCalendarYear(month, selectedYear);
+
             const data = await this.apiClient.get(`/api/monthly-summary?month=${month}&year=${year}`);
             this.displayMonthlySummary(data, month, year);
+
+            this.setDefaultNetWorthRange(month, year);
+            this.loadNetWorthHistory();
         } catch (error) {
             // Check if it's an authentication error
             if (error.message.includes('Authentication required') || error.message.includes('401')) {
@@ -33,6 +38,7 @@ class SummaryManager {
     }
 
     displayMonthlySummary(data, month, year) {
+        this.baseCurrency = data.baseCurrency || this.getBaseCurrency();
         const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
             'July', 'August', 'September', 'October', 'November', 'December'];
         const monthName = monthNames[parseInt(month) - 1];
@@ -97,14 +103,14 @@ class SummaryManager {
             html += `
                 <div class="summary-card income">
                     <h3>💰 Monthly Income</h3>
-                    <div class="summary-amount">₹${parseFloat(data.monthlyIncome).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</div>
+                    <div class="summary-amount">${this.formatAmount(data.monthlyIncome)}</div>
                     <div class="summary-subtitle">Money earned this month</div>
                 </div>`;
         } else {
             html += `
                 <div class="summary-card income" style="opacity: 0.6;">
                     <h3>💰 Monthly Income</h3>
-                    <div class="summary-amount">₹0.00</div>
+                    <div class="summary-amount">${this.formatAmount(0)}</div>
                     <div class="summary-subtitle">No income data available</div>
                 </div>`;
         }
@@ -114,14 +120,14 @@ class SummaryManager {
             html += `
                 <div class="summary-card expense">
                     <h3>💸 Monthly Expenses</h3>
-                    <div class="summary-amount">₹${parseFloat(data.totalExpenses).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</div>
+                    <div class="summary-amount">${this.formatAmount(data.totalExpenses)}</div>
                     <div class="summary-subtitle">Money spent this month</div>
                 </div>`;
         } else {
             html += `
                 <div class="summary-card expense" style="opacity: 0.6;">
                     <h3>💸 Monthly Expenses</h3>
-                    <div class="summary-amount">₹0.00</div>
+                    <div class="summary-amount">${this.formatAmount(0)}</div>
                     <div class="summary-subtitle">No expense data available</div>
                 </div>`;
         }
@@ -131,14 +137,14 @@ class SummaryManager {
             html += `
                 <div class="summary-card wealth">
                     <h3>💎 Total Wealth</h3>
-                    <div class="summary-amount">₹${parseFloat(data.totalCurrentWealth).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</div>
+                    <div class="summary-amount">${this.formatAmount(data.totalCurrentWealth)}</div>
                     <div class="summary-subtitle">Banks + Cash ${timeReference}</div>
                 </div>`;
         } else {
             html += `
                 <div class="summary-card wealth" style="opacity: 0.6;">
                     <h3>💎 Total Wealth</h3>
-                    <div class="summary-amount">₹0.00</div>
+                    <div class="summary-amount">${this.formatAmount(0)}</div>
                     <div class="summary-subtitle">Unable to calculate wealth</div>
                 </div>`;
         }
@@ -149,20 +155,24 @@ class SummaryManager {
             html += `
                 <div class="summary-card savings">
                     <h3>${savingsIcon} Net Savings</h3>
-                    <div class="summary-amount">₹${parseFloat(data.netSavings).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</div>
+                    <div class="summary-amount">${this.formatAmount(data.netSavings)}</div>
                     <div class="summary-subtitle">Income - Expenses + Initial</div>
                 </div>`;
         } else {
             html += `
                 <div class="summary-card savings" style="opacity: 0.6;">
                     <h3>📊 Net Savings</h3>
-                    <div class="summary-amount">₹0.00</div>
+                    <div class="summary-amount">${this.formatAmount(0)}</div>
                     <div class="summary-subtitle">Unable to calculate savings</div>
                 </div>`;
         }
 
         html += '</div>'; // Close summary-dashboard
 
+        if (data.missingRates && data.missingRates.length > 0) {
+            html += `<p class="currency-warning">No exchange rate set for ${data.missingRates.join(', ')}, so those amounts are counted 1:1 in ${this.baseCurrency}. Add rates under Setup.</p>`;
+        }
+
         // Account Balances Section
         html += '<div class="accounts-section">';
         html += `<h3 style="color: #495057; margin-bottom: 20px;">💳 Account Balances ${timeReference}</h3>`;
@@ -175,7 +185,8 @@ class SummaryManager {
                 html += `
                     <div class="account-card cash">
                         <h4>💵 Cash Balance</h4>
-                        <div class="account-balance">₹${parseFloat(cashBalance).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</div>
+                        <div class="account-balance">${this.formatAmount(cashBalance, data.cash.currency)}</div>
+                        ${this.formatConvertedAmount(data.cash.converted_balance, data.cash.currency)}
                     </div>`;
             } else {
                 html += `
@@ -195,7 +206,8 @@ class SummaryManager {
                     html += `
                         <div class="account-card bank">
                             <h4>🏦 ${bankName}</h4>
-                            <div class="account-balance">₹${parseFloat(balance).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</div>
+                            <div class="account-balance">${this.formatAmount(balance, bank.currency)}</div>
+                            ${this.formatConvertedAmount(bank.converted_balance, bank.currency)}
                         </div>`;
                 } else {
                     html += `
@@ -219,9 +231,10 @@ class SummaryManager {
                     html += `
                         <div class="account-card credit">
                             <h4>💳 ${cardName}</h4>
-                            <div class="account-balance" style="color: #dc3545;">₹${parseFloat(usedLimit).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})} used</div>
+                            <div class="account-balance" style="color: #dc3545;">${this.formatAmount(usedLimit, card.currency)} used</div>
+                            ${this.formatConvertedAmount(card.converted_used_limit, card.currency)}
                             <div style="font-size: 12px; color: #6c757d; margin-top: 5px;">
-                                ₹${availableCredit.toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})} available of ₹${parseFloat(creditLimit).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}
+                                ${this.formatAmount(availableCredit, card.currency)} available of ${this.formatAmount(creditLimit, card.currency)}
                             </div>
                         </div>`;
                 });
@@ -231,6 +244,12 @@ class SummaryManager {
         html += '</div>'; // Close accounts-grid
         html += '</div>'; // Close accounts-section
 
+        // Spending by Category
+        html += this.renderCategoryBreakdown(data.categoryBreakdown, data.totalExpenses);
+
+        // Budgets: spent vs. limit per category
+        html += this.renderBudgetPanel(data.budgets);
+
         // Breakdown Details (Collapsible)
         if (data.netSavings !== undefined && data.netSavings !== null &&
             data.totalInitialBalance !== undefined && data.monthlyIncome !== undefined &&
@@ -240,10 +259,10 @@ class SummaryManager {
                     <h4 style="color: #495057; margin-bottom: 10px;">📋 Calculation Breakdown</h4>
                     <div style="font-size: 14px; color: #6c757d; line-height: 1.6;">
                         <strong>Net Savings Formula</strong><br>
-                        Initial Balance (₹${parseFloat(data.totalInitialBalance || 0).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}) + 
-                        Income (₹${parseFloat(data.monthlyIncome || 0).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}) - 
-                        Expenses (₹${parseFloat(data.totalExpenses || 0).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}) = 
-                        <strong>₹${parseFloat(data.netSavings).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</strong>
+                        Initial Balance (${this.formatAmount(data.totalInitialBalance || 0)}) + 
+                        Income (${this.formatAmount(data.monthlyIncome || 0)}) - 
+                        Expenses (${this.formatAmount(data.totalExpenses || 0)}) = 
+                        <strong>${this.formatAmount(data.netSavings)}</strong>
                     </div>
                 </div>`;
         }
@@ -251,6 +270,197 @@ class SummaryManager {
         document.getElementById('summary-display').innerHTML = html;
     }
 
+    renderCategoryBreakdown(categoryBreakdown, totalExpenses) {
+        if (!categoryBreakdown || categoryBreakdown.length === 0) {
+            return '';
+        }
+
+        const total = parseFloat(totalExpenses) || categoryBreakdown.reduce((sum, row) => sum + parseFloat(row.total || 0), 0);
+
+        let html = '<div class="category-breakdown">';
+        html += '<h3 style="color: #495057; margin-bottom: 20px;">🏷️ Spending by Category</h3>';
+
+        categoryBreakdown.forEach(row => {
+            const amount = parseFloat(row.total || 0);
+            const share = total > 0 ? (amount / total) * 100 : 0;
+
+            html += `
+                <div class="category-row">
+                    <span class="category-name">${window.escapeHtml(row.categoryName)}</span>
+                    <div class="category-bar">
+                        <div class="category-bar-fill" style="width: ${share.toFixed(1)}%;"></div>
+                    </div>
+                    <span class="category-amount">${this.formatAmount(amount)} (${share.toFixed(0)}%)</span>
+                </div>`;
+        });
+
+        html += '</div>';
+        return html;
+    }
+
+    renderBudgetPanel(budgets) {
+        if (!budgets || budgets.length === 0) {
+            return '';
+        }
+
+        let html = '<div class="budget-panel">';
+        html += '<h3 style="color: #495057; margin-bottom: 20px;">🎯 Budgets</h3>';
+
+        budgets.forEach(budget => {
+            const spent = parseFloat(budget.spent || 0);
+            const limit = parseFloat(budget.monthlyLimit || 0);
+            const percentUsed = limit > 0 ? (spent / limit) * 100 : 0;
+            let statusClass = 'budget-ok';
+            if (spent > limit) {
+                statusClass = 'budget-over';
+            } else if (percentUsed >= 80) {
+                statusClass = 'budget-near';
+            }
+
+            html += `
+                <div class="category-row budget-row ${statusClass}">
+                    <span class="category-name">${window.escapeHtml(budget.categoryName)}</span>
+                    <div class="category-bar">
+                        <div class="category-bar-fill" style="width: ${Math.min(percentUsed, 100).toFixed(1)}%;"></div>
+                    </div>
+                    <span class="category-amount">${this.formatAmount(spent)} / ${this.formatAmount(limit)}</span>
+                </div>`;
+        });
+
+        html += '</div>';
+        return html;
+    }
+
+    getBaseCurrency() {
+        return window.expenseTracker?.baseCurrency || 'INR';
+    }
+
+    getLocale() {
+        return window.expenseTracker?.preferences?.locale || 'en-IN';
+    }
+
+    // Totals are in the base currency; account balances pass their own currency.
+    // The app formats with the user's locale and symbol once their preferences are loaded.
+    formatAmount(amount, currency = this.baseCurrency || this.getBaseCurrency()) {
+        if (window.expenseTracker?.formatAmount) {
+            return window.expenseTracker.formatAmount(amount, currency);
+        }
+        return parseFloat(amount || 0).toLocaleString('en-IN', {style: 'currency', currency, minimumFractionDigits: 2, maximumFractionDigits: 2});
+    }
+
+    // Base-currency equivalent under a balance held in another currency
+    formatConvertedAmount(amount, currency) {
+        if (!currency || currency === this.baseCurrency || amount === undefined || amount === null) {
+            return '';
+        }
+        return `<div class="account-converted">≈ ${this.formatAmount(amount)}</div>`;
+    }
+
+    // The year dropdown lists financial years, so months before the fiscal start month
+    // (Jan-Mar with an April start) belong to the following calendar year
+    getCalendarYear(month, year) {
+        const fiscalYearStart = window.expenseTracker?.fiscalYearStart || 1;
+        return parseInt(month) < fiscalYearStart ? parseInt(year) + 1 : parseInt(year);
+    }
+
+    // Default the trend to the 12 months ending at the selected summary month
+    setDefaultNetWorthRange(month, year) {
+        const fromInput = document.getElementById('net-worth-from');
+        const toInput = document.getElementById('net-worth-to');
+        if (!fromInput || !toInput || fromInput.value || toInput.value) return;
+
+        const end = new Date(parseInt(year), parseInt(month) - 1, 1);
+        const start = new Date(end.getFullYear(), end.getMonth() - 11, 1);
+        const format = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        fromInput.value = format(start);
+        toInput.value = format(end);
+    }
+
+    async loadNetWorthHistory() {
+        const chart = document.getElementById('net-worth-chart');
+        if (!chart) return;
+
+        const params = new URLSearchParams();
+        const from = document.getElementById('net-worth-from').value;
+        const to = document.getElementById('net-worth-to').value;
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+
+        try {
+            const data = await this.apiClient.get(`/api/net-worth?${params.toString()}`);
+            chart.innerHTML = this.renderNetWorthChart(data.points, data.baseCurrency);
+        } catch (error) {
+            chart.innerHTML = `<p class="error">Error loading net worth: ${error.message}</p>`;
+        }
+    }
+
+    // Line chart of month-end net worth (in the base currency) as inline SVG
+    renderNetWorthChart(points, currency) {
+        if (!points || points.length === 0) {
+            return '<p class="no-data">No net worth history for this range.</p>';
+        }
+
+        const formatAmount = (amount) => this.formatAmount(amount, currency || this.getBaseCurrency());
+        const formatMonth = (value) => {
+            const [year, month] = value.split('-').map(part => parseInt(part));
+            return new Date(year, month - 1, 1).toLocaleDateString(this.getLocale(), { month: 'short', year: '2-digit' });
+        };
+
+        const width = 720;
+        const height = 260;
+        const padding = { top: 20, right: 20, bottom: 40, left: 90 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+
+        const values = points.map(point => point.netWorth);
+        // Keep zero on the axis so a dip below it is obvious
+        const minValue = Math.min(0, ...values);
+        const maxValue = Math.max(0, ...values);
+        const range = maxValue - minValue || 1;
+
+        const x = (index) => padding.left + (points.length === 1 ? plotWidth / 2 : (index / (points.length - 1)) * plotWidth);
+        const y = (value) => padding.top + ((maxValue - value) / range) * plotHeight;
+
+        const linePoints = points.map((point, index) => `${x(index).toFixed(1)},${y(point.netWorth).toFixed(1)}`).join(' ');
+        // Label at most ~12 months along the x axis
+        const labelStep = Math.ceil(points.length / 12);
+
+        let svg = `<svg class="net-worth-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Net worth by month">`;
+        svg += `<line class="net-worth-axis" x1="${padding.left}" y1="${y(0).toFixed(1)}" x2="${width - padding.right}" y2="${y(0).toFixed(1)}"></line>`;
+        svg += `<text class="net-worth-label" x="${padding.left - 8}" y="${y(maxValue).toFixed(1)}" text-anchor="end" dominant-baseline="middle">${formatAmount(maxValue)}</text>`;
+        if (minValue < 0) {
+            svg += `<text class="net-worth-label" x="${padding.left - 8}" y="${y(minValue).toFixed(1)}" text-anchor="end" dominant-baseline="middle">${formatAmount(minValue)}</text>`;
+        }
+        // Skip the zero label when it would overlap the top or bottom label
+        if (y(0) - y(maxValue) > 14 && (minValue === 0 || y(minValue) - y(0) > 14)) {
+            svg += `<text class="net-worth-label" x="${padding.left - 8}" y="${y(0).toFixed(1)}" text-anchor="end" dominant-baseline="middle">${formatAmount(0)}</text>`;
+        }
+        svg += `<polyline class="net-worth-line" points="${linePoints}"></polyline>`;
+
+        points.forEach((point, index) => {
+            const className = point.netWorth < 0 ? 'net-worth-point negative' : 'net-worth-point';
+            svg += `<circle class="${className}" cx="${x(index).toFixed(1)}" cy="${y(point.netWorth).toFixed(1)}" r="4">
+                <title>${formatMonth(point.month)}: ${formatAmount(point.netWorth)} (banks ${formatAmount(point.banks)} + cash ${formatAmount(point.cash)} - cards ${formatAmount(point.cardLiabilities)})</title>
+            </circle>`;
+            if (index % labelStep === 0 || index === points.length - 1) {
+                svg += `<text class="net-worth-label" x="${x(index).toFixed(1)}" y="${height - padding.bottom + 20}" text-anchor="middle">${formatMonth(point.month)}</text>`;
+            }
+        });
+        svg += '</svg>';
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        const change = last.netWorth - first.netWorth;
+        const changeClass = change >= 0 ? 'positive' : 'negative';
+
+        return `
+            <p class="net-worth-summary">
+                ${formatAmount(last.netWorth)} at the end of ${formatMonth(last.month)}
+                <span class="net-worth-change ${changeClass}">${change >= 0 ? '▲' : '▼'} ${formatAmount(Math.abs(change))} since ${formatMonth(first.month)}</span>
+            </p>
+            ${svg}`;
+    }
+
     attachActionButtonListeners() {
         // Add event listeners for action buttons in no-transactions message
         const summaryDisplay = document.getElementById('summary-display');
@@ -27,13 +27,14 @@ class ToastManager {
 
     /**
      * Show a toast notification
-     * @param {string} message - The message to display
+     * @param {string} message - The message to display, as plain text (it is HTML-escaped)
      * @param {string} type - Type: 'success', 'error', 'info', 'warning'
      * @param {number} duration - Duration in milliseconds (default: 4000)
+     * @param {Object} [action] - Optional button in the toast: { label, onClick }
      */
-    show(message, type = 'info', duration = 4000) {
+    show(message, type = 'info', duration = 4000, action = null) {
         const toastId = `toast-${++this.toastCounter}`;
-        const toast = this.createToast(toastId, message, type);
+        const toast = this.createToast(toastId, message, type, action);
 
         this.toastContainer.appendChild(toast);
 
@@ -53,7 +54,7 @@ class ToastManager {
         return toastId;
     }
 
-    createToast(id, message, type) {
+    createToast(id, message, type, action = null) {
         const toast = document.createElement('div');
         toast.id = id;
         toast.className = `toast toast-${type}`;
@@ -63,7 +64,8 @@ class ToastManager {
         toast.innerHTML = `
             <div class="toast-content">
                 <span class="toast-icon">${icon}</span>
-                <span class="toast-message">${message}</span>
+                <span class="toast-message">${window.escapeHtml(message)}</span>
+                ${action ? `<button class="toast-action" data-toast-id="${id}">${window.escapeHtml(action.label)}</button>` : ''}
                 <button class="toast-close" data-toast-id="${id}">
                     <span>&times;</span>
                 </button>
@@ -76,6 +78,13 @@ class ToastManager {
             this.dismiss(id);
         });
 
+        if (action) {
+            toast.querySelector('.toast-action').addEventListener('click', () => {
+                this.dismiss(id);
+                action.onClick();
+            });
+        }
+
         return toast;
     }
 
@@ -110,8 +119,8 @@ class ToastManager {
     }
 
     // Convenience methods
-    success(message, duration) {
-        return this.show(message, 'success', duration);
+    success(message, duration, action) {
+        return this.show(message, 'success', duration, action);
     }
 
     error(message, duration) {
@@ -140,7 +149,7 @@ window.toastManager = new ToastManager();
 
 // Global convenience functions
 window.showToast = (message, type, duration) => window.toastManager.show(message, type, duration);
-window.showSuccess = (message, duration) => window.toastManager.success(message, duration);
+window.showSuccess = (message, duration, action) => window.toastManager.success(message, duration, action);
 window.showError = (message, duration) => window.toastManager.error(message, duration);
 window.showInfo = (message, duration) => window.toastManager.info(message, duration);
 window.showWarning = (message, duration) => window.toastManager.warning(message, duration);
@@ -1,11 +1,17 @@
 /**
  * Transaction Manager Module
- * Handles income and expense transactions
+ * Handles income, expense and transfer transactions
  */
 
+// Income and expense history are loaded a page at a time
+const TRANSACTION_PAGE_SIZE = 25;
+
 class TransactionManager {
     constructor() {
         this.apiClient = window.apiClient;
+        // Account, amount, text and sort filters applied with "Filter Transactions"
+        this.listFilters = {};
+        this.pages = { income: 1, expense: 1 };
         this.initializeEventListeners();
     }
 
@@ -51,6 +57,53 @@ class TransactionManager {
                     }
                     this.deleteExpenseTransaction(id);
                     break;
+                case 'delete-transfer':
+                    if (isNaN(id)) {
+                        console.error('Invalid transfer ID for delete:', idAttr);
+                        return;
+                    }
+                    this.deleteTransfer(id);
+                    break;
+                case 'restore-trash':
+                    this.restoreFromTrash(target.getAttribute('data-type'), id);
+                    break;
+                case 'purge-trash':
+                    this.purgeFromTrash(target.getAttribute('data-type'), id);
+                    break;
+                case 'empty-trash':
+                    this.emptyTrash();
+                    break;
+                case 'filter-tag':
+                    this.filterByTag(target.getAttribute('data-tag'));
+                    break;
+                case 'transaction-page':
+                    this.changePage(target.getAttribute('data-list'), parseInt(target.getAttribute('data-page')));
+                    break;
+                case 'keep-duplicate':
+                    this.mergeDuplicate(target.getAttribute('data-type'), id, parseInt(target.getAttribute('data-remove')));
+                    break;
+                case 'dismiss-duplicate':
+                    this.dismissDuplicate(target.getAttribute('data-type'), id, parseInt(target.getAttribute('data-other')));
+                    break;
+                case 'add-split-line':
+                    this.addSplitLine();
+                    break;
+                case 'remove-split-line':
+                    target.closest('.split-line')?.remove();
+                    this.updateSplitRemaining();
+                    break;
+                case 'save-splits':
+                    this.saveSplits();
+                    break;
+                case 'clear-splits':
+                    this.clearSplits();
+                    break;
+                case 'upload-attachment':
+                    this.uploadAttachments();
+                    break;
+                case 'delete-attachment':
+                    this.deleteAttachment(id);
+                    break;
                 case 'save-income':
                 case 'save-income-edit':
                     this.saveIncomeEdit();
@@ -80,6 +133,13 @@ class TransactionManager {
                 event.stopPropagation();
             }
         });
+
+        // Keep the split's "left to assign" hint in step with the amounts typed
+        document.addEventListener('input', (event) => {
+            if (event.target.closest && event.target.closest('#edit-expense-splits, #edit-expense-amount')) {
+                this.updateSplitRemaining();
+            }
+        });
     }
 
     async loadPaymentOptions() {
@@ -118,9 +178,77 @@ class TransactionManager {
                 expenseSelect.appendChild(option);
             });
 
+            // Update transfer from/to options (banks and cash only)
+            ['transfer-from', 'transfer-to'].forEach(selectId => {
+                const transferSelect = document.getElementById(selectId);
+                if (!transferSelect) return;
+
+                transferSelect.innerHTML = '<option value="cash">Cash</option>';
+                banks.forEach(bank => {
+                    const option = document.createElement('option');
+                    option.value = `bank-${bank.id}`;
+                    option.textContent = bank.name;
+                    transferSelect.appendChild(option);
+                });
+            });
+
+            // Account filter for the history: every account type, then each bank and card
+            const accountFilter = document.getElementById('transaction-account');
+            if (accountFilter) {
+                const selected = accountFilter.value;
+                accountFilter.innerHTML = `
+                    <option value="">All Accounts</option>
+                    <option value="cash">Cash</option>
+                    <option value="bank">All Banks</option>
+                    <option value="credit_card">All Credit Cards</option>
+                `;
+                [...banks.map(bank => ['bank', bank]), ...cards.map(card => ['credit_card', card])].forEach(([type, account]) => {
+                    const option = document.createElement('option');
+                    option.value = `${type}-${account.id}`;
+                    option.textContent = account.name;
+                    accountFilter.appendChild(option);
+                });
+                accountFilter.value = selected;
+            }
+
+            // Default to a bank → cash withdrawal, the most common transfer
+            const transferFrom = document.getElementById('transfer-from');
+            if (transferFrom && banks.length > 0) {
+                transferFrom.value = `bank-${banks[0].id}`;
+            }
+
         } catch (error) {
             console.error('Error loading payment options:', error);
         }
+
+        await this.loadCategoryOptions();
+    }
+
+    // Populate the add and edit expense category dropdowns
+    async loadCategoryOptions() {
+        try {
+            const categories = await this.apiClient.get('/api/categories');
+            this.categories = categories;
+
+            ['expense-category', 'edit-expense-category'].forEach(selectId => {
+                const select = document.getElementById(selectId);
+                if (!select) return;
+
+                const previousValue = select.value;
+                select.innerHTML = '<option value="">Uncategorized</option>';
+
+                categories.forEach(category => {
+                    const option = document.createElement('option');
+                    option.value = category.id;
+                    option.textContent = category.name;
+                    select.appendChild(option);
+                });
+
+                select.value = previousValue;
+            });
+        } catch (error) {
+            console.error('Error loading categories:', error);
+        }
     }
 
     async addIncome() {
@@ -155,6 +283,7 @@ class TransactionManager {
                 document.getElementById('income-source').value = '';
                 document.getElementById('income-amount').value = '';
                 this.showTransactionMessage('Income added successfully!', 'success');
+                this.warnAboutDuplicates(response.possibleDuplicates);
                 window.setupManager.loadSetupData(); // Refresh balances
                 this.loadTransactions(); // Refresh transactions
 
@@ -189,6 +318,7 @@ class TransactionManager {
         const title = document.getElementById('expense-title').value;
         const amount = document.getElementById('expense-amount').value;
         const paymentMethod = document.getElementById('expense-payment-method').value;
+        const categoryId = document.getElementById('expense-category')?.value || null;
         const date = document.getElementById('expense-date').value;
 
         if (!title || !amount || !date) {
@@ -210,6 +340,7 @@ class TransactionManager {
                 amount: parseFloat(amount),
                 paymentMethod: paymentMethodType,
                 paymentSourceId,
+                categoryId,
                 date
             });
 
@@ -217,6 +348,17 @@ class TransactionManager {
                 document.getElementById('expense-title').value = '';
                 document.getElementById('expense-amount').value = '';
                 this.showTransactionMessage('Expense added successfully!', 'success');
+                this.warnAboutDuplicates(response.possibleDuplicates);
+
+                // Warn when this expense pushed its category over budget
+                if (response.budgetWarning) {
+                    const warning = response.budgetWarning;
+                    window.toastManager.warning(
+                        `${warning.categoryName} is over budget by ${this.formatAmount(warning.overBy)} this month`,
+                        6000
+                    );
+                }
+
                 window.setupManager.loadSetupData(); // Refresh balances
                 this.loadTransactions(); // Refresh transactions
 
@@ -247,6 +389,53 @@ class TransactionManager {
         }
     }
 
+    async addTransfer() {
+        const from = document.getElementById('transfer-from').value;
+        const to = document.getElementById('transfer-to').value;
+        const amount = document.getElementById('transfer-amount').value;
+        const date = document.getElementById('transfer-date').value;
+        const note = document.getElementById('transfer-note').value.trim();
+
+        if (!amount || !date) {
+            this.showTransactionMessage('Please fill all fields', 'error');
+            return;
+        }
+
+        if (from === to) {
+            this.showTransactionMessage('Choose two different accounts to transfer between', 'error');
+            return;
+        }
+
+        const [fromType, fromId] = from === 'cash' ? ['cash', null] : from.split('-');
+        const [toType, toId] = to === 'cash' ? ['cash', null] : to.split('-');
+
+        try {
+            await this.apiClient.post('/api/transfers', {
+                fromType,
+                fromId,
+                toType,
+                toId,
+                amount: parseFloat(amount),
+                date,
+                note
+            });
+
+            document.getElementById('transfer-amount').value = '';
+            document.getElementById('transfer-note').value = '';
+            this.showTransactionMessage('Transfer recorded successfully!', 'success');
+            window.setupManager.loadSetupData(); // Refresh balances
+            this.loadTransactions(); // Refresh transactions
+
+            // Refresh activity data if activity manager exists
+            if (window.activityManager) {
+                window.activityManager.refreshData();
+            }
+        } catch (error) {
+            console.error('Error adding transfer:', error);
+            this.showTransactionMessage(error.message || 'Error recording transfer', 'error');
+        }
+    }
+
     showTransactionMessage(message, type) {
         const messageElement = document.getElementById('transactions-message');
         if (messageElement) {
@@ -263,6 +452,23 @@ class TransactionManager {
         }
     }
 
+    // Query string for one page of income or expense history with the current filters
+    getEntryListParams(list) {
+        const currentDate = new Date();
+        const params = new URLSearchParams();
+        params.append('month', this.selectedMonth || currentDate.getMonth() + 1);
+        params.append('year', this.selectedYear || currentDate.getFullYear());
+        if (this.selectedTag) {
+            params.append('tag', this.selectedTag);
+        }
+        Object.entries(this.listFilters).forEach(([key, value]) => {
+            if (value) params.append(key, value);
+        });
+        params.append('page', this.pages[list]);
+        params.append('limit', TRANSACTION_PAGE_SIZE);
+        return params;
+    }
+
     async loadTransactions() {
         // Use selected month/year from filters, or default to current month/year
         const currentDate = new Date();
@@ -271,19 +477,33 @@ class TransactionManager {
 
 
         try {
+            // Transfers have no tags, list filters or pages, so they only follow the month
             const params = new URLSearchParams();
             params.append('month', month);
             params.append('year', year);
 
-            const [incomeData, expenseData] = await Promise.all([
-                this.apiClient.get(`/api/income?${params.toString()}`),
-                this.apiClient.get(`/api/expenses?${params.toString()}`)
+            const [incomePage, expensePage, transferData] = await Promise.all([
+                this.apiClient.get(`/api/income?${this.getEntryListParams('income').toString()}`),
+                this.apiClient.get(`/api/expenses?${this.getEntryListParams('expense').toString()}`),
+                this.apiClient.get(`/api/transfers?${params.toString()}`)
             ]);
 
 
-            this.displayIncomeHistory(incomeData);
-            this.displayExpenseHistory(expenseData);
+            this.displayIncomeHistory(incomePage.entries);
+            this.renderListPagination('income', incomePage);
+            this.displayExpenseHistory(expensePage.entries);
+            this.renderListPagination('expense', expensePage);
+            this.displayTransferHistory(transferData);
             this.updateTransactionFormVisibility();
+            this.loadTrash();
+            this.loadDuplicates();
+
+            // Deleting the last entry of the last page leaves it empty; show the page before instead
+            [['income', incomePage], ['expense', expensePage]].forEach(([list, page]) => {
+                if (page.totalPages > 0 && page.currentPage > page.totalPages) {
+                    this.changePage(list, page.totalPages);
+                }
+            });
 
         } catch (error) {
             console.error('Error loading transactions:', error);
@@ -293,11 +513,54 @@ class TransactionManager {
                 window.expenseTracker.showAuthenticationForms();
             }
             if (window.showError) {
-                window.showError('Failed to load transactions. Please try again.');
+                window.showError(error.message || 'Failed to load transactions. Please try again.');
+            }
+        }
+    }
+
+    // Load another page of one history table, leaving the other as it is
+    async changePage(list, page) {
+        if (!['income', 'expense'].includes(list) || isNaN(page) || page < 1) return;
+
+        this.pages[list] = page;
+        try {
+            const endpoint = list === 'income' ? '/api/income' : '/api/expenses';
+            const response = await this.apiClient.get(`${endpoint}?${this.getEntryListParams(list).toString()}`);
+
+            if (list === 'income') {
+                this.displayIncomeHistory(response.entries);
+            } else {
+                this.displayExpenseHistory(response.entries);
+            }
+            this.renderListPagination(list, response);
+        } catch (error) {
+            console.error(`Error loading ${list} page:`, error);
+            if (window.showError) {
+                window.showError(error.message || 'Failed to load transactions. Please try again.');
             }
         }
     }
 
+    renderListPagination(list, pageInfo) {
+        const container = document.getElementById(`${list}-pagination`);
+        if (!container) return;
+
+        const { currentPage, totalPages, totalItems } = pageInfo;
+        if (totalPages <= 1) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const pageButton = (page, label) => `<button class="pagination-btn" data-action="transaction-page" data-list="${list}" data-page="${page}">${label}</button>`;
+        container.innerHTML = `
+            <div class="pagination">
+                ${currentPage > 1 ? pageButton(currentPage - 1, '« Previous') : ''}
+                <span class="pagination-summary">Page ${currentPage} of ${totalPages} (${totalItems} entries)</span>
+                ${currentPage < totalPages ? pageButton(currentPage + 1, 'Next »') : ''}
+            </div>
+        `;
+    }
+
     displayIncomeHistory(incomeData) {
         const incomeTableBody = document.getElementById('income-table-body');
         incomeTableBody.innerHTML = '';
@@ -313,13 +576,13 @@ class TransactionManager {
         } else {
             incomeData.forEach(income => {
                 const row = document.createElement('tr');
-                const date = new Date(income.date).toLocaleDateString();
+                const date = this.formatDate(income.date);
                 const creditedTo = income.credited_to_name || 'Unknown';
 
                 row.innerHTML = `
                     <td>${date}</td>
-                    <td>${income.source}</td>
-                    <td>₹${parseFloat(income.amount).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</td>
+                    <td>${income.source}${this.renderTags(income.tags)}</td>
+                    <td>${this.formatAmount(income.amount, income.currency)}</td>
                     <td>${creditedTo}</td>
                     <td>
                         <div class="action-buttons">
@@ -344,7 +607,7 @@ class TransactionManager {
         if (expenseData.length === 0) {
             const row = document.createElement('tr');
             row.innerHTML = `
-                <td colspan="5" style="text-align: center; color: #666; font-style: italic; padding: 20px;">
+                <td colspan="6" style="text-align: center; color: #666; font-style: italic; padding: 20px;">
                     No expense transactions found for this period
                 </td>
             `;
@@ -352,13 +615,14 @@ class TransactionManager {
         } else {
             expenseData.forEach(expense => {
                 const row = document.createElement('tr');
-                const date = new Date(expense.date).toLocaleDateString();
+                const date = this.formatDate(expense.date);
                 const paymentMethod = expense.payment_source_name || 'Unknown';
 
                 row.innerHTML = `
                     <td>${date}</td>
-                    <td>${expense.title}</td>
-                    <td>₹${parseFloat(expense.amount).toLocaleString('en-IN', {minimumFractionDigits: 2, maximumFractionDigits: 2})}</td>
+                    <td>${expense.title}${this.renderAttachmentIndicator(expense)}${this.renderTags(expense.tags)}</td>
+                    <td>${this.renderExpenseCategory(expense)}</td>
+                    <td>${this.formatAmount(expense.amount, expense.currency)}</td>
                     <td>${paymentMethod}</td>
                     <td>
                         <div class="action-buttons">
@@ -376,6 +640,212 @@ class TransactionManager {
         }
     }
 
+    displayTransferHistory(transferData) {
+        const transferTableBody = document.getElementById('transfer-table-body');
+        if (!transferTableBody) return;
+
+        this.transfers = transferData || [];
+        transferTableBody.innerHTML = '';
+
+        if (this.transfers.length === 0) {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td colspan="5" style="text-align: center; color: #666; font-style: italic; padding: 20px;">
+                    No transfers found for this period
+                </td>
+            `;
+            transferTableBody.appendChild(row);
+        } else {
+            this.transfers.forEach(transfer => {
+                const row = document.createElement('tr');
+                const date = this.formatDate(transfer.date);
+
+                row.innerHTML = `
+                    <td>${date}</td>
+                    <td>${window.escapeHtml(transfer.from_name)} → ${window.escapeHtml(transfer.to_name)}</td>
+                    <td>${this.formatAmount(transfer.amount, transfer.currency)}</td>
+                    <td>${window.escapeHtml(transfer.note)}</td>
+                    <td>
+                        <div class="action-buttons">
+                            <button class="action-btn delete-btn" data-action="delete-transfer" data-id="${transfer.id}">
+                                🗑️ Delete
+                            </button>
+                        </div>
+                    </td>
+                `;
+                transferTableBody.appendChild(row);
+            });
+        }
+    }
+
+    async loadTrash() {
+        const trashTableBody = document.getElementById('trash-table-body');
+        if (!trashTableBody) return;
+
+        try {
+            const trash = await this.apiClient.get('/api/trash');
+            trashTableBody.innerHTML = '';
+
+            if (trash.length === 0) {
+                trashTableBody.innerHTML = `
+                    <tr>
+                        <td colspan="7" style="text-align: center; color: #666; font-style: italic; padding: 20px;">
+                            Trash is empty
+                        </td>
+                    </tr>
+                `;
+                return;
+            }
+
+            trash.forEach(entry => {
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${this.formatDate(entry.deleted_at)}</td>
+                    <td>${this.formatDate(entry.date)}</td>
+                    <td><span class="trash-type">${entry.type}</span></td>
+                    <td>${window.escapeHtml(entry.description)}</td>
+                    <td>${this.formatAmount(entry.amount, entry.currency)}</td>
+                    <td>${window.escapeHtml(entry.account_name)}</td>
+                    <td>
+                        <div class="action-buttons">
+                            <button class="action-btn edit-btn" data-action="restore-trash" data-type="${entry.type}" data-id="${entry.id}">
+                                ♻️ Restore
+                            </button>
+                            <button class="action-btn delete-btn" data-action="purge-trash" data-type="${entry.type}" data-id="${entry.id}">
+                                ✖️ Delete Forever
+                            </button>
+                        </div>
+                    </td>
+                `;
+                trashTableBody.appendChild(row);
+            });
+        } catch (error) {
+            console.error('Error loading trash:', error);
+        }
+    }
+
+    // Toast after adding an entry that looks like one already recorded
+    warnAboutDuplicates(possibleDuplicates) {
+        if (!possibleDuplicates || possibleDuplicates.length === 0) return;
+
+        const match = possibleDuplicates[0];
+        const others = possibleDuplicates.length > 1 ? ` and ${possibleDuplicates.length - 1} more` : '';
+        window.toastManager.warning(
+            `This looks like a duplicate of "${match.title}" on ${this.formatDate(match.date)}${others}. Review it under Possible Duplicates.`,
+            8000
+        );
+    }
+
+    async loadDuplicates() {
+        const duplicatesList = document.getElementById('duplicates-list');
+        if (!duplicatesList) return;
+
+        try {
+            const pairs = await this.apiClient.get('/api/duplicates');
+
+            if (pairs.length === 0) {
+                duplicatesList.innerHTML = '<p class="no-data">No likely duplicates found</p>';
+                return;
+            }
+
+            duplicatesList.innerHTML = pairs.map(pair => {
+                const [first, second] = pair.entries;
+                const entry = (item, other) => `
+                    <div class="duplicate-entry">
+                        <div class="duplicate-title">${window.escapeHtml(item.title)}</div>
+                        <div class="duplicate-meta">${this.formatDate(item.date)} · added ${this.formatDate(item.created_at)}</div>
+                        <button class="action-btn edit-btn" data-action="keep-duplicate" data-type="${pair.type}" data-id="${item.id}" data-remove="${other.id}">
+                            ✅ Keep this
+                        </button>
+                    </div>
+                `;
+
+                return `
+                    <div class="duplicate-pair">
+                        <div class="duplicate-summary">
+                            <span class="trash-type">${pair.type}</span>
+                            ${this.formatAmount(pair.amount, pair.currency)} · ${window.escapeHtml(pair.account_name)}
+                        </div>
+                        <div class="duplicate-entries">
+                            ${entry(first, second)}
+                            ${entry(second, first)}
+                        </div>
+                        <button class="action-btn" data-action="dismiss-duplicate" data-type="${pair.type}" data-id="${first.id}" data-other="${second.id}">
+                            Not a duplicate
+                        </button>
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Error loading duplicates:', error);
+        }
+    }
+
+    async mergeDuplicate(type, keepId, removeId) {
+        try {
+            await this.apiClient.post('/api/duplicates/merge', { type, keepId, removeId });
+            if (window.showSuccess) {
+                window.showSuccess('Duplicates merged; the other entry is in the trash');
+            }
+            this.refreshAfterDelete();
+        } catch (error) {
+            console.error('Error merging duplicates:', error);
+            if (window.showError) {
+                window.showError(error.message || 'Failed to merge duplicates');
+            }
+        }
+    }
+
+    async dismissDuplicate(type, id, otherId) {
+        try {
+            await this.apiClient.post('/api/duplicates/dismiss', { type, id, otherId });
+            this.loadDuplicates();
+        } catch (error) {
+            console.error('Error dismissing duplicate:', error);
+            if (window.showError) {
+                window.showError(error.message || 'Failed to dismiss duplicate');
+            }
+        }
+    }
+
+    async restoreFromTrash(type, id) {
+        try {
+            await this.apiClient.post(`/api/trash/${type}/${id}/restore`, {});
+            if (window.showSuccess) {
+                window.showSuccess(type === 'income' ? 'Income transaction restored' : 'Expense transaction restored');
+            }
+            this.refreshAfterDelete();
+        } catch (error) {
+            console.error('Error restoring transaction:', error);
+            if (window.showError) {
+                window.showError(error.message || 'Failed to restore transaction');
+            }
+        }
+    }
+
+    purgeFromTrash(type, id) {
+        this.deletingTransactionId = id;
+        this.deletingTransactionType = 'trash-entry';
+        this.deletingTrashType = type;
+        this.openDeleteModal('Permanently delete this transaction from the trash?', 'This action cannot be undone.');
+    }
+
+    emptyTrash() {
+        this.deletingTransactionId = null;
+        this.deletingTransactionType = 'trash-all';
+        this.openDeleteModal('Permanently delete everything in the trash?', 'This action cannot be undone.');
+    }
+
+    // Balances, lists, trash and activity all change when an entry is deleted or restored
+    refreshAfterDelete() {
+        window.setupManager.loadSetupData(); // Refresh balances
+        this.loadTransactions(); // Refresh transactions (and the trash)
+
+        if (window.activityManager) {
+            window.activityManager.refreshData();
+        }
+    }
+
     updateTransactionFormVisibility() {
         const incomeForm = document.getElementById('income-form');
         const expenseForm = document.getElementById('expense-form');
@@ -400,6 +870,12 @@ class TransactionManager {
             incomeHistory.style.display = 'block';
             expenseHistory.style.display = 'block';
         }
+
+        // Transfers move balances, which expense-only tracking doesn't maintain
+        const transferForm = document.getElementById('transfer-form');
+        const transferHistory = document.getElementById('transfer-history');
+        if (transferForm) transferForm.classList.toggle('hidden', trackingOption === 'expenses');
+        if (transferHistory) transferHistory.style.display = trackingOption === 'expenses' ? 'none' : 'block';
     }
 
     // Transaction filtering functionality
@@ -446,6 +922,18 @@ class TransactionManager {
 
         this.selectedMonth = parseInt(monthSelect.value);
         this.selectedYear = parseInt(yearSelect.value);
+        this.selectedTag = document.getElementById('transaction-tag')?.value.trim().replace(/^#+/, '') || '';
+
+        const [sort, order] = (document.getElementById('transaction-sort')?.value || 'date-desc').split('-');
+        this.listFilters = {
+            account: document.getElementById('transaction-account')?.value || '',
+            min_amount: document.getElementById('transaction-min-amount')?.value || '',
+            max_amount: document.getElementById('transaction-max-amount')?.value || '',
+            q: document.getElementById('transaction-text')?.value.trim() || '',
+            sort,
+            order
+        };
+        this.pages = { income: 1, expense: 1 };
 
         if (window.showInfo) {
             window.showInfo(`Loading transactions for ${monthSelect.options[monthSelect.selectedIndex].text} ${this.selectedYear}...`);
@@ -454,6 +942,69 @@ class TransactionManager {
         await this.loadTransactions();
     }
 
+    // Clicking a tag chip narrows the lists to entries with that tag
+    async filterByTag(tag) {
+        const tagInput = document.getElementById('transaction-tag');
+        if (tagInput) {
+            tagInput.value = `#${tag}`;
+        }
+        this.selectedTag = tag;
+        this.pages = { income: 1, expense: 1 };
+        await this.loadTransactions();
+    }
+
+    renderTags(tags) {
+        if (!tags || tags.length === 0) {
+            return '';
+        }
+        // Tags are limited to letters, numbers, - and _ by the server, so they are safe to inline
+        const chips = tags.map(tag => `<button class="tag-chip" data-action="filter-tag" data-tag="${tag}">#${tag}</button>`);
+        return `<div class="tag-list">${chips.join('')}</div>`;
+    }
+
+    // Paperclip on expenses with receipts or invoices; it opens the expense, where they are listed
+    renderAttachmentIndicator(expense) {
+        const count = expense.attachment_count || 0;
+        if (count === 0) {
+            return '';
+        }
+        const label = count === 1 ? '1 attachment' : `${count} attachments`;
+        return `<button class="attachment-indicator" data-action="edit-expense" data-id="${expense.id}" title="${label}">📎${count > 1 ? count : ''}</button>`;
+    }
+
+    // Split expenses are reported by their lines, so the list says so instead of showing one category
+    renderExpenseCategory(expense) {
+        const splitCount = expense.split_count || 0;
+        if (splitCount > 0) {
+            return `<button class="category-chip split-chip" data-action="edit-expense" data-id="${expense.id}" title="Open to see the split lines">Split · ${splitCount}</button>`;
+        }
+        return `<span class="category-chip">${window.escapeHtml(expense.category_name || 'Uncategorized')}</span>`;
+    }
+
+    // Tags are stored without the #; the edit fields show them with it
+    formatTagsForInput(tags) {
+        return (tags || []).map(tag => `#${tag}`).join(' ');
+    }
+
+    formatAmount(amount, currency) {
+        if (window.expenseTracker?.formatAmount) {
+            return window.expenseTracker.formatAmount(amount, currency);
+        }
+        return parseFloat(amount).toLocaleString('en-IN', {
+            style: 'currency',
+            currency: currency || window.expenseTracker?.baseCurrency || 'INR',
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        });
+    }
+
+    formatDate(value) {
+        if (window.expenseTracker?.formatDate) {
+            return window.expenseTracker.formatDate(value);
+        }
+        return new Date(value).toLocaleDateString('en-IN');
+    }
+
     // ===== CRUD OPERATIONS =====
 
     // Helper function to format date for input field
@@ -495,6 +1046,8 @@ class TransactionManager {
             // Debug the date formatting
             const formattedDate = this.formatDateForInput(income.date);
             document.getElementById('edit-income-date').value = formattedDate;
+            document.getElementById('edit-income-tags').value = this.formatTagsForInput(income.tags);
+            document.getElementById('edit-income-notes').value = income.notes || '';
 
             // Set credited to value after dropdown is populated
             const creditedToValue = income.credited_to_type === 'cash' ? 'cash' : `${income.credited_to_type}-${income.credited_to_id}`;
@@ -522,8 +1075,11 @@ class TransactionManager {
             // Store the expense ID for saving
             this.editingExpenseId = expenseId;
 
-            // Load payment options for the edit form first
-            await this.loadEditPaymentOptions();
+            // Load payment and category options for the edit form first
+            await Promise.all([
+                this.loadEditPaymentOptions(),
+                this.loadCategoryOptions()
+            ]);
 
             // Populate the edit form after options are loaded
             document.getElementById('edit-expense-title').value = expense.title;
@@ -532,12 +1088,21 @@ class TransactionManager {
             // Debug the date formatting
             const formattedDate = this.formatDateForInput(expense.date);
             document.getElementById('edit-expense-date').value = formattedDate;
+            document.getElementById('edit-expense-tags').value = this.formatTagsForInput(expense.tags);
+            document.getElementById('edit-expense-notes').value = expense.notes || '';
+            document.getElementById('edit-expense-attachment-file').value = '';
+            this.loadAttachments(expenseId);
+            this.loadSplits(expenseId);
 
             // Set payment method value after dropdown is populated
             const paymentMethodValue = expense.payment_method === 'cash' ? 'cash' : `${expense.payment_method}-${expense.payment_source_id}`;
             const paymentMethodSelect = document.getElementById('edit-expense-payment-method');
             paymentMethodSelect.value = paymentMethodValue;
 
+            const categorySelect = document.getElementById('edit-expense-category');
+            if (categorySelect) {
+                categorySelect.value = expense.category_id || '';
+            }
 
             // Show the modal
             document.getElementById('edit-expense-modal').classList.remove('hidden');
@@ -604,6 +1169,8 @@ class TransactionManager {
         const amount = document.getElementById('edit-income-amount').value;
         const creditedTo = document.getElementById('edit-income-credited-to').value;
         const date = document.getElementById('edit-income-date').value;
+        const tags = document.getElementById('edit-income-tags').value;
+        const notes = document.getElementById('edit-income-notes').value;
 
         if (!source || !amount || !date) {
             if (window.showError) {
@@ -626,7 +1193,9 @@ class TransactionManager {
                 amount: parseFloat(amount),
                 creditedToType,
                 creditedToId,
-                date
+                date,
+                tags,
+                notes
             });
 
 
@@ -653,7 +1222,7 @@ class TransactionManager {
             // If the transaction moved to a different month/year, notify the user
             if (editedMonth !== currentMonth || editedYear !== currentYear) {
                 if (window.showInfo) {
-                    window.showInfo(`Transaction moved to ${editedDate.toLocaleDateString('en-US', {month: 'long', year: 'numeric'})}. Change filter to view it.`);
+                    window.showInfo(`Transaction moved to ${editedDate.toLocaleDateString(window.expenseTracker?.preferences?.locale || 'en-IN', {month: 'long', year: 'numeric'})}. Change filter to view it.`);
                 }
             }
 
@@ -662,9 +1231,197 @@ class TransactionManager {
         } catch (error) {
             console.error('Error updating income:', error);
             if (window.showError) {
-                window.showError('Failed to update income transaction');
+                window.showError(error.message || 'Failed to update income transaction');
+            }
+        }
+    }
+
+    // Receipts and invoices of the expense open in the edit modal
+    async loadAttachments(expenseId) {
+        const list = document.getElementById('edit-expense-attachments');
+        if (!list) return;
+
+        try {
+            const attachments = await this.apiClient.get(`/api/expenses/${expenseId}/attachments`);
+
+            if (attachments.length === 0) {
+                list.innerHTML = '<p class="attachment-empty">No receipts or invoices attached yet</p>';
+                return;
+            }
+
+            list.innerHTML = attachments.map(attachment => `
+                <div class="attachment-item">
+                    <a href="/api/attachments/${attachment.id}" download>📎 ${window.escapeHtml(attachment.filename)}</a>
+                    <span class="attachment-size">${this.formatFileSize(attachment.size_bytes)}</span>
+                    <button class="action-btn delete-btn" data-action="delete-attachment" data-id="${attachment.id}">🗑️ Delete</button>
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading attachments:', error);
+            list.innerHTML = '<p class="attachment-empty">Failed to load attachments</p>';
+        }
+    }
+
+    // Split lines of the expense open in the edit modal, one editable row each
+    async loadSplits(expenseId) {
+        const list = document.getElementById('edit-expense-splits');
+        if (!list) return;
+
+        list.innerHTML = '';
+        try {
+            const splits = await this.apiClient.get(`/api/expenses/${expenseId}/splits`);
+            splits.forEach(split => this.addSplitLine(split));
+        } catch (error) {
+            console.error('Error loading split lines:', error);
+        }
+        this.updateSplitRemaining();
+    }
+
+    addSplitLine(split = {}) {
+        const list = document.getElementById('edit-expense-splits');
+        if (!list) return;
+
+        const options = (this.categories || []).map(category => `
+            <option value="${category.id}">${window.escapeHtml(category.name)}</option>
+        `).join('');
+
+        const line = document.createElement('div');
+        line.className = 'split-line';
+        line.innerHTML = `
+            <select class="split-category">
+                <option value="">Uncategorized</option>
+                ${options}
+            </select>
+            <input type="number" class="split-amount" step="0.01" min="0" placeholder="0.00">
+            <input type="text" class="split-note" maxlength="200" placeholder="Note">
+            <button class="action-btn delete-btn" data-action="remove-split-line">✕</button>
+        `;
+        // Filled in through the DOM so a note can't break out of the markup
+        line.querySelector('.split-category').value = split.category_id || '';
+        line.querySelector('.split-amount').value = split.amount || '';
+        line.querySelector('.split-note').value = split.note || '';
+        list.appendChild(line);
+        this.updateSplitRemaining();
+    }
+
+    getSplitLines() {
+        return Array.from(document.querySelectorAll('#edit-expense-splits .split-line')).map(line => ({
+            categoryId: line.querySelector('.split-category').value || null,
+            amount: line.querySelector('.split-amount').value,
+            note: line.querySelector('.split-note').value
+        }));
+    }
+
+    updateSplitRemaining() {
+        const hint = document.getElementById('edit-expense-split-remaining');
+        const amountInput = document.getElementById('edit-expense-amount');
+        if (!hint || !amountInput) return;
+
+        const lines = this.getSplitLines();
+        if (lines.length === 0) {
+            hint.textContent = 'Not split; add lines to spread this expense over several categories';
+            return;
+        }
+
+        const assigned = lines.reduce((sum, line) => sum + Math.round((parseFloat(line.amount) || 0) * 100), 0);
+        const remaining = Math.round((parseFloat(amountInput.value) || 0) * 100) - assigned;
+        hint.textContent = remaining === 0
+            ? 'Lines add up to the expense amount'
+            : `${(Math.abs(remaining) / 100).toFixed(2)} ${remaining > 0 ? 'left to assign' : 'more than the expense amount'}`;
+    }
+
+    // Split lines are saved on their own, against the expense amount already saved
+    async saveSplits() {
+        const expenseId = this.editingExpenseId;
+        if (!expenseId) return;
+
+        try {
+            const splits = await this.apiClient.put(`/api/expenses/${expenseId}/splits`, { splits: this.getSplitLines() });
+            if (window.showSuccess) {
+                window.showSuccess(splits.length > 0 ? 'Split saved' : 'Split removed');
+            }
+            this.loadSplits(expenseId);
+            this.loadTransactions(); // Refresh the category column in the expense list
+        } catch (error) {
+            console.error('Error saving split lines:', error);
+            if (window.showError) {
+                window.showError(error.message || 'Failed to save the split');
+            }
+        }
+    }
+
+    clearSplits() {
+        const list = document.getElementById('edit-expense-splits');
+        if (list) {
+            list.innerHTML = '';
+        }
+        this.saveSplits();
+    }
+
+    // Upload the chosen files one by one; a rejected file doesn't stop the rest
+    async uploadAttachments() {
+        const fileInput = document.getElementById('edit-expense-attachment-file');
+        const files = Array.from(fileInput?.files || []);
+        const expenseId = this.editingExpenseId;
+
+        if (!expenseId || files.length === 0) {
+            if (window.showError) {
+                window.showError('Please choose a receipt or invoice to attach');
+            }
+            return;
+        }
+
+        let uploaded = 0;
+        for (const file of files) {
+            try {
+                if (file.size > 5 * 1024 * 1024) {
+                    throw new Error('Attachments must be 5 MB or smaller');
+                }
+
+                await this.apiClient.post(`/api/expenses/${expenseId}/attachments`, {
+                    filename: file.name,
+                    contentType: file.type,
+                    data: await this.readFileAsBase64(file)
+                });
+                uploaded++;
+            } catch (error) {
+                console.error('Error uploading attachment:', error);
+                if (window.showError) {
+                    window.showError(`${file.name}: ${error.message || 'Failed to upload attachment'}`);
+                }
             }
         }
+
+        fileInput.value = '';
+        if (uploaded > 0) {
+            if (window.showSuccess) {
+                window.showSuccess(uploaded === 1 ? 'Attachment uploaded' : `${uploaded} attachments uploaded`);
+            }
+            this.loadAttachments(expenseId);
+            this.loadTransactions(); // Refresh the paperclip in the expense list
+        }
+    }
+
+    deleteAttachment(attachmentId) {
+        this.deletingTransactionId = attachmentId;
+        this.deletingTransactionType = 'attachment';
+        this.openDeleteModal('Delete this attachment?', 'The file will be removed permanently.');
+    }
+
+    // Attachments are sent as base64 inside the JSON body
+    readFileAsBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+            reader.onerror = () => reject(new Error('Could not read the file'));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
     }
 
     // Save Expense Edit
@@ -672,7 +1429,10 @@ class TransactionManager {
         const title = document.getElementById('edit-expense-title').value;
         const amount = document.getElementById('edit-expense-amount').value;
         const paymentMethod = document.getElementById('edit-expense-payment-method').value;
+        const categoryId = document.getElementById('edit-expense-category')?.value || null;
         const date = document.getElementById('edit-expense-date').value;
+        const tags = document.getElementById('edit-expense-tags').value;
+        const notes = document.getElementById('edit-expense-notes').value;
 
         if (!title || !amount || !date) {
             if (window.showError) {
@@ -695,7 +1455,10 @@ class TransactionManager {
                 amount: parseFloat(amount),
                 paymentMethod: paymentMethodType,
                 paymentSourceId,
-                date
+                categoryId,
+                date,
+                tags,
+                notes
             });
 
 
@@ -722,7 +1485,7 @@ class TransactionManager {
             // If the transaction moved to a different month/year, notify the user
             if (editedMonth !== currentMonth || editedYear !== currentYear) {
                 if (window.showInfo) {
-                    window.showInfo(`Transaction moved to ${editedDate.toLocaleDateString('en-US', {month: 'long', year: 'numeric'})}. Change filter to view it.`);
+                    window.showInfo(`Transaction moved to ${editedDate.toLocaleDateString(window.expenseTracker?.preferences?.locale || 'en-IN', {month: 'long', year: 'numeric'})}. Change filter to view it.`);
                 }
             }
 
@@ -731,7 +1494,7 @@ class TransactionManager {
         } catch (error) {
             console.error('Error updating expense:', error);
             if (window.showError) {
-                window.showError('Failed to update expense transaction');
+                window.showError(error.message || 'Failed to update expense transaction');
             }
         }
     }
@@ -745,10 +1508,8 @@ class TransactionManager {
             this.deletingTransactionId = incomeId;
             this.deletingTransactionType = 'income';
 
-            const message = `Are you sure you want to delete this income transaction?\n\nSource: ${income.source}\nAmount: ₹${parseFloat(income.amount).toLocaleString('en-IN', {minimumFractionDigits: 2})}`;
-            document.getElementById('delete-confirmation-message').innerHTML = message.replace(/\n/g, '<br>');
-
-            document.getElementById('delete-confirmation-modal').classList.remove('hidden');
+            const message = `Are you sure you want to move this income transaction to the trash?\n\nSource: ${income.source}\nAmount: ${this.formatAmount(income.amount, income.currency)}`;
+            this.openDeleteModal(message, 'You can restore it from the trash.');
 
         } catch (error) {
             console.error('Error loading income for delete:', error);
@@ -767,10 +1528,8 @@ class TransactionManager {
             this.deletingTransactionId = expenseId;
             this.deletingTransactionType = 'expense';
 
-            const message = `Are you sure you want to delete this expense transaction?\n\nTitle: ${expense.title}\nAmount: ₹${parseFloat(expense.amount).toLocaleString('en-IN', {minimumFractionDigits: 2})}`;
-            document.getElementById('delete-confirmation-message').innerHTML = message.replace(/\n/g, '<br>');
-
-            document.getElementById('delete-confirmation-modal').classList.remove('hidden');
+            const message = `Are you sure you want to move this expense transaction to the trash?\n\nTitle: ${expense.title}\nAmount: ${this.formatAmount(expense.amount, expense.currency)}`;
+            this.openDeleteModal(message, 'You can restore it from the trash.');
 
         } catch (error) {
             console.error('Error loading expense for delete:', error);
@@ -781,29 +1540,68 @@ class TransactionManager {
     }
 
     // Confirm Delete
+    deleteTransfer(transferId) {
+        const transfer = (this.transfers || []).find(t => t.id === transferId);
+        if (!transfer) return;
+
+        this.deletingTransactionId = transferId;
+        this.deletingTransactionType = 'transfer';
+
+        const message = `Are you sure you want to delete this transfer? The money will be moved back.\n\nFrom: ${transfer.from_name}\nTo: ${transfer.to_name}\nAmount: ${this.formatAmount(transfer.amount, transfer.currency)}`;
+        this.openDeleteModal(message, 'This action cannot be undone.');
+    }
+
+    openDeleteModal(message, warning) {
+        document.getElementById('delete-confirmation-message').innerHTML = message.replace(/\n/g, '<br>');
+        document.getElementById('delete-confirmation-warning').textContent = warning;
+
+        document.getElementById('delete-confirmation-modal').classList.remove('hidden');
+    }
+
     async confirmDelete() {
+        const id = this.deletingTransactionId;
+        // Deleted income/expenses go to the trash, so the toast can bring them straight back
+        const undo = (type) => ({ label: 'Undo', onClick: () => this.restoreFromTrash(type, id) });
+
         try {
             if (this.deletingTransactionType === 'income') {
-                await this.apiClient.delete(`/api/income/${this.deletingTransactionId}`);
+                await this.apiClient.delete(`/api/income/${id}`);
                 if (window.showSuccess) {
-                    window.showSuccess('Income transaction deleted successfully!');
+                    window.showSuccess('Income transaction moved to trash', 8000, undo('income'));
                 }
             } else if (this.deletingTransactionType === 'expense') {
-                await this.apiClient.delete(`/api/expenses/${this.deletingTransactionId}`);
+                await this.apiClient.delete(`/api/expenses/${id}`);
+                if (window.showSuccess) {
+                    window.showSuccess('Expense transaction moved to trash', 8000, undo('expense'));
+                }
+            } else if (this.deletingTransactionType === 'transfer') {
+                await this.apiClient.delete(`/api/transfers/${this.deletingTransactionId}`);
                 if (window.showSuccess) {
-                    window.showSuccess('Expense transaction deleted successfully!');
+                    window.showSuccess('Transfer deleted successfully!');
+                }
+            } else if (this.deletingTransactionType === 'trash-entry') {
+                await this.apiClient.delete(`/api/trash/${this.deletingTrashType}/${id}`);
+                if (window.showSuccess) {
+                    window.showSuccess('Transaction permanently deleted');
+                }
+            } else if (this.deletingTransactionType === 'trash-all') {
+                const response = await this.apiClient.delete('/api/trash');
+                if (window.showSuccess) {
+                    window.showSuccess(`Trash emptied (${response.purged} transactions deleted)`);
+                }
+            } else if (this.deletingTransactionType === 'attachment') {
+                await this.apiClient.delete(`/api/attachments/${id}`);
+                if (window.showSuccess) {
+                    window.showSuccess('Attachment deleted');
+                }
+                if (this.editingExpenseId) {
+                    this.loadAttachments(this.editingExpenseId);
                 }
             }
 
             // Close modal and refresh
             this.closeDeleteModal();
-            window.setupManager.loadSetupData(); // Refresh balances
-            this.loadTransactions(); // Refresh transactions
-
-            // Refresh activity data if activity manager exists
-            if (window.activityManager) {
-                window.activityManager.refreshData();
-            }
+            this.refreshAfterDelete();
 
         } catch (error) {
             console.error('Error deleting transaction:', error);
@@ -828,6 +1626,7 @@ class TransactionManager {
         document.getElementById('delete-confirmation-modal').classList.add('hidden');
         this.deletingTransactionId = null;
         this.deletingTransactionType = null;
+        this.deletingTrashType = null;
     }
 
 
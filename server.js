@@ -6,10 +6,14 @@ const session = require('express-session');
 const bcrypt = require('bcryptjs');
 const { Pool } = require('pg');
 const path = require('path');
+const crypto = require('crypto');
 const bodyParser = require('body-parser');
 const rateLimit = require('express-rate-limit');
 const pgSession = require('connect-pg-simple')(session);
 const helmet = require('helmet');
+const { CSV_DATE_FORMATS, STATEMENT_FORMATS, parseStatement } = require('./import-parsers');
+const { createZip } = require('./zip-writer');
+const { createLocalStorage } = require('./attachment-storage');
 
 const app = express();
 
@@ -142,476 +146,4556 @@ function validatePassword(password) {
     return null; // Password is valid
 }
 
-// Authentication middleware
-const requireAuth = (req, res, next) => {
-    if (req.session.userId) {
-        next();
+// Categories every new account starts with (users can rename/delete/add their own)
+const DEFAULT_EXPENSE_CATEGORIES = [
+    'Groceries',
+    'Rent',
+    'Utilities',
+    'Transport',
+    'Dining',
+    'Shopping',
+    'Health',
+    'Entertainment',
+    'Education',
+    'Other',
+];
+
+// Seed the default expense categories for a user (safe to call repeatedly)
+async function seedDefaultCategories(db, userId) {
+    await db.query(
+        `INSERT INTO expense_categories (user_id, name)
+         SELECT $1, UNNEST($2::text[])
+         ON CONFLICT (user_id, name) DO NOTHING`,
+        [userId, DEFAULT_EXPENSE_CATEGORIES]
+    );
+}
+
+// Resolve an optional category ID from a request body.
+// Returns { categoryId } (null when not provided) or { error } when the category is not the user's.
+async function resolveCategoryId(db, userId, categoryId) {
+    if (categoryId === undefined || categoryId === null || categoryId === '') {
+        return { categoryId: null };
+    }
+
+    const parsedId = parseInt(categoryId);
+    if (isNaN(parsedId)) {
+        return { error: 'Invalid category' };
+    }
+
+    const result = await db.query(
+        'SELECT id FROM expense_categories WHERE id = $1 AND user_id = $2',
+        [parsedId, userId]
+    );
+
+    if (result.rows.length === 0) {
+        return { error: 'Category not found' };
+    }
+
+    return { categoryId: parsedId };
+}
+
+const MAX_TAGS = 10;
+const MAX_NOTE_LENGTH = 2000;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,29}$/;
+
+// Turn "#Trip-Goa, reimbursable" or ['#trip-goa'] into ['trip-goa', 'reimbursable'].
+// Returns { tags } or { error }.
+function normalizeTags(value) {
+    if (value === undefined || value === null || value === '') {
+        return { tags: [] };
+    }
+
+    const rawTags = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+    const tags = [];
+    for (const rawTag of rawTags) {
+        const tag = String(rawTag).trim().replace(/^#+/, '').toLowerCase();
+        if (!tag) continue;
+        if (!TAG_PATTERN.test(tag)) {
+            return { error: `Invalid tag "${rawTag}": use up to 30 letters, numbers, - or _` };
+        }
+        if (!tags.includes(tag)) tags.push(tag);
+    }
+
+    if (tags.length > MAX_TAGS) {
+        return { error: `An entry can have at most ${MAX_TAGS} tags` };
+    }
+
+    return { tags };
+}
+
+// A ?tag= filter value in the stored form (no #, lower case)
+function normalizeTagFilter(value) {
+    return String(value).trim().replace(/^#+/, '').toLowerCase();
+}
+
+// Validate tags and notes from an income/expense body. Fields that were not sent keep
+// the values in `current` so older clients don't wipe them on edit.
+function validateTagsAndNotes(body, current = { tags: [], notes: null }) {
+    const tagResult = body.tags === undefined ? { tags: current.tags || [] } : normalizeTags(body.tags);
+    if (tagResult.error) {
+        return { error: tagResult.error };
+    }
+
+    let notes = body.notes === undefined ? current.notes : body.notes;
+    notes = notes === null || notes === undefined || String(notes).trim() === '' ? null : String(notes).trim();
+    if (notes && notes.length > MAX_NOTE_LENGTH) {
+        return { error: `Notes must be at most ${MAX_NOTE_LENGTH} characters` };
+    }
+
+    return { values: { tags: tagResult.tags, notes } };
+}
+
+// Expenses the way category totals count them: an expense split into lines counts once per line,
+// under that line's category and amount; any other expense counts whole under its own category.
+// Used in place of the expenses table, so it keeps the columns those queries join and filter on.
+const EXPENSE_CATEGORY_LINES = `(
+            SELECT e.id, e.user_id, e.payment_method, e.payment_source_id, e.date, e.deleted_at,
+                   CASE WHEN s.id IS NULL THEN e.category_id ELSE s.category_id END AS category_id,
+                   COALESCE(s.amount, e.amount) AS amount
+            FROM expenses e
+            LEFT JOIN expense_splits s ON s.expense_id = e.id
+         )`;
+
+// Spent vs. limit for the user's category budgets in a given month, with spending converted
+// into the base currency. Pass categoryId to check a single category's budget, and the
+// caller's currency context to collect missing rates alongside its own totals.
+async function getBudgetStatus(db, userId, month, year, categoryId = null, currencyContext = null) {
+    const params = [userId, month, year];
+    let categoryFilter = '';
+    if (categoryId) {
+        categoryFilter = ' AND b.category_id = $4';
+        params.push(categoryId);
+    }
+
+    const result = await db.query(
+        `SELECT b.id, b.category_id, ec.name AS category_name, b.monthly_limit,
+                COALESCE(bk.currency, cc.currency, cw.currency) AS currency,
+                COALESCE(SUM(e.amount), 0) AS spent
+         FROM budgets b
+         JOIN expense_categories ec ON b.category_id = ec.id
+         LEFT JOIN ${EXPENSE_CATEGORY_LINES} e ON e.category_id = b.category_id AND e.user_id = b.user_id
+              AND EXTRACT(MONTH FROM e.date) = $2 AND EXTRACT(YEAR FROM e.date) = $3 AND e.deleted_at IS NULL
+         LEFT JOIN banks bk ON e.payment_method = 'bank' AND e.payment_source_id = bk.id
+         LEFT JOIN credit_cards cc ON e.payment_method = 'credit_card' AND e.payment_source_id = cc.id
+         LEFT JOIN cash_balance cw ON e.payment_method = 'cash' AND cw.user_id = e.user_id
+         WHERE b.user_id = $1${categoryFilter}
+         GROUP BY b.id, b.category_id, ec.name, b.monthly_limit, 5
+         ORDER BY ec.name`,
+        params
+    );
+
+    if (result.rows.length === 0) {
+        return [];
+    }
+
+    // One row per budget and currency spent in; merge them once converted
+    const { convert } = currencyContext || await getCurrencyContext(db, userId);
+    const budgets = new Map();
+    result.rows.forEach((row) => {
+        const current = budgets.get(row.id) || {
+            id: row.id,
+            categoryId: row.category_id,
+            categoryName: row.category_name,
+            monthlyLimit: parseFloat(row.monthly_limit || 0),
+            spent: 0,
+        };
+        current.spent += convert(row.spent, row.currency);
+        budgets.set(row.id, current);
+    });
+
+    return [...budgets.values()].map((budget) => {
+        const spent = Math.round(budget.spent * 100) / 100;
+        return {
+            ...budget,
+            spent: spent,
+            remaining: budget.monthlyLimit - spent,
+            percentUsed: budget.monthlyLimit > 0 ? (spent / budget.monthlyLimit) * 100 : 0,
+            isOverBudget: spent > budget.monthlyLimit,
+        };
+    });
+}
+
+// Add a (possibly negative) amount to a bank account or the cash wallet
+async function adjustAccountBalance(db, userId, accountType, accountId, delta) {
+    if (accountType === 'bank') {
+        await db.query(
+            'UPDATE banks SET current_balance = current_balance + $1 WHERE id = $2 AND user_id = $3',
+            [delta, accountId, userId]
+        );
+    } else if (accountType === 'cash') {
+        await db.query(
+            'UPDATE cash_balance SET balance = balance + $1 WHERE user_id = $2',
+            [delta, userId]
+        );
+    }
+}
+
+// Record a create/update/delete in the audit log with the row as it was before and after
+async function recordAudit(db, userId, entityType, entityId, action, before, after) {
+    await db.query(
+        'INSERT INTO audit_log (user_id, entity_type, entity_id, action, before_data, after_data) VALUES ($1, $2, $3, $4, $5, $6)',
+        [userId, entityType, entityId, action, before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null]
+    );
+}
+
+// Credit an income amount to its bank account or cash wallet
+async function applyIncomeBalance(db, userId, creditedToType, creditedToId, amount) {
+    await adjustAccountBalance(db, userId, creditedToType, creditedToId, amount);
+}
+
+// Debit an expense amount from its bank/cash, or charge it to a credit card
+async function applyExpenseBalance(db, userId, paymentMethod, paymentSourceId, amount) {
+    if (paymentMethod === 'bank') {
+        await db.query(
+            'UPDATE banks SET current_balance = current_balance - $1 WHERE id = $2 AND user_id = $3',
+            [amount, paymentSourceId, userId]
+        );
+    } else if (paymentMethod === 'cash') {
+        await db.query(
+            'UPDATE cash_balance SET balance = balance - $1 WHERE user_id = $2',
+            [amount, userId]
+        );
+    } else if (paymentMethod === 'credit_card') {
+        await db.query(
+            'UPDATE credit_cards SET used_limit = used_limit + $1 WHERE id = $2 AND user_id = $3',
+            [amount, paymentSourceId, userId]
+        );
+    }
+}
+
+// Tables behind the trash, by entry type
+const TRASH_TABLES = { income: 'income_entries', expense: 'expenses' };
+
+// Reverse (direction -1) or re-apply (direction 1) an income/expense entry's balance effect
+// when it goes to or comes back from the trash. Expense-only users never had expenses
+// applied to balances (see POST /api/expenses), so there is nothing to move for them.
+async function applyEntryBalance(db, userId, entryType, entry, direction) {
+    const amount = direction * parseFloat(entry.amount);
+
+    if (entryType === 'income') {
+        await applyIncomeBalance(db, userId, entry.credited_to_type, entry.credited_to_id, amount);
+        return;
+    }
+
+    const userResult = await db.query(
+        'SELECT tracking_option FROM users WHERE id = $1',
+        [userId]
+    );
+    if ((userResult.rows[0]?.tracking_option || 'both') !== 'expenses') {
+        await applyExpenseBalance(db, userId, entry.payment_method, entry.payment_source_id, amount);
+    }
+}
+
+// Validate optional statement cycle settings for a card, falling back to the given defaults
+function validateCardCycle(body, defaults) {
+    const statementDay = body.statementDay === undefined || body.statementDay === null || body.statementDay === ''
+        ? defaults.statementDay
+        : Number(body.statementDay);
+    const paymentDueDays = body.paymentDueDays === undefined || body.paymentDueDays === null || body.paymentDueDays === ''
+        ? defaults.paymentDueDays
+        : Number(body.paymentDueDays);
+
+    if (!Number.isInteger(statementDay) || statementDay < 1 || statementDay > 31) {
+        return { error: 'Statement day must be between 1 and 31' };
+    }
+
+    if (!Number.isInteger(paymentDueDays) || paymentDueDays < 0 || paymentDueDays > 60) {
+        return { error: 'Payment due days must be between 0 and 60' };
+    }
+
+    return { values: { statementDay, paymentDueDays } };
+}
+
+// Statement date for a card in a given month (0-based month may overflow),
+// clamped to the month's last day so a day-31 statement still closes in February.
+function getStatementDate(statementDay, year, monthIndex) {
+    const date = new Date(Date.UTC(year, monthIndex, 1));
+    const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(statementDay, lastDay));
+    return date.toISOString().split('T')[0];
+}
+
+function addDaysToDateString(dateString, days) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+// A real YYYY-MM-DD calendar date. `new Date('2025-02-31')` rolls over to March 3rd instead of
+// failing, so the parsed date must round-trip to the same string (as the income/expense routes check).
+function isValidDateString(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(value);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// Build a card's statements (newest first) from its charges and bill payments.
+// The first entry is the open cycle that has not closed yet; `count` closed cycles follow it.
+async function getCardStatements(db, userId, card, count, today = toDateOnlyString(new Date())) {
+    const [chargesResult, paymentsResult] = await Promise.all([
+        db.query(
+            `SELECT to_char(date, 'YYYY-MM-DD') as day, SUM(amount) as amount
+             FROM expenses
+             WHERE user_id = $1 AND payment_method = 'credit_card' AND payment_source_id = $2 AND deleted_at IS NULL
+             GROUP BY date`,
+            [userId, card.id]
+        ),
+        db.query(
+            `SELECT to_char(date, 'YYYY-MM-DD') as day, SUM(amount) as amount
+             FROM card_payments
+             WHERE user_id = $1 AND card_id = $2
+             GROUP BY date`,
+            [userId, card.id]
+        )
+    ]);
+
+    const sumBetween = (rows, from, to) => rows.reduce((sum, row) => (
+        (!from || row.day >= from) && (!to || row.day <= to) ? sum + parseFloat(row.amount) : sum
+    ), 0);
+
+    const statementDay = card.statement_day || 1;
+    const paymentDueDays = card.payment_due_days ?? 20;
+    const [year, month] = today.split('-').map(Number);
+
+    // Month index of the open cycle's statement: this month's if it hasn't passed yet
+    let closingMonth = month - 1;
+    if (getStatementDate(statementDay, year, closingMonth) < today) {
+        closingMonth += 1;
+    }
+
+    const statements = [];
+    for (let offset = 0; offset <= count; offset++) {
+        const periodEnd = getStatementDate(statementDay, year, closingMonth - offset);
+        const periodStart = addDaysToDateString(getStatementDate(statementDay, year, closingMonth - offset - 1), 1);
+        const openingBalance = sumBetween(chargesResult.rows, null, addDaysToDateString(periodStart, -1)) -
+            sumBetween(paymentsResult.rows, null, addDaysToDateString(periodStart, -1));
+        const charges = sumBetween(chargesResult.rows, periodStart, periodEnd);
+        const payments = sumBetween(paymentsResult.rows, periodStart, periodEnd);
+
+        statements.push({
+            periodStart,
+            periodEnd,
+            openingBalance,
+            charges,
+            payments,
+            closingBalance: openingBalance + charges - payments,
+            dueDate: addDaysToDateString(periodEnd, paymentDueDays),
+            isOpen: offset === 0,
+        });
+    }
+
+    // What is owed right now: the last closed statement less payments made since it closed
+    const lastStatement = statements[1];
+    const paidSince = sumBetween(paymentsResult.rows, addDaysToDateString(lastStatement.periodEnd, 1), null);
+    const amountDue = Math.max(0, lastStatement.closingBalance - paidSince);
+    const daysUntilDue = Math.round((Date.parse(lastStatement.dueDate) - Date.parse(today)) / 86400000);
+
+    return {
+        statements,
+        currentDue: {
+            statementDate: lastStatement.periodEnd,
+            dueDate: lastStatement.dueDate,
+            amountDue,
+            daysUntilDue,
+            isOverdue: amountDue > 0 && daysUntilDue < 0,
+        },
+    };
+}
+
+const RECURRING_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Normalize a DATE value (pg returns local-midnight Date objects) to YYYY-MM-DD
+function toDateOnlyString(value) {
+    if (value instanceof Date) {
+        const month = String(value.getMonth() + 1).padStart(2, '0');
+        const day = String(value.getDate()).padStart(2, '0');
+        return `${value.getFullYear()}-${month}-${day}`;
+    }
+    return String(value).slice(0, 10);
+}
+
+// Date of the nth (0-based) occurrence of a recurring template.
+// Always computed from the start date so monthly schedules on the 31st don't drift.
+function getRecurringOccurrenceDate(startDate, frequency, index) {
+    const [year, month, day] = toDateOnlyString(startDate).split('-').map(Number);
+    let date;
+
+    if (frequency === 'daily' || frequency === 'weekly') {
+        const stepDays = frequency === 'daily' ? 1 : 7;
+        date = new Date(Date.UTC(year, month - 1, day + index * stepDays));
     } else {
-        res.status(401).json({ error: 'Authentication required' });
+        const monthOffset = frequency === 'monthly' ? index : index * 12;
+        date = new Date(Date.UTC(year, month - 1 + monthOffset, 1));
+        const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+        date.setUTCDate(Math.min(day, lastDay));
     }
-};
 
-// Routes
+    return date.toISOString().split('T')[0];
+}
+
+// A template is finished once it hits its occurrence count or passes its end date
+function isRecurringFinished(template, occurrenceIndex, runDate) {
+    if (template.occurrence_limit && occurrenceIndex >= template.occurrence_limit) {
+        return true;
+    }
+    return Boolean(template.end_date) && runDate > toDateOnlyString(template.end_date);
+}
+
+// Catch-up limit for one run, so a template started long ago can't create thousands of entries
+// in one transaction; the rest are created by the next runs (page loads, login and the hourly job)
+const MAX_RECURRING_OCCURRENCES_PER_RUN = 100;
+
+// Create the income/expense entries for every occurrence of the user's templates
+// that has come due, with the same balance effects as a manually added entry.
+// Returns the number of entries created.
+async function materializeRecurringTransactions(userId) {
+    const client = await pool.connect();
+    let created = 0;
 
-// User Registration
-app.post('/api/register', authLimiter, async (req, res) => {
     try {
-        const {
-            username,
-            password,
-            name,
-            email,
-            securityQuestion,
-            securityAnswer,
-        } = req.body;
+        await client.query('BEGIN');
 
-        // Server-side validation
-        if (
-            !username ||
-      !password ||
-      !name ||
-      !email ||
-      !securityQuestion ||
-      !securityAnswer
-        ) {
-            return res.status(400).json({ error: 'All fields are required' });
+        const templatesResult = await client.query(
+            `SELECT * FROM recurring_transactions
+             WHERE user_id = $1 AND is_active = TRUE AND next_run_date <= CURRENT_DATE
+             FOR UPDATE`,
+            [userId]
+        );
+
+        if (templatesResult.rows.length === 0) {
+            await client.query('COMMIT');
+            return 0;
         }
 
-        // Validate email format
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
-            return res.status(400).json({ error: 'Invalid email format' });
+        const userResult = await client.query(
+            'SELECT tracking_option FROM users WHERE id = $1',
+            [userId]
+        );
+        const trackingOption = userResult.rows[0]?.tracking_option || 'both';
+        const today = toDateOnlyString(new Date());
+
+        for (const template of templatesResult.rows) {
+            if (created >= MAX_RECURRING_OCCURRENCES_PER_RUN) break;
+
+            let index = template.occurrences_created || 0;
+            let runDate = toDateOnlyString(template.next_run_date);
+
+            while (runDate <= today && !isRecurringFinished(template, index, runDate) && created < MAX_RECURRING_OCCURRENCES_PER_RUN) {
+                const [year, month] = runDate.split('-').map(Number);
+
+                if (template.type === 'income') {
+                    const result = await client.query(
+                        'INSERT INTO income_entries (user_id, source, amount, credited_to_type, credited_to_id, date, month, year, recurring_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
+                        [userId, template.title, template.amount, template.account_type, template.account_id, runDate, month, year, template.id]
+                    );
+                    await recordAudit(client, userId, 'income', result.rows[0].id, 'created', null, result.rows[0]);
+                    await applyIncomeBalance(client, userId, template.account_type, template.account_id, template.amount);
+                } else {
+                    const result = await client.query(
+                        'INSERT INTO expenses (user_id, title, amount, payment_method, payment_source_id, date, month, year, category_id, recurring_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *',
+                        [userId, template.title, template.amount, template.account_type, template.account_id, runDate, month, year, template.category_id, template.id]
+                    );
+                    await recordAudit(client, userId, 'expense', result.rows[0].id, 'created', null, result.rows[0]);
+                    // Expense-only users don't track balances (same rule as POST /api/expenses)
+                    if (trackingOption !== 'expenses') {
+                        await applyExpenseBalance(client, userId, template.account_type, template.account_id, template.amount);
+                    }
+                }
+
+                index++;
+                created++;
+                runDate = getRecurringOccurrenceDate(template.start_date, template.frequency, index);
+            }
+
+            await client.query(
+                'UPDATE recurring_transactions SET occurrences_created = $1, next_run_date = $2, is_active = $3 WHERE id = $4',
+                [index, runDate, !isRecurringFinished(template, index, runDate), template.id]
+            );
         }
 
-        // Validate password strength
-        const passwordError = validatePassword(password);
-        if (passwordError) {
-            return res.status(400).json({ error: passwordError });
+        await client.query('COMMIT');
+        return created;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Background job: materialize due templates for every user that has some
+async function materializeAllRecurringTransactions() {
+    const result = await pool.query(
+        'SELECT DISTINCT user_id FROM recurring_transactions WHERE is_active = TRUE AND next_run_date <= CURRENT_DATE'
+    );
+
+    for (const row of result.rows) {
+        try {
+            await materializeRecurringTransactions(row.user_id);
+        } catch (error) {
+            console.error(`Recurring transactions failed for user ${row.user_id}:`, error.message);
         }
+    }
+}
 
-        // Validate username format
-        const usernameRegex = /^[a-zA-Z0-9_]+$/;
-        if (!usernameRegex.test(username)) {
-            return res
-                .status(400)
-                .json({
-                    error: 'Username can only contain letters, numbers, and underscores',
-                });
+// Validate a recurring template body; returns { values } or { error }
+async function validateRecurringInput(db, userId, body) {
+    const { type, title, amount, accountType, accountId, categoryId, frequency, startDate, endDate, occurrenceLimit } = body;
+
+    if (type !== 'income' && type !== 'expense') {
+        return { error: 'Type must be income or expense' };
+    }
+
+    if (!title || !title.trim()) {
+        return { error: 'Title is required' };
+    }
+
+    const parsedAmount = parseFloat(amount);
+    if (isNaN(parsedAmount) || parsedAmount <= 0) {
+        return { error: 'Amount must be a positive number' };
+    }
+
+    const allowedAccounts = type === 'income' ? ['bank', 'cash'] : ['bank', 'cash', 'credit_card'];
+    if (!allowedAccounts.includes(accountType)) {
+        return { error: 'Invalid account type' };
+    }
+
+    let parsedAccountId = null;
+    if (accountType !== 'cash') {
+        parsedAccountId = parseInt(accountId);
+        const table = accountType === 'bank' ? 'banks' : 'credit_cards';
+        const accountResult = isNaN(parsedAccountId) ? { rows: [] } : await db.query(
+            `SELECT id FROM ${table} WHERE id = $1 AND user_id = $2`,
+            [parsedAccountId, userId]
+        );
+        if (accountResult.rows.length === 0) {
+            return { error: accountType === 'bank' ? 'Bank not found' : 'Credit card not found' };
+        }
+    }
+
+    if (!RECURRING_FREQUENCIES.includes(frequency)) {
+        return { error: 'Frequency must be daily, weekly, monthly or yearly' };
+    }
+
+    if (!isValidDateString(startDate)) {
+        return { error: 'Valid start date is required' };
+    }
+
+    if (endDate && !isValidDateString(endDate)) {
+        return { error: 'Invalid end date' };
+    }
+
+    if (endDate && endDate < startDate) {
+        return { error: 'End date must be on or after the start date' };
+    }
+
+    let parsedLimit = null;
+    if (occurrenceLimit !== undefined && occurrenceLimit !== null && occurrenceLimit !== '') {
+        parsedLimit = parseInt(occurrenceLimit);
+        if (isNaN(parsedLimit) || parsedLimit <= 0) {
+            return { error: 'Occurrence count must be a positive number' };
+        }
+    }
+
+    let parsedCategoryId = null;
+    if (type === 'expense') {
+        const category = await resolveCategoryId(db, userId, categoryId);
+        if (category.error) {
+            return { error: category.error };
+        }
+        parsedCategoryId = category.categoryId;
+    }
+
+    return {
+        values: {
+            type,
+            title: title.trim(),
+            amount: parsedAmount,
+            accountType,
+            accountId: parsedAccountId,
+            categoryId: parsedCategoryId,
+            frequency,
+            startDate,
+            endDate: endDate || null,
+            occurrenceLimit: parsedLimit,
+        },
+    };
+}
+
+const MAX_IMPORT_ROWS = 2000;
+
+// Bank transaction ids (OFX FITID) already recorded against the bank
+// (trashed entries count too: they come back through the trash, not a re-import)
+async function findImportedExternalIds(db, userId, bankId, externalIds) {
+    if (externalIds.length === 0) {
+        return new Set();
+    }
+
+    const result = await db.query(
+        `SELECT external_id FROM expenses
+         WHERE user_id = $1 AND payment_method = 'bank' AND payment_source_id = $2 AND external_id = ANY($3)
+         UNION
+         SELECT external_id FROM income_entries
+         WHERE user_id = $1 AND credited_to_type = 'bank' AND credited_to_id = $2 AND external_id = ANY($3)`,
+        [userId, bankId, externalIds]
+    );
+
+    return new Set(result.rows.map(row => row.external_id));
+}
+
+// Flag imported rows that already exist for the bank. Rows whose bank transaction id was
+// imported before are marked alreadyImported; the rest are matched on type, date and amount,
+// each existing entry matching at most one row so genuinely repeated transactions still import.
+async function flagImportDuplicates(db, userId, bankId, transactions) {
+    const candidates = transactions.filter(transaction => !transaction.error);
+    if (candidates.length === 0) {
+        return transactions.map(transaction => ({ ...transaction, duplicate: false, alreadyImported: false }));
+    }
+
+    const externalIds = candidates.map(transaction => transaction.externalId).filter(Boolean);
+    const importedIds = await findImportedExternalIds(db, userId, bankId, externalIds);
+
+    const dates = candidates.map(transaction => transaction.date).sort();
+    const existingResult = await db.query(
+        `SELECT 'expense' as type, to_char(date, 'YYYY-MM-DD') as day, amount, external_id
+         FROM expenses
+         WHERE user_id = $1 AND payment_method = 'bank' AND payment_source_id = $2 AND date BETWEEN $3 AND $4 AND deleted_at IS NULL
+         UNION ALL
+         SELECT 'income' as type, to_char(date, 'YYYY-MM-DD') as day, amount, external_id
+         FROM income_entries
+         WHERE user_id = $1 AND credited_to_type = 'bank' AND credited_to_id = $2 AND date BETWEEN $3 AND $4 AND deleted_at IS NULL`,
+        [userId, bankId, dates[0], dates[dates.length - 1]]
+    );
+
+    // Entries already matched by transaction id can't also stand in for another row
+    const existing = new Map();
+    existingResult.rows
+        .filter(row => !row.external_id || !importedIds.has(row.external_id))
+        .forEach(row => {
+            const key = `${row.type}|${row.day}|${parseFloat(row.amount).toFixed(2)}`;
+            existing.set(key, (existing.get(key) || 0) + 1);
+        });
+
+    return transactions.map(transaction => {
+        if (transaction.error) {
+            return { ...transaction, duplicate: false, alreadyImported: false };
+        }
+        if (transaction.externalId && importedIds.has(transaction.externalId)) {
+            return { ...transaction, duplicate: true, alreadyImported: true };
+        }
+        const key = `${transaction.type}|${transaction.date}|${transaction.amount.toFixed(2)}`;
+        const remaining = existing.get(key) || 0;
+        if (remaining > 0) {
+            existing.set(key, remaining - 1);
+            return { ...transaction, duplicate: true, alreadyImported: false };
+        }
+        return { ...transaction, duplicate: false, alreadyImported: false };
+    });
+}
+
+// Validate one row sent to /api/import/commit, returning { values } or { error }
+function validateImportTransaction(transaction) {
+    const { date, description, type, categoryId, externalId } = transaction || {};
+    const amount = parseFloat(transaction?.amount);
+
+    if (type !== 'income' && type !== 'expense') {
+        return { error: 'Type must be income or expense' };
+    }
+
+    if (!isValidDateString(date)) {
+        return { error: 'Valid date is required' };
+    }
+
+    if (isNaN(amount) || amount <= 0) {
+        return { error: 'Amount must be a positive number' };
+    }
+
+    // Income sources are VARCHAR(100), expense titles VARCHAR(200)
+    const text = String(description || '').trim().slice(0, type === 'income' ? 100 : 200);
+    if (!text) {
+        return { error: 'Description is required' };
+    }
+
+    return {
+        values: {
+            date,
+            description: text,
+            amount,
+            type,
+            categoryId: categoryId || null,
+            externalId: externalId ? String(externalId).trim().slice(0, 255) : null,
+        },
+    };
+}
+
+const EXPORT_FORMAT = 'balancetrack-export';
+const EXPORT_VERSION = 1;
+
+// Tables included in a full export, in dependency order, with the columns written to CSV.
+// user_id is left out: an export always belongs to the user who downloaded it.
+// Entries sitting in the trash (softDelete tables) are not exported, nor are rows
+// that only make sense next to them (`where`).
+const EXPORT_TABLES = [
+    { name: 'banks', columns: ['id', 'name', 'initial_balance', 'current_balance', 'created_at', 'currency'] },
+    { name: 'credit_cards', columns: ['id', 'name', 'credit_limit', 'used_limit', 'statement_day', 'payment_due_days', 'created_at', 'currency'] },
+    { name: 'cash_balance', columns: ['id', 'balance', 'initial_balance', 'updated_at', 'currency'] },
+    { name: 'exchange_rates', columns: ['id', 'currency', 'rate', 'updated_at'] },
+    { name: 'expense_categories', columns: ['id', 'name', 'created_at'] },
+    { name: 'budgets', columns: ['id', 'category_id', 'monthly_limit', 'created_at'] },
+    {
+        name: 'categorization_rules',
+        columns: ['id', 'match_type', 'pattern', 'min_amount', 'max_amount', 'payment_method', 'payment_source_id', 'category_id', 'tags', 'rename_to', 'created_at'],
+    },
+    {
+        name: 'recurring_transactions',
+        columns: ['id', 'type', 'title', 'amount', 'account_type', 'account_id', 'category_id', 'frequency', 'start_date', 'end_date', 'occurrence_limit', 'occurrences_created', 'next_run_date', 'is_active', 'created_at'],
+    },
+    {
+        name: 'income_entries',
+        columns: ['id', 'source', 'amount', 'credited_to_type', 'credited_to_id', 'date', 'month', 'year', 'recurring_id', 'external_id', 'tags', 'notes', 'created_at'],
+        softDelete: true,
+    },
+    {
+        name: 'expenses',
+        columns: ['id', 'title', 'amount', 'payment_method', 'payment_source_id', 'category_id', 'date', 'month', 'year', 'recurring_id', 'external_id', 'tags', 'notes', 'created_at'],
+        softDelete: true,
+    },
+    {
+        name: 'expense_splits',
+        columns: ['id', 'expense_id', 'category_id', 'amount', 'note', 'created_at'],
+        where: 'expense_id IN (SELECT id FROM expenses WHERE deleted_at IS NULL)',
+    },
+    { name: 'transfers', columns: ['id', 'from_type', 'from_id', 'to_type', 'to_id', 'amount', 'note', 'date', 'month', 'year', 'created_at'] },
+    { name: 'card_payments', columns: ['id', 'card_id', 'source_type', 'source_id', 'amount', 'note', 'date', 'month', 'year', 'created_at'] },
+    { name: 'saved_filters', columns: ['id', 'name', 'query', 'created_at'] },
+];
+
+// DATE columns are exported as YYYY-MM-DD so they don't shift with the server's timezone
+const EXPORT_DATE_COLUMNS = ['date', 'start_date', 'end_date', 'next_run_date'];
+
+// Collect everything a user owns into a versioned export document
+async function getUserExportData(db, userId) {
+    const userResult = await db.query(
+        'SELECT username, name, email, tracking_option, base_currency FROM users WHERE id = $1',
+        [userId]
+    );
+
+    const tables = {};
+    for (const table of EXPORT_TABLES) {
+        const result = await db.query(
+            `SELECT ${table.columns.join(', ')} FROM ${table.name} WHERE user_id = $1${table.softDelete ? ' AND deleted_at IS NULL' : ''}${table.where ? ` AND ${table.where}` : ''} ORDER BY id`,
+            [userId]
+        );
+        tables[table.name] = result.rows.map(row => {
+            const exported = { ...row };
+            EXPORT_DATE_COLUMNS.forEach(column => {
+                if (exported[column]) {
+                    exported[column] = toDateOnlyString(exported[column]);
+                }
+            });
+            return exported;
+        });
+    }
+
+    const user = userResult.rows[0] || {};
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        user: {
+            username: user.username,
+            name: user.name,
+            email: user.email,
+            trackingOption: user.tracking_option,
+            baseCurrency: user.base_currency || DEFAULT_CURRENCY,
+        },
+        tables,
+    };
+}
+
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+    const lines = [columns.join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => toCsvValue(row[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+const RESTORE_MODES = ['fresh', 'merge'];
+
+const isRestoreAmount = (value) => value !== null && value !== '' && !isNaN(parseFloat(value)) && isFinite(value);
+
+// Check an export document before restoring it: format, version, field values and every
+// cross-table id (banks, cards, categories, recurring templates, expenses) must resolve inside the file.
+// Returns { tables } with every known table as an array, or { error }.
+function validateRestoreData(data) {
+    if (!data || typeof data !== 'object' || data.format !== EXPORT_FORMAT) {
+        return { error: 'File is not a BalanceTrack export' };
+    }
+    if (!Number.isInteger(data.version)) {
+        return { error: 'Export version is missing' };
+    }
+    if (data.version < 1 || data.version > EXPORT_VERSION) {
+        return { error: `Unsupported export version: ${data.version}` };
+    }
+    if (!data.tables || typeof data.tables !== 'object') {
+        return { error: 'Export has no tables' };
+    }
+
+    const tables = {};
+    for (const table of EXPORT_TABLES) {
+        const rows = data.tables[table.name] ?? [];
+        if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object')) {
+            return { error: `Table ${table.name} must be a list of rows` };
+        }
+        tables[table.name] = rows;
+    }
+
+    const idsOf = (name) => new Set(tables[name].map(row => row.id));
+    const ids = {
+        bank: idsOf('banks'),
+        credit_card: idsOf('credit_cards'),
+        category: idsOf('expense_categories'),
+        recurring: idsOf('recurring_transactions'),
+        expense: idsOf('expenses'),
+    };
+    const hasAccount = (type, id) => type === 'cash' || ids[type].has(id);
+    const optional = (set, id) => id === null || id === undefined || set.has(id);
+
+    // Exports from before currencies existed have none; those accounts restore in rupees
+    const validCurrency = (row) => resolveCurrency(row.currency) !== null;
+
+    // One check per table; each returns an error message for the row or null
+    const checks = {
+        banks: row => (!row.name ? 'name is required' : !isRestoreAmount(row.initial_balance) ? 'invalid initial balance'
+            : !validCurrency(row) ? 'invalid currency' : null),
+        credit_cards: row => (!row.name ? 'name is required' : !isRestoreAmount(row.credit_limit) ? 'invalid credit limit'
+            : !validCurrency(row) ? 'invalid currency' : null),
+        cash_balance: row => (!isRestoreAmount(row.initial_balance) ? 'invalid initial balance' : !validCurrency(row) ? 'invalid currency' : null),
+        exchange_rates: row => (!resolveCurrency(row.currency, null) ? 'invalid currency'
+            : !isRestoreAmount(row.rate) || parseFloat(row.rate) <= 0 ? 'invalid rate' : null),
+        expense_categories: row => (!row.name ? 'name is required' : null),
+        budgets: row => (!ids.category.has(row.category_id) ? `unknown category id ${row.category_id}`
+            : !isRestoreAmount(row.monthly_limit) ? 'invalid monthly limit' : null),
+        // A rule may name an account deleted since it was made; restore leaves those rules out
+        categorization_rules: row => {
+            if (!RULE_MATCH_TYPES.includes(row.match_type)) return 'invalid match type';
+            if (row.match_type === 'regex' && row.pattern) {
+                try {
+                    new RegExp(row.pattern, 'i');
+                } catch {
+                    return 'invalid pattern';
+                }
+                if (!isSafeRulePattern(row.pattern)) return 'pattern is too complex';
+            }
+            if (row.payment_method && !['cash', 'bank', 'credit_card'].includes(row.payment_method)) return 'invalid payment method';
+            if (!optional(ids.category, row.category_id)) return `unknown category id ${row.category_id}`;
+            return normalizeTags(row.tags || []).error || null;
+        },
+        recurring_transactions: row => {
+            if (!['income', 'expense'].includes(row.type)) return 'invalid type';
+            if (!['cash', 'bank', 'credit_card'].includes(row.account_type)) return 'invalid account type';
+            if (!hasAccount(row.account_type, row.account_id)) return `unknown ${row.account_type} id ${row.account_id}`;
+            if (!optional(ids.category, row.category_id)) return `unknown category id ${row.category_id}`;
+            if (!RECURRING_FREQUENCIES.includes(row.frequency)) return 'invalid frequency';
+            if (!isValidDateString(row.start_date) || !isValidDateString(row.next_run_date)) return 'invalid date';
+            return null;
+        },
+        income_entries: row => {
+            if (!['cash', 'bank'].includes(row.credited_to_type)) return 'invalid account type';
+            if (!hasAccount(row.credited_to_type, row.credited_to_id)) return `unknown bank id ${row.credited_to_id}`;
+            if (!optional(ids.recurring, row.recurring_id)) return `unknown recurring id ${row.recurring_id}`;
+            return validateTagsAndNotes(row).error || null;
+        },
+        expenses: row => {
+            if (!['cash', 'bank', 'credit_card'].includes(row.payment_method)) return 'invalid payment method';
+            if (!hasAccount(row.payment_method, row.payment_source_id)) return `unknown ${row.payment_method} id ${row.payment_source_id}`;
+            if (!optional(ids.category, row.category_id)) return `unknown category id ${row.category_id}`;
+            if (!optional(ids.recurring, row.recurring_id)) return `unknown recurring id ${row.recurring_id}`;
+            return validateTagsAndNotes(row).error || null;
+        },
+        transfers: row => {
+            if (!['cash', 'bank'].includes(row.from_type) || !['cash', 'bank'].includes(row.to_type)) return 'invalid account type';
+            if (!hasAccount(row.from_type, row.from_id)) return `unknown bank id ${row.from_id}`;
+            if (!hasAccount(row.to_type, row.to_id)) return `unknown bank id ${row.to_id}`;
+            return null;
+        },
+        card_payments: row => {
+            if (!ids.credit_card.has(row.card_id)) return `unknown credit card id ${row.card_id}`;
+            if (!['cash', 'bank'].includes(row.source_type)) return 'invalid source type';
+            if (!hasAccount(row.source_type, row.source_id)) return `unknown bank id ${row.source_id}`;
+            return null;
+        },
+        expense_splits: row => {
+            if (!ids.expense.has(row.expense_id)) return `unknown expense id ${row.expense_id}`;
+            if (!optional(ids.category, row.category_id)) return `unknown category id ${row.category_id}`;
+            return !isRestoreAmount(row.amount) || parseFloat(row.amount) <= 0 ? 'invalid amount' : null;
+        },
+        saved_filters: row => validateSavedFilter(row).error || null,
+    };
+    const datedTables = ['income_entries', 'expenses', 'transfers', 'card_payments'];
+
+    for (const table of EXPORT_TABLES) {
+        for (let i = 0; i < tables[table.name].length; i++) {
+            const row = tables[table.name][i];
+            let error = checks[table.name](row);
+            if (!error && datedTables.includes(table.name)) {
+                if (!isValidDateString(row.date)) {
+                    error = 'invalid date';
+                } else if (!isRestoreAmount(row.amount) || parseFloat(row.amount) <= 0) {
+                    error = 'invalid amount';
+                }
+            }
+            if (error) {
+                return { error: `${table.name} row ${i + 1}: ${error}` };
+            }
+        }
+    }
+
+    // Split lines must still add up to their expense, as they do when entered
+    const splitsByExpense = new Map();
+    tables.expense_splits.forEach(line => {
+        splitsByExpense.set(line.expense_id, [...(splitsByExpense.get(line.expense_id) || []), line]);
+    });
+    for (const expense of tables.expenses) {
+        const lines = splitsByExpense.get(expense.id);
+        if (!lines) continue;
+        const split = validateExpenseSplits({ splits: lines }, expense.amount);
+        if (split.error) {
+            return { error: `expense_splits for expense id ${expense.id}: ${split.error}` };
+        }
+    }
+
+    return { tables };
+}
+
+// Rebuild bank/cash balances and card used limits from the ledger, following the same
+// rules as the live routes (expense-only users don't move balances when they spend)
+async function recalculateAccountBalances(db, userId, trackingOption) {
+    const expenseSign = trackingOption === 'expenses' ? 0 : 1;
+
+    await db.query(
+        `UPDATE banks b SET current_balance = b.initial_balance +
+        COALESCE((SELECT SUM(amount) FROM income_entries WHERE user_id = $1 AND credited_to_type = 'bank' AND credited_to_id = b.id AND deleted_at IS NULL), 0) -
+        $2 * COALESCE((SELECT SUM(amount) FROM expenses WHERE user_id = $1 AND payment_method = 'bank' AND payment_source_id = b.id AND deleted_at IS NULL), 0) +
+        COALESCE((SELECT SUM(amount) FROM transfers WHERE user_id = $1 AND to_type = 'bank' AND to_id = b.id), 0) -
+        COALESCE((SELECT SUM(amount) FROM transfers WHERE user_id = $1 AND from_type = 'bank' AND from_id = b.id), 0) -
+        COALESCE((SELECT SUM(amount) FROM card_payments WHERE user_id = $1 AND source_type = 'bank' AND source_id = b.id), 0)
+      WHERE b.user_id = $1`,
+        [userId, expenseSign]
+    );
+
+    await db.query(
+        `UPDATE cash_balance c SET updated_at = CURRENT_TIMESTAMP, balance = c.initial_balance +
+        COALESCE((SELECT SUM(amount) FROM income_entries WHERE user_id = $1 AND credited_to_type = 'cash' AND deleted_at IS NULL), 0) -
+        $2 * COALESCE((SELECT SUM(amount) FROM expenses WHERE user_id = $1 AND payment_method = 'cash' AND deleted_at IS NULL), 0) +
+        COALESCE((SELECT SUM(amount) FROM transfers WHERE user_id = $1 AND to_type = 'cash'), 0) -
+        COALESCE((SELECT SUM(amount) FROM transfers WHERE user_id = $1 AND from_type = 'cash'), 0) -
+        COALESCE((SELECT SUM(amount) FROM card_payments WHERE user_id = $1 AND source_type = 'cash'), 0)
+      WHERE c.user_id = $1`,
+        [userId, expenseSign]
+    );
+
+    await db.query(
+        `UPDATE credit_cards cc SET used_limit = GREATEST(
+        $2 * COALESCE((SELECT SUM(amount) FROM expenses WHERE user_id = $1 AND payment_method = 'credit_card' AND payment_source_id = cc.id AND deleted_at IS NULL), 0) -
+        COALESCE((SELECT SUM(amount) FROM card_payments WHERE user_id = $1 AND card_id = cc.id), 0), 0)
+      WHERE cc.user_id = $1`,
+        [userId, expenseSign]
+    );
+}
+
+// Bank balances as they were at the end of `date`: opening balance plus every income,
+// expense, transfer and card bill payment up to that day. Banks added later are left out.
+async function getBankBalancesAt(db, userId, date) {
+    const result = await db.query(
+        `
+      SELECT
+        b.id,
+        b.name,
+        b.currency,
+        b.initial_balance,
+        b.initial_balance +
+        COALESCE((
+          SELECT SUM(amount)
+          FROM income_entries
+          WHERE user_id = $1
+            AND deleted_at IS NULL
+            AND credited_to_type = 'bank'
+            AND credited_to_id = b.id
+            AND date <= $2
+        ), 0) -
+        COALESCE((
+          SELECT SUM(amount)
+          FROM expenses
+          WHERE user_id = $1
+            AND deleted_at IS NULL
+            AND payment_method = 'bank'
+            AND payment_source_id = b.id
+            AND date <= $2
+        ), 0) +
+        COALESCE((
+          SELECT SUM(amount)
+          FROM transfers
+          WHERE user_id = $1
+            AND to_type = 'bank'
+            AND to_id = b.id
+            AND date <= $2
+        ), 0) -
+        COALESCE((
+          SELECT SUM(amount)
+          FROM transfers
+          WHERE user_id = $1
+            AND from_type = 'bank'
+            AND from_id = b.id
+            AND date <= $2
+        ), 0) -
+        COALESCE((
+          SELECT SUM(amount)
+          FROM card_payments
+          WHERE user_id = $1
+            AND source_type = 'bank'
+            AND source_id = b.id
+            AND date <= $2
+        ), 0) as balance_at_month_end
+      FROM banks b
+      WHERE b.user_id = $1
+        AND b.created_at <= $2
+    `,
+        [userId, date]
+    );
+    return result.rows;
+}
+
+// Cash balance at the end of `date` ({ currency, initial_balance, cash_balance_at_month_end })
+async function getCashBalanceAt(db, userId, date) {
+    const result = await db.query(
+        `
+      SELECT
+        currency,
+        COALESCE(balance, 0) as initial_balance,
+        COALESCE(balance, 0) +
+        COALESCE((
+          SELECT SUM(amount)
+          FROM income_entries
+          WHERE user_id = $1
+            AND deleted_at IS NULL
+            AND credited_to_type = 'cash'
+            AND date <= $2
+        ), 0) -
+        COALESCE((
+          SELECT SUM(amount)
+          FROM expenses
+          WHERE user_id = $1
+            AND deleted_at IS NULL
+            AND payment_method = 'cash'
+            AND date <= $2
+        ), 0) +
+        COALESCE((
+          SELECT SUM(amount)
+          FROM transfers
+          WHERE user_id = $1
+            AND to_type = 'cash'
+            AND date <= $2
+        ), 0) -
+        COALESCE((
+          SELECT SUM(amount)
+          FROM transfers
+          WHERE user_id = $1
+            AND from_type = 'cash'
+            AND date <= $2
+        ), 0) -
+        COALESCE((
+          SELECT SUM(amount)
+          FROM card_payments
+          WHERE user_id = $1
+            AND source_type = 'cash'
+            AND date <= $2
+        ), 0) as cash_balance_at_month_end
+      FROM cash_balance
+      WHERE user_id = $1
+    `,
+        [userId, date]
+    );
+    return result.rows[0] || { initial_balance: 0, cash_balance_at_month_end: 0 };
+}
+
+// Credit cards with used_limit as of the end of `date` (charges minus bill payments)
+async function getCardBalancesAt(db, userId, date) {
+    const creditCardResult = await db.query(
+        'SELECT * FROM credit_cards WHERE user_id = $1 AND created_at <= $2',
+        [userId, date]
+    );
+    return Promise.all(
+        creditCardResult.rows.map(async (card) => {
+            const usedResult = await db.query(
+                `SELECT
+                COALESCE((
+                  SELECT SUM(amount)
+                  FROM expenses
+                  WHERE user_id = $1 AND payment_method = 'credit_card' AND payment_source_id = $2 AND date <= $3 AND deleted_at IS NULL
+                ), 0) -
+                COALESCE((
+                  SELECT SUM(amount)
+                  FROM card_payments
+                  WHERE user_id = $1 AND card_id = $2 AND date <= $3
+                ), 0) AS used_limit`,
+                [userId, card.id, date]
+            );
+            return {
+                ...card,
+                current_balance: usedResult.rows[0].used_limit,
+                used_limit: usedResult.rows[0].used_limit,
+            };
+        })
+    );
+}
+
+// Longest range /api/net-worth will compute in one request
+const MAX_NET_WORTH_MONTHS = 120;
+
+// 'YYYY-MM' -> months since year 0 (year * 12 + zero-based month), or null when invalid
+function parseYearMonth(value) {
+    const match = String(value).match(/^(\d{4})-(\d{2})$/);
+    if (!match || parseInt(match[2]) < 1 || parseInt(match[2]) > 12) return null;
+    return parseInt(match[1]) * 12 + parseInt(match[2]) - 1;
+}
+
+function formatYearMonth(monthIndex) {
+    return `${Math.floor(monthIndex / 12)}-${String((monthIndex % 12) + 1).padStart(2, '0')}`;
+}
+
+const REPORT_PERIODS = ['year', 'quarter', 'custom'];
+
+async function getFiscalYearStart(db, userId) {
+    const result = await db.query(
+        'SELECT COALESCE(fiscal_year_start, 1) as fiscal_year_start FROM users WHERE id = $1',
+        [userId]
+    );
+    return parseInt(result.rows[0]?.fiscal_year_start) || 1;
+}
+
+// A financial year is named after the calendar year it starts in: with an April start,
+// 2025 runs 2025-04-01 to 2026-03-31 and is labelled "FY 2025-26".
+function getFiscalYearLabel(year, fiscalYearStart) {
+    return fiscalYearStart === 1 ? String(year) : `FY ${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+}
+
+// Inclusive YYYY-MM-DD range covering `monthCount` months, starting `monthOffset` months into a financial year
+function getFiscalMonthRange(year, fiscalYearStart, monthOffset, monthCount) {
+    const start = new Date(Date.UTC(year, fiscalYearStart - 1 + monthOffset, 1));
+    const end = new Date(Date.UTC(year, fiscalYearStart - 1 + monthOffset + monthCount, 0));
+    return {
+        from: start.toISOString().split('T')[0],
+        to: end.toISOString().split('T')[0],
+    };
+}
+
+// Check report query params: ?period=year&year=2025, ?period=quarter&year=2025&quarter=2
+// or ?period=custom&from=YYYY-MM-DD&to=YYYY-MM-DD. Returns the parsed period or { error }.
+function parseReportPeriod(query) {
+    const { period = 'year', year, quarter, from, to } = query;
+
+    if (!REPORT_PERIODS.includes(period)) {
+        return { error: 'Report period must be year, quarter or custom' };
+    }
+
+    if (period === 'custom') {
+        if (!isValidDateString(from) || !isValidDateString(to)) {
+            return { error: 'Valid from and to dates (YYYY-MM-DD) are required' };
+        }
+        if (to < from) {
+            return { error: 'to must be on or after from' };
+        }
+        return { period, from, to };
+    }
+
+    if (!/^\d{4}$/.test(String(year))) {
+        return { error: 'A valid year is required' };
+    }
+
+    if (period === 'quarter') {
+        const parsedQuarter = parseInt(quarter);
+        if (![1, 2, 3, 4].includes(parsedQuarter) || String(parsedQuarter) !== String(quarter)) {
+            return { error: 'Quarter must be 1, 2, 3 or 4' };
+        }
+        return { period, year: parseInt(year), quarter: parsedQuarter };
+    }
+
+    return { period, year: parseInt(year) };
+}
+
+// Turn a parsed report period into an inclusive date range and label.
+// Years and quarters follow the user's financial year (Q1 starts in the fiscal start month).
+function getReportRange(reportPeriod, fiscalYearStart = 1) {
+    const { period, year, quarter } = reportPeriod;
+
+    if (period === 'custom') {
+        const { from, to } = reportPeriod;
+        return { period, from, to, label: `${from} to ${to}` };
+    }
+
+    const yearLabel = getFiscalYearLabel(year, fiscalYearStart);
+
+    if (period === 'quarter') {
+        return {
+            period,
+            ...getFiscalMonthRange(year, fiscalYearStart, (quarter - 1) * 3, 3),
+            label: `Q${quarter} ${yearLabel}`,
+        };
+    }
+
+    return { period, ...getFiscalMonthRange(year, fiscalYearStart, 0, 12), label: yearLabel };
+}
+
+// Money in and out of every account between two dates (inclusive), keyed by 'type:id'.
+// Card charges are outflows and bill payments inflows, so card balances read as amounts owed.
+async function getAccountMovement(db, userId, from, to) {
+    const result = await db.query(
+        `SELECT account_type, account_id,
+                SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END) AS inflow,
+                SUM(CASE WHEN amount < 0 THEN -amount ELSE 0 END) AS outflow
+         FROM (
+             SELECT credited_to_type AS account_type, credited_to_id AS account_id, amount
+             FROM income_entries WHERE user_id = $1 AND deleted_at IS NULL AND date BETWEEN $2 AND $3
+             UNION ALL
+             SELECT payment_method, payment_source_id, -amount
+             FROM expenses WHERE user_id = $1 AND deleted_at IS NULL AND date BETWEEN $2 AND $3
+             UNION ALL
+             SELECT to_type, to_id, amount
+             FROM transfers WHERE user_id = $1 AND date BETWEEN $2 AND $3
+             UNION ALL
+             SELECT from_type, from_id, -amount
+             FROM transfers WHERE user_id = $1 AND date BETWEEN $2 AND $3
+             UNION ALL
+             SELECT source_type, source_id, -amount
+             FROM card_payments WHERE user_id = $1 AND date BETWEEN $2 AND $3
+             UNION ALL
+             SELECT 'credit_card', card_id, amount
+             FROM card_payments WHERE user_id = $1 AND date BETWEEN $2 AND $3
+         ) ledger
+         GROUP BY account_type, account_id`,
+        [userId, from, to]
+    );
+
+    const movement = {};
+    result.rows.forEach(row => {
+        // There is one cash wallet, whatever id the entry carries
+        const key = row.account_type === 'cash' ? 'cash' : `${row.account_type}:${row.account_id}`;
+        const current = movement[key] || { inflow: 0, outflow: 0 };
+        movement[key] = {
+            inflow: current.inflow + parseFloat(row.inflow || 0),
+            outflow: current.outflow + parseFloat(row.outflow || 0),
+        };
+    });
+    return movement;
+}
+
+// Accounts created before currencies existed, and users who never pick one, use rupees
+const DEFAULT_CURRENCY = 'INR';
+const INVALID_CURRENCY_ERROR = 'Currency must be a three-letter code such as INR or USD';
+
+// Upper-cased ISO 4217 code, `fallback` when nothing was sent, or null when the value isn't a currency code
+function resolveCurrency(value, fallback = DEFAULT_CURRENCY) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const code = String(value).trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(code) ? code : null;
+}
+
+const CURRENCY_LOCKED_ERROR = 'The currency cannot be changed once the account has entries, transfers or card payments';
+
+// Stored amounts are in their account's currency, so the currency is fixed once anything references the account.
+// Cash has no account id; every cash row belongs to the one wallet.
+async function accountHasActivity(db, userId, accountType, accountId = null) {
+    const result = await db.query(
+        `SELECT EXISTS (
+            SELECT 1 FROM income_entries WHERE user_id = $1 AND credited_to_type = $2 AND ($2 = 'cash' OR credited_to_id = $3)
+            UNION ALL
+            SELECT 1 FROM expenses WHERE user_id = $1 AND payment_method = $2 AND ($2 = 'cash' OR payment_source_id = $3)
+            UNION ALL
+            SELECT 1 FROM transfers WHERE user_id = $1
+              AND ((from_type = $2 AND ($2 = 'cash' OR from_id = $3)) OR (to_type = $2 AND ($2 = 'cash' OR to_id = $3)))
+            UNION ALL
+            SELECT 1 FROM card_payments WHERE user_id = $1
+              AND (($2 = 'credit_card' AND card_id = $3) OR (source_type = $2 AND ($2 = 'cash' OR source_id = $3)))
+            UNION ALL
+            SELECT 1 FROM recurring_transactions WHERE user_id = $1 AND account_type = $2 AND ($2 = 'cash' OR account_id = $3)
+        ) AS has_activity`,
+        [userId, accountType, accountId]
+    );
+    return Boolean(result.rows[0]?.has_activity);
+}
+
+function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+    return parseFloat(amount || 0).toLocaleString('en-IN', {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+    });
+}
+
+// Converts account amounts into the user's base currency using their exchange-rate table.
+// Currencies without a rate are counted 1:1 and collected in `missingRates` so the UI can flag them.
+async function getCurrencyContext(db, userId) {
+    const userResult = await db.query('SELECT base_currency FROM users WHERE id = $1', [userId]);
+    const baseCurrency = userResult.rows[0]?.base_currency || DEFAULT_CURRENCY;
+
+    const rateResult = await db.query('SELECT currency, rate FROM exchange_rates WHERE user_id = $1', [userId]);
+    const rates = new Map(rateResult.rows.map(row => [row.currency, parseFloat(row.rate)]));
+    const missingRates = new Set();
+
+    return {
+        baseCurrency,
+        missingRates,
+        convert(amount, currency) {
+            const value = parseFloat(amount || 0);
+            if (!currency || currency === baseCurrency) return value;
+            if (!rates.has(currency)) {
+                missingRates.add(currency);
+                return value;
+            }
+            return Math.round(value * rates.get(currency) * 100) / 100;
+        },
+    };
+}
+
+const DATE_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD', 'DD MMM YYYY'];
+
+// What a user sees until they save their own preferences.
+// A null currency symbol means the locale's own symbol for the currency is used.
+const DEFAULT_PREFERENCES = {
+    currencySymbol: null,
+    locale: 'en-IN',
+    dateFormat: 'DD/MM/YYYY',
+    firstDayOfWeek: 1,
+};
+
+function toPreferences(row) {
+    return {
+        currencySymbol: row?.currency_symbol || DEFAULT_PREFERENCES.currencySymbol,
+        locale: row?.locale || DEFAULT_PREFERENCES.locale,
+        dateFormat: row?.date_format || DEFAULT_PREFERENCES.dateFormat,
+        firstDayOfWeek: row?.first_day_of_week ?? DEFAULT_PREFERENCES.firstDayOfWeek,
+    };
+}
+
+async function getUserPreferences(db, userId) {
+    const result = await db.query(
+        'SELECT currency_symbol, locale, date_format, first_day_of_week FROM user_preferences WHERE user_id = $1',
+        [userId]
+    );
+    return toPreferences(result.rows[0]);
+}
+
+// Validate a preferences update; fields that were not sent keep their current value
+function validatePreferences(body, current) {
+    const pick = (field) => (body[field] === undefined ? current[field] : body[field]);
+
+    const symbol = pick('currencySymbol');
+    const currencySymbol = symbol === null || String(symbol).trim() === '' ? null : String(symbol).trim();
+    if (currencySymbol && currencySymbol.length > 8) {
+        return { error: 'Currency symbol must be at most 8 characters' };
+    }
+
+    let locale;
+    try {
+        [locale] = Intl.getCanonicalLocales(String(pick('locale') || ''));
+    } catch {
+        locale = null;
+    }
+    if (!locale || Intl.NumberFormat.supportedLocalesOf(locale).length === 0) {
+        return { error: 'Locale must be a supported language tag such as en-IN or en-US' };
+    }
+
+    const dateFormat = pick('dateFormat');
+    if (!DATE_FORMATS.includes(dateFormat)) {
+        return { error: `Date format must be one of ${DATE_FORMATS.join(', ')}` };
+    }
+
+    const firstDayOfWeek = Number(pick('firstDayOfWeek'));
+    if (!Number.isInteger(firstDayOfWeek) || firstDayOfWeek < 0 || firstDayOfWeek > 6) {
+        return { error: 'First day of week must be from 0 (Sunday) to 6 (Saturday)' };
+    }
+
+    return { values: { currencySymbol, locale, dateFormat, firstDayOfWeek } };
+}
+
+// Write a date the way the user asked for it, e.g. 31/01/2025 or 31 Jan 2025
+function formatPreferenceDate(value, preferences) {
+    const [year, month, day] = toDateOnlyString(value).split('-');
+    switch (preferences.dateFormat) {
+    case 'MM/DD/YYYY':
+        return `${month}/${day}/${year}`;
+    case 'YYYY-MM-DD':
+        return `${year}-${month}-${day}`;
+    case 'DD MMM YYYY': {
+        const monthName = new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString(preferences.locale, { month: 'short', timeZone: 'UTC' });
+        return `${day} ${monthName} ${year}`;
+    }
+    default:
+        return `${day}/${month}/${year}`;
+    }
+}
+
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_EXPENSE = 10;
+
+// Accepted attachment types, each checked against the file's leading bytes so a renamed file is rejected
+const ATTACHMENT_TYPES = {
+    'application/pdf': (data) => data.subarray(0, 5).toString('latin1') === '%PDF-',
+    'image/jpeg': (data) => data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff,
+    'image/png': (data) => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    'image/webp': (data) => data.subarray(0, 4).toString('latin1') === 'RIFF' && data.subarray(8, 12).toString('latin1') === 'WEBP',
+};
+
+const attachmentStorage = createLocalStorage(process.env.ATTACHMENTS_DIR || path.join(__dirname, 'uploads'));
+
+// Keep only the last path segment of a client file name and drop quotes and control characters
+function sanitizeAttachmentName(name) {
+    const baseName = String(name || '').split(/[\\/]/).pop();
+    return baseName.replace(/[^\x20-\x7e\u00a0-\uffff]|"/g, '').trim().slice(0, 255);
+}
+
+// Validate an upload sent as { filename, contentType, data (base64) }
+function validateAttachment(body) {
+    const contentType = String(body.contentType || '').toLowerCase();
+    if (!ATTACHMENT_TYPES[contentType]) {
+        return { error: 'Attachments must be a PDF, JPEG, PNG or WebP file' };
+    }
+
+    const filename = sanitizeAttachmentName(body.filename);
+    if (!filename) {
+        return { error: 'Attachment file name is required' };
+    }
+
+    const data = Buffer.from(String(body.data || ''), 'base64');
+    if (data.length === 0) {
+        return { error: 'Attachment file is empty' };
+    }
+    if (data.length > MAX_ATTACHMENT_BYTES) {
+        return { error: 'Attachments must be 5 MB or smaller' };
+    }
+    if (!ATTACHMENT_TYPES[contentType](data)) {
+        return { error: 'Attachment contents do not match its file type' };
+    }
+
+    return { values: { filename, contentType, data } };
+}
+
+// Storage keys of attachments on trashed expenses (one expense, or all of the user's), read before purging them
+async function getTrashedAttachmentKeys(db, userId, expenseId = null) {
+    const params = [userId];
+    let query = `
+        SELECT a.storage_key FROM expense_attachments a
+        JOIN expenses e ON e.id = a.expense_id
+        WHERE e.user_id = $1 AND e.deleted_at IS NOT NULL`;
+
+    if (expenseId !== null) {
+        params.push(expenseId);
+        query += ' AND e.id = $2';
+    }
+
+    const result = await db.query(query, params);
+    return result.rows.map(row => row.storage_key);
+}
+
+// Files are removed after the rows are gone; a file that fails to delete is only an orphan, so log and carry on
+async function removeAttachmentFiles(storageKeys) {
+    for (const key of storageKeys) {
+        try {
+            await attachmentStorage.remove(key);
+        } catch (error) {
+            console.error('Failed to remove attachment file:', key, error.message);
+        }
+    }
+}
+
+const MAX_SEARCH_LENGTH = 200;
+const DEFAULT_SEARCH_RESULTS = 50;
+const MAX_SEARCH_RESULTS = 200;
+const SEARCH_AMOUNT_OPERATORS = ['>', '>=', '<', '<='];
+
+// Entry part of the search documents: the same expressions as the GIN indexes in setup-db.js, keep them in
+// sync. /api/search matches words with these exact expressions so Postgres can use the indexes.
+const INCOME_SEARCH_DOCUMENT = `setweight(to_tsvector('simple', COALESCE(i.source, '')), 'A')
+                        || setweight(to_tsvector('simple', COALESCE(i.notes, '')), 'B')`;
+const EXPENSE_SEARCH_DOCUMENT = `setweight(to_tsvector('simple', COALESCE(e.title, '')), 'A')
+                        || setweight(to_tsvector('simple', COALESCE(e.notes, '')), 'B')`;
+
+// Split text into words the way to_tsvector('simple', ...) does, lower-cased
+function splitSearchWords(text) {
+    return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// For each search term, the accounts ({ type, id }) with a word in their name starting with it.
+// Account names live in other tables than the indexed entry documents, so /api/search matches
+// them through these ids and keeps the indexed expression for the entry text.
+async function getSearchTermAccounts(db, userId, terms) {
+    const result = await db.query(
+        `SELECT 'bank' AS type, id, name FROM banks WHERE user_id = $1
+         UNION ALL
+         SELECT 'credit_card' AS type, id, name FROM credit_cards WHERE user_id = $1`,
+        [userId]
+    );
+    const accounts = [...result.rows, { type: 'cash', id: null, name: 'Cash' }];
+
+    return terms.map(term => accounts.filter(account => (
+        splitSearchWords(account.name).some(word => word.startsWith(term))
+    )));
+}
+
+// Split a search box query into what /api/search matches on:
+//   words        -> terms, prefix-matched against title/source, notes and account name ("amaz" finds Amazon)
+//   450, 1,299.50 -> amounts, matching the exact amount or the same number in the text
+//   100-500, 100..500, >1000, <=250 -> amountConditions on the amount
+function parseSearchQuery(text) {
+    const criteria = { terms: [], amounts: [], amountConditions: [] };
+
+    for (const rawToken of String(text || '').trim().split(/\s+/).filter(Boolean)) {
+        const token = /^[<>]?=?[\d,]+(\.\d+)?([-.]{1,2}[\d,]+(\.\d+)?)?$/.test(rawToken) ? rawToken.replace(/,/g, '') : rawToken;
+        let match;
+
+        if ((match = token.match(/^(\d+(?:\.\d+)?)(?:-|\.\.)(\d+(?:\.\d+)?)$/))) {
+            const [low, high] = [Number(match[1]), Number(match[2])].sort((a, b) => a - b);
+            criteria.amountConditions.push({ operator: '>=', value: low }, { operator: '<=', value: high });
+        } else if ((match = token.match(/^([<>]=?)(\d+(?:\.\d+)?)$/))) {
+            criteria.amountConditions.push({ operator: match[1], value: Number(match[2]) });
+        } else if (/^\d+(?:\.\d+)?$/.test(token)) {
+            // Kept as typed so "1299.50" still matches that text in a note
+            criteria.amounts.push(token);
+        } else {
+            // Same word split as to_tsvector, so "o'brien" or "e-mail" become two terms
+            splitSearchWords(token).forEach(term => {
+                if (!criteria.terms.includes(term)) criteria.terms.push(term);
+            });
+        }
+    }
+
+    return criteria;
+}
+
+const ACTIVITY_TYPES = ['income', 'expense', 'transfer', 'card_payment', 'setup', 'audit'];
+const ACTIVITY_PERIODS = ['this_month', 'last_month', 'this_quarter', 'last_quarter', 'this_year', 'last_year'];
+
+// Everything the activity feed can be filtered by; saved filters store these as a query string
+const ACTIVITY_FILTER_KEYS = ['type', 'period', 'month', 'year', 'from_date', 'to_date', 'account', 'min_amount', 'max_amount', 'tag'];
+
+const MAX_SAVED_FILTER_NAME_LENGTH = 60;
+
+// Check activity filters (from /api/activity's query string or a saved filter).
+// Returns { values } with only the filters that are set, or { error }.
+function validateActivityFilters(query) {
+    const values = {};
+    ACTIVITY_FILTER_KEYS.forEach(key => {
+        const value = query[key] === undefined || query[key] === null ? '' : String(query[key]).trim();
+        if (value !== '') values[key] = value;
+    });
+
+    if (values.type && !ACTIVITY_TYPES.includes(values.type)) {
+        return { error: `Activity type must be one of ${ACTIVITY_TYPES.join(', ')}` };
+    }
+    if (values.period && !ACTIVITY_PERIODS.includes(values.period)) {
+        return { error: `Period must be one of ${ACTIVITY_PERIODS.join(', ')}` };
+    }
+    if (values.month && !(/^\d{1,2}$/.test(values.month) && values.month >= 1 && values.month <= 12)) {
+        return { error: 'Month must be from 1 to 12' };
+    }
+    if (values.year && !/^\d{4}$/.test(values.year)) {
+        return { error: 'Year must be a four-digit year' };
+    }
+    for (const key of ['from_date', 'to_date']) {
+        if (values[key] && !isValidDateString(values[key])) {
+            return { error: 'Dates must be in YYYY-MM-DD format' };
+        }
+    }
+    if (values.account && !/^(cash|bank|credit_card)(-\d+)?$/.test(values.account)) {
+        return { error: 'Account must be cash, bank, credit_card or a single account such as bank-3' };
+    }
+    for (const key of ['min_amount', 'max_amount']) {
+        if (values[key] && !(Number.isFinite(Number(values[key])) && Number(values[key]) >= 0)) {
+            return { error: 'Amounts must be zero or more' };
+        }
+    }
+
+    return { values };
+}
+
+// Date range of a relative period as of today; quarters and years follow the financial year
+function getRelativePeriodRange(period, fiscalYearStart, today = new Date()) {
+    const month = today.getMonth() + 1;
+    const fiscalYear = month >= fiscalYearStart ? today.getFullYear() : today.getFullYear() - 1;
+    // Months since the start of the current financial year (0-11)
+    const offset = (month - fiscalYearStart + 12) % 12;
+    const quarterOffset = offset - (offset % 3);
+
+    switch (period) {
+    case 'last_month':
+        return getFiscalMonthRange(fiscalYear, fiscalYearStart, offset - 1, 1);
+    case 'this_quarter':
+        return getFiscalMonthRange(fiscalYear, fiscalYearStart, quarterOffset, 3);
+    case 'last_quarter':
+        return getFiscalMonthRange(fiscalYear, fiscalYearStart, quarterOffset - 3, 3);
+    case 'this_year':
+        return getFiscalMonthRange(fiscalYear, fiscalYearStart, 0, 12);
+    case 'last_year':
+        return getFiscalMonthRange(fiscalYear - 1, fiscalYearStart, 0, 12);
+    default:
+        return getFiscalMonthRange(fiscalYear, fiscalYearStart, offset, 1);
+    }
+}
+
+// Validate a saved filter: { name, query } where query is a query string ("type=expense&period=this_quarter")
+// or an object of filters. The stored query string keeps only known, non-empty filters.
+function validateSavedFilter(body) {
+    const name = String(body.name || '').trim();
+    if (!name) {
+        return { error: 'Filter name is required' };
+    }
+    if (name.length > MAX_SAVED_FILTER_NAME_LENGTH) {
+        return { error: `Filter name must be at most ${MAX_SAVED_FILTER_NAME_LENGTH} characters` };
+    }
+
+    const rawQuery = typeof body.query === 'string'
+        ? Object.fromEntries(new URLSearchParams(body.query.replace(/^\?/, '')))
+        : body.query || {};
+    const filters = validateActivityFilters(rawQuery);
+    if (filters.error) {
+        return filters;
+    }
+    if (Object.keys(filters.values).length === 0) {
+        return { error: 'Choose at least one filter to save' };
+    }
+
+    return { values: { name, query: new URLSearchParams(filters.values).toString() } };
+}
+
+// Income and expense history: sort keys, page size and the columns each list filters on
+const ENTRY_SORT_KEYS = ['date', 'amount', 'title'];
+const DEFAULT_ENTRY_PAGE_SIZE = 25;
+const MAX_ENTRY_PAGE_SIZE = 100;
+const MAX_ENTRY_TEXT_LENGTH = 100;
+const INCOME_LIST_COLUMNS = { title: 'i.source', notes: 'i.notes', amount: 'i.amount', date: 'i.date', id: 'i.id', accountType: 'i.credited_to_type', accountId: 'i.credited_to_id' };
+const EXPENSE_LIST_COLUMNS = { title: 'e.title', notes: 'e.notes', amount: 'e.amount', date: 'e.date', id: 'e.id', accountType: 'e.payment_method', accountId: 'e.payment_source_id' };
+
+// Validate the filters, sort and page of GET /api/income and /api/expenses.
+// Account and amount filters read the same as the activity feed's (account=bank-3, min_amount=100).
+// page/limit are only set when asked for, so callers that want the whole month still get a plain list.
+function validateEntryListQuery(query) {
+    const filters = validateActivityFilters({
+        account: query.account,
+        min_amount: query.min_amount,
+        max_amount: query.max_amount,
+    });
+    if (filters.error) {
+        return filters;
+    }
+    const values = { ...filters.values };
+
+    const text = String(query.q || '').trim();
+    if (text.length > MAX_ENTRY_TEXT_LENGTH) {
+        return { error: `Search text must be at most ${MAX_ENTRY_TEXT_LENGTH} characters` };
+    }
+    values.q = text;
+
+    values.sort = query.sort || 'date';
+    if (!ENTRY_SORT_KEYS.includes(values.sort)) {
+        return { error: `Sort must be one of ${ENTRY_SORT_KEYS.join(', ')}` };
+    }
+    values.order = String(query.order || (values.sort === 'title' ? 'asc' : 'desc')).toLowerCase();
+    if (!['asc', 'desc'].includes(values.order)) {
+        return { error: 'Order must be asc or desc' };
+    }
+
+    if (query.page !== undefined || query.limit !== undefined) {
+        const page = Number(query.page || 1);
+        const limit = Number(query.limit || DEFAULT_ENTRY_PAGE_SIZE);
+        if (!Number.isInteger(page) || page < 1) {
+            return { error: 'Page must be a whole number from 1' };
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ENTRY_PAGE_SIZE) {
+            return { error: `Limit must be a whole number from 1 to ${MAX_ENTRY_PAGE_SIZE}` };
+        }
+        values.page = page;
+        values.limit = limit;
+    }
+
+    return { values };
+}
+
+// SQL conditions (appended to params) and ORDER BY for a validated entry list query
+function buildEntryListClauses(values, columns, params) {
+    const conditions = [];
+
+    // account=credit_card matches every card, account=credit_card-3 just that one
+    if (values.account) {
+        const [accountType, accountId] = values.account.split('-');
+        params.push(accountType);
+        conditions.push(`${columns.accountType} = $${params.length}`);
+        if (accountId) {
+            params.push(parseInt(accountId));
+            conditions.push(`${columns.accountId} = $${params.length}`);
+        }
+    }
+
+    if (values.min_amount) {
+        params.push(Number(values.min_amount));
+        conditions.push(`${columns.amount} >= $${params.length}`);
+    }
+    if (values.max_amount) {
+        params.push(Number(values.max_amount));
+        conditions.push(`${columns.amount} <= $${params.length}`);
+    }
+
+    // Case-insensitive substring match on the title/source or notes; % and _ are matched literally
+    if (values.q) {
+        params.push(`%${values.q.replace(/[\\%_]/g, '\\$&')}%`);
+        conditions.push(`(${columns.title} ILIKE $${params.length} OR ${columns.notes} ILIKE $${params.length})`);
+    }
+
+    const direction = values.order === 'asc' ? 'ASC' : 'DESC';
+    const sortColumn = values.sort === 'title' ? `LOWER(${columns.title})` : columns[values.sort];
+    // The id keeps pages stable when several entries share a date, amount or title
+    const orderBy = `${sortColumn} ${direction}, ${columns.id} ${direction}`;
+
+    return { conditions, orderBy };
+}
+
+// Run a list query with its WHERE clause, either whole or as one page with its totals
+async function queryEntryList(db, selectSql, fromSql, params, orderBy, values) {
+    if (!values.page) {
+        const result = await db.query(`${selectSql} ${fromSql} ORDER BY ${orderBy}`, params);
+        return result.rows;
+    }
+
+    const offset = (values.page - 1) * values.limit;
+    const [pageResult, countResult] = await Promise.all([
+        db.query(`${selectSql} ${fromSql} ORDER BY ${orderBy} LIMIT ${values.limit} OFFSET ${offset}`, params),
+        db.query(`SELECT COUNT(*) as total ${fromSql}`, params),
+    ]);
+    const totalItems = parseInt(countResult.rows[0]?.total) || 0;
+
+    return {
+        entries: pageResult.rows,
+        currentPage: values.page,
+        totalPages: Math.ceil(totalItems / values.limit),
+        totalItems,
+        limit: values.limit,
+    };
+}
+
+// Categorization rules: conditions on an expense's title, amount and payment source,
+// and what a matching rule does (set the category, add tags, rename the expense)
+const RULE_MATCH_TYPES = ['contains', 'regex'];
+const MAX_RULE_PATTERN_LENGTH = 200;
+const MAX_RULES_PER_USER = 100;
+const MAX_RULE_QUANTIFIERS = 3;
+const UNSAFE_RULE_PATTERN_ERROR = 'Title pattern is too complex: avoid back-references, lookarounds, '
+    + `repeated groups that contain repeats or alternatives, and more than ${MAX_RULE_QUANTIFIERS} repeats`;
+
+// Regex rules run against every new expense, import row and re-run over history, so only
+// patterns that can't backtrack catastrophically are accepted: no back-references or
+// lookarounds, no repeated group that itself repeats or alternates (such as (a+)+ or (a|ab)*),
+// and a few repeats at most. Titles are at most 200 characters, which bounds the rest.
+function isSafeRulePattern(pattern) {
+    if (/\\[1-9]|\\k<|\(\?<?[=!]/.test(pattern)) return false;
+
+    const groups = [{ repeats: false }];
+    let quantifiers = 0;
+    let inClass = false;
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            i++;
+        } else if (inClass) {
+            if (char === ']') inClass = false;
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push({ repeats: false });
+            // Skip the ?: or ?<name> of non-capturing and named groups
+            if (pattern[i + 1] === '?') {
+                const end = pattern[i + 2] === '<' ? pattern.indexOf('>', i) : i + 2;
+                if (end === -1) return false;
+                i = end;
+            }
+        } else if (char === ')') {
+            const group = groups.pop();
+            if (groups.length === 0) return false;
+            const repeated = /[*+{]/.test(pattern[i + 1] || '');
+            if (repeated && group.repeats) return false;
+            if (repeated || group.repeats) groups[groups.length - 1].repeats = true;
+        } else if (char === '|') {
+            groups[groups.length - 1].repeats = true;
+        } else if (char === '*' || char === '+' || char === '{') {
+            groups[groups.length - 1].repeats = true;
+            quantifiers++;
+        }
+    }
+
+    return quantifiers <= MAX_RULE_QUANTIFIERS;
+}
+
+// Validate a rule from the request body. Returns { values } or { error };
+// the category still has to be checked against the user with resolveCategoryId.
+function validateCategorizationRule(body) {
+    const matchType = body.matchType || 'contains';
+    if (!RULE_MATCH_TYPES.includes(matchType)) {
+        return { error: 'Match type must be contains or regex' };
+    }
+
+    const pattern = String(body.pattern || '').trim() || null;
+    if (pattern && pattern.length > MAX_RULE_PATTERN_LENGTH) {
+        return { error: `Title pattern must be at most ${MAX_RULE_PATTERN_LENGTH} characters` };
+    }
+    if (pattern && matchType === 'regex') {
+        try {
+            new RegExp(pattern, 'i');
+        } catch {
+            return { error: 'Title pattern is not a valid regular expression' };
+        }
+        if (!isSafeRulePattern(pattern)) {
+            return { error: UNSAFE_RULE_PATTERN_ERROR };
+        }
+    }
+
+    const amounts = {};
+    for (const key of ['minAmount', 'maxAmount']) {
+        const value = body[key];
+        if (value === undefined || value === null || String(value).trim() === '') {
+            amounts[key] = null;
+        } else if (Number.isFinite(Number(value)) && Number(value) >= 0) {
+            amounts[key] = Number(value);
+        } else {
+            return { error: 'Amounts must be zero or more' };
+        }
+    }
+    if (amounts.minAmount !== null && amounts.maxAmount !== null && amounts.minAmount > amounts.maxAmount) {
+        return { error: 'Minimum amount must not be more than the maximum amount' };
+    }
+
+    // 'bank' matches every bank, 'bank-3' just that one (same form as the account filters)
+    const paymentSource = String(body.paymentSource || '').trim();
+    if (paymentSource && !/^(cash|bank|credit_card)(-\d+)?$/.test(paymentSource)) {
+        return { error: 'Payment source must be cash, bank, credit_card or a single account such as bank-3' };
+    }
+    const [paymentMethod, paymentSourceId] = paymentSource ? paymentSource.split('-') : [null, null];
+
+    const tagResult = normalizeTags(body.tags);
+    if (tagResult.error) {
+        return { error: tagResult.error };
+    }
+
+    const renameTo = String(body.renameTo || '').trim() || null;
+    if (renameTo && renameTo.length > 200) {
+        return { error: 'New title must be at most 200 characters' };
+    }
+
+    if (!pattern && amounts.minAmount === null && amounts.maxAmount === null && !paymentMethod) {
+        return { error: 'Add at least one condition: title, amount or payment source' };
+    }
+    if (!body.categoryId && tagResult.tags.length === 0 && !renameTo) {
+        return { error: 'Choose a category, tags or a new title for matching expenses' };
+    }
+
+    return {
+        values: {
+            matchType,
+            pattern,
+            minAmount: amounts.minAmount,
+            maxAmount: amounts.maxAmount,
+            paymentMethod,
+            paymentSourceId: paymentSourceId ? parseInt(paymentSourceId) : null,
+            categoryId: body.categoryId,
+            tags: tagResult.tags,
+            renameTo,
+        },
+    };
+}
+
+async function getCategorizationRules(db, userId) {
+    const result = await db.query(
+        'SELECT * FROM categorization_rules WHERE user_id = $1 ORDER BY id',
+        [userId]
+    );
+    return result.rows;
+}
+
+// Does a rule's every condition hold for an expense ({ title, amount, payment_method, payment_source_id })?
+function ruleMatchesExpense(rule, expense) {
+    const title = String(expense.title || '');
+    if (rule.pattern) {
+        if (rule.match_type === 'regex') {
+            // Rules saved before patterns were checked never match rather than risk stalling the server
+            if (!isSafeRulePattern(rule.pattern)) return false;
+            let regex;
+            try {
+                regex = new RegExp(rule.pattern, 'i');
+            } catch {
+                return false;
+            }
+            if (!regex.test(title)) return false;
+        } else if (!title.toLowerCase().includes(rule.pattern.toLowerCase())) {
+            return false;
+        }
+    }
+
+    const amount = parseFloat(expense.amount);
+    if (rule.min_amount !== null && rule.min_amount !== undefined && !(amount >= parseFloat(rule.min_amount))) return false;
+    if (rule.max_amount !== null && rule.max_amount !== undefined && !(amount <= parseFloat(rule.max_amount))) return false;
+
+    if (rule.payment_method && rule.payment_method !== expense.payment_method) return false;
+    if (rule.payment_source_id && rule.payment_source_id !== parseInt(expense.payment_source_id)) return false;
+
+    return true;
+}
+
+// Apply the first matching rule to an expense. Returns null when no rule matches, otherwise
+// { ruleId, title, category_id, tags }: the rule's tags are added to the expense's own, and a
+// category the expense already has is only replaced when overwriteCategory is set.
+function applyCategorizationRules(rules, expense, { overwriteCategory = false } = {}) {
+    const rule = rules.find(candidate => ruleMatchesExpense(candidate, expense));
+    if (!rule) {
+        return null;
+    }
+
+    const tags = [...(expense.tags || [])];
+    (rule.tags || []).forEach(tag => {
+        if (!tags.includes(tag)) tags.push(tag);
+    });
+
+    const keepCategory = !rule.category_id || (expense.category_id && !overwriteCategory);
+
+    return {
+        ruleId: rule.id,
+        title: rule.rename_to || expense.title,
+        category_id: keepCategory ? expense.category_id || null : rule.category_id,
+        tags: tags.slice(0, MAX_TAGS),
+    };
+}
+
+// Duplicate detection: entries on the same account with the same amount, dated within
+// DUPLICATE_WINDOW_DAYS of each other and with similar titles, are likely the same transaction
+const DUPLICATE_WINDOW_DAYS = 3;
+const MAX_DUPLICATE_PAIRS = 200;
+const DUPLICATE_ENTRY_COLUMNS = {
+    income: { table: 'income_entries', title: 'source', accountType: 'credited_to_type', accountId: 'credited_to_id' },
+    expense: { table: 'expenses', title: 'title', accountType: 'payment_method', accountId: 'payment_source_id' },
+};
+
+// Words of a title that matter for matching: "SWIGGY*ORDER 1234" -> ['swiggy', 'order']
+function duplicateTitleWords(title) {
+    return String(title || '').toLowerCase().replace(/[^\p{L}\s]+/gu, ' ').split(/\s+/).filter(word => word.length > 1);
+}
+
+// Titles are similar when at least half the words of the shorter one appear in the other
+// ("Swiggy" and "SWIGGY BANGALORE"); titles without words (only numbers) must be equal
+function titlesLookSimilar(first, second) {
+    const firstWords = new Set(duplicateTitleWords(first));
+    const secondWords = new Set(duplicateTitleWords(second));
+    if (firstWords.size === 0 || secondWords.size === 0) {
+        return String(first || '').trim().toLowerCase() === String(second || '').trim().toLowerCase();
+    }
+
+    const shared = [...firstWords].filter(word => secondWords.has(word)).length;
+    return shared / Math.min(firstWords.size, secondWords.size) >= 0.5;
+}
+
+// Entries that look like duplicates of a just-saved income/expense row (not in the trash)
+async function findPossibleDuplicates(db, userId, entryType, entry) {
+    const columns = DUPLICATE_ENTRY_COLUMNS[entryType];
+    const result = await db.query(
+        `SELECT id, ${columns.title} AS title, amount, to_char(date, 'YYYY-MM-DD') AS date
+         FROM ${columns.table}
+         WHERE user_id = $1 AND id <> $2 AND deleted_at IS NULL
+           AND ${columns.accountType} = $3 AND ${columns.accountId} IS NOT DISTINCT FROM $4
+           AND amount = $5
+           AND date BETWEEN $6::date - ${DUPLICATE_WINDOW_DAYS} AND $6::date + ${DUPLICATE_WINDOW_DAYS}
+         ORDER BY date DESC, id DESC`,
+        [userId, entry.id, entry[columns.accountType], entry[columns.accountId], entry.amount, entry.date]
+    );
+
+    return result.rows.filter(row => titlesLookSimilar(row.title, entry[columns.title]));
+}
+
+// Keep both entries' tags and notes on the one that stays; the kept entry's category wins
+function mergeDuplicateDetails(kept, removed) {
+    const tags = [...(kept.tags || [])];
+    (removed.tags || []).forEach(tag => {
+        if (!tags.includes(tag)) tags.push(tag);
+    });
+
+    let notes = kept.notes || null;
+    if (removed.notes && removed.notes !== notes) {
+        notes = notes ? `${notes}\n\n${removed.notes}` : removed.notes;
+    }
+
+    return {
+        tags: tags.slice(0, MAX_TAGS),
+        notes: notes ? notes.slice(0, MAX_NOTE_LENGTH) : null,
+        categoryId: kept.category_id || removed.category_id || null,
+    };
+}
+
+const MAX_EXPENSE_SPLITS = 20;
+const MAX_SPLIT_NOTE_LENGTH = 200;
+
+// { splits: [{ categoryId, amount, note }] } for an expense of expenseAmount. An empty list takes
+// the split away again; otherwise there are at least two lines and they add up to the expense to the cent.
+// Categories are checked against the user's own separately (resolveCategoryId).
+function validateExpenseSplits(body, expenseAmount) {
+    const splits = body.splits;
+    if (!Array.isArray(splits)) {
+        return { error: 'Split lines must be a list' };
+    }
+    if (splits.length === 0) {
+        return { values: [] };
+    }
+    if (splits.length < 2) {
+        return { error: 'A split needs at least two lines' };
+    }
+    if (splits.length > MAX_EXPENSE_SPLITS) {
+        return { error: `An expense can be split into at most ${MAX_EXPENSE_SPLITS} lines` };
+    }
+
+    const values = [];
+    let totalCents = 0;
+    for (const [index, line] of splits.entries()) {
+        const amount = Number(line && line.amount);
+        if (!Number.isFinite(amount) || amount <= 0) {
+            return { error: `Line ${index + 1}: amount must be more than zero` };
+        }
+
+        const note = String(line.note || '').trim() || null;
+        if (note && note.length > MAX_SPLIT_NOTE_LENGTH) {
+            return { error: `Line ${index + 1}: note must be at most ${MAX_SPLIT_NOTE_LENGTH} characters` };
+        }
+
+        const cents = Math.round(amount * 100);
+        totalCents += cents;
+        values.push({ categoryId: line.categoryId, amount: cents / 100, note });
+    }
+
+    const expenseCents = Math.round(parseFloat(expenseAmount) * 100);
+    if (totalCents !== expenseCents) {
+        return { error: `Split lines add up to ${(totalCents / 100).toFixed(2)} but the expense is ${(expenseCents / 100).toFixed(2)}` };
+    }
+
+    return { values };
+}
+
+// An expense's split lines in the order they were entered (empty when it isn't split)
+async function getExpenseSplits(db, userId, expenseId) {
+    const result = await db.query(
+        `SELECT s.id, s.category_id, ec.name AS category_name, s.amount, s.note
+         FROM expense_splits s
+         LEFT JOIN expense_categories ec ON s.category_id = ec.id
+         WHERE s.expense_id = $1 AND s.user_id = $2
+         ORDER BY s.id`,
+        [expenseId, userId]
+    );
+    return result.rows;
+}
+
+// Authentication middleware
+const requireAuth = (req, res, next) => {
+    if (req.session.userId) {
+        next();
+    } else {
+        res.status(401).json({ error: 'Authentication required' });
+    }
+};
+
+// Routes
+
+// User Registration
+app.post('/api/register', authLimiter, async (req, res) => {
+    try {
+        const {
+            username,
+            password,
+            name,
+            email,
+            securityQuestion,
+            securityAnswer,
+        } = req.body;
+
+        // Server-side validation
+        if (
+            !username ||
+      !password ||
+      !name ||
+      !email ||
+      !securityQuestion ||
+      !securityAnswer
+        ) {
+            return res.status(400).json({ error: 'All fields are required' });
+        }
+
+        // Validate email format
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(email)) {
+            return res.status(400).json({ error: 'Invalid email format' });
+        }
+
+        // Validate password strength
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+
+        // Validate username format
+        const usernameRegex = /^[a-zA-Z0-9_]+$/;
+        if (!usernameRegex.test(username)) {
+            return res
+                .status(400)
+                .json({
+                    error: 'Username can only contain letters, numbers, and underscores',
+                });
+        }
+
+        // Check if username already exists
+        const existingUser = await pool.query(
+            'SELECT id FROM users WHERE username = $1 OR email = $2',
+            [username, email]
+        );
+
+        if (existingUser.rows.length > 0) {
+            return res
+                .status(400)
+                .json({ error: 'Username or email already exists' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const hashedSecurityAnswer = await bcrypt.hash(
+            securityAnswer.toLowerCase().trim(),
+            10
+        );
+
+        const result = await pool.query(
+            'INSERT INTO users (username, password_hash, name, email, security_question, security_answer_hash, tracking_option, categories_seeded) VALUES ($1, $2, $3, $4, $5, $6, $7, TRUE) RETURNING id',
+            [
+                username,
+                hashedPassword,
+                name,
+                email,
+                securityQuestion,
+                hashedSecurityAnswer,
+                'both',
+            ]
+        );
+
+        await seedDefaultCategories(pool, result.rows[0].id);
+
+        req.session.userId = result.rows[0].id;
+        res.json({ success: true, userId: result.rows[0].id });
+    } catch (error) {
+        if (error.code === '23505') {
+            // Unique constraint violation
+            res.status(400).json({ error: 'Username or email already exists' });
+        } else {
+            res.status(500).json({ error: 'Registration failed. Please try again.' });
+        }
+    }
+});
+
+// User Login
+app.post('/api/login', authLimiter, async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        // Server-side validation
+        if (!username || !password) {
+            return res
+                .status(400)
+                .json({ error: 'Username and password are required' });
+        }
+
+        // Validate username format
+        const usernameRegex = /^[a-zA-Z0-9_]+$/;
+        if (!usernameRegex.test(username)) {
+            return res
+                .status(400)
+                .json({
+                    error:
+            'Invalid username format. Username can only contain letters, numbers, and underscores',
+                });
+        }
+
+        const result = await pool.query(
+            'SELECT id, password_hash, name, tracking_option FROM users WHERE username = $1',
+            [username]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(400).json({ error: 'Invalid credentials' });
+        }
+
+        const user = result.rows[0];
+        const isValidPassword = await bcrypt.compare(password, user.password_hash);
+
+        if (!isValidPassword) {
+            return res.status(400).json({ error: 'Invalid credentials' });
+        }
+
+        req.session.userId = user.id;
+
+        // Catch up on recurring entries that came due while the user was away
+        try {
+            await materializeRecurringTransactions(user.id);
+        } catch (error) {
+            console.error('Recurring transactions failed at login:', error.message);
+        }
+
+        res.json({
+            success: true,
+            userId: user.id,
+            name: user.name,
+            trackingOption: user.tracking_option,
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Set tracking option
+app.post('/api/set-tracking-option', requireAuth, async (req, res) => {
+    try {
+        const { trackingOption } = req.body;
+        await pool.query('UPDATE users SET tracking_option = $1 WHERE id = $2', [
+            trackingOption,
+            req.session.userId,
+        ]);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Set the month the user's financial year starts in (1 = January, 4 = April)
+app.post('/api/set-fiscal-year-start', requireAuth, async (req, res) => {
+    try {
+        const fiscalYearStart = parseInt(req.body.fiscalYearStart);
+
+        if (!Number.isInteger(fiscalYearStart) || fiscalYearStart < 1 || fiscalYearStart > 12) {
+            return res.status(400).json({ error: 'Fiscal year start must be a month from 1 to 12' });
+        }
+
+        await pool.query('UPDATE users SET fiscal_year_start = $1 WHERE id = $2', [
+            fiscalYearStart,
+            req.session.userId,
+        ]);
+        res.json({ success: true, fiscalYearStart });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Set the currency summaries are converted to. Stored rates are re-expressed against the
+// new base, which needs a rate for it unless no rates have been entered yet.
+app.post('/api/set-base-currency', requireAuth, async (req, res) => {
+    const baseCurrency = resolveCurrency(req.body.baseCurrency, null);
+
+    if (!baseCurrency) {
+        return res.status(400).json({ error: INVALID_CURRENCY_ERROR });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const userId = req.session.userId;
+
+        const userResult = await client.query('SELECT base_currency FROM users WHERE id = $1', [userId]);
+        const previousCurrency = userResult.rows[0]?.base_currency || DEFAULT_CURRENCY;
+
+        if (previousCurrency !== baseCurrency) {
+            const rateResult = await client.query(
+                'SELECT currency, rate FROM exchange_rates WHERE user_id = $1',
+                [userId]
+            );
+            const newBaseRate = rateResult.rows.find(row => row.currency === baseCurrency);
+
+            if (!newBaseRate && rateResult.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    error: `Add an exchange rate for ${baseCurrency} before making it the base currency`
+                });
+            }
+
+            if (newBaseRate) {
+                const divisor = parseFloat(newBaseRate.rate);
+                await client.query(
+                    'UPDATE exchange_rates SET rate = rate / $2, updated_at = CURRENT_TIMESTAMP WHERE user_id = $1',
+                    [userId, divisor]
+                );
+                await client.query(
+                    'DELETE FROM exchange_rates WHERE user_id = $1 AND currency = $2',
+                    [userId, baseCurrency]
+                );
+                await client.query(
+                    `INSERT INTO exchange_rates (user_id, currency, rate) VALUES ($1, $2, $3)
+                     ON CONFLICT (user_id, currency) DO UPDATE SET rate = EXCLUDED.rate, updated_at = CURRENT_TIMESTAMP`,
+                    [userId, previousCurrency, 1 / divisor]
+                );
+            }
+
+            await client.query('UPDATE users SET base_currency = $1 WHERE id = $2', [baseCurrency, userId]);
+        }
+
+        await client.query('COMMIT');
+        res.json({ success: true, baseCurrency });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Save display preferences (currency symbol, locale, date format, first day of week)
+app.post('/api/set-preferences', requireAuth, async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const current = await getUserPreferences(pool, userId);
+
+        const validation = validatePreferences(req.body, current);
+        if (validation.error) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        const { currencySymbol, locale, dateFormat, firstDayOfWeek } = validation.values;
+        await pool.query(
+            `INSERT INTO user_preferences (user_id, currency_symbol, locale, date_format, first_day_of_week)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (user_id) DO UPDATE SET
+                currency_symbol = EXCLUDED.currency_symbol,
+                locale = EXCLUDED.locale,
+                date_format = EXCLUDED.date_format,
+                first_day_of_week = EXCLUDED.first_day_of_week,
+                updated_at = CURRENT_TIMESTAMP`,
+            [userId, currencySymbol, locale, dateFormat, firstDayOfWeek]
+        );
+
+        res.json({ success: true, preferences: validation.values });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get user info
+app.get('/api/user', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT name, tracking_option, COALESCE(fiscal_year_start, 1) as fiscal_year_start, COALESCE(base_currency, \'INR\') as base_currency FROM users WHERE id = $1',
+            [req.session.userId]
+        );
+        const preferences = await getUserPreferences(pool, req.session.userId);
+        res.json({ ...result.rows[0], preferences });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Forgot Username - Retrieve username by email
+app.post('/api/forgot-username', authLimiter, async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        // Validate email format
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(email)) {
+            return res.status(400).json({ error: 'Invalid email format' });
+        }
+
+        const result = await pool.query(
+            'SELECT username, name FROM users WHERE email = $1',
+            [email]
+        );
+
+        if (result.rows.length === 0) {
+            return res
+                .status(404)
+                .json({ error: 'No account found with this email address' });
+        }
+
+        const user = result.rows[0];
+        res.json({
+            success: true,
+            username: user.username,
+            name: user.name,
+            message: 'Username found successfully',
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error. Please try again.' });
+    }
+});
+
+// Password Reset - Step 1: Verify user and security question
+app.post('/api/forgot-password', authLimiter, async (req, res) => {
+    try {
+        const { username, email } = req.body;
+
+        if (!username && !email) {
+            return res.status(400).json({ error: 'Username or email is required' });
+        }
+
+        // Validate email format if email is provided
+        if (email) {
+            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+            if (!emailRegex.test(email)) {
+                return res.status(400).json({ error: 'Invalid email format' });
+            }
+        }
+
+        // Validate username format if username is provided
+        if (username) {
+            const usernameRegex = /^[a-zA-Z0-9_]+$/;
+            if (!usernameRegex.test(username)) {
+                return res
+                    .status(400)
+                    .json({
+                        error:
+              'Invalid username format. Username can only contain letters, numbers, and underscores',
+                    });
+            }
+        }
+
+        let query, params;
+        if (email) {
+            query =
+        'SELECT id, username, name, security_question FROM users WHERE email = $1';
+            params = [email];
+        } else {
+            query =
+        'SELECT id, username, name, security_question FROM users WHERE username = $1';
+            params = [username];
+        }
+
+        const result = await pool.query(query, params);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const user = result.rows[0];
+        res.json({
+            success: true,
+            userId: user.id,
+            username: user.username,
+            name: user.name,
+            securityQuestion: user.security_question,
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error. Please try again.' });
+    }
+});
+
+// Password Reset - Step 2: Reset password with security answer
+app.post('/api/reset-password', authLimiter, async (req, res) => {
+    try {
+        const { userId, securityAnswer, newPassword } = req.body;
+
+        if (!userId || !securityAnswer || !newPassword) {
+            return res.status(400).json({ error: 'All fields are required' });
+        }
+
+        // Validate new password strength
+        const passwordError = validatePassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+
+        // Get user's security answer hash
+        const result = await pool.query(
+            'SELECT security_answer_hash FROM users WHERE id = $1',
+            [userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const user = result.rows[0];
+        const isValidAnswer = await bcrypt.compare(
+            securityAnswer.toLowerCase().trim(),
+            user.security_answer_hash
+        );
+
+        if (!isValidAnswer) {
+            return res.status(400).json({ error: 'Incorrect security answer' });
+        }
+
+        // Update password
+        const hashedNewPassword = await bcrypt.hash(newPassword, 10);
+        await pool.query(
+            'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [hashedNewPassword, userId]
+        );
+
+        res.json({ success: true, message: 'Password reset successfully' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error. Please try again.' });
+    }
+});
+
+// Bank operations
+app.post('/api/banks', requireAuth, async (req, res) => {
+    try {
+        const { name, initialBalance } = req.body;
+        const upperName = name.toUpperCase();
+
+        const currency = resolveCurrency(req.body.currency);
+        if (!currency) {
+            return res.status(400).json({ error: INVALID_CURRENCY_ERROR });
+        }
+
+        const result = await pool.query(
+            'INSERT INTO banks (user_id, name, initial_balance, current_balance, currency) VALUES ($1, $2, $3, $3, $4) RETURNING *',
+            [req.session.userId, upperName, initialBalance || 0, currency]
+        );
+
+        await recordAudit(pool, req.session.userId, 'bank', result.rows[0].id, 'created', null, result.rows[0]);
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        if (error.code === '23505') {
+            res.status(400).json({ error: 'Bank already exists' });
+        } else {
+            res.status(500).json({ error: error.message });
+        }
+    }
+});
+
+app.get('/api/banks', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT * FROM banks WHERE user_id = $1 ORDER BY name',
+            [req.session.userId]
+        );
+        res.json(result.rows);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Credit card operations
+app.post('/api/credit-cards', requireAuth, async (req, res) => {
+    try {
+        const { name, creditLimit } = req.body;
+        const upperName = name.toUpperCase();
+
+        const cycle = validateCardCycle(req.body, { statementDay: 1, paymentDueDays: 20 });
+        if (cycle.error) {
+            return res.status(400).json({ error: cycle.error });
+        }
+
+        const currency = resolveCurrency(req.body.currency);
+        if (!currency) {
+            return res.status(400).json({ error: INVALID_CURRENCY_ERROR });
+        }
+
+        const result = await pool.query(
+            'INSERT INTO credit_cards (user_id, name, credit_limit, statement_day, payment_due_days, currency) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+            [req.session.userId, upperName, creditLimit, cycle.values.statementDay, cycle.values.paymentDueDays, currency]
+        );
+
+        await recordAudit(pool, req.session.userId, 'credit_card', result.rows[0].id, 'created', null, result.rows[0]);
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        if (error.code === '23505') {
+            res.status(400).json({ error: 'Credit card already exists' });
+        } else {
+            res.status(500).json({ error: error.message });
+        }
+    }
+});
+
+app.get('/api/credit-cards', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT * FROM credit_cards WHERE user_id = $1 ORDER BY name',
+            [req.session.userId]
+        );
+        res.json(result.rows);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Per-cycle statements for a card (?count=N closed cycles, default 6)
+app.get('/api/credit-cards/:id/statements', requireAuth, async (req, res) => {
+    try {
+        const count = Math.min(Math.max(parseInt(req.query.count) || 6, 1), 24);
+
+        const cardResult = await pool.query(
+            'SELECT * FROM credit_cards WHERE id = $1 AND user_id = $2',
+            [req.params.id, req.session.userId]
+        );
+
+        if (cardResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Credit card not found' });
+        }
+
+        const card = cardResult.rows[0];
+        const { statements, currentDue } = await getCardStatements(pool, req.session.userId, card, count);
+
+        res.json({
+            cardId: card.id,
+            cardName: card.name,
+            statementDay: card.statement_day,
+            paymentDueDays: card.payment_due_days,
+            currentDue,
+            statements,
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Cash balance operations
+app.post('/api/cash-balance', requireAuth, async (req, res) => {
+    try {
+        const { balance } = req.body;
+
+        // Check if user already has a cash balance record
+        const existingCash = await pool.query(
+            'SELECT * FROM cash_balance WHERE user_id = $1',
+            [req.session.userId]
+        );
+
+        // Keep the wallet's currency unless a new one was sent
+        const currentCurrency = existingCash.rows[0]?.currency || DEFAULT_CURRENCY;
+        const currency = resolveCurrency(req.body.currency, currentCurrency);
+        if (!currency) {
+            return res.status(400).json({ error: INVALID_CURRENCY_ERROR });
+        }
+        if (existingCash.rows.length > 0 && currency !== currentCurrency && await accountHasActivity(pool, req.session.userId, 'cash')) {
+            return res.status(400).json({ error: CURRENCY_LOCKED_ERROR });
+        }
+
+        let result;
+        if (existingCash.rows.length > 0) {
+            // Update existing record - only update balance, keep initial_balance unchanged
+            result = await pool.query(
+                'UPDATE cash_balance SET balance = $1, currency = $3, updated_at = CURRENT_TIMESTAMP WHERE user_id = $2 RETURNING *',
+                [balance || 0, req.session.userId, currency]
+            );
+        } else {
+            // Insert new record - set both balance and initial_balance to the same value
+            result = await pool.query(
+                'INSERT INTO cash_balance (user_id, balance, initial_balance, currency) VALUES ($1, $2, $2, $3) RETURNING *',
+                [req.session.userId, balance || 0, currency]
+            );
+        }
+
+        const previousCash = existingCash.rows[0] || null;
+        await recordAudit(
+            pool, req.session.userId, 'cash', result.rows[0].id,
+            previousCash ? 'updated' : 'created', previousCash, result.rows[0]
+        );
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/cash-balance', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT * FROM cash_balance WHERE user_id = $1',
+            [req.session.userId]
+        );
+        res.json(result.rows[0] || { balance: 0 });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Bank CRUD operations
+app.put('/api/banks/:id', requireAuth, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { id } = req.params;
+        const { name, initialBalance } = req.body;
+
+        // Validate input
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: 'Bank name is required' });
+        }
+
+        if (initialBalance === undefined || isNaN(initialBalance) || parseFloat(initialBalance) < 0) {
+            return res.status(400).json({ error: 'Valid initial balance is required' });
+        }
+
+        // Get current bank data
+        const currentBank = await client.query(
+            'SELECT * FROM banks WHERE id = $1 AND user_id = $2',
+            [id, req.session.userId]
+        );
+
+        if (currentBank.rows.length === 0) {
+            return res.status(404).json({ error: 'Bank not found' });
+        }
+
+        const currentCurrency = currentBank.rows[0].currency || DEFAULT_CURRENCY;
+        const currency = resolveCurrency(req.body.currency, currentCurrency);
+        if (!currency) {
+            return res.status(400).json({ error: INVALID_CURRENCY_ERROR });
+        }
+        if (currency !== currentCurrency && await accountHasActivity(client, req.session.userId, 'bank', currentBank.rows[0].id)) {
+            return res.status(400).json({ error: CURRENCY_LOCKED_ERROR });
+        }
+
+        const oldBalance = parseFloat(currentBank.rows[0].initial_balance);
+        const newBalance = parseFloat(initialBalance);
+        const balanceDifference = newBalance - oldBalance;
+
+        // Update bank
+        const result = await client.query(
+            'UPDATE banks SET name = $1, initial_balance = $2, current_balance = current_balance + $3, currency = $6 WHERE id = $4 AND user_id = $5 RETURNING *',
+            [name.trim(), newBalance, balanceDifference, id, req.session.userId, currency]
+        );
+
+        await recordAudit(client, req.session.userId, 'bank', currentBank.rows[0].id, 'updated', currentBank.rows[0], result.rows[0]);
+
+        await client.query('COMMIT');
+        res.json(result.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+app.delete('/api/banks/:id', requireAuth, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { id } = req.params;
+
+        // Check if bank has transactions
+        const transactions = await client.query(
+            'SELECT COUNT(*) FROM income_entries WHERE user_id = $1 AND credited_to_type = $2 AND credited_to_id = $3 UNION ALL SELECT COUNT(*) FROM expense_entries WHERE user_id = $1 AND debited_from_type = $2 AND debited_from_id = $3',
+            [req.session.userId, 'bank', id]
+        );
+
+        const totalTransactions = transactions.rows.reduce((sum, row) => sum + parseInt(row.count), 0);
+
+        if (totalTransactions > 0) {
+            return res.status(400).json({
+                error: 'Cannot delete bank with existing transactions. Please delete all related transactions first.'
+            });
+        }
+
+        // Delete bank
+        const result = await client.query(
+            'DELETE FROM banks WHERE id = $1 AND user_id = $2 RETURNING *',
+            [id, req.session.userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Bank not found' });
+        }
+
+        await recordAudit(client, req.session.userId, 'bank', result.rows[0].id, 'deleted', result.rows[0], null);
+
+        await client.query('COMMIT');
+        res.json({ success: true, message: 'Bank deleted successfully' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Credit Card CRUD operations
+app.put('/api/credit-cards/:id', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, creditLimit } = req.body;
+
+        // Validate input
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: 'Card name is required' });
+        }
+
+        if (creditLimit === undefined || isNaN(creditLimit) || parseFloat(creditLimit) <= 0) {
+            return res.status(400).json({ error: 'Valid credit limit greater than 0 is required' });
+        }
+
+        // Check if card exists and belongs to user
+        const currentCard = await pool.query(
+            'SELECT * FROM credit_cards WHERE id = $1 AND user_id = $2',
+            [id, req.session.userId]
+        );
+
+        if (currentCard.rows.length === 0) {
+            return res.status(404).json({ error: 'Credit card not found' });
+        }
+
+        const currentCurrency = currentCard.rows[0].currency || DEFAULT_CURRENCY;
+        const currency = resolveCurrency(req.body.currency, currentCurrency);
+        if (!currency) {
+            return res.status(400).json({ error: INVALID_CURRENCY_ERROR });
+        }
+        if (currency !== currentCurrency && await accountHasActivity(pool, req.session.userId, 'credit_card', currentCard.rows[0].id)) {
+            return res.status(400).json({ error: CURRENCY_LOCKED_ERROR });
+        }
+
+        const currentUsedLimit = parseFloat(currentCard.rows[0].used_limit);
+        const newCreditLimit = parseFloat(creditLimit);
+
+        // Check if new credit limit is not less than used limit
+        if (newCreditLimit < currentUsedLimit) {
+            return res.status(400).json({
+                error: `Credit limit cannot be less than used limit (${formatMoney(currentUsedLimit, currency)})`
+            });
+        }
+
+        // Keep the existing statement cycle unless new values were sent
+        const cycle = validateCardCycle(req.body, {
+            statementDay: currentCard.rows[0].statement_day || 1,
+            paymentDueDays: currentCard.rows[0].payment_due_days ?? 20,
+        });
+        if (cycle.error) {
+            return res.status(400).json({ error: cycle.error });
+        }
+
+        // Update credit card
+        const result = await pool.query(
+            'UPDATE credit_cards SET name = $1, credit_limit = $2, statement_day = $3, payment_due_days = $4, currency = $7 WHERE id = $5 AND user_id = $6 RETURNING *',
+            [name.trim(), newCreditLimit, cycle.values.statementDay, cycle.values.paymentDueDays, id, req.session.userId, currency]
+        );
+
+        await recordAudit(pool, req.session.userId, 'credit_card', currentCard.rows[0].id, 'updated', currentCard.rows[0], result.rows[0]);
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/credit-cards/:id', requireAuth, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { id } = req.params;
+
+        // Check if credit card has transactions
+        const transactions = await client.query(
+            'SELECT COUNT(*) FROM expense_entries WHERE user_id = $1 AND debited_from_type = $2 AND debited_from_id = $3',
+            [req.session.userId, 'credit_card', id]
+        );
+
+        if (parseInt(transactions.rows[0].count) > 0) {
+            return res.status(400).json({
+                error: 'Cannot delete credit card with existing transactions. Please delete all related transactions first.'
+            });
+        }
+
+        // Delete credit card
+        const result = await pool.query(
+            'DELETE FROM credit_cards WHERE id = $1 AND user_id = $2 RETURNING *',
+            [id, req.session.userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Credit card not found' });
+        }
+
+        await recordAudit(client, req.session.userId, 'credit_card', result.rows[0].id, 'deleted', result.rows[0], null);
+
+        await client.query('COMMIT');
+        res.json({ success: true, message: 'Credit card deleted successfully' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Exchange rate operations
+// Rates are entered by the user: one unit of `currency` is worth `rate` units of the base currency.
+// The response also lists account currencies that still have no rate.
+app.get('/api/exchange-rates', requireAuth, async (req, res) => {
+    try {
+        const userId = req.session.userId;
+
+        const userResult = await pool.query('SELECT base_currency FROM users WHERE id = $1', [userId]);
+        const baseCurrency = userResult.rows[0]?.base_currency || DEFAULT_CURRENCY;
+
+        const ratesResult = await pool.query(
+            'SELECT currency, rate, updated_at FROM exchange_rates WHERE user_id = $1 ORDER BY currency',
+            [userId]
+        );
+
+        const currenciesResult = await pool.query(
+            `SELECT currency FROM banks WHERE user_id = $1
+             UNION SELECT currency FROM credit_cards WHERE user_id = $1
+             UNION SELECT currency FROM cash_balance WHERE user_id = $1`,
+            [userId]
+        );
+
+        const ratedCurrencies = new Set(ratesResult.rows.map(row => row.currency));
+        const missingRates = currenciesResult.rows
+            .map(row => row.currency)
+            .filter(currency => currency && currency !== baseCurrency && !ratedCurrencies.has(currency))
+            .sort();
+
+        res.json({ baseCurrency, rates: ratesResult.rows, missingRates });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/exchange-rates/:currency', requireAuth, async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const currency = resolveCurrency(req.params.currency, null);
+        const rate = parseFloat(req.body.rate);
+
+        if (!currency) {
+            return res.status(400).json({ error: INVALID_CURRENCY_ERROR });
+        }
+
+        if (!Number.isFinite(rate) || rate <= 0) {
+            return res.status(400).json({ error: 'Rate must be a number greater than 0' });
+        }
+
+        const userResult = await pool.query('SELECT base_currency FROM users WHERE id = $1', [userId]);
+        const baseCurrency = userResult.rows[0]?.base_currency || DEFAULT_CURRENCY;
+
+        if (currency === baseCurrency) {
+            return res.status(400).json({ error: 'The base currency does not need an exchange rate' });
+        }
+
+        const result = await pool.query(
+            `INSERT INTO exchange_rates (user_id, currency, rate) VALUES ($1, $2, $3)
+             ON CONFLICT (user_id, currency) DO UPDATE SET rate = EXCLUDED.rate, updated_at = CURRENT_TIMESTAMP
+             RETURNING currency, rate, updated_at`,
+            [userId, currency, rate]
+        );
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/exchange-rates/:currency', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM exchange_rates WHERE user_id = $1 AND currency = $2 RETURNING currency',
+            [req.session.userId, String(req.params.currency).toUpperCase()]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Exchange rate not found' });
+        }
+
+        res.json({ success: true, message: 'Exchange rate deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Expense category operations
+app.get('/api/categories', requireAuth, async (req, res) => {
+    try {
+        let result = await pool.query(
+            'SELECT * FROM expense_categories WHERE user_id = $1 ORDER BY name',
+            [req.session.userId]
+        );
+
+        // Accounts created before categories existed get the default set on first use;
+        // the flag keeps a user who deleted every category from getting the defaults back
+        if (result.rows.length === 0) {
+            const unseeded = await pool.query(
+                'UPDATE users SET categories_seeded = TRUE WHERE id = $1 AND NOT categories_seeded RETURNING id',
+                [req.session.userId]
+            );
+            if (unseeded.rows.length > 0) {
+                await seedDefaultCategories(pool, req.session.userId);
+                result = await pool.query(
+                    'SELECT * FROM expense_categories WHERE user_id = $1 ORDER BY name',
+                    [req.session.userId]
+                );
+            }
+        }
+
+        res.json(result.rows);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/categories', requireAuth, async (req, res) => {
+    try {
+        const { name } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: 'Category name is required' });
+        }
+
+        if (name.trim().length > 50) {
+            return res.status(400).json({ error: 'Category name must be 50 characters or less' });
+        }
+
+        const result = await pool.query(
+            'INSERT INTO expense_categories (user_id, name) VALUES ($1, $2) RETURNING *',
+            [req.session.userId, name.trim()]
+        );
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        if (error.code === '23505') {
+            res.status(400).json({ error: 'Category already exists' });
+        } else {
+            res.status(500).json({ error: error.message });
+        }
+    }
+});
+
+app.put('/api/categories/:id', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: 'Category name is required' });
+        }
+
+        if (name.trim().length > 50) {
+            return res.status(400).json({ error: 'Category name must be 50 characters or less' });
+        }
+
+        const result = await pool.query(
+            'UPDATE expense_categories SET name = $1 WHERE id = $2 AND user_id = $3 RETURNING *',
+            [name.trim(), id, req.session.userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        if (error.code === '23505') {
+            res.status(400).json({ error: 'Category already exists' });
+        } else {
+            res.status(500).json({ error: error.message });
+        }
+    }
+});
+
+app.delete('/api/categories/:id', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Expenses in this category become uncategorized (ON DELETE SET NULL)
+        const result = await pool.query(
+            'DELETE FROM expense_categories WHERE id = $1 AND user_id = $2 RETURNING *',
+            [id, req.session.userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+
+        res.json({ success: true, message: 'Category deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Budget operations
+app.get('/api/budgets', requireAuth, async (req, res) => {
+    try {
+        const now = new Date();
+        const month = parseInt(req.query.month) || now.getMonth() + 1;
+        const year = parseInt(req.query.year) || now.getFullYear();
+
+        const budgets = await getBudgetStatus(pool, req.session.userId, month, year);
+        res.json(budgets);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Create or update the monthly limit for a category
+app.post('/api/budgets', requireAuth, async (req, res) => {
+    try {
+        const { categoryId, monthlyLimit } = req.body;
+
+        if (!categoryId) {
+            return res.status(400).json({ error: 'Category is required' });
+        }
+
+        const limit = parseFloat(monthlyLimit);
+        if (isNaN(limit) || limit <= 0) {
+            return res.status(400).json({ error: 'Monthly limit must be a positive number' });
+        }
+
+        const category = await resolveCategoryId(pool, req.session.userId, categoryId);
+        if (category.error) {
+            return res.status(400).json({ error: category.error });
+        }
+
+        const result = await pool.query(
+            `INSERT INTO budgets (user_id, category_id, monthly_limit) VALUES ($1, $2, $3)
+             ON CONFLICT (user_id, category_id) DO UPDATE SET monthly_limit = EXCLUDED.monthly_limit
+             RETURNING *`,
+            [req.session.userId, category.categoryId, limit]
+        );
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/budgets/:id', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const result = await pool.query(
+            'DELETE FROM budgets WHERE id = $1 AND user_id = $2 RETURNING *',
+            [id, req.session.userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Budget not found' });
+        }
+
+        res.json({ success: true, message: 'Budget deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ===== CATEGORIZATION RULES =====
+
+const RULE_COLUMNS = `r.id, r.match_type, r.pattern, r.min_amount, r.max_amount, r.payment_method, r.payment_source_id,
+                      r.category_id, ec.name AS category_name, r.tags, r.rename_to, r.created_at`;
+
+// Rules in the order they are tried
+app.get('/api/category-rules', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT ${RULE_COLUMNS}
+             FROM categorization_rules r
+             LEFT JOIN expense_categories ec ON r.category_id = ec.id
+             WHERE r.user_id = $1
+             ORDER BY r.id`,
+            [req.session.userId]
+        );
+        res.json(result.rows);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/category-rules', requireAuth, async (req, res) => {
+    try {
+        const rule = validateCategorizationRule(req.body);
+        if (rule.error) {
+            return res.status(400).json({ error: rule.error });
+        }
+
+        const category = await resolveCategoryId(pool, req.session.userId, rule.values.categoryId);
+        if (category.error) {
+            return res.status(400).json({ error: category.error });
+        }
+
+        const countResult = await pool.query(
+            'SELECT COUNT(*) as count FROM categorization_rules WHERE user_id = $1',
+            [req.session.userId]
+        );
+        if (parseInt(countResult.rows[0]?.count) >= MAX_RULES_PER_USER) {
+            return res.status(400).json({ error: `You can have at most ${MAX_RULES_PER_USER} rules` });
+        }
+
+        const { matchType, pattern, minAmount, maxAmount, paymentMethod, paymentSourceId, tags, renameTo } = rule.values;
+        const result = await pool.query(
+            `INSERT INTO categorization_rules
+                (user_id, match_type, pattern, min_amount, max_amount, payment_method, payment_source_id, category_id, tags, rename_to)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING *`,
+            [req.session.userId, matchType, pattern, minAmount, maxAmount, paymentMethod, paymentSourceId, category.categoryId, tags, renameTo]
+        );
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/category-rules/:id', requireAuth, async (req, res) => {
+    try {
+        const rule = validateCategorizationRule(req.body);
+        if (rule.error) {
+            return res.status(400).json({ error: rule.error });
+        }
+
+        const category = await resolveCategoryId(pool, req.session.userId, rule.values.categoryId);
+        if (category.error) {
+            return res.status(400).json({ error: category.error });
+        }
+
+        const { matchType, pattern, minAmount, maxAmount, paymentMethod, paymentSourceId, tags, renameTo } = rule.values;
+        const result = await pool.query(
+            `UPDATE categorization_rules
+             SET match_type = $1, pattern = $2, min_amount = $3, max_amount = $4, payment_method = $5,
+                 payment_source_id = $6, category_id = $7, tags = $8, rename_to = $9
+             WHERE id = $10 AND user_id = $11
+             RETURNING *`,
+            [matchType, pattern, minAmount, maxAmount, paymentMethod, paymentSourceId, category.categoryId, tags, renameTo, req.params.id, req.session.userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/category-rules/:id', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM categorization_rules WHERE id = $1 AND user_id = $2 RETURNING id',
+            [req.params.id, req.session.userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+
+        res.json({ success: true, message: 'Rule deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Re-run the rules over every expense (not in the trash). Categories already set are kept
+// unless overwriteCategory is true; each changed expense is audited like an edit.
+app.post('/api/category-rules/apply', requireAuth, async (req, res) => {
+    const userId = req.session.userId;
+    const overwriteCategory = req.body?.overwriteCategory === true;
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const rules = await getCategorizationRules(client, userId);
+        const expensesResult = await client.query(
+            'SELECT * FROM expenses WHERE user_id = $1 AND deleted_at IS NULL ORDER BY id FOR UPDATE',
+            [userId]
+        );
+
+        let updated = 0;
+        for (const expense of expensesResult.rows) {
+            const ruled = applyCategorizationRules(rules, expense, { overwriteCategory });
+            if (!ruled) continue;
+
+            const tags = expense.tags || [];
+            const unchanged = ruled.title === expense.title
+                && ruled.category_id === expense.category_id
+                && ruled.tags.length === tags.length;
+            if (unchanged) continue;
+
+            const updatedResult = await client.query(
+                'UPDATE expenses SET title = $1, category_id = $2, tags = $3 WHERE id = $4 AND user_id = $5 RETURNING *',
+                [ruled.title, ruled.category_id, ruled.tags, expense.id, userId]
+            );
+            await recordAudit(client, userId, 'expense', expense.id, 'updated', expense, updatedResult.rows[0]);
+            updated++;
+        }
+
+        await client.query('COMMIT');
+        res.json({ checked: expensesResult.rows.length, updated });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Income operations
+app.post('/api/income', requireAuth, async (req, res) => {
+    try {
+        const { source, amount, creditedToType, creditedToId, date } = req.body;
+        
+        // Validate date input
+        if (!date) {
+            return res.status(400).json({ error: 'Date is required' });
+        }
+        
+        // If only date is provided (YYYY-MM-DD), add current time to make it more realistic
+        let finalDate = date;
+        if (date && date.length === 10) { // YYYY-MM-DD format
+            const now = new Date();
+            const selectedDate = new Date(date);
+            
+            // Check if the date is valid and hasn't been auto-corrected
+            if (isNaN(selectedDate.getTime()) || selectedDate.toISOString().split('T')[0] !== date) {
+                return res.status(400).json({ error: 'Invalid date format' });
+            }
+            
+            selectedDate.setHours(now.getHours(), now.getMinutes(), now.getSeconds());
+            finalDate = selectedDate.toISOString();
+        }
+        
+        const dateObj = new Date(finalDate);
+        
+        // Validate the final date
+        if (isNaN(dateObj.getTime())) {
+            return res.status(400).json({ error: 'Invalid date format' });
+        }
+        
+        const month = dateObj.getMonth() + 1;
+        const year = dateObj.getFullYear();
+
+        const details = validateTagsAndNotes(req.body);
+        if (details.error) {
+            return res.status(400).json({ error: details.error });
+        }
+
+        const result = await pool.query(
+            'INSERT INTO income_entries (user_id, source, amount, credited_to_type, credited_to_id, date, month, year, tags, notes) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *',
+            [
+                req.session.userId,
+                source,
+                amount,
+                creditedToType,
+                creditedToId,
+                finalDate,
+                month,
+                year,
+                details.values.tags,
+                details.values.notes,
+            ]
+        );
+
+        // Update balance
+        await applyIncomeBalance(pool, req.session.userId, creditedToType, creditedToId, amount);
+
+        await recordAudit(pool, req.session.userId, 'income', result.rows[0].id, 'created', null, result.rows[0]);
+
+        // Let the client point out a likely double entry; it can be merged or dismissed later
+        const possibleDuplicates = await findPossibleDuplicates(pool, req.session.userId, 'income', result.rows[0]);
+        if (possibleDuplicates.length > 0) {
+            return res.json({ ...result.rows[0], possibleDuplicates });
+        }
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/income', requireAuth, async (req, res) => {
+    try {
+        const { month, year, tag } = req.query;
+        const list = validateEntryListQuery(req.query);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        const select = `
+            SELECT i.*, 
+                   CASE 
+                       WHEN i.credited_to_type = 'bank' THEN b.name
+                       WHEN i.credited_to_type = 'cash' THEN 'Cash'
+                       WHEN i.credited_to_type = 'credit_card' THEN cc.name
+                       ELSE 'Unknown'
+                   END as credited_to_name,
+                   COALESCE(b.currency, cc.currency, cw.currency) as currency`;
+        let from = `
+            FROM income_entries i
+            LEFT JOIN banks b ON i.credited_to_type = 'bank' AND i.credited_to_id = b.id
+            LEFT JOIN credit_cards cc ON i.credited_to_type = 'credit_card' AND i.credited_to_id = cc.id
+            LEFT JOIN cash_balance cw ON i.credited_to_type = 'cash' AND cw.user_id = i.user_id
+            WHERE i.user_id = $1 AND i.deleted_at IS NULL`;
+        const params = [req.session.userId];
+
+        if (month && year) {
+            from += ' AND i.month = $2 AND i.year = $3';
+            params.push(month, year);
+        }
+
+        // ?tag=trip-goa (with or without the #) keeps entries carrying that tag
+        if (tag) {
+            params.push(normalizeTagFilter(tag));
+            from += ` AND $${params.length} = ANY(i.tags)`;
+        }
+
+        const { conditions, orderBy } = buildEntryListClauses(list.values, INCOME_LIST_COLUMNS, params);
+        conditions.forEach(condition => {
+            from += ` AND ${condition}`;
+        });
+
+        res.json(await queryEntryList(pool, select, from, params, orderBy, list.values));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Expense operations
+app.post('/api/expenses', requireAuth, async (req, res) => {
+    try {
+        const { title, amount, paymentMethod, paymentSourceId, date, categoryId } = req.body;
+        
+        // Validate date input
+        if (!date) {
+            return res.status(400).json({ error: 'Date is required' });
+        }
+        
+        // If only date is provided (YYYY-MM-DD), add current time to make it more realistic
+        let finalDate = date;
+        if (date && date.length === 10) { // YYYY-MM-DD format
+            const now = new Date();
+            const selectedDate = new Date(date);
+            
+            // Check if the date is valid and hasn't been auto-corrected
+            if (isNaN(selectedDate.getTime()) || selectedDate.toISOString().split('T')[0] !== date) {
+                return res.status(400).json({ error: 'Invalid date format' });
+            }
+            
+            selectedDate.setHours(now.getHours(), now.getMinutes(), now.getSeconds());
+            finalDate = selectedDate.toISOString();
+        }
+        
+        const dateObj = new Date(finalDate);
+        
+        // Validate the final date
+        if (isNaN(dateObj.getTime())) {
+            return res.status(400).json({ error: 'Invalid date format' });
+        }
+        
+        const month = dateObj.getMonth() + 1;
+        const year = dateObj.getFullYear();
+
+        const category = await resolveCategoryId(pool, req.session.userId, categoryId);
+        if (category.error) {
+            return res.status(400).json({ error: category.error });
+        }
+
+        const details = validateTagsAndNotes(req.body);
+        if (details.error) {
+            return res.status(400).json({ error: details.error });
+        }
+
+        // The user's categorization rules can rename the expense, add tags and pick a category
+        // when none was chosen
+        const rules = await getCategorizationRules(pool, req.session.userId);
+        const ruled = applyCategorizationRules(rules, {
+            title,
+            amount,
+            payment_method: paymentMethod,
+            payment_source_id: paymentSourceId,
+            category_id: category.categoryId,
+            tags: details.values.tags,
+        });
+        const expenseTitle = ruled ? ruled.title : title;
+        const expenseCategoryId = ruled ? ruled.category_id : category.categoryId;
+        const expenseTags = ruled ? ruled.tags : details.values.tags;
+
+        // Get user's tracking option to determine validation behavior
+        const userResult = await pool.query(
+            'SELECT tracking_option FROM users WHERE id = $1',
+            [req.session.userId]
+        );
+
+        const trackingOption = userResult.rows[0]?.tracking_option || 'both';
+
+        // For expense-only users, allow expense tracking without strict balance validation
+        // For 'both' or 'income' users, enforce balance validation
+        const shouldValidateBalance = trackingOption !== 'expenses';
+
+        if (shouldValidateBalance) {
+            // Validate balance/limit only for users who also track income
+            if (paymentMethod === 'bank') {
+                const bankResult = await pool.query(
+                    'SELECT current_balance FROM banks WHERE id = $1 AND user_id = $2',
+                    [paymentSourceId, req.session.userId]
+                );
+
+                if (
+                    bankResult.rows.length === 0 ||
+          bankResult.rows[0].current_balance < amount
+                ) {
+                    return res.status(400).json({ error: 'Insufficient bank balance' });
+                }
+            } else if (paymentMethod === 'cash') {
+                const cashResult = await pool.query(
+                    'SELECT balance FROM cash_balance WHERE user_id = $1',
+                    [req.session.userId]
+                );
+
+                if (
+                    cashResult.rows.length === 0 ||
+          cashResult.rows[0].balance < amount
+                ) {
+                    return res.status(400).json({ error: 'Insufficient cash balance' });
+                }
+            } else if (paymentMethod === 'credit_card') {
+                const ccResult = await pool.query(
+                    'SELECT credit_limit, used_limit FROM credit_cards WHERE id = $1 AND user_id = $2',
+                    [paymentSourceId, req.session.userId]
+                );
+
+                if (
+                    ccResult.rows.length === 0 ||
+          ccResult.rows[0].credit_limit - ccResult.rows[0].used_limit < amount
+                ) {
+                    return res.status(400).json({ error: 'Insufficient credit limit' });
+                }
+            }
+        }
+
+        const result = await pool.query(
+            'INSERT INTO expenses (user_id, title, amount, payment_method, payment_source_id, date, month, year, category_id, tags, notes) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *',
+            [
+                req.session.userId,
+                expenseTitle,
+                amount,
+                paymentMethod,
+                paymentSourceId,
+                finalDate,
+                month,
+                year,
+                expenseCategoryId,
+                expenseTags,
+                details.values.notes,
+            ]
+        );
+
+        // Update balance/limit only for users who track both income and expenses
+        if (shouldValidateBalance) {
+            await applyExpenseBalance(pool, req.session.userId, paymentMethod, paymentSourceId, amount);
+        }
+
+        await recordAudit(pool, req.session.userId, 'expense', result.rows[0].id, 'created', null, result.rows[0]);
+
+        const response = { ...result.rows[0] };
+
+        // Let the client point out a likely double entry; it can be merged or dismissed later
+        const possibleDuplicates = await findPossibleDuplicates(pool, req.session.userId, 'expense', result.rows[0]);
+        if (possibleDuplicates.length > 0) {
+            response.possibleDuplicates = possibleDuplicates;
+        }
+
+        // Let the client warn when this expense pushes its category over budget
+        if (expenseCategoryId) {
+            const [budget] = await getBudgetStatus(pool, req.session.userId, month, year, expenseCategoryId);
+            if (budget && budget.isOverBudget) {
+                response.budgetWarning = {
+                    categoryName: budget.categoryName,
+                    monthlyLimit: budget.monthlyLimit,
+                    spent: budget.spent,
+                    overBy: budget.spent - budget.monthlyLimit,
+                };
+            }
+        }
+
+        res.json(response);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/expenses', requireAuth, async (req, res) => {
+    try {
+        const { month, year, tag } = req.query;
+        const list = validateEntryListQuery(req.query);
+        if (list.error) {
+            return res.status(400).json({ error: list.error });
+        }
+
+        const select = `
+            SELECT e.*, 
+                   CASE 
+                       WHEN e.payment_method = 'bank' THEN b.name
+                       WHEN e.payment_method = 'cash' THEN 'Cash'
+                       WHEN e.payment_method = 'credit_card' THEN cc.name
+                       ELSE 'Unknown'
+                   END as payment_source_name,
+                   ec.name as category_name,
+                   COALESCE(b.currency, cc.currency, cw.currency) as currency,
+                   (SELECT COUNT(*)::int FROM expense_attachments ea WHERE ea.expense_id = e.id) as attachment_count,
+                   (SELECT COUNT(*)::int FROM expense_splits es WHERE es.expense_id = e.id) as split_count`;
+        let from = `
+            FROM expenses e
+            LEFT JOIN banks b ON e.payment_method = 'bank' AND e.payment_source_id = b.id
+            LEFT JOIN credit_cards cc ON e.payment_method = 'credit_card' AND e.payment_source_id = cc.id
+            LEFT JOIN cash_balance cw ON e.payment_method = 'cash' AND cw.user_id = e.user_id
+            LEFT JOIN expense_categories ec ON e.category_id = ec.id
+            WHERE e.user_id = $1 AND e.deleted_at IS NULL`;
+        const params = [req.session.userId];
+
+        if (month && year) {
+            from += ' AND e.month = $2 AND e.year = $3';
+            params.push(month, year);
+        }
+
+        // ?tag=trip-goa (with or without the #) keeps entries carrying that tag
+        if (tag) {
+            params.push(normalizeTagFilter(tag));
+            from += ` AND $${params.length} = ANY(e.tags)`;
+        }
+
+        const { conditions, orderBy } = buildEntryListClauses(list.values, EXPENSE_LIST_COLUMNS, params);
+        conditions.forEach(condition => {
+            from += ` AND ${condition}`;
+        });
+
+        res.json(await queryEntryList(pool, select, from, params, orderBy, list.values));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ===== INCOME CRUD OPERATIONS =====
+
+// Get individual income transaction
+app.get('/api/income/:id', requireAuth, async (req, res) => {
+    try {
+        const incomeId = req.params.id;
+        const result = await pool.query(
+            'SELECT * FROM income_entries WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+            [incomeId, req.session.userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Income transaction not found' });
+        }
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update income transaction
+app.put('/api/income/:id', requireAuth, async (req, res) => {
+    try {
+        const incomeId = req.params.id;
+        const { source, amount, creditedToType, creditedToId, date } = req.body;
+        const dateObj = new Date(date);
+        const month = dateObj.getMonth() + 1;
+        const year = dateObj.getFullYear();
+
+        // Get current transaction for balance calculation
+        const currentResult = await pool.query(
+            'SELECT * FROM income_entries WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+            [incomeId, req.session.userId]
+        );
+
+        if (currentResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Income transaction not found' });
+        }
+
+        const currentIncome = currentResult.rows[0];
+
+        const details = validateTagsAndNotes(req.body, currentIncome);
+        if (details.error) {
+            return res.status(400).json({ error: details.error });
+        }
+
+        // Begin transaction for balance updates
+        await pool.query('BEGIN');
+
+        try {
+            // Reverse the previous transaction effect
+            if (currentIncome.credited_to_type === 'bank') {
+                await pool.query(
+                    'UPDATE banks SET current_balance = current_balance - $1 WHERE id = $2 AND user_id = $3',
+                    [currentIncome.amount, currentIncome.credited_to_id, req.session.userId]
+                );
+            } else if (currentIncome.credited_to_type === 'cash') {
+                await pool.query(
+                    'UPDATE cash_balance SET amount = amount - $1 WHERE user_id = $2',
+                    [currentIncome.amount, req.session.userId]
+                );
+            }
+
+            // Update the income transaction
+            const updatedResult = await pool.query(
+                'UPDATE income_entries SET source = $1, amount = $2, credited_to_type = $3, credited_to_id = $4, date = $5, month = $6, year = $7, tags = $10, notes = $11 WHERE id = $8 AND user_id = $9 RETURNING *',
+                [source, amount, creditedToType, creditedToId, dateObj, month, year, incomeId, req.session.userId, details.values.tags, details.values.notes]
+            );
+
+            // Apply the new transaction effect
+            if (creditedToType === 'bank') {
+                await pool.query(
+                    'UPDATE banks SET current_balance = current_balance + $1 WHERE id = $2 AND user_id = $3',
+                    [amount, creditedToId, req.session.userId]
+                );
+            } else if (creditedToType === 'cash') {
+                await pool.query(
+                    'UPDATE cash_balance SET amount = amount + $1 WHERE user_id = $2',
+                    [amount, req.session.userId]
+                );
+            }
+
+            await recordAudit(pool, req.session.userId, 'income', currentIncome.id, 'updated', currentIncome, updatedResult.rows[0]);
+
+            await pool.query('COMMIT');
+            res.json({ success: true, message: 'Income transaction updated successfully' });
+
+        } catch (error) {
+            await pool.query('ROLLBACK');
+            throw error;
+        }
+
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete income transaction (moves it to the trash and reverses its balance effect)
+app.delete('/api/income/:id', requireAuth, async (req, res) => {
+    const incomeId = req.params.id;
+    const userId = req.session.userId;
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const currentResult = await client.query(
+            'SELECT * FROM income_entries WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE',
+            [incomeId, userId]
+        );
+
+        if (currentResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Income transaction not found' });
+        }
+
+        const currentIncome = currentResult.rows[0];
+
+        await applyEntryBalance(client, userId, 'income', currentIncome, -1);
+        await client.query(
+            'UPDATE income_entries SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2',
+            [incomeId, userId]
+        );
+        await recordAudit(client, userId, 'income', currentIncome.id, 'deleted', currentIncome, null);
+
+        await client.query('COMMIT');
+        res.json({ success: true, message: 'Income transaction moved to trash', id: currentIncome.id, type: 'income' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// ===== EXPENSE CRUD OPERATIONS =====
+
+// Get individual expense transaction
+app.get('/api/expenses/:id', requireAuth, async (req, res) => {
+    try {
+        const expenseId = req.params.id;
+        const result = await pool.query(
+            'SELECT * FROM expenses WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+            [expenseId, req.session.userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Expense transaction not found' });
+        }
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update expense transaction
+app.put('/api/expenses/:id', requireAuth, async (req, res) => {
+    try {
+        const expenseId = req.params.id;
+        const { title, amount, paymentMethod, paymentSourceId, date, categoryId } = req.body;
+        const dateObj = new Date(date);
+        const month = dateObj.getMonth() + 1;
+        const year = dateObj.getFullYear();
+
+        const category = await resolveCategoryId(pool, req.session.userId, categoryId);
+        if (category.error) {
+            return res.status(400).json({ error: category.error });
+        }
+
+        // Get current transaction for balance calculation
+        const currentResult = await pool.query(
+            'SELECT * FROM expenses WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+            [expenseId, req.session.userId]
+        );
+
+        if (currentResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Expense transaction not found' });
+        }
+
+        const currentExpense = currentResult.rows[0];
+
+        const details = validateTagsAndNotes(req.body, currentExpense);
+        if (details.error) {
+            return res.status(400).json({ error: details.error });
+        }
+
+        // Split lines must keep adding up to the expense, so they are changed (or removed) first
+        if (Math.round(parseFloat(amount) * 100) !== Math.round(parseFloat(currentExpense.amount) * 100)) {
+            const splitResult = await pool.query(
+                'SELECT COUNT(*) AS total FROM expense_splits WHERE expense_id = $1 AND user_id = $2',
+                [expenseId, req.session.userId]
+            );
+            if (parseInt(splitResult.rows[0].total) > 0) {
+                return res.status(400).json({ error: 'This expense is split; change or remove its split lines before changing the amount' });
+            }
+        }
+
+        // Begin transaction for balance updates
+        await pool.query('BEGIN');
+
+        try {
+            // Reverse the previous transaction effect
+            if (currentExpense.payment_method === 'bank') {
+                await pool.query(
+                    'UPDATE banks SET current_balance = current_balance + $1 WHERE id = $2 AND user_id = $3',
+                    [currentExpense.amount, currentExpense.payment_source_id, req.session.userId]
+                );
+            } else if (currentExpense.payment_method === 'credit_card') {
+                await pool.query(
+                    'UPDATE credit_cards SET current_balance = current_balance - $1 WHERE id = $2 AND user_id = $3',
+                    [currentExpense.amount, currentExpense.payment_source_id, req.session.userId]
+                );
+            } else if (currentExpense.payment_method === 'cash') {
+                await pool.query(
+                    'UPDATE cash_balance SET amount = amount + $1 WHERE user_id = $2',
+                    [currentExpense.amount, req.session.userId]
+                );
+            }
+
+            // Update the expense transaction
+            const updatedResult = await pool.query(
+                'UPDATE expenses SET title = $1, amount = $2, payment_method = $3, payment_source_id = $4, date = $5, month = $6, year = $7, category_id = $8, tags = $11, notes = $12 WHERE id = $9 AND user_id = $10 RETURNING *',
+                [title, amount, paymentMethod, paymentSourceId, dateObj, month, year, category.categoryId, expenseId, req.session.userId, details.values.tags, details.values.notes]
+            );
+
+            // Apply the new transaction effect
+            if (paymentMethod === 'bank') {
+                await pool.query(
+                    'UPDATE banks SET current_balance = current_balance - $1 WHERE id = $2 AND user_id = $3',
+                    [amount, paymentSourceId, req.session.userId]
+                );
+            } else if (paymentMethod === 'credit_card') {
+                await pool.query(
+                    'UPDATE credit_cards SET current_balance = current_balance + $1 WHERE id = $2 AND user_id = $3',
+                    [amount, paymentSourceId, req.session.userId]
+                );
+            } else if (paymentMethod === 'cash') {
+                await pool.query(
+                    'UPDATE cash_balance SET amount = amount - $1 WHERE user_id = $2',
+                    [amount, req.session.userId]
+                );
+            }
+
+            await recordAudit(pool, req.session.userId, 'expense', currentExpense.id, 'updated', currentExpense, updatedResult.rows[0]);
+
+            await pool.query('COMMIT');
+            res.json({ success: true, message: 'Expense transaction updated successfully' });
+
+        } catch (error) {
+            await pool.query('ROLLBACK');
+            throw error;
+        }
+
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete expense transaction (moves it to the trash and reverses its balance effect)
+app.delete('/api/expenses/:id', requireAuth, async (req, res) => {
+    const expenseId = req.params.id;
+    const userId = req.session.userId;
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const currentResult = await client.query(
+            'SELECT * FROM expenses WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE',
+            [expenseId, userId]
+        );
+
+        if (currentResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Expense transaction not found' });
+        }
+
+        const currentExpense = currentResult.rows[0];
+
+        await applyEntryBalance(client, userId, 'expense', currentExpense, -1);
+        await client.query(
+            'UPDATE expenses SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2',
+            [expenseId, userId]
+        );
+        await recordAudit(client, userId, 'expense', currentExpense.id, 'deleted', currentExpense, null);
+
+        await client.query('COMMIT');
+        res.json({ success: true, message: 'Expense transaction moved to trash', id: currentExpense.id, type: 'expense' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// ===== EXPENSE SPLITS =====
+
+// Lines an expense is split into, each with its own category, amount and note
+app.get('/api/expenses/:id/splits', requireAuth, async (req, res) => {
+    try {
+        const expenseResult = await pool.query(
+            'SELECT id FROM expenses WHERE id = $1 AND user_id = $2',
+            [req.params.id, req.session.userId]
+        );
+
+        if (expenseResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Expense transaction not found' });
+        }
+
+        res.json(await getExpenseSplits(pool, req.session.userId, req.params.id));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Replace an expense's split lines: { splits: [{ categoryId, amount, note }] }, or an empty list to
+// unsplit it. Only category reports change; the balance effect stays on the expense's payment source.
+app.put('/api/expenses/:id/splits', requireAuth, async (req, res) => {
+    const userId = req.session.userId;
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const expenseResult = await client.query(
+            'SELECT id, amount FROM expenses WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE',
+            [req.params.id, userId]
+        );
+
+        if (expenseResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Expense transaction not found' });
+        }
+
+        const expense = expenseResult.rows[0];
+        const splits = validateExpenseSplits(req.body, expense.amount);
+        if (splits.error) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: splits.error });
         }
 
-        // Check if username already exists
-        const existingUser = await pool.query(
-            'SELECT id FROM users WHERE username = $1 OR email = $2',
-            [username, email]
-        );
+        const lines = [];
+        for (const line of splits.values) {
+            const category = await resolveCategoryId(client, userId, line.categoryId);
+            if (category.error) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: category.error });
+            }
+            lines.push({ ...line, categoryId: category.categoryId });
+        }
 
-        if (existingUser.rows.length > 0) {
-            return res
-                .status(400)
-                .json({ error: 'Username or email already exists' });
+        await client.query(
+            'DELETE FROM expense_splits WHERE expense_id = $1 AND user_id = $2',
+            [expense.id, userId]
+        );
+        for (const line of lines) {
+            await client.query(
+                'INSERT INTO expense_splits (user_id, expense_id, category_id, amount, note) VALUES ($1, $2, $3, $4, $5)',
+                [userId, expense.id, line.categoryId, line.amount, line.note]
+            );
         }
 
-        const hashedPassword = await bcrypt.hash(password, 10);
-        const hashedSecurityAnswer = await bcrypt.hash(
-            securityAnswer.toLowerCase().trim(),
-            10
+        const result = await getExpenseSplits(client, userId, expense.id);
+        await client.query('COMMIT');
+        res.json(result);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// ===== EXPENSE ATTACHMENTS =====
+
+const ATTACHMENT_COLUMNS = 'id, expense_id, filename, content_type, size_bytes, created_at';
+
+// Receipts and invoices of one expense (trashed expenses keep theirs until they are purged)
+app.get('/api/expenses/:id/attachments', requireAuth, async (req, res) => {
+    try {
+        const expenseResult = await pool.query(
+            'SELECT id FROM expenses WHERE id = $1 AND user_id = $2',
+            [req.params.id, req.session.userId]
         );
 
+        if (expenseResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Expense transaction not found' });
+        }
+
         const result = await pool.query(
-            'INSERT INTO users (username, password_hash, name, email, security_question, security_answer_hash, tracking_option) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
-            [
-                username,
-                hashedPassword,
-                name,
-                email,
-                securityQuestion,
-                hashedSecurityAnswer,
-                'both',
-            ]
+            `SELECT ${ATTACHMENT_COLUMNS} FROM expense_attachments WHERE expense_id = $1 AND user_id = $2 ORDER BY created_at, id`,
+            [req.params.id, req.session.userId]
         );
-
-        req.session.userId = result.rows[0].id;
-        res.json({ success: true, userId: result.rows[0].id });
+        res.json(result.rows);
     } catch (error) {
-        if (error.code === '23505') {
-            // Unique constraint violation
-            res.status(400).json({ error: 'Username or email already exists' });
-        } else {
-            res.status(500).json({ error: 'Registration failed. Please try again.' });
-        }
+        res.status(500).json({ error: error.message });
     }
 });
 
-// User Login
-app.post('/api/login', authLimiter, async (req, res) => {
+// Upload a receipt or invoice: { filename, contentType, data } with the file base64-encoded
+app.post('/api/expenses/:id/attachments', requireAuth, async (req, res) => {
     try {
-        const { username, password } = req.body;
+        const userId = req.session.userId;
 
-        // Server-side validation
-        if (!username || !password) {
-            return res
-                .status(400)
-                .json({ error: 'Username and password are required' });
+        const attachment = validateAttachment(req.body);
+        if (attachment.error) {
+            return res.status(400).json({ error: attachment.error });
         }
 
-        // Validate username format
-        const usernameRegex = /^[a-zA-Z0-9_]+$/;
-        if (!usernameRegex.test(username)) {
-            return res
-                .status(400)
-                .json({
-                    error:
-            'Invalid username format. Username can only contain letters, numbers, and underscores',
-                });
+        const expenseResult = await pool.query(
+            'SELECT id FROM expenses WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+            [req.params.id, userId]
+        );
+
+        if (expenseResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Expense transaction not found' });
+        }
+
+        const countResult = await pool.query(
+            'SELECT COUNT(*) AS total FROM expense_attachments WHERE expense_id = $1',
+            [req.params.id]
+        );
+
+        if (parseInt(countResult.rows[0].total) >= MAX_ATTACHMENTS_PER_EXPENSE) {
+            return res.status(400).json({ error: `An expense can have at most ${MAX_ATTACHMENTS_PER_EXPENSE} attachments` });
         }
 
+        const { filename, contentType, data } = attachment.values;
+        const storageKey = `${userId}/${crypto.randomUUID()}`;
+        await attachmentStorage.save(storageKey, data);
+
+        try {
+            const result = await pool.query(
+                `INSERT INTO expense_attachments (user_id, expense_id, filename, content_type, size_bytes, storage_key)
+                 VALUES ($1, $2, $3, $4, $5, $6) RETURNING ${ATTACHMENT_COLUMNS}`,
+                [userId, req.params.id, filename, contentType, data.length, storageKey]
+            );
+            res.json(result.rows[0]);
+        } catch (error) {
+            // Don't leave a file behind that no row points to
+            await removeAttachmentFiles([storageKey]);
+            throw error;
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Download an attachment; other users' attachments are reported as not found
+app.get('/api/attachments/:id', requireAuth, async (req, res) => {
+    try {
         const result = await pool.query(
-            'SELECT id, password_hash, name, tracking_option FROM users WHERE username = $1',
-            [username]
+            'SELECT filename, content_type, storage_key FROM expense_attachments WHERE id = $1 AND user_id = $2',
+            [req.params.id, req.session.userId]
         );
 
         if (result.rows.length === 0) {
-            return res.status(400).json({ error: 'Invalid credentials' });
+            return res.status(404).json({ error: 'Attachment not found' });
         }
 
-        const user = result.rows[0];
-        const isValidPassword = await bcrypt.compare(password, user.password_hash);
+        const attachment = result.rows[0];
+        const data = await attachmentStorage.read(attachment.storage_key);
 
-        if (!isValidPassword) {
-            return res.status(400).json({ error: 'Invalid credentials' });
+        if (!data) {
+            return res.status(404).json({ error: 'Attachment file is missing' });
         }
 
-        req.session.userId = user.id;
-        res.json({
-            success: true,
-            userId: user.id,
-            name: user.name,
-            trackingOption: user.tracking_option,
-        });
+        res.attachment(attachment.filename);
+        res.type(attachment.content_type);
+        res.send(data);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Set tracking option
-app.post('/api/set-tracking-option', requireAuth, async (req, res) => {
+app.delete('/api/attachments/:id', requireAuth, async (req, res) => {
     try {
-        const { trackingOption } = req.body;
-        await pool.query('UPDATE users SET tracking_option = $1 WHERE id = $2', [
-            trackingOption,
-            req.session.userId,
-        ]);
-        res.json({ success: true });
+        const result = await pool.query(
+            'DELETE FROM expense_attachments WHERE id = $1 AND user_id = $2 RETURNING storage_key',
+            [req.params.id, req.session.userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+
+        await removeAttachmentFiles([result.rows[0].storage_key]);
+        res.json({ success: true, message: 'Attachment deleted successfully' });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get user info
-app.get('/api/user', requireAuth, async (req, res) => {
+// ===== TRASH =====
+
+// Deleted income and expenses, most recently deleted first
+app.get('/api/trash', requireAuth, async (req, res) => {
     try {
         const result = await pool.query(
-            'SELECT name, tracking_option FROM users WHERE id = $1',
+            `SELECT 'income' as type, i.id, i.source as description, i.amount, i.date, i.deleted_at,
+                    CASE WHEN i.credited_to_type = 'bank' THEN COALESCE(b.name, 'Unknown Bank') ELSE 'Cash' END as account_name,
+                    NULL as category_name,
+                    COALESCE(b.currency, cw.currency) as currency
+             FROM income_entries i
+             LEFT JOIN banks b ON i.credited_to_type = 'bank' AND i.credited_to_id = b.id
+             LEFT JOIN cash_balance cw ON i.credited_to_type = 'cash' AND cw.user_id = i.user_id
+             WHERE i.user_id = $1 AND i.deleted_at IS NOT NULL
+             UNION ALL
+             SELECT 'expense' as type, e.id, e.title as description, e.amount, e.date, e.deleted_at,
+                    CASE
+                        WHEN e.payment_method = 'bank' THEN COALESCE(b.name, 'Unknown Bank')
+                        WHEN e.payment_method = 'credit_card' THEN COALESCE(cc.name, 'Unknown Card')
+                        ELSE 'Cash'
+                    END as account_name,
+                    ec.name as category_name,
+                    COALESCE(b.currency, cc.currency, cw.currency) as currency
+             FROM expenses e
+             LEFT JOIN banks b ON e.payment_method = 'bank' AND e.payment_source_id = b.id
+             LEFT JOIN credit_cards cc ON e.payment_method = 'credit_card' AND e.payment_source_id = cc.id
+             LEFT JOIN cash_balance cw ON e.payment_method = 'cash' AND cw.user_id = e.user_id
+             LEFT JOIN expense_categories ec ON e.category_id = ec.id
+             WHERE e.user_id = $1 AND e.deleted_at IS NOT NULL
+             ORDER BY deleted_at DESC`,
             [req.session.userId]
         );
-        res.json(result.rows[0]);
+        res.json(result.rows);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Forgot Username - Retrieve username by email
-app.post('/api/forgot-username', authLimiter, async (req, res) => {
+// Put a trashed entry back and re-apply its balance effect
+app.post('/api/trash/:type/:id/restore', requireAuth, async (req, res) => {
+    const { type, id } = req.params;
+    const userId = req.session.userId;
+    const table = TRASH_TABLES[type];
+
+    if (!table) {
+        return res.status(400).json({ error: 'Trash type must be income or expense' });
+    }
+
+    const client = await pool.connect();
+
     try {
-        const { email } = req.body;
+        await client.query('BEGIN');
 
-        if (!email) {
-            return res.status(400).json({ error: 'Email is required' });
+        const trashedResult = await client.query(
+            `SELECT * FROM ${table} WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL FOR UPDATE`,
+            [id, userId]
+        );
+
+        if (trashedResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Trashed transaction not found' });
         }
 
-        // Validate email format
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
-            return res.status(400).json({ error: 'Invalid email format' });
+        const trashed = trashedResult.rows[0];
+        const restoredResult = await client.query(
+            `UPDATE ${table} SET deleted_at = NULL WHERE id = $1 AND user_id = $2 RETURNING *`,
+            [id, userId]
+        );
+        await applyEntryBalance(client, userId, type, trashed, 1);
+        await recordAudit(client, userId, type, trashed.id, 'updated', trashed, restoredResult.rows[0]);
+
+        await client.query('COMMIT');
+        res.json(restoredResult.rows[0]);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ error: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+// Permanently remove one trashed entry (its balance effect was already reversed)
+app.delete('/api/trash/:type/:id', requireAuth, async (req, res) => {
+    try {
+        const { type, id } = req.params;
+        const table = TRASH_TABLES[type];
+
+        if (!table) {
+            return res.status(400).json({ error: 'Trash type must be income or expense' });
         }
 
+        const attachmentKeys = type === 'expense' ? await getTrashedAttachmentKeys(pool, req.session.userId, id) : [];
+
         const result = await pool.query(
-            'SELECT username, name FROM users WHERE email = $1',
-            [email]
+            `DELETE FROM ${table} WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL RETURNING id`,
+            [id, req.session.userId]
         );
 
         if (result.rows.length === 0) {
-            return res
-                .status(404)
-                .json({ error: 'No account found with this email address' });
+            return res.status(404).json({ error: 'Trashed transaction not found' });
         }
 
-        const user = result.rows[0];
-        res.json({
-            success: true,
-            username: user.username,
-            name: user.name,
-            message: 'Username found successfully',
-        });
+        // The attachment rows went with the expense (ON DELETE CASCADE); their files have to be removed here
+        await removeAttachmentFiles(attachmentKeys);
+
+        res.json({ success: true, message: 'Transaction permanently deleted' });
     } catch (error) {
-        res.status(500).json({ error: 'Server error. Please try again.' });
+        res.status(500).json({ error: error.message });
     }
 });
 
-// Password Reset - Step 1: Verify user and security question
-app.post('/api/forgot-password', authLimiter, async (req, res) => {
+// Empty the trash
+app.delete('/api/trash', requireAuth, async (req, res) => {
+    const client = await pool.connect();
+
     try {
-        const { username, email } = req.body;
+        await client.query('BEGIN');
 
-        if (!username && !email) {
-            return res.status(400).json({ error: 'Username or email is required' });
-        }
+        const attachmentKeys = await getTrashedAttachmentKeys(client, req.session.userId);
 
-        // Validate email format if email is provided
-        if (email) {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(email)) {
-                return res.status(400).json({ error: 'Invalid email format' });
-            }
+        let purged = 0;
+        for (const table of Object.values(TRASH_TABLES)) {
+            const result = await client.query(
+                `DELETE FROM ${table} WHERE user_id = $1 AND deleted_at IS NOT NULL`,
+                [req.session.userId]
+            );
+            purged += result.rowCount || 0;
         }
 
-        // Validate username format if username is provided
-        if (username) {
-            const usernameRegex = /^[a-zA-Z0-9_]+$/;
-            if (!usernameRegex.test(username)) {
-                return res
-                    .status(400)
-                    .json({
-                        error:
-              'Invalid username format. Username can only contain letters, numbers, and underscores',
-                    });
-            }
-        }
+        await client.query('COMMIT');
+        await removeAttachmentFiles(attachmentKeys);
+        res.json({ success: true, purged });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ error: error.message });
+    } finally {
+        client.release();
+    }
+});
 
-        let query, params;
-        if (email) {
-            query =
-        'SELECT id, username, name, security_question FROM users WHERE email = $1';
-            params = [email];
-        } else {
-            query =
-        'SELECT id, username, name, security_question FROM users WHERE username = $1';
-            params = [username];
-        }
+// ===== DUPLICATES =====
 
-        const result = await pool.query(query, params);
+// Likely duplicate pairs for the review screen, newest first. Same-account, same-amount entries
+// within the date window are found in SQL; the title comparison happens here.
+app.get('/api/duplicates', requireAuth, async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const pairs = [];
+
+        for (const [entryType, columns] of Object.entries(DUPLICATE_ENTRY_COLUMNS)) {
+            const result = await pool.query(
+                `SELECT a.id, a.${columns.title} AS title, to_char(a.date, 'YYYY-MM-DD') AS date, a.created_at,
+                        b.id AS other_id, b.${columns.title} AS other_title, to_char(b.date, 'YYYY-MM-DD') AS other_date,
+                        b.created_at AS other_created_at,
+                        a.amount,
+                        CASE
+                            WHEN a.${columns.accountType} = 'bank' THEN COALESCE(bk.name, 'Unknown Bank')
+                            WHEN a.${columns.accountType} = 'credit_card' THEN COALESCE(cc.name, 'Unknown Card')
+                            ELSE 'Cash'
+                        END AS account_name,
+                        COALESCE(bk.currency, cc.currency, cw.currency) AS currency
+                 FROM ${columns.table} a
+                 JOIN ${columns.table} b ON b.user_id = a.user_id AND b.id > a.id AND b.deleted_at IS NULL
+                      AND b.${columns.accountType} = a.${columns.accountType}
+                      AND b.${columns.accountId} IS NOT DISTINCT FROM a.${columns.accountId}
+                      AND b.amount = a.amount
+                      AND b.date BETWEEN a.date - ${DUPLICATE_WINDOW_DAYS} AND a.date + ${DUPLICATE_WINDOW_DAYS}
+                 LEFT JOIN banks bk ON a.${columns.accountType} = 'bank' AND a.${columns.accountId} = bk.id
+                 LEFT JOIN credit_cards cc ON a.${columns.accountType} = 'credit_card' AND a.${columns.accountId} = cc.id
+                 LEFT JOIN cash_balance cw ON a.${columns.accountType} = 'cash' AND cw.user_id = a.user_id
+                 WHERE a.user_id = $1 AND a.deleted_at IS NULL
+                   AND NOT EXISTS (
+                       SELECT 1 FROM duplicate_dismissals d
+                       WHERE d.user_id = $1 AND d.entry_type = $2 AND d.entry_id = a.id AND d.other_id = b.id
+                   )
+                 ORDER BY GREATEST(a.date, b.date) DESC, a.id DESC
+                 LIMIT ${MAX_DUPLICATE_PAIRS}`,
+                [userId, entryType]
+            );
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'User not found' });
+            result.rows
+                .filter(row => titlesLookSimilar(row.title, row.other_title))
+                .forEach(row => {
+                    pairs.push({
+                        type: entryType,
+                        amount: row.amount,
+                        currency: row.currency,
+                        account_name: row.account_name,
+                        entries: [
+                            { id: row.id, title: row.title, date: row.date, created_at: row.created_at },
+                            { id: row.other_id, title: row.other_title, date: row.other_date, created_at: row.other_created_at },
+                        ],
+                    });
+                });
         }
 
-        const user = result.rows[0];
-        res.json({
-            success: true,
-            userId: user.id,
-            username: user.username,
-            name: user.name,
-            securityQuestion: user.security_question,
-        });
+        res.json(pairs);
     } catch (error) {
-        res.status(500).json({ error: 'Server error. Please try again.' });
+        res.status(500).json({ error: error.message });
     }
 });
 
-// Password Reset - Step 2: Reset password with security answer
-app.post('/api/reset-password', authLimiter, async (req, res) => {
-    try {
-        const { userId, securityAnswer, newPassword } = req.body;
+// Merge a duplicate pair: the kept entry gets both entries' tags and notes (and, for expenses,
+// the other's receipts and category if it has none); the other goes to the trash, so it can be restored
+app.post('/api/duplicates/merge', requireAuth, async (req, res) => {
+    const { type, keepId, removeId } = req.body;
+    const userId = req.session.userId;
+    const columns = DUPLICATE_ENTRY_COLUMNS[type];
 
-        if (!userId || !securityAnswer || !newPassword) {
-            return res.status(400).json({ error: 'All fields are required' });
-        }
+    if (!columns) {
+        return res.status(400).json({ error: 'Type must be income or expense' });
+    }
+    const keptId = parseInt(keepId);
+    const removedId = parseInt(removeId);
+    if (isNaN(keptId) || isNaN(removedId) || keptId === removedId) {
+        return res.status(400).json({ error: 'Choose two different entries to merge' });
+    }
 
-        // Validate new password strength
-        const passwordError = validatePassword(newPassword);
-        if (passwordError) {
-            return res.status(400).json({ error: passwordError });
-        }
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
 
-        // Get user's security answer hash
-        const result = await pool.query(
-            'SELECT security_answer_hash FROM users WHERE id = $1',
-            [userId]
+        const entriesResult = await client.query(
+            `SELECT * FROM ${columns.table} WHERE id = ANY($1) AND user_id = $2 AND deleted_at IS NULL FOR UPDATE`,
+            [[keptId, removedId], userId]
         );
+        const kept = entriesResult.rows.find(row => row.id === keptId);
+        const removed = entriesResult.rows.find(row => row.id === removedId);
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'User not found' });
+        if (!kept || !removed) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Entry not found' });
         }
 
-        const user = result.rows[0];
-        const isValidAnswer = await bcrypt.compare(
-            securityAnswer.toLowerCase().trim(),
-            user.security_answer_hash
-        );
+        const merged = mergeDuplicateDetails(kept, removed);
+        const updatedResult = type === 'expense'
+            ? await client.query(
+                'UPDATE expenses SET tags = $1, notes = $2, category_id = $3 WHERE id = $4 AND user_id = $5 RETURNING *',
+                [merged.tags, merged.notes, merged.categoryId, kept.id, userId]
+            )
+            : await client.query(
+                'UPDATE income_entries SET tags = $1, notes = $2 WHERE id = $3 AND user_id = $4 RETURNING *',
+                [merged.tags, merged.notes, kept.id, userId]
+            );
+        await recordAudit(client, userId, type, kept.id, 'updated', kept, updatedResult.rows[0]);
 
-        if (!isValidAnswer) {
-            return res.status(400).json({ error: 'Incorrect security answer' });
+        if (type === 'expense') {
+            await client.query(
+                'UPDATE expense_attachments SET expense_id = $1 WHERE expense_id = $2 AND user_id = $3',
+                [kept.id, removed.id, userId]
+            );
         }
 
-        // Update password
-        const hashedNewPassword = await bcrypt.hash(newPassword, 10);
-        await pool.query(
-            'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-            [hashedNewPassword, userId]
+        await applyEntryBalance(client, userId, type, removed, -1);
+        await client.query(
+            `UPDATE ${columns.table} SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2`,
+            [removed.id, userId]
         );
+        await recordAudit(client, userId, type, removed.id, 'deleted', removed, null);
 
-        res.json({ success: true, message: 'Password reset successfully' });
+        await client.query('COMMIT');
+        res.json({ success: true, kept: updatedResult.rows[0], removedId: removed.id });
     } catch (error) {
-        res.status(500).json({ error: 'Server error. Please try again.' });
+        await client.query('ROLLBACK');
+        res.status(500).json({ error: error.message });
+    } finally {
+        client.release();
     }
 });
 
-// Bank operations
-app.post('/api/banks', requireAuth, async (req, res) => {
+// Mark a pair as not duplicates so the review screen stops showing it
+app.post('/api/duplicates/dismiss', requireAuth, async (req, res) => {
     try {
-        const { name, initialBalance } = req.body;
-        const upperName = name.toUpperCase();
+        const { type, id, otherId } = req.body;
+        const columns = DUPLICATE_ENTRY_COLUMNS[type];
 
-        const result = await pool.query(
-            'INSERT INTO banks (user_id, name, initial_balance, current_balance) VALUES ($1, $2, $3, $3) RETURNING *',
-            [req.session.userId, upperName, initialBalance || 0]
-        );
+        if (!columns) {
+            return res.status(400).json({ error: 'Type must be income or expense' });
+        }
+        const ids = [parseInt(id), parseInt(otherId)].sort((a, b) => a - b);
+        if (ids.some(isNaN) || ids[0] === ids[1]) {
+            return res.status(400).json({ error: 'Choose two different entries to dismiss' });
+        }
 
-        res.json(result.rows[0]);
-    } catch (error) {
-        if (error.code === '23505') {
-            res.status(400).json({ error: 'Bank already exists' });
-        } else {
-            res.status(500).json({ error: error.message });
+        const entriesResult = await pool.query(
+            `SELECT id FROM ${columns.table} WHERE id = ANY($1) AND user_id = $2`,
+            [ids, req.session.userId]
+        );
+        if (entriesResult.rows.length !== 2) {
+            return res.status(404).json({ error: 'Entry not found' });
         }
-    }
-});
 
-app.get('/api/banks', requireAuth, async (req, res) => {
-    try {
-        const result = await pool.query(
-            'SELECT * FROM banks WHERE user_id = $1 ORDER BY name',
-            [req.session.userId]
+        await pool.query(
+            `INSERT INTO duplicate_dismissals (user_id, entry_type, entry_id, other_id) VALUES ($1, $2, $3, $4)
+             ON CONFLICT (user_id, entry_type, entry_id, other_id) DO NOTHING`,
+            [req.session.userId, type, ids[0], ids[1]]
         );
-        res.json(result.rows);
+
+        res.json({ success: true, message: 'Marked as not a duplicate' });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Credit card operations
-app.post('/api/credit-cards', requireAuth, async (req, res) => {
-    try {
-        const { name, creditLimit } = req.body;
-        const upperName = name.toUpperCase();
+// ===== TRANSFERS =====
 
-        const result = await pool.query(
-            'INSERT INTO credit_cards (user_id, name, credit_limit) VALUES ($1, $2, $3) RETURNING *',
-            [req.session.userId, upperName, creditLimit]
-        );
+// List transfers (optionally for one month)
+app.get('/api/transfers', requireAuth, async (req, res) => {
+    try {
+        const { month, year } = req.query;
+        let query = `
+            SELECT t.*,
+                   CASE WHEN t.from_type = 'bank' THEN COALESCE(fb.name, 'Unknown Bank') ELSE 'Cash' END as from_name,
+                   CASE WHEN t.to_type = 'bank' THEN COALESCE(tb.name, 'Unknown Bank') ELSE 'Cash' END as to_name,
+                   COALESCE(fb.currency, cw.currency) as currency
+            FROM transfers t
+            LEFT JOIN banks fb ON t.from_type = 'bank' AND t.from_id = fb.id
+            LEFT JOIN banks tb ON t.to_type = 'bank' AND t.to_id = tb.id
+            LEFT JOIN cash_balance cw ON t.from_type = 'cash' AND cw.user_id = t.user_id
+            WHERE t.user_id = $1`;
+        const params = [req.session.userId];
 
-        res.json(result.rows[0]);
-    } catch (error) {
-        if (error.code === '23505') {
-            res.status(400).json({ error: 'Credit card already exists' });
-        } else {
-            res.status(500).json({ error: error.message });
+        if (month && year) {
+            query += ' AND t.month = $2 AND t.year = $3';
+            params.push(month, year);
         }
-    }
-});
 
-app.get('/api/credit-cards', requireAuth, async (req, res) => {
-    try {
-        const result = await pool.query(
-            'SELECT * FROM credit_cards WHERE user_id = $1 ORDER BY name',
-            [req.session.userId]
-        );
+        query += ' ORDER BY t.date DESC, t.id DESC';
+
+        const result = await pool.query(query, params);
         res.json(result.rows);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Cash balance operations
-app.post('/api/cash-balance', requireAuth, async (req, res) => {
-    try {
-        const { balance } = req.body;
+// Create transfer: debits the source and credits the destination in one transaction
+app.post('/api/transfers', requireAuth, async (req, res) => {
+    const { fromType, fromId, toType, toId, amount, date, note } = req.body;
+    const userId = req.session.userId;
 
-        // Check if user already has a cash balance record
-        const existingCash = await pool.query(
-            'SELECT * FROM cash_balance WHERE user_id = $1',
-            [req.session.userId]
-        );
+    const accountTypes = ['bank', 'cash'];
+    if (!accountTypes.includes(fromType) || !accountTypes.includes(toType)) {
+        return res.status(400).json({ error: 'Transfers can only be made between banks and cash' });
+    }
 
-        let result;
-        if (existingCash.rows.length > 0) {
-            // Update existing record - only update balance, keep initial_balance unchanged
-            result = await pool.query(
-                'UPDATE cash_balance SET balance = $1, updated_at = CURRENT_TIMESTAMP WHERE user_id = $2 RETURNING *',
-                [balance || 0, req.session.userId]
-            );
-        } else {
-            // Insert new record - set both balance and initial_balance to the same value
-            result = await pool.query(
-                'INSERT INTO cash_balance (user_id, balance, initial_balance) VALUES ($1, $2, $2) RETURNING *',
-                [req.session.userId, balance || 0]
-            );
-        }
+    const sourceId = fromType === 'bank' ? parseInt(fromId) : null;
+    const destinationId = toType === 'bank' ? parseInt(toId) : null;
+    if ((fromType === 'bank' && isNaN(sourceId)) || (toType === 'bank' && isNaN(destinationId))) {
+        return res.status(400).json({ error: 'Bank is required' });
+    }
 
-        res.json(result.rows[0]);
-    } catch (error) {
-        res.status(500).json({ error: error.message });
+    if (fromType === toType && sourceId === destinationId) {
+        return res.status(400).json({ error: 'Source and destination must be different' });
     }
-});
 
-app.get('/api/cash-balance', requireAuth, async (req, res) => {
-    try {
-        const result = await pool.query(
-            'SELECT * FROM cash_balance WHERE user_id = $1',
-            [req.session.userId]
-        );
-        res.json(result.rows[0] || { balance: 0 });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
+    const transferAmount = parseFloat(amount);
+    if (isNaN(transferAmount) || transferAmount <= 0) {
+        return res.status(400).json({ error: 'Amount must be a positive number' });
     }
-});
 
-// Bank CRUD operations
-app.put('/api/banks/:id', requireAuth, async (req, res) => {
+    if (!isValidDateString(date)) {
+        return res.status(400).json({ error: 'Valid date is required' });
+    }
+
+    const [year, month] = date.split('-').map(Number);
     const client = await pool.connect();
+
     try {
         await client.query('BEGIN');
 
-        const { id } = req.params;
-        const { name, initialBalance } = req.body;
+        // Lock the source balance so concurrent transfers can't overdraw it
+        const sourceResult = fromType === 'bank'
+            ? await client.query(
+                'SELECT current_balance AS balance, currency FROM banks WHERE id = $1 AND user_id = $2 FOR UPDATE',
+                [sourceId, userId]
+            )
+            : await client.query(
+                'SELECT balance, currency FROM cash_balance WHERE user_id = $1 FOR UPDATE',
+                [userId]
+            );
 
-        // Validate input
-        if (!name || !name.trim()) {
-            return res.status(400).json({ error: 'Bank name is required' });
+        if (sourceResult.rows.length === 0 || parseFloat(sourceResult.rows[0].balance) < transferAmount) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                error: fromType === 'bank' ? 'Insufficient bank balance' : 'Insufficient cash balance',
+            });
         }
 
-        if (initialBalance === undefined || isNaN(initialBalance) || parseFloat(initialBalance) < 0) {
-            return res.status(400).json({ error: 'Valid initial balance is required' });
+        let destinationCurrency;
+        if (toType === 'bank') {
+            const destinationResult = await client.query(
+                'SELECT id, currency FROM banks WHERE id = $1 AND user_id = $2',
+                [destinationId, userId]
+            );
+            if (destinationResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: 'Bank not found' });
+            }
+            destinationCurrency = destinationResult.rows[0].currency;
+        } else {
+            // Make sure there is a cash wallet row to credit
+            await client.query(
+                'INSERT INTO cash_balance (user_id, balance, initial_balance) VALUES ($1, 0, 0) ON CONFLICT (user_id) DO NOTHING',
+                [userId]
+            );
+            const walletResult = await client.query('SELECT currency FROM cash_balance WHERE user_id = $1', [userId]);
+            destinationCurrency = walletResult.rows[0]?.currency;
         }
 
-        // Get current bank data
-        const currentBank = await client.query(
-            'SELECT * FROM banks WHERE id = $1 AND user_id = $2',
-            [id, req.session.userId]
-        );
-
-        if (currentBank.rows.length === 0) {
-            return res.status(404).json({ error: 'Bank not found' });
+        // The same amount leaves one account and lands in the other, so both must hold the same currency
+        if ((sourceResult.rows[0].currency || DEFAULT_CURRENCY) !== (destinationCurrency || DEFAULT_CURRENCY)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Transfers can only be made between accounts in the same currency' });
         }
 
-        const oldBalance = parseFloat(currentBank.rows[0].initial_balance);
-        const newBalance = parseFloat(initialBalance);
-        const balanceDifference = newBalance - oldBalance;
+        await adjustAccountBalance(client, userId, fromType, sourceId, -transferAmount);
+        await adjustAccountBalance(client, userId, toType, destinationId, transferAmount);
 
-        // Update bank
         const result = await client.query(
-            'UPDATE banks SET name = $1, initial_balance = $2, current_balance = current_balance + $3 WHERE id = $4 AND user_id = $5 RETURNING *',
-            [name.trim(), newBalance, balanceDifference, id, req.session.userId]
+            'INSERT INTO transfers (user_id, from_type, from_id, to_type, to_id, amount, note, date, month, year) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *',
+            [userId, fromType, sourceId, toType, destinationId, transferAmount, note ? note.trim() : null, date, month, year]
         );
 
         await client.query('COMMIT');
@@ -624,39 +4708,30 @@ app.put('/api/banks/:id', requireAuth, async (req, res) => {
     }
 });
 
-app.delete('/api/banks/:id', requireAuth, async (req, res) => {
+// Delete transfer: moves the money back in one transaction
+app.delete('/api/transfers/:id', requireAuth, async (req, res) => {
+    const userId = req.session.userId;
     const client = await pool.connect();
+
     try {
         await client.query('BEGIN');
 
-        const { id } = req.params;
-
-        // Check if bank has transactions
-        const transactions = await client.query(
-            'SELECT COUNT(*) FROM income_entries WHERE user_id = $1 AND credited_to_type = $2 AND credited_to_id = $3 UNION ALL SELECT COUNT(*) FROM expense_entries WHERE user_id = $1 AND debited_from_type = $2 AND debited_from_id = $3',
-            [req.session.userId, 'bank', id]
-        );
-
-        const totalTransactions = transactions.rows.reduce((sum, row) => sum + parseInt(row.count), 0);
-
-        if (totalTransactions > 0) {
-            return res.status(400).json({
-                error: 'Cannot delete bank with existing transactions. Please delete all related transactions first.'
-            });
-        }
-
-        // Delete bank
         const result = await client.query(
-            'DELETE FROM banks WHERE id = $1 AND user_id = $2 RETURNING *',
-            [id, req.session.userId]
+            'DELETE FROM transfers WHERE id = $1 AND user_id = $2 RETURNING *',
+            [req.params.id, userId]
         );
 
         if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Bank not found' });
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Transfer not found' });
         }
 
+        const transfer = result.rows[0];
+        await adjustAccountBalance(client, userId, transfer.to_type, transfer.to_id, -transfer.amount);
+        await adjustAccountBalance(client, userId, transfer.from_type, transfer.from_id, transfer.amount);
+
         await client.query('COMMIT');
-        res.json({ success: true, message: 'Bank deleted successfully' });
+        res.json({ success: true, message: 'Transfer deleted successfully' });
     } catch (error) {
         await client.query('ROLLBACK');
         res.status(500).json({ error: error.message });
@@ -665,84 +4740,163 @@ app.delete('/api/banks/:id', requireAuth, async (req, res) => {
     }
 });
 
-// Credit Card CRUD operations
-app.put('/api/credit-cards/:id', requireAuth, async (req, res) => {
+// ===== CREDIT CARD PAYMENTS =====
+
+// List card bill payments (optionally for one card and/or month)
+app.get('/api/card-payments', requireAuth, async (req, res) => {
     try {
-        const { id } = req.params;
-        const { name, creditLimit } = req.body;
+        const { cardId, month, year } = req.query;
+        let query = `
+            SELECT p.*,
+                   cc.name as card_name,
+                   CASE WHEN p.source_type = 'bank' THEN COALESCE(b.name, 'Unknown Bank') ELSE 'Cash' END as source_name,
+                   COALESCE(b.currency, cw.currency) as currency
+            FROM card_payments p
+            JOIN credit_cards cc ON p.card_id = cc.id
+            LEFT JOIN banks b ON p.source_type = 'bank' AND p.source_id = b.id
+            LEFT JOIN cash_balance cw ON p.source_type = 'cash' AND cw.user_id = p.user_id
+            WHERE p.user_id = $1`;
+        const params = [req.session.userId];
 
-        // Validate input
-        if (!name || !name.trim()) {
-            return res.status(400).json({ error: 'Card name is required' });
+        if (cardId) {
+            params.push(cardId);
+            query += ` AND p.card_id = $${params.length}`;
         }
 
-        if (creditLimit === undefined || isNaN(creditLimit) || parseFloat(creditLimit) <= 0) {
-            return res.status(400).json({ error: 'Valid credit limit greater than 0 is required' });
+        if (month && year) {
+            params.push(month, year);
+            query += ` AND p.month = $${params.length - 1} AND p.year = $${params.length}`;
         }
 
-        // Check if card exists and belongs to user
-        const currentCard = await pool.query(
-            'SELECT * FROM credit_cards WHERE id = $1 AND user_id = $2',
-            [id, req.session.userId]
+        query += ' ORDER BY p.date DESC, p.id DESC';
+
+        const result = await pool.query(query, params);
+        res.json(result.rows);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Pay a card bill: debits the bank/cash and reduces the card's used limit in one transaction
+app.post('/api/card-payments', requireAuth, async (req, res) => {
+    const { cardId, sourceType, sourceId, amount, date, note } = req.body;
+    const userId = req.session.userId;
+
+    const parsedCardId = parseInt(cardId);
+    if (isNaN(parsedCardId)) {
+        return res.status(400).json({ error: 'Card is required' });
+    }
+
+    if (sourceType !== 'bank' && sourceType !== 'cash') {
+        return res.status(400).json({ error: 'Card bills can only be paid from a bank or cash' });
+    }
+
+    const parsedSourceId = sourceType === 'bank' ? parseInt(sourceId) : null;
+    if (sourceType === 'bank' && isNaN(parsedSourceId)) {
+        return res.status(400).json({ error: 'Bank is required' });
+    }
+
+    const paymentAmount = parseFloat(amount);
+    if (isNaN(paymentAmount) || paymentAmount <= 0) {
+        return res.status(400).json({ error: 'Amount must be a positive number' });
+    }
+
+    if (!isValidDateString(date)) {
+        return res.status(400).json({ error: 'Valid date is required' });
+    }
+
+    const [year, month] = date.split('-').map(Number);
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const cardResult = await client.query(
+            'SELECT id, used_limit, currency FROM credit_cards WHERE id = $1 AND user_id = $2 FOR UPDATE',
+            [parsedCardId, userId]
         );
 
-        if (currentCard.rows.length === 0) {
+        if (cardResult.rows.length === 0) {
+            await client.query('ROLLBACK');
             return res.status(404).json({ error: 'Credit card not found' });
         }
 
-        const currentUsedLimit = parseFloat(currentCard.rows[0].used_limit);
-        const newCreditLimit = parseFloat(creditLimit);
+        if (paymentAmount > parseFloat(cardResult.rows[0].used_limit)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Payment exceeds the outstanding card balance' });
+        }
 
-        // Check if new credit limit is not less than used limit
-        if (newCreditLimit < currentUsedLimit) {
+        // Lock the source balance so concurrent payments can't overdraw it
+        const sourceResult = sourceType === 'bank'
+            ? await client.query(
+                'SELECT current_balance AS balance, currency FROM banks WHERE id = $1 AND user_id = $2 FOR UPDATE',
+                [parsedSourceId, userId]
+            )
+            : await client.query(
+                'SELECT balance, currency FROM cash_balance WHERE user_id = $1 FOR UPDATE',
+                [userId]
+            );
+
+        if (sourceResult.rows.length === 0 || parseFloat(sourceResult.rows[0].balance) < paymentAmount) {
+            await client.query('ROLLBACK');
             return res.status(400).json({
-                error: `Credit limit cannot be less than used limit (₹${currentUsedLimit.toLocaleString('en-IN', { minimumFractionDigits: 2 })})`
+                error: sourceType === 'bank' ? 'Insufficient bank balance' : 'Insufficient cash balance',
             });
         }
 
-        // Update credit card
-        const result = await pool.query(
-            'UPDATE credit_cards SET name = $1, credit_limit = $2 WHERE id = $3 AND user_id = $4 RETURNING *',
-            [name.trim(), newCreditLimit, id, req.session.userId]
+        if ((sourceResult.rows[0].currency || DEFAULT_CURRENCY) !== (cardResult.rows[0].currency || DEFAULT_CURRENCY)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Card bills must be paid from an account in the card\'s currency' });
+        }
+
+        await adjustAccountBalance(client, userId, sourceType, parsedSourceId, -paymentAmount);
+        await client.query(
+            'UPDATE credit_cards SET used_limit = used_limit - $1 WHERE id = $2 AND user_id = $3',
+            [paymentAmount, cardResult.rows[0].id, userId]
         );
 
+        const result = await client.query(
+            'INSERT INTO card_payments (user_id, card_id, source_type, source_id, amount, note, date, month, year) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
+            [userId, cardResult.rows[0].id, sourceType, parsedSourceId, paymentAmount, note ? note.trim() : null, date, month, year]
+        );
+
+        await client.query('COMMIT');
         res.json(result.rows[0]);
     } catch (error) {
+        await client.query('ROLLBACK');
         res.status(500).json({ error: error.message });
+    } finally {
+        client.release();
     }
 });
 
-app.delete('/api/credit-cards/:id', requireAuth, async (req, res) => {
+// Delete card payment: restores the source balance and the card's used limit
+app.delete('/api/card-payments/:id', requireAuth, async (req, res) => {
+    const userId = req.session.userId;
     const client = await pool.connect();
+
     try {
         await client.query('BEGIN');
-
-        const { id } = req.params;
-
-        // Check if credit card has transactions
-        const transactions = await client.query(
-            'SELECT COUNT(*) FROM expense_entries WHERE user_id = $1 AND debited_from_type = $2 AND debited_from_id = $3',
-            [req.session.userId, 'credit_card', id]
-        );
-
-        if (parseInt(transactions.rows[0].count) > 0) {
-            return res.status(400).json({
-                error: 'Cannot delete credit card with existing transactions. Please delete all related transactions first.'
-            });
-        }
-
-        // Delete credit card
-        const result = await pool.query(
-            'DELETE FROM credit_cards WHERE id = $1 AND user_id = $2 RETURNING *',
-            [id, req.session.userId]
+
+        const result = await client.query(
+            'DELETE FROM card_payments WHERE id = $1 AND user_id = $2 RETURNING *',
+            [req.params.id, userId]
         );
 
         if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Credit card not found' });
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Card payment not found' });
         }
 
+        const payment = result.rows[0];
+        await adjustAccountBalance(client, userId, payment.source_type, payment.source_id, payment.amount);
+        await client.query(
+            'UPDATE credit_cards SET used_limit = used_limit + $1 WHERE id = $2 AND user_id = $3',
+            [payment.amount, payment.card_id, userId]
+        );
+
         await client.query('COMMIT');
-        res.json({ success: true, message: 'Credit card deleted successfully' });
+        res.json({ success: true, message: 'Card payment deleted successfully' });
     } catch (error) {
         await client.query('ROLLBACK');
         res.status(500).json({ error: error.message });
@@ -751,562 +4905,648 @@ app.delete('/api/credit-cards/:id', requireAuth, async (req, res) => {
     }
 });
 
-// Income operations
-app.post('/api/income', requireAuth, async (req, res) => {
+// ===== STATEMENT IMPORT =====
+
+// Parse an uploaded statement and flag rows that look already recorded; nothing is saved
+app.post('/api/import/preview', requireAuth, async (req, res) => {
     try {
-        const { source, amount, creditedToType, creditedToId, date } = req.body;
-        
-        // Validate date input
-        if (!date) {
-            return res.status(400).json({ error: 'Date is required' });
+        const { content, bankId, format, mapping, dateFormat, hasHeader } = req.body;
+
+        if (!content || !String(content).trim()) {
+            return res.status(400).json({ error: 'Statement file is empty' });
         }
-        
-        // If only date is provided (YYYY-MM-DD), add current time to make it more realistic
-        let finalDate = date;
-        if (date && date.length === 10) { // YYYY-MM-DD format
-            const now = new Date();
-            const selectedDate = new Date(date);
-            
-            // Check if the date is valid and hasn't been auto-corrected
-            if (isNaN(selectedDate.getTime()) || selectedDate.toISOString().split('T')[0] !== date) {
-                return res.status(400).json({ error: 'Invalid date format' });
-            }
-            
-            selectedDate.setHours(now.getHours(), now.getMinutes(), now.getSeconds());
-            finalDate = selectedDate.toISOString();
+
+        if (format && !STATEMENT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: 'Unsupported statement format' });
         }
-        
-        const dateObj = new Date(finalDate);
-        
-        // Validate the final date
-        if (isNaN(dateObj.getTime())) {
-            return res.status(400).json({ error: 'Invalid date format' });
+
+        if (dateFormat && !CSV_DATE_FORMATS.includes(dateFormat)) {
+            return res.status(400).json({ error: 'Unsupported date format' });
         }
-        
-        const month = dateObj.getMonth() + 1;
-        const year = dateObj.getFullYear();
 
-        const result = await pool.query(
-            'INSERT INTO income_entries (user_id, source, amount, credited_to_type, credited_to_id, date, month, year) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
-            [
-                req.session.userId,
-                source,
-                amount,
-                creditedToType,
-                creditedToId,
-                finalDate,
-                month,
-                year,
-            ]
+        const bankResult = await pool.query(
+            'SELECT id FROM banks WHERE id = $1 AND user_id = $2',
+            [bankId, req.session.userId]
         );
 
-        // Update balance
-        if (creditedToType === 'bank') {
-            await pool.query(
-                'UPDATE banks SET current_balance = current_balance + $1 WHERE id = $2 AND user_id = $3',
-                [amount, creditedToId, req.session.userId]
-            );
-        } else if (creditedToType === 'cash') {
-            await pool.query(
-                'UPDATE cash_balance SET balance = balance + $1 WHERE user_id = $2',
-                [amount, req.session.userId]
-            );
+        if (bankResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Bank not found' });
         }
 
-        res.json(result.rows[0]);
+        const parsed = parseStatement(content, {
+            format: format || null,
+            mapping: mapping || null,
+            dateFormat: dateFormat || 'DD/MM/YYYY',
+            hasHeader: hasHeader !== false,
+        });
+
+        if (parsed.transactions.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ error: `Statements are limited to ${MAX_IMPORT_ROWS} rows per import` });
+        }
+
+        const transactions = await flagImportDuplicates(pool, req.session.userId, bankResult.rows[0].id, parsed.transactions);
+
+        res.json({
+            format: parsed.format,
+            columns: parsed.columns,
+            mapping: parsed.mapping,
+            transactions,
+            summary: {
+                total: transactions.length,
+                valid: transactions.filter(transaction => !transaction.error).length,
+                duplicates: transactions.filter(transaction => transaction.duplicate && !transaction.alreadyImported).length,
+                alreadyImported: transactions.filter(transaction => transaction.alreadyImported).length,
+                errors: transactions.filter(transaction => transaction.error).length,
+            },
+        });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-app.get('/api/income', requireAuth, async (req, res) => {
-    try {
-        const { month, year } = req.query;
-        let query = `
-            SELECT i.*, 
-                   CASE 
-                       WHEN i.credited_to_type = 'bank' THEN b.name
-                       WHEN i.credited_to_type = 'cash' THEN 'Cash'
-                       WHEN i.credited_to_type = 'credit_card' THEN cc.name
-                       ELSE 'Unknown'
-                   END as credited_to_name
-            FROM income_entries i
-            LEFT JOIN banks b ON i.credited_to_type = 'bank' AND i.credited_to_id = b.id
-            LEFT JOIN credit_cards cc ON i.credited_to_type = 'credit_card' AND i.credited_to_id = cc.id
-            WHERE i.user_id = $1`;
-        const params = [req.session.userId];
+// Save the selected statement rows into income/expenses in one transaction
+app.post('/api/import/commit', requireAuth, async (req, res) => {
+    const { bankId, transactions } = req.body;
+    const userId = req.session.userId;
 
-        if (month && year) {
-            query += ' AND i.month = $2 AND i.year = $3';
-            params.push(month, year);
-        }
+    if (!Array.isArray(transactions) || transactions.length === 0) {
+        return res.status(400).json({ error: 'No transactions selected for import' });
+    }
 
-        query += ' ORDER BY i.date DESC';
+    if (transactions.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ error: `Statements are limited to ${MAX_IMPORT_ROWS} rows per import` });
+    }
 
-        const result = await pool.query(query, params);
-        res.json(result.rows);
-    } catch (error) {
-        res.status(500).json({ error: error.message });
+    const rows = [];
+    for (let i = 0; i < transactions.length; i++) {
+        const validated = validateImportTransaction(transactions[i]);
+        if (validated.error) {
+            return res.status(400).json({ error: `Row ${i + 1}: ${validated.error}` });
+        }
+        rows.push(validated.values);
     }
-});
 
-// Expense operations
-app.post('/api/expenses', requireAuth, async (req, res) => {
+    const client = await pool.connect();
+
     try {
-        const { title, amount, paymentMethod, paymentSourceId, date } = req.body;
-        
-        // Validate date input
-        if (!date) {
-            return res.status(400).json({ error: 'Date is required' });
-        }
-        
-        // If only date is provided (YYYY-MM-DD), add current time to make it more realistic
-        let finalDate = date;
-        if (date && date.length === 10) { // YYYY-MM-DD format
-            const now = new Date();
-            const selectedDate = new Date(date);
-            
-            // Check if the date is valid and hasn't been auto-corrected
-            if (isNaN(selectedDate.getTime()) || selectedDate.toISOString().split('T')[0] !== date) {
-                return res.status(400).json({ error: 'Invalid date format' });
-            }
-            
-            selectedDate.setHours(now.getHours(), now.getMinutes(), now.getSeconds());
-            finalDate = selectedDate.toISOString();
-        }
-        
-        const dateObj = new Date(finalDate);
-        
-        // Validate the final date
-        if (isNaN(dateObj.getTime())) {
-            return res.status(400).json({ error: 'Invalid date format' });
+        await client.query('BEGIN');
+
+        const bankResult = await client.query(
+            'SELECT id FROM banks WHERE id = $1 AND user_id = $2 FOR UPDATE',
+            [bankId, userId]
+        );
+
+        if (bankResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Bank not found' });
         }
-        
-        const month = dateObj.getMonth() + 1;
-        const year = dateObj.getFullYear();
 
-        // Get user's tracking option to determine validation behavior
-        const userResult = await pool.query(
+        const bank = bankResult.rows[0].id;
+        const userResult = await client.query(
             'SELECT tracking_option FROM users WHERE id = $1',
-            [req.session.userId]
+            [userId]
         );
-
         const trackingOption = userResult.rows[0]?.tracking_option || 'both';
+        const rules = await getCategorizationRules(client, userId);
 
-        // For expense-only users, allow expense tracking without strict balance validation
-        // For 'both' or 'income' users, enforce balance validation
-        const shouldValidateBalance = trackingOption !== 'expenses';
+        // Skip rows whose bank transaction id is already recorded (or repeated within this import)
+        const seenIds = await findImportedExternalIds(
+            client, userId, bank, rows.map(row => row.externalId).filter(Boolean)
+        );
 
-        if (shouldValidateBalance) {
-            // Validate balance/limit only for users who also track income
-            if (paymentMethod === 'bank') {
-                const bankResult = await pool.query(
-                    'SELECT current_balance FROM banks WHERE id = $1 AND user_id = $2',
-                    [paymentSourceId, req.session.userId]
-                );
+        let incomeCount = 0;
+        let expenseCount = 0;
+        let skipped = 0;
 
-                if (
-                    bankResult.rows.length === 0 ||
-          bankResult.rows[0].current_balance < amount
-                ) {
-                    return res.status(400).json({ error: 'Insufficient bank balance' });
+        // The statement is the bank's own record, so rows are imported without balance checks
+        for (const row of rows) {
+            if (row.externalId) {
+                if (seenIds.has(row.externalId)) {
+                    skipped++;
+                    continue;
                 }
-            } else if (paymentMethod === 'cash') {
-                const cashResult = await pool.query(
-                    'SELECT balance FROM cash_balance WHERE user_id = $1',
-                    [req.session.userId]
-                );
+                seenIds.add(row.externalId);
+            }
 
-                if (
-                    cashResult.rows.length === 0 ||
-          cashResult.rows[0].balance < amount
-                ) {
-                    return res.status(400).json({ error: 'Insufficient cash balance' });
-                }
-            } else if (paymentMethod === 'credit_card') {
-                const ccResult = await pool.query(
-                    'SELECT credit_limit, used_limit FROM credit_cards WHERE id = $1 AND user_id = $2',
-                    [paymentSourceId, req.session.userId]
-                );
+            const [year, month] = row.date.split('-').map(Number);
 
-                if (
-                    ccResult.rows.length === 0 ||
-          ccResult.rows[0].credit_limit - ccResult.rows[0].used_limit < amount
-                ) {
-                    return res.status(400).json({ error: 'Insufficient credit limit' });
+            if (row.type === 'income') {
+                const result = await client.query(
+                    'INSERT INTO income_entries (user_id, source, amount, credited_to_type, credited_to_id, date, month, year, external_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
+                    [userId, row.description, row.amount, 'bank', bank, row.date, month, year, row.externalId]
+                );
+                await recordAudit(client, userId, 'income', result.rows[0].id, 'created', null, result.rows[0]);
+                await applyIncomeBalance(client, userId, 'bank', bank, row.amount);
+                incomeCount++;
+            } else {
+                const category = await resolveCategoryId(client, userId, row.categoryId);
+                if (category.error) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({ error: category.error });
                 }
-            }
-        }
 
-        const result = await pool.query(
-            'INSERT INTO expenses (user_id, title, amount, payment_method, payment_source_id, date, month, year) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
-            [
-                req.session.userId,
-                title,
-                amount,
-                paymentMethod,
-                paymentSourceId,
-                finalDate,
-                month,
-                year,
-            ]
-        );
+                // Rules fill in what the statement can't: a category (unless one was picked), tags, a cleaner title
+                const ruled = applyCategorizationRules(rules, {
+                    title: row.description,
+                    amount: row.amount,
+                    payment_method: 'bank',
+                    payment_source_id: bank,
+                    category_id: category.categoryId,
+                    tags: [],
+                });
 
-        // Update balance/limit only for users who track both income and expenses
-        if (shouldValidateBalance) {
-            if (paymentMethod === 'bank') {
-                await pool.query(
-                    'UPDATE banks SET current_balance = current_balance - $1 WHERE id = $2 AND user_id = $3',
-                    [amount, paymentSourceId, req.session.userId]
-                );
-            } else if (paymentMethod === 'cash') {
-                await pool.query(
-                    'UPDATE cash_balance SET balance = balance - $1 WHERE user_id = $2',
-                    [amount, req.session.userId]
-                );
-            } else if (paymentMethod === 'credit_card') {
-                await pool.query(
-                    'UPDATE credit_cards SET used_limit = used_limit + $1 WHERE id = $2 AND user_id = $3',
-                    [amount, paymentSourceId, req.session.userId]
+                const result = await client.query(
+                    'INSERT INTO expenses (user_id, title, amount, payment_method, payment_source_id, date, month, year, category_id, tags, external_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *',
+                    [
+                        userId,
+                        ruled ? ruled.title : row.description,
+                        row.amount,
+                        'bank',
+                        bank,
+                        row.date,
+                        month,
+                        year,
+                        ruled ? ruled.category_id : category.categoryId,
+                        ruled ? ruled.tags : [],
+                        row.externalId,
+                    ]
                 );
+                await recordAudit(client, userId, 'expense', result.rows[0].id, 'created', null, result.rows[0]);
+                // Expense-only users don't track balances (same rule as POST /api/expenses)
+                if (trackingOption !== 'expenses') {
+                    await applyExpenseBalance(client, userId, 'bank', bank, row.amount);
+                }
+                expenseCount++;
             }
         }
 
-        res.json(result.rows[0]);
+        await client.query('COMMIT');
+        res.json({ imported: incomeCount + expenseCount, incomeCount, expenseCount, skipped });
     } catch (error) {
+        await client.query('ROLLBACK');
         res.status(500).json({ error: error.message });
+    } finally {
+        client.release();
     }
 });
 
-app.get('/api/expenses', requireAuth, async (req, res) => {
+// ===== DATA EXPORT & RESTORE =====
+
+// Full export of the user's data: versioned JSON (default) or a ZIP of per-table CSVs
+app.get('/api/export', requireAuth, async (req, res) => {
     try {
-        const { month, year } = req.query;
-        let query = `
-            SELECT e.*, 
-                   CASE 
-                       WHEN e.payment_method = 'bank' THEN b.name
-                       WHEN e.payment_method = 'cash' THEN 'Cash'
-                       WHEN e.payment_method = 'credit_card' THEN cc.name
-                       ELSE 'Unknown'
-                   END as payment_source_name
-            FROM expenses e
-            LEFT JOIN banks b ON e.payment_method = 'bank' AND e.payment_source_id = b.id
-            LEFT JOIN credit_cards cc ON e.payment_method = 'credit_card' AND e.payment_source_id = cc.id
-            WHERE e.user_id = $1`;
-        const params = [req.session.userId];
+        const format = req.query.format || 'json';
 
-        if (month && year) {
-            query += ' AND e.month = $2 AND e.year = $3';
-            params.push(month, year);
+        if (format !== 'json' && format !== 'zip') {
+            return res.status(400).json({ error: 'Export format must be json or zip' });
         }
 
-        query += ' ORDER BY e.date DESC';
-
-        const result = await pool.query(query, params);
-        res.json(result.rows);
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// ===== INCOME CRUD OPERATIONS =====
-
-// Get individual income transaction
-app.get('/api/income/:id', requireAuth, async (req, res) => {
-    try {
-        const incomeId = req.params.id;
-        const result = await pool.query(
-            'SELECT * FROM income_entries WHERE id = $1 AND user_id = $2',
-            [incomeId, req.session.userId]
-        );
+        const exportData = await getUserExportData(pool, req.session.userId);
+        const fileName = `balancetrack-export-${exportData.exportedAt.split('T')[0]}`;
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Income transaction not found' });
+        if (format === 'json') {
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('Content-Disposition', `attachment; filename=${fileName}.json`);
+            return res.send(JSON.stringify(exportData, null, 2));
         }
 
-        res.json(result.rows[0]);
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
+        const manifest = {
+            format: exportData.format,
+            version: exportData.version,
+            exportedAt: exportData.exportedAt,
+            user: exportData.user,
+            tables: EXPORT_TABLES.map(table => ({
+                name: table.name,
+                file: `${table.name}.csv`,
+                rows: exportData.tables[table.name].length,
+            })),
+        };
 
-// Update income transaction
-app.put('/api/income/:id', requireAuth, async (req, res) => {
-    try {
-        const incomeId = req.params.id;
-        const { source, amount, creditedToType, creditedToId, date } = req.body;
-        const dateObj = new Date(date);
-        const month = dateObj.getMonth() + 1;
-        const year = dateObj.getFullYear();
+        const archive = createZip([
+            { name: 'manifest.json', content: JSON.stringify(manifest, null, 2) },
+            ...EXPORT_TABLES.map(table => ({
+                name: `${table.name}.csv`,
+                content: toCsv(table.columns, exportData.tables[table.name]),
+            })),
+        ]);
 
-        // Get current transaction for balance calculation
-        const currentResult = await pool.query(
-            'SELECT * FROM income_entries WHERE id = $1 AND user_id = $2',
-            [incomeId, req.session.userId]
-        );
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename=${fileName}.zip`);
+        res.send(archive);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        if (currentResult.rows.length === 0) {
-            return res.status(404).json({ error: 'Income transaction not found' });
-        }
+// Restore an export into this account. 'fresh' expects an account with no accounts or
+// transactions yet; 'merge' adds the backup to existing data. Banks, cards and categories
+// with the same name are reused, every other row gets a new id and references are remapped.
+app.post('/api/restore', requireAuth, async (req, res) => {
+    const { data, mode = 'fresh' } = req.body;
+    const userId = req.session.userId;
 
-        const currentIncome = currentResult.rows[0];
+    if (!RESTORE_MODES.includes(mode)) {
+        return res.status(400).json({ error: 'Restore mode must be fresh or merge' });
+    }
 
-        // Begin transaction for balance updates
-        await pool.query('BEGIN');
+    const validated = validateRestoreData(data);
+    if (validated.error) {
+        return res.status(400).json({ error: validated.error });
+    }
+    const { tables } = validated;
 
-        try {
-            // Reverse the previous transaction effect
-            if (currentIncome.credited_to_type === 'bank') {
-                await pool.query(
-                    'UPDATE banks SET current_balance = current_balance - $1 WHERE id = $2 AND user_id = $3',
-                    [currentIncome.amount, currentIncome.credited_to_id, req.session.userId]
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        if (mode === 'fresh') {
+            const existingResult = await client.query(
+                `SELECT
+                    (SELECT COUNT(*) FROM banks WHERE user_id = $1) +
+                    (SELECT COUNT(*) FROM credit_cards WHERE user_id = $1) +
+                    (SELECT COUNT(*) FROM income_entries WHERE user_id = $1) +
+                    (SELECT COUNT(*) FROM expenses WHERE user_id = $1) +
+                    (SELECT COUNT(*) FROM recurring_transactions WHERE user_id = $1) AS total`,
+                [userId]
+            );
+            if (parseInt(existingResult.rows[0].total) > 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'This account already has data. Use merge to add the backup to it' });
+            }
+
+            // A fresh restore takes over the backed-up tracking preference
+            if (['income', 'expenses', 'both'].includes(data.user?.trackingOption)) {
+                await client.query(
+                    'UPDATE users SET tracking_option = $1 WHERE id = $2',
+                    [data.user.trackingOption, userId]
                 );
-            } else if (currentIncome.credited_to_type === 'cash') {
-                await pool.query(
-                    'UPDATE cash_balance SET amount = amount - $1 WHERE user_id = $2',
-                    [currentIncome.amount, req.session.userId]
+            }
+
+            // ...and its base currency, which the backed-up exchange rates are relative to
+            if (resolveCurrency(data.user?.baseCurrency, null)) {
+                await client.query(
+                    'UPDATE users SET base_currency = $1 WHERE id = $2',
+                    [resolveCurrency(data.user.baseCurrency), userId]
                 );
             }
+        }
 
-            // Update the income transaction
-            await pool.query(
-                'UPDATE income_entries SET source = $1, amount = $2, credited_to_type = $3, credited_to_id = $4, date = $5, month = $6, year = $7 WHERE id = $8 AND user_id = $9',
-                [source, amount, creditedToType, creditedToId, dateObj, month, year, incomeId, req.session.userId]
+        const userResult = await client.query(
+            'SELECT tracking_option, base_currency FROM users WHERE id = $1',
+            [userId]
+        );
+        const trackingOption = userResult.rows[0]?.tracking_option || 'both';
+        const baseCurrency = userResult.rows[0]?.base_currency || DEFAULT_CURRENCY;
+
+        // Old id (from the file) -> id in this account
+        const idMaps = { bank: new Map(), credit_card: new Map(), category: new Map(), recurring: new Map(), expense: new Map() };
+        const accountId = (type, id) => (type === 'cash' ? null : idMaps[type].get(id));
+        const optionalId = (map, id) => (id === null || id === undefined ? null : map.get(id));
+
+        for (const bank of tables.banks) {
+            const result = await client.query(
+                `INSERT INTO banks (user_id, name, initial_balance, current_balance, created_at, currency)
+                 VALUES ($1, $2, $3, $3, COALESCE($4, CURRENT_TIMESTAMP), $5)
+                 ON CONFLICT (user_id, name) DO UPDATE SET name = EXCLUDED.name RETURNING *, (xmax = 0) AS inserted`,
+                [userId, bank.name, bank.initial_balance, bank.created_at || null, resolveCurrency(bank.currency)]
             );
+            const { inserted, ...restoredBank } = result.rows[0];
+            if (inserted) {
+                await recordAudit(client, userId, 'bank', restoredBank.id, 'created', null, restoredBank);
+            }
+            idMaps.bank.set(bank.id, restoredBank.id);
+        }
 
-            // Apply the new transaction effect
-            if (creditedToType === 'bank') {
-                await pool.query(
-                    'UPDATE banks SET current_balance = current_balance + $1 WHERE id = $2 AND user_id = $3',
-                    [amount, creditedToId, req.session.userId]
-                );
-            } else if (creditedToType === 'cash') {
-                await pool.query(
-                    'UPDATE cash_balance SET amount = amount + $1 WHERE user_id = $2',
-                    [amount, req.session.userId]
-                );
+        for (const card of tables.credit_cards) {
+            const result = await client.query(
+                `INSERT INTO credit_cards (user_id, name, credit_limit, statement_day, payment_due_days, created_at, currency)
+                 VALUES ($1, $2, $3, COALESCE($4, 1), COALESCE($5, 20), COALESCE($6, CURRENT_TIMESTAMP), $7)
+                 ON CONFLICT (user_id, name) DO UPDATE SET name = EXCLUDED.name RETURNING *, (xmax = 0) AS inserted`,
+                [
+                    userId, card.name, card.credit_limit, card.statement_day ?? null, card.payment_due_days ?? null,
+                    card.created_at || null, resolveCurrency(card.currency),
+                ]
+            );
+            const { inserted, ...restoredCard } = result.rows[0];
+            if (inserted) {
+                await recordAudit(client, userId, 'credit_card', restoredCard.id, 'created', null, restoredCard);
             }
+            idMaps.credit_card.set(card.id, restoredCard.id);
+        }
 
-            await pool.query('COMMIT');
-            res.json({ success: true, message: 'Income transaction updated successfully' });
+        const [cash] = tables.cash_balance;
+        await client.query(
+            `INSERT INTO cash_balance (user_id, balance, initial_balance, currency) VALUES ($1, $2, $2, $3)
+             ON CONFLICT (user_id) DO ${mode === 'fresh' ? 'UPDATE SET initial_balance = EXCLUDED.initial_balance, currency = EXCLUDED.currency' : 'NOTHING'}`,
+            [userId, cash ? cash.initial_balance : 0, resolveCurrency(cash?.currency)]
+        );
 
-        } catch (error) {
-            await pool.query('ROLLBACK');
-            throw error;
+        // Rates only mean something against the base currency they were entered for, so a
+        // backup made with another base keeps this account's rates
+        if ((resolveCurrency(data.user?.baseCurrency) || DEFAULT_CURRENCY) !== baseCurrency) {
+            tables.exchange_rates = [];
         }
 
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
+        for (const exchangeRate of tables.exchange_rates) {
+            await client.query(
+                `INSERT INTO exchange_rates (user_id, currency, rate) VALUES ($1, $2, $3)
+                 ON CONFLICT (user_id, currency) DO ${mode === 'fresh' ? 'UPDATE SET rate = EXCLUDED.rate, updated_at = CURRENT_TIMESTAMP' : 'NOTHING'}`,
+                [userId, resolveCurrency(exchangeRate.currency), exchangeRate.rate]
+            );
+        }
 
-// Delete income transaction
-app.delete('/api/income/:id', requireAuth, async (req, res) => {
-    try {
-        const incomeId = req.params.id;
+        for (const category of tables.expense_categories) {
+            const result = await client.query(
+                `INSERT INTO expense_categories (user_id, name) VALUES ($1, $2)
+                 ON CONFLICT (user_id, name) DO UPDATE SET name = EXCLUDED.name RETURNING id`,
+                [userId, category.name]
+            );
+            idMaps.category.set(category.id, result.rows[0].id);
+        }
 
-        // Get current transaction for balance calculation
-        const currentResult = await pool.query(
-            'SELECT * FROM income_entries WHERE id = $1 AND user_id = $2',
-            [incomeId, req.session.userId]
-        );
+        // Budgets already set on a category in this account win over the backup
+        for (const budget of tables.budgets) {
+            await client.query(
+                `INSERT INTO budgets (user_id, category_id, monthly_limit) VALUES ($1, $2, $3)
+                 ON CONFLICT (user_id, category_id) DO NOTHING`,
+                [userId, idMaps.category.get(budget.category_id), budget.monthly_limit]
+            );
+        }
 
-        if (currentResult.rows.length === 0) {
-            return res.status(404).json({ error: 'Income transaction not found' });
+        // Rules tied to an account that isn't in the backup could never match again
+        tables.categorization_rules = tables.categorization_rules.filter(rule => (
+            !rule.payment_source_id || !['bank', 'credit_card'].includes(rule.payment_method)
+            || idMaps[rule.payment_method].has(rule.payment_source_id)
+        ));
+        for (const rule of tables.categorization_rules) {
+            await client.query(
+                `INSERT INTO categorization_rules (user_id, match_type, pattern, min_amount, max_amount, payment_method,
+                    payment_source_id, category_id, tags, rename_to, created_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, CURRENT_TIMESTAMP))`,
+                [
+                    userId, rule.match_type, rule.pattern || null, rule.min_amount ?? null, rule.max_amount ?? null,
+                    rule.payment_method || null,
+                    rule.payment_source_id ? idMaps[rule.payment_method].get(rule.payment_source_id) : null,
+                    optionalId(idMaps.category, rule.category_id), normalizeTags(rule.tags || []).tags,
+                    rule.rename_to || null, rule.created_at || null,
+                ]
+            );
         }
 
-        const currentIncome = currentResult.rows[0];
+        for (const template of tables.recurring_transactions) {
+            const result = await client.query(
+                `INSERT INTO recurring_transactions (user_id, type, title, amount, account_type, account_id, category_id, frequency,
+                    start_date, end_date, occurrence_limit, occurrences_created, next_run_date, is_active, created_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, COALESCE($15, CURRENT_TIMESTAMP)) RETURNING id`,
+                [
+                    userId, template.type, template.title, template.amount, template.account_type,
+                    accountId(template.account_type, template.account_id), optionalId(idMaps.category, template.category_id),
+                    template.frequency, template.start_date, template.end_date || null, template.occurrence_limit ?? null,
+                    template.occurrences_created || 0, template.next_run_date, template.is_active !== false, template.created_at || null,
+                ]
+            );
+            idMaps.recurring.set(template.id, result.rows[0].id);
+        }
 
-        // Begin transaction for balance updates
-        await pool.query('BEGIN');
+        // Month and year are derived from the date so a hand-edited file can't disagree with itself
+        const monthYear = (date) => {
+            const [year, month] = date.split('-').map(Number);
+            return [month, year];
+        };
 
-        try {
-            // Reverse the transaction effect
-            if (currentIncome.credited_to_type === 'bank') {
-                await pool.query(
-                    'UPDATE banks SET current_balance = current_balance - $1 WHERE id = $2 AND user_id = $3',
-                    [currentIncome.amount, currentIncome.credited_to_id, req.session.userId]
-                );
-            } else if (currentIncome.credited_to_type === 'cash') {
-                await pool.query(
-                    'UPDATE cash_balance SET amount = amount - $1 WHERE user_id = $2',
-                    [currentIncome.amount, req.session.userId]
-                );
-            }
+        for (const income of tables.income_entries) {
+            const { tags, notes } = validateTagsAndNotes(income).values;
+            const result = await client.query(
+                `INSERT INTO income_entries (user_id, source, amount, credited_to_type, credited_to_id, date, month, year, recurring_id, external_id, created_at, tags, notes)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, CURRENT_TIMESTAMP), $12, $13) RETURNING *`,
+                [
+                    userId, income.source, income.amount, income.credited_to_type,
+                    accountId(income.credited_to_type, income.credited_to_id), income.date, ...monthYear(income.date),
+                    optionalId(idMaps.recurring, income.recurring_id), income.external_id || null, income.created_at || null,
+                    tags, notes,
+                ]
+            );
+            await recordAudit(client, userId, 'income', result.rows[0].id, 'created', null, result.rows[0]);
+        }
 
-            // Delete the income transaction
-            await pool.query(
-                'DELETE FROM income_entries WHERE id = $1 AND user_id = $2',
-                [incomeId, req.session.userId]
+        for (const expense of tables.expenses) {
+            const { tags, notes } = validateTagsAndNotes(expense).values;
+            const result = await client.query(
+                `INSERT INTO expenses (user_id, title, amount, payment_method, payment_source_id, category_id, date, month, year, recurring_id, external_id, created_at, tags, notes)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, COALESCE($12, CURRENT_TIMESTAMP), $13, $14) RETURNING *`,
+                [
+                    userId, expense.title, expense.amount, expense.payment_method,
+                    accountId(expense.payment_method, expense.payment_source_id), optionalId(idMaps.category, expense.category_id),
+                    expense.date, ...monthYear(expense.date), optionalId(idMaps.recurring, expense.recurring_id),
+                    expense.external_id || null, expense.created_at || null, tags, notes,
+                ]
             );
+            await recordAudit(client, userId, 'expense', result.rows[0].id, 'created', null, result.rows[0]);
+            idMaps.expense.set(expense.id, result.rows[0].id);
+        }
 
-            await pool.query('COMMIT');
-            res.json({ success: true, message: 'Income transaction deleted successfully' });
+        for (const line of tables.expense_splits) {
+            await client.query(
+                `INSERT INTO expense_splits (user_id, expense_id, category_id, amount, note, created_at)
+                 VALUES ($1, $2, $3, $4, $5, COALESCE($6, CURRENT_TIMESTAMP))`,
+                [
+                    userId, idMaps.expense.get(line.expense_id), optionalId(idMaps.category, line.category_id),
+                    line.amount, line.note || null, line.created_at || null,
+                ]
+            );
+        }
 
-        } catch (error) {
-            await pool.query('ROLLBACK');
-            throw error;
+        for (const transfer of tables.transfers) {
+            await client.query(
+                `INSERT INTO transfers (user_id, from_type, from_id, to_type, to_id, amount, note, date, month, year, created_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, CURRENT_TIMESTAMP))`,
+                [
+                    userId, transfer.from_type, accountId(transfer.from_type, transfer.from_id),
+                    transfer.to_type, accountId(transfer.to_type, transfer.to_id), transfer.amount, transfer.note || null,
+                    transfer.date, ...monthYear(transfer.date), transfer.created_at || null,
+                ]
+            );
+        }
+
+        for (const payment of tables.card_payments) {
+            await client.query(
+                `INSERT INTO card_payments (user_id, card_id, source_type, source_id, amount, note, date, month, year, created_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10, CURRENT_TIMESTAMP))`,
+                [
+                    userId, idMaps.credit_card.get(payment.card_id), payment.source_type,
+                    accountId(payment.source_type, payment.source_id), payment.amount, payment.note || null,
+                    payment.date, ...monthYear(payment.date), payment.created_at || null,
+                ]
+            );
+        }
+
+        // Filters already saved under the same name in this account win over the backup
+        for (const filter of tables.saved_filters) {
+            const { name, query } = validateSavedFilter(filter).values;
+            await client.query(
+                `INSERT INTO saved_filters (user_id, name, query, created_at) VALUES ($1, $2, $3, COALESCE($4, CURRENT_TIMESTAMP))
+                 ON CONFLICT (user_id, name) DO NOTHING`,
+                [userId, name, query, filter.created_at || null]
+            );
         }
 
+        // Stored balances in the file may be stale or edited; the ledger is the source of truth
+        await recalculateAccountBalances(client, userId, trackingOption);
+
+        await client.query('COMMIT');
+        res.json({
+            mode,
+            restored: Object.fromEntries(EXPORT_TABLES.map(table => [table.name, tables[table.name].length])),
+        });
     } catch (error) {
+        await client.query('ROLLBACK');
         res.status(500).json({ error: error.message });
+    } finally {
+        client.release();
     }
 });
 
-// ===== EXPENSE CRUD OPERATIONS =====
+// ===== RECURRING TRANSACTIONS =====
 
-// Get individual expense transaction
-app.get('/api/expenses/:id', requireAuth, async (req, res) => {
+// List recurring templates
+app.get('/api/recurring', requireAuth, async (req, res) => {
     try {
-        const expenseId = req.params.id;
+        // Bring entries up to date before showing the schedule
+        await materializeRecurringTransactions(req.session.userId);
+
         const result = await pool.query(
-            'SELECT * FROM expenses WHERE id = $1 AND user_id = $2',
-            [expenseId, req.session.userId]
+            `SELECT r.*,
+                    CASE
+                        WHEN r.account_type = 'bank' THEN b.name
+                        WHEN r.account_type = 'credit_card' THEN cc.name
+                        ELSE 'Cash'
+                    END as account_name,
+                    ec.name as category_name
+             FROM recurring_transactions r
+             LEFT JOIN banks b ON r.account_type = 'bank' AND r.account_id = b.id
+             LEFT JOIN credit_cards cc ON r.account_type = 'credit_card' AND r.account_id = cc.id
+             LEFT JOIN expense_categories ec ON r.category_id = ec.id
+             WHERE r.user_id = $1
+             ORDER BY r.is_active DESC, r.next_run_date ASC`,
+            [req.session.userId]
         );
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Expense transaction not found' });
-        }
-
-        res.json(result.rows[0]);
+        res.json(result.rows);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Update expense transaction
-app.put('/api/expenses/:id', requireAuth, async (req, res) => {
+// Create recurring template
+app.post('/api/recurring', requireAuth, async (req, res) => {
     try {
-        const expenseId = req.params.id;
-        const { title, amount, paymentMethod, paymentSourceId, date } = req.body;
-        const dateObj = new Date(date);
-        const month = dateObj.getMonth() + 1;
-        const year = dateObj.getFullYear();
-
-        // Get current transaction for balance calculation
-        const currentResult = await pool.query(
-            'SELECT * FROM expenses WHERE id = $1 AND user_id = $2',
-            [expenseId, req.session.userId]
-        );
-
-        if (currentResult.rows.length === 0) {
-            return res.status(404).json({ error: 'Expense transaction not found' });
+        const { values, error } = await validateRecurringInput(pool, req.session.userId, req.body);
+        if (error) {
+            return res.status(400).json({ error });
         }
 
-        const currentExpense = currentResult.rows[0];
-
-        // Begin transaction for balance updates
-        await pool.query('BEGIN');
-
-        try {
-            // Reverse the previous transaction effect
-            if (currentExpense.payment_method === 'bank') {
-                await pool.query(
-                    'UPDATE banks SET current_balance = current_balance + $1 WHERE id = $2 AND user_id = $3',
-                    [currentExpense.amount, currentExpense.payment_source_id, req.session.userId]
-                );
-            } else if (currentExpense.payment_method === 'credit_card') {
-                await pool.query(
-                    'UPDATE credit_cards SET current_balance = current_balance - $1 WHERE id = $2 AND user_id = $3',
-                    [currentExpense.amount, currentExpense.payment_source_id, req.session.userId]
-                );
-            } else if (currentExpense.payment_method === 'cash') {
-                await pool.query(
-                    'UPDATE cash_balance SET amount = amount + $1 WHERE user_id = $2',
-                    [currentExpense.amount, req.session.userId]
-                );
-            }
-
-            // Update the expense transaction
-            await pool.query(
-                'UPDATE expenses SET title = $1, amount = $2, payment_method = $3, payment_source_id = $4, date = $5, month = $6, year = $7 WHERE id = $8 AND user_id = $9',
-                [title, amount, paymentMethod, paymentSourceId, dateObj, month, year, expenseId, req.session.userId]
-            );
-
-            // Apply the new transaction effect
-            if (paymentMethod === 'bank') {
-                await pool.query(
-                    'UPDATE banks SET current_balance = current_balance - $1 WHERE id = $2 AND user_id = $3',
-                    [amount, paymentSourceId, req.session.userId]
-                );
-            } else if (paymentMethod === 'credit_card') {
-                await pool.query(
-                    'UPDATE credit_cards SET current_balance = current_balance + $1 WHERE id = $2 AND user_id = $3',
-                    [amount, paymentSourceId, req.session.userId]
-                );
-            } else if (paymentMethod === 'cash') {
-                await pool.query(
-                    'UPDATE cash_balance SET amount = amount - $1 WHERE user_id = $2',
-                    [amount, req.session.userId]
-                );
-            }
-
-            await pool.query('COMMIT');
-            res.json({ success: true, message: 'Expense transaction updated successfully' });
+        const result = await pool.query(
+            `INSERT INTO recurring_transactions
+                (user_id, type, title, amount, account_type, account_id, category_id, frequency, start_date, end_date, occurrence_limit, next_run_date)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $9)
+             RETURNING *`,
+            [
+                req.session.userId,
+                values.type,
+                values.title,
+                values.amount,
+                values.accountType,
+                values.accountId,
+                values.categoryId,
+                values.frequency,
+                values.startDate,
+                values.endDate,
+                values.occurrenceLimit,
+            ]
+        );
 
-        } catch (error) {
-            await pool.query('ROLLBACK');
-            throw error;
-        }
+        // Templates starting today (or in the past) create their first entries right away
+        const created = await materializeRecurringTransactions(req.session.userId);
 
+        res.json({ ...result.rows[0], created });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Delete expense transaction
-app.delete('/api/expenses/:id', requireAuth, async (req, res) => {
+// Update recurring template (also used to pause/resume via isActive)
+app.put('/api/recurring/:id', requireAuth, async (req, res) => {
     try {
-        const expenseId = req.params.id;
+        const { id } = req.params;
 
-        // Get current transaction for balance calculation
         const currentResult = await pool.query(
-            'SELECT * FROM expenses WHERE id = $1 AND user_id = $2',
-            [expenseId, req.session.userId]
+            'SELECT * FROM recurring_transactions WHERE id = $1 AND user_id = $2',
+            [id, req.session.userId]
         );
 
         if (currentResult.rows.length === 0) {
-            return res.status(404).json({ error: 'Expense transaction not found' });
+            return res.status(404).json({ error: 'Recurring transaction not found' });
         }
 
-        const currentExpense = currentResult.rows[0];
+        const { values, error } = await validateRecurringInput(pool, req.session.userId, req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
-        // Begin transaction for balance updates
-        await pool.query('BEGIN');
+        // Entries already created stay; the schedule continues from the next occurrence
+        const template = { ...currentResult.rows[0], end_date: values.endDate, occurrence_limit: values.occurrenceLimit };
+        const nextRunDate = getRecurringOccurrenceDate(values.startDate, values.frequency, template.occurrences_created || 0);
+        const isActive = req.body.isActive !== false && !isRecurringFinished(template, template.occurrences_created || 0, nextRunDate);
 
-        try {
-            // Reverse the transaction effect
-            if (currentExpense.payment_method === 'bank') {
-                await pool.query(
-                    'UPDATE banks SET current_balance = current_balance + $1 WHERE id = $2 AND user_id = $3',
-                    [currentExpense.amount, currentExpense.payment_source_id, req.session.userId]
-                );
-            } else if (currentExpense.payment_method === 'credit_card') {
-                await pool.query(
-                    'UPDATE credit_cards SET current_balance = current_balance - $1 WHERE id = $2 AND user_id = $3',
-                    [currentExpense.amount, currentExpense.payment_source_id, req.session.userId]
-                );
-            } else if (currentExpense.payment_method === 'cash') {
-                await pool.query(
-                    'UPDATE cash_balance SET amount = amount + $1 WHERE user_id = $2',
-                    [currentExpense.amount, req.session.userId]
-                );
-            }
+        const result = await pool.query(
+            `UPDATE recurring_transactions
+             SET type = $1, title = $2, amount = $3, account_type = $4, account_id = $5, category_id = $6,
+                 frequency = $7, start_date = $8, end_date = $9, occurrence_limit = $10, next_run_date = $11, is_active = $12
+             WHERE id = $13 AND user_id = $14
+             RETURNING *`,
+            [
+                values.type,
+                values.title,
+                values.amount,
+                values.accountType,
+                values.accountId,
+                values.categoryId,
+                values.frequency,
+                values.startDate,
+                values.endDate,
+                values.occurrenceLimit,
+                nextRunDate,
+                isActive,
+                id,
+                req.session.userId,
+            ]
+        );
 
-            // Delete the expense transaction
-            await pool.query(
-                'DELETE FROM expenses WHERE id = $1 AND user_id = $2',
-                [expenseId, req.session.userId]
-            );
+        const created = await materializeRecurringTransactions(req.session.userId);
 
-            await pool.query('COMMIT');
-            res.json({ success: true, message: 'Expense transaction deleted successfully' });
+        res.json({ ...result.rows[0], created });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete recurring template
+app.delete('/api/recurring/:id', requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Entries it already created are kept (recurring_id is set to NULL)
+        const result = await pool.query(
+            'DELETE FROM recurring_transactions WHERE id = $1 AND user_id = $2 RETURNING *',
+            [id, req.session.userId]
+        );
 
-        } catch (error) {
-            await pool.query('ROLLBACK');
-            throw error;
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Recurring transaction not found' });
         }
 
+        res.json({ success: true, message: 'Recurring transaction deleted successfully' });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -1401,155 +5641,136 @@ app.get('/api/monthly-summary', requireAuth, async (req, res) => {
             });
         }
 
-        // Get monthly income for selected month
+        // Get monthly income for selected month, per currency of the account it was credited to
         const incomeResult = await pool.query(
-            'SELECT COALESCE(SUM(amount), 0) as total_income FROM income_entries WHERE user_id = $1 AND EXTRACT(MONTH FROM date) = $2 AND EXTRACT(YEAR FROM date) = $3',
+            `SELECT COALESCE(b.currency, cw.currency) AS currency,
+                    COALESCE(SUM(i.amount), 0) as total_income
+             FROM income_entries i
+             LEFT JOIN banks b ON i.credited_to_type = 'bank' AND i.credited_to_id = b.id
+             LEFT JOIN cash_balance cw ON i.credited_to_type = 'cash' AND cw.user_id = i.user_id
+             WHERE i.user_id = $1 AND EXTRACT(MONTH FROM i.date) = $2 AND EXTRACT(YEAR FROM i.date) = $3 AND i.deleted_at IS NULL
+             GROUP BY 1`,
             [userId, selectedMonth, selectedYear]
         );
 
-        // Get monthly expenses for selected month
+        // Get monthly expenses for selected month, per currency of the account it was paid from
         const expenseResult = await pool.query(
-            'SELECT COALESCE(SUM(amount), 0) as total_expenses FROM expenses WHERE user_id = $1 AND EXTRACT(MONTH FROM date) = $2 AND EXTRACT(YEAR FROM date) = $3',
+            `SELECT COALESCE(b.currency, cc.currency, cw.currency) AS currency,
+                    COALESCE(SUM(e.amount), 0) as total_expenses
+             FROM expenses e
+             LEFT JOIN banks b ON e.payment_method = 'bank' AND e.payment_source_id = b.id
+             LEFT JOIN credit_cards cc ON e.payment_method = 'credit_card' AND e.payment_source_id = cc.id
+             LEFT JOIN cash_balance cw ON e.payment_method = 'cash' AND cw.user_id = e.user_id
+             WHERE e.user_id = $1 AND EXTRACT(MONTH FROM e.date) = $2 AND EXTRACT(YEAR FROM e.date) = $3 AND e.deleted_at IS NULL
+             GROUP BY 1`,
             [userId, selectedMonth, selectedYear]
         );
 
-        // Calculate balances as they were at the end of selected month
-        const endOfSelectedMonth = new Date(selectedYear, selectedMonth, 0); // Last day of selected month
-
-        // Get bank balances at the end of selected month
-        const bankResult = await pool.query(
-            `
-      SELECT
-        b.id,
-        b.name,
-        b.initial_balance,
-        b.initial_balance +
-        COALESCE((
-          SELECT SUM(amount)
-          FROM income_entries
-          WHERE user_id = $1
-            AND credited_to_type = 'bank'
-            AND credited_to_id = b.id
-            AND date <= $2
-        ), 0) -
-        COALESCE((
-          SELECT SUM(amount)
-          FROM expenses
-          WHERE user_id = $1
-            AND payment_method = 'bank'
-            AND payment_source_id = b.id
-            AND date <= $2
-        ), 0) as balance_at_month_end
-      FROM banks b
-      WHERE b.user_id = $1
-        AND b.created_at <= $2
-    `,
-            [userId, endOfSelectedMonth]
+        // Break the month's expenses down by category (and currency, merged after conversion below)
+        const categoryResult = await pool.query(
+            `SELECT ec.id AS category_id,
+                    COALESCE(ec.name, 'Uncategorized') AS category_name,
+                    COALESCE(b.currency, cc.currency, cw.currency) AS currency,
+                    SUM(e.amount) AS total,
+                    COUNT(DISTINCT e.id) AS transaction_count
+             FROM ${EXPENSE_CATEGORY_LINES} e
+             LEFT JOIN expense_categories ec ON e.category_id = ec.id
+             LEFT JOIN banks b ON e.payment_method = 'bank' AND e.payment_source_id = b.id
+             LEFT JOIN credit_cards cc ON e.payment_method = 'credit_card' AND e.payment_source_id = cc.id
+             LEFT JOIN cash_balance cw ON e.payment_method = 'cash' AND cw.user_id = e.user_id
+             WHERE e.user_id = $1 AND EXTRACT(MONTH FROM e.date) = $2 AND EXTRACT(YEAR FROM e.date) = $3 AND e.deleted_at IS NULL
+             GROUP BY ec.id, ec.name, 3
+             ORDER BY total DESC`,
+            [userId, selectedMonth, selectedYear]
         );
 
-        // Get cash balance at the end of selected month
-        const cashResult = await pool.query(
-            `
-      SELECT
-        COALESCE(balance, 0) as initial_balance,
-        COALESCE(balance, 0) +
-        COALESCE((
-          SELECT SUM(amount)
-          FROM income_entries
-          WHERE user_id = $1
-            AND credited_to_type = 'cash'
-            AND date <= $2
-        ), 0) -
-        COALESCE((
-          SELECT SUM(amount)
-          FROM expenses
-          WHERE user_id = $1
-            AND payment_method = 'cash'
-            AND date <= $2
-        ), 0) as cash_balance_at_month_end
-      FROM cash_balance
-      WHERE user_id = $1
-    `,
-            [userId, endOfSelectedMonth]
-        );
+        // Totals are in the base currency; accounts keep their own currency alongside a converted balance
+        const currencyContext = await getCurrencyContext(pool, userId);
+        const { baseCurrency, missingRates, convert } = currencyContext;
 
-        // If no cash balance record exists, create default values
-        if (cashResult.rows.length === 0) {
-            cashResult.rows = [{
-                initial_balance: 0,
-                cash_balance_at_month_end: 0
-            }];
-        }
+        // Spent vs. limit for each category budget in the selected month
+        const budgets = await getBudgetStatus(pool, userId, selectedMonth, selectedYear, null, currencyContext);
+
+        // Calculate balances as they were at the end of selected month
+        const endOfSelectedMonth = new Date(selectedYear, selectedMonth, 0); // Last day of selected month
+        const banks = await getBankBalancesAt(pool, userId, endOfSelectedMonth);
+        const cash = await getCashBalanceAt(pool, userId, endOfSelectedMonth);
 
         // Get credit cards only if user tracks expenses or both
         let creditCards = [];
         if (userTrackingOption === 'expenses' || userTrackingOption === 'both') {
-            const creditCardResult = await pool.query(
-                'SELECT * FROM credit_cards WHERE user_id = $1 AND created_at <= $2',
-                [userId, endOfSelectedMonth]
-            );
-            // For each card, calculate used_limit as of end of selected month
-            creditCards = await Promise.all(
-                creditCardResult.rows.map(async (card) => {
-                    const usedResult = await pool.query(
-                        `SELECT COALESCE(SUM(amount), 0) AS used_limit
-                     FROM expenses
-                     WHERE user_id = $1 AND payment_method = 'credit_card' AND payment_source_id = $2 AND date <= $3`,
-                        [userId, card.id, endOfSelectedMonth]
-                    );
-                    return {
-                        ...card,
-                        current_balance: usedResult.rows[0].used_limit,
-                        used_limit: usedResult.rows[0].used_limit,
-                    };
-                })
-            );
+            creditCards = await getCardBalancesAt(pool, userId, endOfSelectedMonth);
         }
 
         // Calculate totals
-        const monthIncome = parseFloat(incomeResult.rows[0]?.total_income || 0);
-        const monthExpenses = parseFloat(
-            expenseResult.rows[0]?.total_expenses || 0
+        const monthIncome = incomeResult.rows.reduce(
+            (sum, row) => sum + convert(row.total_income, row.currency),
+            0
+        );
+        const monthExpenses = expenseResult.rows.reduce(
+            (sum, row) => sum + convert(row.total_expenses, row.currency),
+            0
         );
 
         // Calculate total wealth at end of selected month
-        const totalBankBalance = bankResult.rows.reduce(
-            (sum, bank) => sum + parseFloat(bank.balance_at_month_end || 0),
+        const totalBankBalance = banks.reduce(
+            (sum, bank) => sum + convert(bank.balance_at_month_end, bank.currency),
             0
         );
-        const cashBalance = parseFloat(
-            cashResult.rows[0]?.cash_balance_at_month_end || 0
-        );
+        const cashBalance = convert(cash.cash_balance_at_month_end, cash.currency);
         const totalCurrentWealth = totalBankBalance + cashBalance;
 
         // Calculate initial balance
-        const totalInitialBankBalance = bankResult.rows.reduce(
-            (sum, bank) => sum + parseFloat(bank.initial_balance || 0),
+        const totalInitialBankBalance = banks.reduce(
+            (sum, bank) => sum + convert(bank.initial_balance, bank.currency),
             0
         );
-        const initialCashBalance = parseFloat(
-            cashResult.rows[0]?.initial_balance || 0
-        );
+        const initialCashBalance = convert(cash.initial_balance, cash.currency);
         const totalInitialBalance = totalInitialBankBalance + initialCashBalance;
 
         // Net savings = Initial + Income - Expenses
         const netSavings = totalInitialBalance + monthIncome - monthExpenses;
 
+        const categoryTotals = new Map();
+        categoryResult.rows.forEach((row) => {
+            const key = row.category_id ?? 'uncategorized';
+            const current = categoryTotals.get(key) || {
+                categoryId: row.category_id,
+                categoryName: row.category_name,
+                total: 0,
+                transactionCount: 0,
+            };
+            current.total += convert(row.total, row.currency);
+            current.transactionCount += parseInt(row.transaction_count || 0);
+            categoryTotals.set(key, current);
+        });
+        const categoryBreakdown = [...categoryTotals.values()].sort((a, b) => b.total - a.total);
+
         // Format bank data for response
-        const banksWithHistoricalBalance = bankResult.rows.map((bank) => ({
+        const banksWithHistoricalBalance = banks.map((bank) => ({
             ...bank,
+            currency: bank.currency || baseCurrency,
             current_balance: bank.balance_at_month_end,
+            converted_balance: convert(bank.balance_at_month_end, bank.currency),
+        }));
+
+        const creditCardsWithCurrency = creditCards.map((card) => ({
+            ...card,
+            currency: card.currency || baseCurrency,
+            converted_used_limit: convert(card.used_limit, card.currency),
         }));
 
         // Format cash data for response
         const cashData = {
-            balance: cashResult.rows[0]?.cash_balance_at_month_end || 0,
-            initial_balance: cashResult.rows[0]?.initial_balance || 0,
+            balance: cash.cash_balance_at_month_end || 0,
+            initial_balance: cash.initial_balance || 0,
+            currency: cash.currency || baseCurrency,
+            converted_balance: cashBalance,
         };
 
         // Check if user has no activity for this month (registered but no transactions)
         const hasNoTransactions = monthIncome === 0 && monthExpenses === 0;
-        const hasNoAccountsSetup = bankResult.rows.length === 0 && (cashResult.rows[0]?.initial_balance || 0) === 0;
+        const hasNoAccountsSetup = banks.length === 0 && (cash.initial_balance || 0) === 0;
 
         // If user was registered during this month but has no transactions or account setup
         if (hasNoTransactions && hasNoAccountsSetup) {
@@ -1576,8 +5797,12 @@ app.get('/api/monthly-summary', requireAuth, async (req, res) => {
             netSavings: netSavings,
             totalInitialBalance: totalInitialBalance,
             banks: banksWithHistoricalBalance,
-            creditCards: creditCards,
+            creditCards: creditCardsWithCurrency,
             cash: cashData,
+            categoryBreakdown: categoryBreakdown,
+            budgets: budgets,
+            baseCurrency: baseCurrency,
+            missingRates: [...missingRates],
             selectedMonth: selectedMonth,
             selectedYear: selectedYear,
             trackingOption: userTrackingOption,
@@ -1596,6 +5821,212 @@ app.get('/api/monthly-summary', requireAuth, async (req, res) => {
     }
 });
 
+// Month-end net worth (banks + cash - credit card balances) for every month in a range.
+// ?from=YYYY-MM&to=YYYY-MM, defaulting to the 12 months ending this month.
+// Months before registration or in the future are left out.
+app.get('/api/net-worth', requireAuth, async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const today = new Date();
+        const currentIndex = today.getFullYear() * 12 + today.getMonth();
+
+        const toIndex = req.query.to ? parseYearMonth(req.query.to) : currentIndex;
+        const fromIndex = req.query.from ? parseYearMonth(req.query.from) : (toIndex ?? currentIndex) - 11;
+
+        if (toIndex === null || fromIndex === null) {
+            return res.status(400).json({ error: 'from and to must be months in YYYY-MM format' });
+        }
+        if (fromIndex > toIndex) {
+            return res.status(400).json({ error: 'from must not be after to' });
+        }
+        if (toIndex - fromIndex + 1 > MAX_NET_WORTH_MONTHS) {
+            return res.status(400).json({ error: `Net worth history is limited to ${MAX_NET_WORTH_MONTHS} months` });
+        }
+
+        const userResult = await pool.query(
+            'SELECT created_at, COALESCE(tracking_option, \'both\') as tracking_option FROM users WHERE id = $1',
+            [userId]
+        );
+
+        if (userResult.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const registrationDate = new Date(userResult.rows[0].created_at);
+        const registrationIndex = registrationDate.getFullYear() * 12 + registrationDate.getMonth();
+        const trackingOption = userResult.rows[0].tracking_option;
+        const tracksCards = trackingOption === 'expenses' || trackingOption === 'both';
+        const roundAmount = (value) => Math.round(value * 100) / 100;
+        const currencyContext = await getCurrencyContext(pool, userId);
+
+        const points = [];
+        for (let index = Math.max(fromIndex, registrationIndex); index <= Math.min(toIndex, currentIndex); index++) {
+            const endOfMonth = new Date(Math.floor(index / 12), (index % 12) + 1, 0);
+            const banks = await getBankBalancesAt(pool, userId, endOfMonth);
+            const cash = await getCashBalanceAt(pool, userId, endOfMonth);
+            const cards = tracksCards ? await getCardBalancesAt(pool, userId, endOfMonth) : [];
+
+            const { convert } = currencyContext;
+            const bankTotal = banks.reduce((sum, bank) => sum + convert(bank.balance_at_month_end, bank.currency), 0);
+            const cashTotal = convert(cash.cash_balance_at_month_end, cash.currency);
+            const cardTotal = cards.reduce((sum, card) => sum + convert(card.used_limit, card.currency), 0);
+
+            points.push({
+                month: formatYearMonth(index),
+                banks: roundAmount(bankTotal),
+                cash: roundAmount(cashTotal),
+                cardLiabilities: roundAmount(cardTotal),
+                netWorth: roundAmount(bankTotal + cashTotal - cardTotal),
+            });
+        }
+
+        res.json({
+            from: formatYearMonth(fromIndex),
+            to: formatYearMonth(toIndex),
+            baseCurrency: currencyContext.baseCurrency,
+            missingRates: [...currencyContext.missingRates],
+            points,
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Financial report for a (financial) year, a quarter or a custom date range: totals, savings rate,
+// top income sources and payees, and how much moved through each account. Totals and rankings are
+// in the base currency; account rows stay in the account's own currency.
+app.get('/api/reports', requireAuth, async (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const reportPeriod = parseReportPeriod(req.query);
+
+        if (reportPeriod.error) {
+            return res.status(400).json({ error: reportPeriod.error });
+        }
+
+        const userResult = await pool.query(
+            'SELECT COALESCE(tracking_option, \'both\') as tracking_option, COALESCE(fiscal_year_start, 1) as fiscal_year_start FROM users WHERE id = $1',
+            [userId]
+        );
+        const trackingOption = userResult.rows[0]?.tracking_option || 'both';
+        const fiscalYearStart = parseInt(userResult.rows[0]?.fiscal_year_start) || 1;
+        const range = getReportRange(reportPeriod, fiscalYearStart);
+        const { from, to } = range;
+
+        // Every total is grouped by the currency of the account it touched and converted below
+        const incomeCurrency = `LEFT JOIN banks b ON i.credited_to_type = 'bank' AND i.credited_to_id = b.id
+             LEFT JOIN cash_balance cw ON i.credited_to_type = 'cash' AND cw.user_id = i.user_id`;
+        const expenseCurrency = `LEFT JOIN banks b ON e.payment_method = 'bank' AND e.payment_source_id = b.id
+             LEFT JOIN credit_cards cc ON e.payment_method = 'credit_card' AND e.payment_source_id = cc.id
+             LEFT JOIN cash_balance cw ON e.payment_method = 'cash' AND cw.user_id = e.user_id`;
+
+        const incomeTotalsResult = await pool.query(
+            `SELECT COALESCE(b.currency, cw.currency) AS currency, COALESCE(SUM(i.amount), 0) AS total_income
+             FROM income_entries i
+             ${incomeCurrency}
+             WHERE i.user_id = $1 AND i.deleted_at IS NULL AND i.date BETWEEN $2 AND $3
+             GROUP BY 1`,
+            [userId, from, to]
+        );
+
+        const expenseTotalsResult = await pool.query(
+            `SELECT COALESCE(b.currency, cc.currency, cw.currency) AS currency, COALESCE(SUM(e.amount), 0) AS total_expenses
+             FROM expenses e
+             ${expenseCurrency}
+             WHERE e.user_id = $1 AND e.deleted_at IS NULL AND e.date BETWEEN $2 AND $3
+             GROUP BY 1`,
+            [userId, from, to]
+        );
+
+        const sourcesResult = await pool.query(
+            `SELECT i.source AS name, COALESCE(b.currency, cw.currency) AS currency,
+                    SUM(i.amount) AS total, COUNT(*) AS transaction_count
+             FROM income_entries i
+             ${incomeCurrency}
+             WHERE i.user_id = $1 AND i.deleted_at IS NULL AND i.date BETWEEN $2 AND $3
+             GROUP BY i.source, 2`,
+            [userId, from, to]
+        );
+
+        const payeesResult = await pool.query(
+            `SELECT e.title AS name, COALESCE(b.currency, cc.currency, cw.currency) AS currency,
+                    SUM(e.amount) AS total, COUNT(*) AS transaction_count
+             FROM expenses e
+             ${expenseCurrency}
+             WHERE e.user_id = $1 AND e.deleted_at IS NULL AND e.date BETWEEN $2 AND $3
+             GROUP BY e.title, 2`,
+            [userId, from, to]
+        );
+
+        // Closing balances come from the month-end balance queries; opening = closing - net movement
+        const movement = await getAccountMovement(pool, userId, from, to);
+        const banks = await getBankBalancesAt(pool, userId, to);
+        const cash = await getCashBalanceAt(pool, userId, to);
+        const cards = trackingOption === 'expenses' || trackingOption === 'both'
+            ? await getCardBalancesAt(pool, userId, to)
+            : [];
+
+        const roundAmount = (value) => Math.round(value * 100) / 100;
+        const toAccountRow = (type, id, name, currency, closing, key) => {
+            const { inflow, outflow } = movement[key] || { inflow: 0, outflow: 0 };
+            return {
+                type,
+                id,
+                name,
+                currency: currency || DEFAULT_CURRENCY,
+                openingBalance: roundAmount(closing - inflow + outflow),
+                inflow: roundAmount(inflow),
+                outflow: roundAmount(outflow),
+                closingBalance: roundAmount(closing),
+            };
+        };
+
+        const accounts = [
+            ...banks.map(bank => toAccountRow('bank', bank.id, bank.name, bank.currency, parseFloat(bank.balance_at_month_end || 0), `bank:${bank.id}`)),
+            toAccountRow('cash', null, 'Cash', cash.currency, parseFloat(cash.cash_balance_at_month_end || 0), 'cash'),
+            ...cards.map(card => toAccountRow('credit_card', card.id, card.name, card.currency, -parseFloat(card.used_limit || 0), `credit_card:${card.id}`)),
+        ];
+
+        const { baseCurrency, missingRates, convert } = await getCurrencyContext(pool, userId);
+        const totalIncome = roundAmount(incomeTotalsResult.rows.reduce((sum, row) => sum + convert(row.total_income, row.currency), 0));
+        const totalExpenses = roundAmount(expenseTotalsResult.rows.reduce((sum, row) => sum + convert(row.total_expenses, row.currency), 0));
+        const netSavings = totalIncome - totalExpenses;
+
+        // Merge a name's per-currency rows once converted, then keep the ten largest
+        const toRanking = (rows) => {
+            const totals = new Map();
+            rows.forEach((row) => {
+                const current = totals.get(row.name) || { name: row.name, total: 0, transactionCount: 0 };
+                current.total += convert(row.total, row.currency);
+                current.transactionCount += parseInt(row.transaction_count || 0);
+                totals.set(row.name, current);
+            });
+            return [...totals.values()]
+                .map(row => ({ ...row, total: roundAmount(row.total) }))
+                .sort((a, b) => b.total - a.total)
+                .slice(0, 10);
+        };
+
+        res.json({
+            ...range,
+            totalIncome,
+            totalExpenses,
+            netSavings: roundAmount(netSavings),
+            // Share of income kept; null when there was no income to save from
+            savingsRate: totalIncome > 0 ? Math.round((netSavings / totalIncome) * 1000) / 10 : null,
+            topIncomeSources: toRanking(sourcesResult.rows),
+            topPayees: toRanking(payeesResult.rows),
+            accounts,
+            baseCurrency,
+            missingRates: [...missingRates],
+            trackingOption,
+            fiscalYearStart,
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Debug endpoint to test database without auth
 app.get('/api/debug-monthly', async (req, res) => {
     try {
@@ -1632,19 +6063,216 @@ app.post('/api/logout', (req, res) => {
     });
 });
 
+// ===== SEARCH =====
+
+// Full-text search over income and expenses (not trashed): title/source, notes, account name and amount
+app.get('/api/search', requireAuth, async (req, res) => {
+    try {
+        const { q = '', type = '', from_date = '', to_date = '', limit } = req.query;
+        const text = String(q).trim();
+
+        if (!text) {
+            return res.status(400).json({ error: 'Search text is required' });
+        }
+        if (text.length > MAX_SEARCH_LENGTH) {
+            return res.status(400).json({ error: `Search text must be at most ${MAX_SEARCH_LENGTH} characters` });
+        }
+        if (type && !TRASH_TABLES[type]) {
+            return res.status(400).json({ error: 'Search type must be income or expense' });
+        }
+        if ([from_date, to_date].some(date => date && !isValidDateString(date))) {
+            return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+        }
+
+        const criteria = parseSearchQuery(text);
+        if (criteria.terms.length === 0 && criteria.amounts.length === 0 && criteria.amountConditions.length === 0) {
+            return res.status(400).json({ error: 'Search for words, amounts (450) or amount ranges (100-500, >1000)' });
+        }
+
+        const params = [req.session.userId];
+        const conditions = [];
+        const addParam = (value) => {
+            params.push(value);
+            return `$${params.length}`;
+        };
+
+        // Words are matched inside each branch against the indexed entry expression, so the GIN
+        // indexes narrow the rows; a word that names an account also matches that account's entries
+        let rank = '0';
+        const incomeConditions = [];
+        const expenseConditions = [];
+        if (criteria.terms.length > 0) {
+            rank = `ts_rank(document, to_tsquery('simple', ${addParam(criteria.terms.map(term => `${term}:*`).join(' & '))}))`;
+
+            const termAccounts = await getSearchTermAccounts(pool, req.session.userId, criteria.terms);
+            const textOnlyTerms = criteria.terms.filter((term, index) => termAccounts[index].length === 0);
+            if (textOnlyTerms.length > 0) {
+                const query = `to_tsquery('simple', ${addParam(textOnlyTerms.map(term => `${term}:*`).join(' & '))})`;
+                incomeConditions.push(`${INCOME_SEARCH_DOCUMENT} @@ ${query}`);
+                expenseConditions.push(`${EXPENSE_SEARCH_DOCUMENT} @@ ${query}`);
+            }
+
+            criteria.terms.forEach((term, index) => {
+                if (termAccounts[index].length === 0) return;
+                const query = `to_tsquery('simple', ${addParam(`${term}:*`)})`;
+                const accounts = termAccounts[index].map(account => ({
+                    type: account.type,
+                    id: account.type === 'cash' ? null : addParam(account.id),
+                }));
+                const accountMatch = (typeColumn, idColumn) => accounts.map(account => (
+                    account.type === 'cash'
+                        ? `${typeColumn} = 'cash'`
+                        : `(${typeColumn} = '${account.type}' AND ${idColumn} = ${account.id})`
+                )).join(' OR ');
+                incomeConditions.push(`(${INCOME_SEARCH_DOCUMENT} @@ ${query} OR ${accountMatch('i.credited_to_type', 'i.credited_to_id')})`);
+                expenseConditions.push(`(${EXPENSE_SEARCH_DOCUMENT} @@ ${query} OR ${accountMatch('e.payment_method', 'e.payment_source_id')})`);
+            });
+        }
+        const incomeTermFilter = incomeConditions.map(condition => ` AND ${condition}`).join('');
+        const expenseTermFilter = expenseConditions.map(condition => ` AND ${condition}`).join('');
+
+        // A bare number is either the amount or part of the text ("Order 450", "iPhone 15")
+        criteria.amounts.forEach(amount => {
+            conditions.push(`(amount = ${addParam(amount)} OR document @@ to_tsquery('simple', ${addParam(amount)}))`);
+        });
+
+        criteria.amountConditions.forEach(({ operator, value }) => {
+            if (SEARCH_AMOUNT_OPERATORS.includes(operator)) {
+                conditions.push(`amount ${operator} ${addParam(value)}`);
+            }
+        });
+
+        if (type) conditions.push(`type = ${addParam(type)}`);
+        if (from_date) conditions.push(`date::date >= ${addParam(from_date)}`);
+        if (to_date) conditions.push(`date::date <= ${addParam(to_date)}`);
+
+        const resultLimit = Math.min(Math.max(parseInt(limit) || DEFAULT_SEARCH_RESULTS, 1), MAX_SEARCH_RESULTS);
+
+        const result = await pool.query(
+            `SELECT type, id, description, notes, amount, date, tags, account_name, category_name, currency,
+                    ${rank} AS rank
+             FROM (
+                 SELECT 'income' AS type, i.id, i.source AS description, i.notes, i.amount, i.date, i.tags,
+                        CASE
+                            WHEN i.credited_to_type = 'bank' THEN COALESCE(b.name, 'Unknown Bank')
+                            WHEN i.credited_to_type = 'credit_card' THEN COALESCE(cc.name, 'Unknown Card')
+                            ELSE 'Cash'
+                        END AS account_name,
+                        NULL AS category_name,
+                        COALESCE(b.currency, cc.currency, cw.currency) AS currency,
+                        ${INCOME_SEARCH_DOCUMENT}
+                            || setweight(to_tsvector('simple', COALESCE(b.name, cc.name, 'Cash')), 'C') AS document
+                 FROM income_entries i
+                 LEFT JOIN banks b ON i.credited_to_type = 'bank' AND i.credited_to_id = b.id
+                 LEFT JOIN credit_cards cc ON i.credited_to_type = 'credit_card' AND i.credited_to_id = cc.id
+                 LEFT JOIN cash_balance cw ON i.credited_to_type = 'cash' AND cw.user_id = i.user_id
+                 WHERE i.user_id = $1 AND i.deleted_at IS NULL${incomeTermFilter}
+                 UNION ALL
+                 SELECT 'expense' AS type, e.id, e.title AS description, e.notes, e.amount, e.date, e.tags,
+                        CASE
+                            WHEN e.payment_method = 'bank' THEN COALESCE(b.name, 'Unknown Bank')
+                            WHEN e.payment_method = 'credit_card' THEN COALESCE(cc.name, 'Unknown Card')
+                            ELSE 'Cash'
+                        END AS account_name,
+                        ec.name AS category_name,
+                        COALESCE(b.currency, cc.currency, cw.currency) AS currency,
+                        ${EXPENSE_SEARCH_DOCUMENT}
+                            || setweight(to_tsvector('simple', COALESCE(b.name, cc.name, 'Cash')), 'C') AS document
+                 FROM expenses e
+                 LEFT JOIN banks b ON e.payment_method = 'bank' AND e.payment_source_id = b.id
+                 LEFT JOIN credit_cards cc ON e.payment_method = 'credit_card' AND e.payment_source_id = cc.id
+                 LEFT JOIN cash_balance cw ON e.payment_method = 'cash' AND cw.user_id = e.user_id
+                 LEFT JOIN expense_categories ec ON e.category_id = ec.id
+                 WHERE e.user_id = $1 AND e.deleted_at IS NULL${expenseTermFilter}
+             ) entries
+             WHERE ${conditions.length > 0 ? conditions.join(' AND ') : 'TRUE'}
+             ORDER BY rank DESC, date DESC, id DESC
+             LIMIT ${resultLimit}`,
+            params
+        );
+
+        res.json({
+            query: text,
+            criteria,
+            results: result.rows,
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ===== SAVED FILTERS =====
+
+app.get('/api/saved-filters', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT id, name, query, created_at FROM saved_filters WHERE user_id = $1 ORDER BY name',
+            [req.session.userId]
+        );
+        res.json(result.rows);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Save (create or update, by name) a named activity filter
+app.post('/api/saved-filters', requireAuth, async (req, res) => {
+    try {
+        const filter = validateSavedFilter(req.body);
+        if (filter.error) {
+            return res.status(400).json({ error: filter.error });
+        }
+
+        const result = await pool.query(
+            `INSERT INTO saved_filters (user_id, name, query) VALUES ($1, $2, $3)
+             ON CONFLICT (user_id, name) DO UPDATE SET query = EXCLUDED.query
+             RETURNING id, name, query, created_at`,
+            [req.session.userId, filter.values.name, filter.values.query]
+        );
+        res.json(result.rows[0]);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/saved-filters/:id', requireAuth, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM saved_filters WHERE id = $1 AND user_id = $2 RETURNING id',
+            [req.params.id, req.session.userId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Saved filter not found' });
+        }
+
+        res.json({ success: true, message: 'Saved filter deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // User Activity Tracking API with Audit Logs
 app.get('/api/activity', requireAuth, async (req, res) => {
     try {
+        const { page = 1, limit = 20, export: exportCsv = false } = req.query;
+
+        const filters = validateActivityFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({ error: filters.error });
+        }
         const {
-            page = 1,
-            limit = 20,
             type = '',
+            period = '',
             from_date = '',
             to_date = '',
             month = '',
             year = '',
-            export: exportCsv = false
-        } = req.query;
+            account = '',
+            min_amount = '',
+            max_amount = '',
+            tag = '',
+        } = filters.values;
 
         const userId = req.session.userId;
         const offset = (parseInt(page) - 1) * parseInt(limit);
@@ -1654,27 +6282,43 @@ app.get('/api/activity', requireAuth, async (req, res) => {
         const params = [userId];
         let paramCount = 1;
 
-        // Handle month/year filtering
-        if (month && year) {
+        // Years are financial years: with an April start, year=2025 covers April 2025 - March 2026
+        // and month=1&year=2025 is January 2026
+        const fiscalYearStart = year || period ? await getFiscalYearStart(pool, userId) : 1;
+
+        // A relative period (this_quarter, last_month...) wins over month/year and dates,
+        // so a saved "this quarter" view keeps following the calendar
+        if (period) {
+            const range = getRelativePeriodRange(period, fiscalYearStart);
+
             paramCount++;
-            const startDate = `${year}-${month.padStart(2, '0')}-01`;
             whereConditions.push(`activity_date >= $${paramCount}`);
-            params.push(startDate);
-            
+            params.push(range.from);
+
+            paramCount++;
+            whereConditions.push(`activity_date < $${paramCount}`);
+            params.push(addDaysToDateString(range.to, 1));
+        } else if (month && year) {
+            const range = getFiscalMonthRange(parseInt(year), fiscalYearStart, (parseInt(month) - fiscalYearStart + 12) % 12, 1);
+
+            paramCount++;
+            whereConditions.push(`activity_date >= $${paramCount}`);
+            params.push(range.from);
+
+            // Exclusive end so audit entries (timestamps) on the last day still match
             paramCount++;
-            const nextMonth = parseInt(month) === 12 ? 1 : parseInt(month) + 1;
-            const nextYear = parseInt(month) === 12 ? parseInt(year) + 1 : parseInt(year);
-            const endDate = `${nextYear}-${nextMonth.toString().padStart(2, '0')}-01`;
             whereConditions.push(`activity_date < $${paramCount}`);
-            params.push(endDate);
+            params.push(addDaysToDateString(range.to, 1));
         } else if (year) {
+            const range = getFiscalMonthRange(parseInt(year), fiscalYearStart, 0, 12);
+
             paramCount++;
             whereConditions.push(`activity_date >= $${paramCount}`);
-            params.push(`${year}-01-01`);
-            
+            params.push(range.from);
+
             paramCount++;
             whereConditions.push(`activity_date < $${paramCount}`);
-            params.push(`${parseInt(year) + 1}-01-01`);
+            params.push(addDaysToDateString(range.to, 1));
         } else {
             // Handle date range filtering
             if (from_date) {
@@ -1690,6 +6334,47 @@ app.get('/api/activity', requireAuth, async (req, res) => {
             }
         }
 
+        if (type) {
+            paramCount++;
+            whereConditions.push(`activity_type = $${paramCount}`);
+            params.push(type);
+        }
+
+        // account=credit_card matches every card, account=credit_card-3 just that one.
+        // Card payments belong to the card they pay off and transfers to the account they leave.
+        if (account) {
+            const [accountType, accountId] = account.split('-');
+
+            paramCount++;
+            whereConditions.push(`account_type = $${paramCount}`);
+            params.push(accountType);
+
+            if (accountId) {
+                paramCount++;
+                whereConditions.push(`account_id = $${paramCount}`);
+                params.push(parseInt(accountId));
+            }
+        }
+
+        if (min_amount) {
+            paramCount++;
+            whereConditions.push(`amount >= $${paramCount}`);
+            params.push(Number(min_amount));
+        }
+
+        if (max_amount) {
+            paramCount++;
+            whereConditions.push(`amount <= $${paramCount}`);
+            params.push(Number(max_amount));
+        }
+
+        // Only income and expenses carry tags, so a tag filter narrows the feed to those
+        if (tag) {
+            paramCount++;
+            whereConditions.push(`$${paramCount} = ANY(tags)`);
+            params.push(normalizeTagFilter(tag));
+        }
+
         // Enhanced activities query with audit logs - simplified version
         let activitiesQuery = `
             SELECT
@@ -1698,8 +6383,14 @@ app.get('/api/activity', requireAuth, async (req, res) => {
                 description,
                 amount,
                 account_info,
+                currency,
                 activity_date,
-                action_type
+                action_type,
+                category_name,
+                tags,
+                entity_type,
+                before_data,
+                after_data
             FROM (
                 -- Income transactions (created)
                 SELECT
@@ -1712,11 +6403,20 @@ app.get('/api/activity', requireAuth, async (req, res) => {
                         WHEN i.credited_to_type = 'cash' THEN 'Cash'
                         ELSE i.credited_to_type
                     END as account_info,
+                    COALESCE(b.currency, cw.currency) as currency,
                     i.date as activity_date,
-                    'created' as action_type
+                    'created' as action_type,
+                    NULL as category_name,
+                    i.tags,
+                    i.credited_to_type as account_type,
+                    i.credited_to_id as account_id,
+                    NULL as entity_type,
+                    NULL::jsonb as before_data,
+                    NULL::jsonb as after_data
                 FROM income_entries i
                 LEFT JOIN banks b ON i.credited_to_type = 'bank' AND i.credited_to_id = b.id AND b.user_id = i.user_id
-                WHERE i.user_id = $1
+                LEFT JOIN cash_balance cw ON i.credited_to_type = 'cash' AND cw.user_id = i.user_id
+                WHERE i.user_id = $1 AND i.deleted_at IS NULL
 
                 UNION ALL
 
@@ -1732,12 +6432,75 @@ app.get('/api/activity', requireAuth, async (req, res) => {
                         WHEN e.payment_method = 'cash' THEN 'Cash'
                         ELSE e.payment_method
                     END as account_info,
+                    COALESCE(b.currency, c.currency, cw.currency) as currency,
                     e.date as activity_date,
-                    'created' as action_type
+                    'created' as action_type,
+                    COALESCE(ec.name, 'Uncategorized') as category_name,
+                    e.tags,
+                    e.payment_method as account_type,
+                    e.payment_source_id as account_id,
+                    NULL as entity_type,
+                    NULL::jsonb as before_data,
+                    NULL::jsonb as after_data
                 FROM expenses e
                 LEFT JOIN banks b ON e.payment_method = 'bank' AND e.payment_source_id = b.id AND b.user_id = e.user_id
                 LEFT JOIN credit_cards c ON e.payment_method = 'credit_card' AND e.payment_source_id = c.id AND c.user_id = e.user_id
-                WHERE e.user_id = $1
+                LEFT JOIN cash_balance cw ON e.payment_method = 'cash' AND cw.user_id = e.user_id
+                LEFT JOIN expense_categories ec ON e.category_id = ec.id
+                WHERE e.user_id = $1 AND e.deleted_at IS NULL
+
+                UNION ALL
+
+                -- Credit card bill payments (not counted as expenses; the charges already were)
+                SELECT
+                    'card_payment' as activity_type,
+                    p.id,
+                    COALESCE(NULLIF(p.note, ''), 'Paid ' || cc.name || ' bill') as description,
+                    p.amount,
+                    CASE WHEN p.source_type = 'bank' THEN COALESCE(b.name, 'Unknown Bank') ELSE 'Cash' END ||
+                    ' → ' || cc.name as account_info,
+                    COALESCE(b.currency, cw.currency) as currency,
+                    p.date as activity_date,
+                    'created' as action_type,
+                    NULL as category_name,
+                    NULL::text[] as tags,
+                    'credit_card' as account_type,
+                    p.card_id as account_id,
+                    NULL as entity_type,
+                    NULL::jsonb as before_data,
+                    NULL::jsonb as after_data
+                FROM card_payments p
+                JOIN credit_cards cc ON p.card_id = cc.id
+                LEFT JOIN banks b ON p.source_type = 'bank' AND p.source_id = b.id AND b.user_id = p.user_id
+                LEFT JOIN cash_balance cw ON p.source_type = 'cash' AND cw.user_id = p.user_id
+                WHERE p.user_id = $1
+
+                UNION ALL
+
+                -- Transfers between banks and cash (not counted as income or expenses)
+                SELECT
+                    'transfer' as activity_type,
+                    t.id,
+                    COALESCE(NULLIF(t.note, ''), 'Transfer') as description,
+                    t.amount,
+                    CASE WHEN t.from_type = 'bank' THEN COALESCE(fb.name, 'Unknown Bank') ELSE 'Cash' END ||
+                    ' → ' ||
+                    CASE WHEN t.to_type = 'bank' THEN COALESCE(tb.name, 'Unknown Bank') ELSE 'Cash' END as account_info,
+                    COALESCE(fb.currency, cw.currency) as currency,
+                    t.date as activity_date,
+                    'created' as action_type,
+                    NULL as category_name,
+                    NULL::text[] as tags,
+                    t.from_type as account_type,
+                    t.from_id as account_id,
+                    NULL as entity_type,
+                    NULL::jsonb as before_data,
+                    NULL::jsonb as after_data
+                FROM transfers t
+                LEFT JOIN banks fb ON t.from_type = 'bank' AND t.from_id = fb.id AND fb.user_id = t.user_id
+                LEFT JOIN banks tb ON t.to_type = 'bank' AND t.to_id = tb.id AND tb.user_id = t.user_id
+                LEFT JOIN cash_balance cw ON t.from_type = 'cash' AND cw.user_id = t.user_id
+                WHERE t.user_id = $1
 
                 UNION ALL
 
@@ -1748,8 +6511,16 @@ app.get('/api/activity', requireAuth, async (req, res) => {
                     'Added bank: ' || b.name as description,
                     b.initial_balance as amount,
                     b.name as account_info,
+                    b.currency as currency,
                     b.created_at as activity_date,
-                    'created' as action_type
+                    'created' as action_type,
+                    NULL as category_name,
+                    NULL::text[] as tags,
+                    'bank' as account_type,
+                    b.id as account_id,
+                    NULL as entity_type,
+                    NULL::jsonb as before_data,
+                    NULL::jsonb as after_data
                 FROM banks b
                 WHERE b.user_id = $1
 
@@ -1762,8 +6533,16 @@ app.get('/api/activity', requireAuth, async (req, res) => {
                     'Added credit card: ' || c.name as description,
                     c.credit_limit as amount,
                     c.name as account_info,
+                    c.currency as currency,
                     c.created_at as activity_date,
-                    'created' as action_type
+                    'created' as action_type,
+                    NULL as category_name,
+                    NULL::text[] as tags,
+                    'credit_card' as account_type,
+                    c.id as account_id,
+                    NULL as entity_type,
+                    NULL::jsonb as before_data,
+                    NULL::jsonb as after_data
                 FROM credit_cards c
                 WHERE c.user_id = $1
 
@@ -1776,10 +6555,62 @@ app.get('/api/activity', requireAuth, async (req, res) => {
                     'Set cash balance' as description,
                     cb.initial_balance as amount,
                     'Cash' as account_info,
+                    cb.currency as currency,
                     cb.updated_at as activity_date,
-                    'created' as action_type
+                    'created' as action_type,
+                    NULL as category_name,
+                    NULL::text[] as tags,
+                    'cash' as account_type,
+                    NULL::integer as account_id,
+                    NULL as entity_type,
+                    NULL::jsonb as before_data,
+                    NULL::jsonb as after_data
                 FROM cash_balance cb
                 WHERE cb.user_id = $1 AND cb.initial_balance > 0
+
+                UNION ALL
+
+                -- Edits and deletes from the audit log (creations are already listed above from the rows themselves)
+                SELECT
+                    'audit' as activity_type,
+                    a.id,
+                    CASE
+                        WHEN a.action = 'deleted' THEN 'Deleted '
+                        WHEN a.before_data ->> 'deleted_at' IS NOT NULL AND a.after_data ->> 'deleted_at' IS NULL THEN 'Restored '
+                        ELSE 'Edited '
+                    END ||
+                    CASE a.entity_type
+                        WHEN 'income' THEN 'income: ' || (COALESCE(a.after_data, a.before_data) ->> 'source')
+                        WHEN 'expense' THEN 'expense: ' || (COALESCE(a.after_data, a.before_data) ->> 'title')
+                        WHEN 'bank' THEN 'bank: ' || (COALESCE(a.after_data, a.before_data) ->> 'name')
+                        WHEN 'credit_card' THEN 'credit card: ' || (COALESCE(a.after_data, a.before_data) ->> 'name')
+                        ELSE 'cash balance'
+                    END as description,
+                    (CASE a.entity_type
+                        WHEN 'bank' THEN COALESCE(a.after_data, a.before_data) ->> 'current_balance'
+                        WHEN 'credit_card' THEN COALESCE(a.after_data, a.before_data) ->> 'credit_limit'
+                        WHEN 'cash' THEN COALESCE(a.after_data, a.before_data) ->> 'balance'
+                        ELSE COALESCE(a.after_data, a.before_data) ->> 'amount'
+                    END)::numeric as amount,
+                    CASE a.entity_type
+                        WHEN 'income' THEN 'Income'
+                        WHEN 'expense' THEN 'Expense'
+                        WHEN 'bank' THEN 'Bank'
+                        WHEN 'credit_card' THEN 'Credit Card'
+                        ELSE 'Cash'
+                    END as account_info,
+                    COALESCE(a.after_data, a.before_data) ->> 'currency' as currency,
+                    a.created_at as activity_date,
+                    a.action as action_type,
+                    NULL as category_name,
+                    NULL::text[] as tags,
+                    CASE WHEN a.entity_type IN ('bank', 'credit_card', 'cash') THEN a.entity_type END as account_type,
+                    CASE WHEN a.entity_type IN ('bank', 'credit_card') THEN a.entity_id END as account_id,
+                    a.entity_type,
+                    a.before_data,
+                    a.after_data
+                FROM audit_log a
+                WHERE a.user_id = $1 AND a.action <> 'created'
             ) combined_activities
         `;
 
@@ -1788,11 +6619,6 @@ app.get('/api/activity', requireAuth, async (req, res) => {
             activitiesQuery += ` WHERE ${whereConditions.join(' AND ')}`;
         }
 
-        // Apply type filtering if specified
-        if (type && type !== '') {
-            activitiesQuery += whereConditions.length > 0 ? ` AND activity_type = '${type}'` : ` WHERE activity_type = '${type}'`;
-        }
-
         activitiesQuery += ' ORDER BY activity_date DESC';
 
         // For CSV export, don't limit results
@@ -1805,15 +6631,21 @@ app.get('/api/activity', requireAuth, async (req, res) => {
         // Get count for pagination - simplified
         const countQuery = `
             SELECT COUNT(*) as total FROM (
-                SELECT id FROM income_entries WHERE user_id = $1
+                SELECT id FROM income_entries WHERE user_id = $1 AND deleted_at IS NULL
+                UNION ALL
+                SELECT id FROM expenses WHERE user_id = $1 AND deleted_at IS NULL
+                UNION ALL
+                SELECT id FROM transfers WHERE user_id = $1
                 UNION ALL
-                SELECT id FROM expenses WHERE user_id = $1
+                SELECT id FROM card_payments WHERE user_id = $1
                 UNION ALL
                 SELECT id FROM banks WHERE user_id = $1
                 UNION ALL
                 SELECT id FROM credit_cards WHERE user_id = $1
                 UNION ALL
                 SELECT id FROM cash_balance WHERE user_id = $1 AND initial_balance > 0
+                UNION ALL
+                SELECT id FROM audit_log WHERE user_id = $1 AND action <> 'created'
             ) combined_count
         `;
 
@@ -1824,24 +6656,28 @@ app.get('/api/activity', requireAuth, async (req, res) => {
         // Get summary statistics
         const statsResult = await pool.query(`
             SELECT
-                (SELECT COUNT(*) FROM income_entries WHERE user_id = $1) +
-                (SELECT COUNT(*) FROM expenses WHERE user_id = $1) +
+                (SELECT COUNT(*) FROM income_entries WHERE user_id = $1 AND deleted_at IS NULL) +
+                (SELECT COUNT(*) FROM expenses WHERE user_id = $1 AND deleted_at IS NULL) +
+                (SELECT COUNT(*) FROM transfers WHERE user_id = $1) +
+                (SELECT COUNT(*) FROM card_payments WHERE user_id = $1) +
                 (SELECT COUNT(*) FROM banks WHERE user_id = $1) +
                 (SELECT COUNT(*) FROM credit_cards WHERE user_id = $1) +
                 (SELECT COUNT(*) FROM cash_balance WHERE user_id = $1 AND initial_balance > 0) as totalTransactions,
-                (SELECT COALESCE(SUM(amount), 0) FROM income_entries WHERE user_id = $1) as totalIncome,
-                (SELECT COALESCE(SUM(amount), 0) FROM expenses WHERE user_id = $1) as totalExpenses,
-                (SELECT COALESCE(SUM(amount), 0) FROM income_entries WHERE user_id = $1) -
-                (SELECT COALESCE(SUM(amount), 0) FROM expenses WHERE user_id = $1) as netBalance
+                (SELECT COALESCE(SUM(amount), 0) FROM income_entries WHERE user_id = $1 AND deleted_at IS NULL) as totalIncome,
+                (SELECT COALESCE(SUM(amount), 0) FROM expenses WHERE user_id = $1 AND deleted_at IS NULL) as totalExpenses,
+                (SELECT COALESCE(SUM(amount), 0) FROM income_entries WHERE user_id = $1 AND deleted_at IS NULL) -
+                (SELECT COALESCE(SUM(amount), 0) FROM expenses WHERE user_id = $1 AND deleted_at IS NULL) as netBalance
         `, [userId]);
 
         // Handle CSV export
         if (exportCsv) {
-            const csvHeaders = 'Date,Type,Description,Amount,Account\n';
+            // Dates follow the user's date format; amounts stay plain numbers so spreadsheets can sum them
+            const preferences = await getUserPreferences(pool, userId);
+            const csvHeaders = 'Date,Type,Description,Amount,Currency,Account,Category\n';
             const csvRows = activitiesResult.rows.map(activity => {
-                const date = new Date(activity.activity_date).toLocaleDateString();
+                const date = formatPreferenceDate(activity.activity_date, preferences);
                 const amount = parseFloat(activity.amount || 0).toFixed(2);
-                return `${date},${activity.activity_type},"${activity.description}",${amount},"${activity.account_info || ''}"`;
+                return `${date},${activity.activity_type},"${activity.description}",${amount},${activity.currency || ''},"${activity.account_info || ''}","${activity.category_name || ''}"`;
             }).join('\n');
 
             res.setHeader('Content-Type', 'text/csv');
@@ -1889,6 +6725,15 @@ module.exports = { app, pool };
 // Only start server if this file is run directly (not imported for testing)
 if (require.main === module) {
     console.log('🚀 Starting Express server...');
+
+    // Materialize recurring entries for users who stay logged in across due dates
+    const RECURRING_INTERVAL_MS = 60 * 60 * 1000;
+    setInterval(() => {
+        materializeAllRecurringTransactions().catch((error) => {
+            console.error('Recurring transactions job failed:', error.message);
+        });
+    }, RECURRING_INTERVAL_MS);
+
     app.listen(PORT, '0.0.0.0', () => {
         console.log(`✅ Server running on port ${PORT}`);
         console.log(`🌐 Environment: ${process.env.NODE_ENV}`);
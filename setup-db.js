@@ -100,6 +100,324 @@ const createTables = async () => {
       )
     `);
 
+        // Expense categories table (user-defined, seeded with defaults on registration)
+        await pool.query(`
+      CREATE TABLE IF NOT EXISTS expense_categories (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(50) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, name)
+      )
+    `);
+
+        // Defaults are seeded once per user, so deleting every category doesn't bring them back.
+        // Users who already have categories were seeded before the flag existed.
+        await pool.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS categories_seeded BOOLEAN NOT NULL DEFAULT FALSE
+    `);
+        await pool.query(`
+      UPDATE users SET categories_seeded = TRUE
+      WHERE NOT categories_seeded AND id IN (SELECT user_id FROM expense_categories)
+    `);
+
+        // Link expenses to categories (existing expenses stay uncategorized)
+        await pool.query(`
+      ALTER TABLE expenses
+      ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES expense_categories(id) ON DELETE SET NULL
+    `);
+
+        // Monthly spending limits per category (one standing limit per category)
+        await pool.query(`
+      CREATE TABLE IF NOT EXISTS budgets (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        category_id INTEGER REFERENCES expense_categories(id) ON DELETE CASCADE,
+        monthly_limit DECIMAL(20,2) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, category_id)
+      )
+    `);
+
+        // Recurring income/expense templates (salary, rent, subscriptions)
+        await pool.query(`
+      CREATE TABLE IF NOT EXISTS recurring_transactions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        type VARCHAR(10) NOT NULL CHECK (type IN ('income', 'expense')),
+        title VARCHAR(200) NOT NULL,
+        amount DECIMAL(20,2) NOT NULL,
+        account_type VARCHAR(15) NOT NULL CHECK (account_type IN ('cash', 'bank', 'credit_card')),
+        account_id INTEGER,
+        category_id INTEGER REFERENCES expense_categories(id) ON DELETE SET NULL,
+        frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly', 'yearly')),
+        start_date DATE NOT NULL,
+        end_date DATE,
+        occurrence_limit INTEGER,
+        occurrences_created INTEGER DEFAULT 0,
+        next_run_date DATE NOT NULL,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+        // Transfers between bank accounts and cash (not income or expenses)
+        await pool.query(`
+      CREATE TABLE IF NOT EXISTS transfers (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        from_type VARCHAR(10) NOT NULL CHECK (from_type IN ('bank', 'cash')),
+        from_id INTEGER,
+        to_type VARCHAR(10) NOT NULL CHECK (to_type IN ('bank', 'cash')),
+        to_id INTEGER,
+        amount DECIMAL(20,2) NOT NULL CHECK (amount > 0),
+        note VARCHAR(200),
+        date DATE NOT NULL,
+        month INTEGER NOT NULL,
+        year INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+        // Statement cycle per card: statement generated on statement_day, due payment_due_days later
+        await pool.query(`
+      ALTER TABLE credit_cards
+      ADD COLUMN IF NOT EXISTS statement_day INTEGER DEFAULT 1 CHECK (statement_day BETWEEN 1 AND 31),
+      ADD COLUMN IF NOT EXISTS payment_due_days INTEGER DEFAULT 20 CHECK (payment_due_days BETWEEN 0 AND 60)
+    `);
+
+        // Credit card bill payments from a bank account or cash
+        await pool.query(`
+      CREATE TABLE IF NOT EXISTS card_payments (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        card_id INTEGER REFERENCES credit_cards(id) ON DELETE CASCADE,
+        source_type VARCHAR(10) NOT NULL CHECK (source_type IN ('bank', 'cash')),
+        source_id INTEGER,
+        amount DECIMAL(20,2) NOT NULL CHECK (amount > 0),
+        note VARCHAR(200),
+        date DATE NOT NULL,
+        month INTEGER NOT NULL,
+        year INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+        // Link materialized entries back to the template that created them
+        await pool.query(`
+      ALTER TABLE income_entries
+      ADD COLUMN IF NOT EXISTS recurring_id INTEGER REFERENCES recurring_transactions(id) ON DELETE SET NULL
+    `);
+        await pool.query(`
+      ALTER TABLE expenses
+      ADD COLUMN IF NOT EXISTS recurring_id INTEGER REFERENCES recurring_transactions(id) ON DELETE SET NULL
+    `);
+
+        // Bank-assigned transaction ids (OFX FITID) so re-imported statements are skipped
+        await pool.query(`
+      ALTER TABLE income_entries
+      ADD COLUMN IF NOT EXISTS external_id VARCHAR(255)
+    `);
+        await pool.query(`
+      ALTER TABLE expenses
+      ADD COLUMN IF NOT EXISTS external_id VARCHAR(255)
+    `);
+        await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_income_entries_external_id ON income_entries (user_id, external_id) WHERE external_id IS NOT NULL
+    `);
+        await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_expenses_external_id ON expenses (user_id, external_id) WHERE external_id IS NOT NULL
+    `);
+
+        // Soft delete: trashed income/expenses stay until restored or purged from the trash
+        await pool.query(`
+      ALTER TABLE income_entries
+      ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP
+    `);
+        await pool.query(`
+      ALTER TABLE expenses
+      ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP
+    `);
+
+        // Free-form tags (stored without the leading #) and a longer note on income and expenses
+        await pool.query(`
+      ALTER TABLE income_entries
+      ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}',
+      ADD COLUMN IF NOT EXISTS notes TEXT
+    `);
+        await pool.query(`
+      ALTER TABLE expenses
+      ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}',
+      ADD COLUMN IF NOT EXISTS notes TEXT
+    `);
+        await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_income_entries_tags ON income_entries USING GIN (tags)
+    `);
+        await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_expenses_tags ON expenses USING GIN (tags)
+    `);
+
+        // Full-text search: expression indexes on exactly the entry expressions /api/search filters on
+        // (INCOME_SEARCH_DOCUMENT / EXPENSE_SEARCH_DOCUMENT in server.js)
+        // (title/source weighted above notes; 'simple' so merchant names aren't stemmed)
+        await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_income_entries_search ON income_entries USING GIN (
+        (setweight(to_tsvector('simple', COALESCE(source, '')), 'A') || setweight(to_tsvector('simple', COALESCE(notes, '')), 'B'))
+      )
+    `);
+        await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_expenses_search ON expenses USING GIN (
+        (setweight(to_tsvector('simple', COALESCE(title, '')), 'A') || setweight(to_tsvector('simple', COALESCE(notes, '')), 'B'))
+      )
+    `);
+
+        // Named activity filter combinations, stored as the query string the activity feed understands
+        await pool.query(`
+      CREATE TABLE IF NOT EXISTS saved_filters (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(60) NOT NULL,
+        query TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, name)
+      )
+    `);
+
+        // User-defined expense rules: the first rule (by id) whose conditions all match an expense
+        // sets its category, adds its tags and/or renames it
+        await pool.query(`
+      CREATE TABLE IF NOT EXISTS categorization_rules (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        match_type VARCHAR(10) NOT NULL DEFAULT 'contains' CHECK (match_type IN ('contains', 'regex')),
+        pattern VARCHAR(200),
+        min_amount DECIMAL(20,2),
+        max_amount DECIMAL(20,2),
+        payment_method VARCHAR(15) CHECK (payment_method IN ('cash', 'bank', 'credit_card')),
+        payment_source_id INTEGER,
+        category_id INTEGER REFERENCES expense_categories(id) ON DELETE SET NULL,
+        tags TEXT[] NOT NULL DEFAULT '{}',
+        rename_to VARCHAR(200),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+        await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_categorization_rules_user ON categorization_rules(user_id)
+    `);
+
+        // Pairs of entries the user marked as "not a duplicate" (entry_id is the smaller id of the pair)
+        await pool.query(`
+      CREATE TABLE IF NOT EXISTS duplicate_dismissals (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        entry_type VARCHAR(10) NOT NULL CHECK (entry_type IN ('income', 'expense')),
+        entry_id INTEGER NOT NULL,
+        other_id INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, entry_type, entry_id, other_id)
+      )
+    `);
+
+        // Receipts and invoices kept with an expense; the file itself lives in attachment storage under storage_key
+        await pool.query(`
+      CREATE TABLE IF NOT EXISTS expense_attachments (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        expense_id INTEGER NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+        filename VARCHAR(255) NOT NULL,
+        content_type VARCHAR(100) NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        storage_key VARCHAR(255) NOT NULL UNIQUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+        await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_expense_attachments_expense ON expense_attachments(expense_id)
+    `);
+
+        // Lines an expense is split into for category reports; they add up to the expense's amount,
+        // whose balance effect stays on its own payment source
+        await pool.query(`
+      CREATE TABLE IF NOT EXISTS expense_splits (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        expense_id INTEGER NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+        category_id INTEGER REFERENCES expense_categories(id) ON DELETE SET NULL,
+        amount DECIMAL(20,2) NOT NULL CHECK (amount > 0),
+        note VARCHAR(200),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+        await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_expense_splits_expense ON expense_splits(expense_id)
+    `);
+
+        // Create/update/delete history with the row before and after each change
+        await pool.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('income', 'expense', 'bank', 'credit_card', 'cash')),
+        entity_id INTEGER,
+        action VARCHAR(10) NOT NULL CHECK (action IN ('created', 'updated', 'deleted')),
+        before_data JSONB,
+        after_data JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+        await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_audit_log_user_created ON audit_log (user_id, created_at)
+    `);
+
+        // Month (1-12) the user's financial year starts in; 1 keeps calendar years
+        await pool.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS fiscal_year_start INTEGER NOT NULL DEFAULT 1 CHECK (fiscal_year_start BETWEEN 1 AND 12)
+    `);
+
+        // ISO 4217 currency per account; summaries convert everything to the user's base currency
+        await pool.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS base_currency VARCHAR(3) NOT NULL DEFAULT 'INR'
+    `);
+        await pool.query(`
+      ALTER TABLE banks
+      ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'INR'
+    `);
+        await pool.query(`
+      ALTER TABLE credit_cards
+      ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'INR'
+    `);
+        await pool.query(`
+      ALTER TABLE cash_balance
+      ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'INR'
+    `);
+
+        // User-maintained rates: one unit of `currency` is worth `rate` units of the base currency
+        await pool.query(`
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        currency VARCHAR(3) NOT NULL,
+        rate DECIMAL(20,8) NOT NULL CHECK (rate > 0),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, currency)
+      )
+    `);
+
+        // Display preferences; users without a row get the defaults (en-IN, DD/MM/YYYY, Monday)
+        await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_preferences (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        currency_symbol VARCHAR(8),
+        locale VARCHAR(35) NOT NULL DEFAULT 'en-IN',
+        date_format VARCHAR(20) NOT NULL DEFAULT 'DD/MM/YYYY',
+        first_day_of_week SMALLINT NOT NULL DEFAULT 1 CHECK (first_day_of_week BETWEEN 0 AND 6),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
         // Add migration for existing users table to include new columns
         console.log('Adding new columns to existing users table');
         try {
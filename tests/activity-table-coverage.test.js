@@ -19,6 +19,9 @@ describe('Activity Feed Implementation Tests', () => {
         // Load activity manager code
         const activityManagerPath = path.join(__dirname, '../public/js/activity-manager.js');
         activityManagerCode = fs.readFileSync(activityManagerPath, 'utf8');
+
+        // Managers escape interpolated text through the shared helper
+        eval(fs.readFileSync(path.join(__dirname, '../public/js/html-utils.js'), 'utf8'));
     });
 
     beforeEach(() => {
@@ -146,6 +149,55 @@ describe('Activity Feed Implementation Tests', () => {
         });
     });
 
+    describe('Audit Log Rendering', () => {
+        test('should label audited updates and show a diff of the changed fields', () => {
+            eval(activityManagerCode);
+
+            const html = window.activityManager.renderEtherscanStyleActivity({
+                activity_type: 'audit',
+                action_type: 'updated',
+                entity_type: 'income',
+                amount: '55000',
+                description: 'Edited income: Salary <July>',
+                activity_date: '2025-07-02T10:30:00Z',
+                account_info: 'Income',
+                before_data: { id: 5, source: 'Salary <July>', amount: '50000.00', month: 7 },
+                after_data: { id: 5, source: 'Salary <July>', amount: '55000.00', month: 8 }
+            });
+
+            expect(html).toContain('Income Updated');
+            expect(html).toContain('activity-diff');
+            expect(html).toContain('₹50,000.00');
+            expect(html).toContain('₹55,000.00');
+            // Unchanged and bookkeeping fields are left out of the diff
+            expect(html).not.toContain('diff-field">Source');
+            expect(html).not.toContain('diff-field">month');
+        });
+
+        test('should escape edited values and skip the diff for deletes', () => {
+            eval(activityManagerCode);
+
+            const updated = window.activityManager.renderAuditDiff(
+                { title: 'Lunch' },
+                { title: '<img src=x>' }
+            );
+            expect(updated).toContain('&lt;img src=x&gt;');
+
+            const deleted = window.activityManager.renderEtherscanStyleActivity({
+                activity_type: 'audit',
+                action_type: 'deleted',
+                entity_type: 'credit_card',
+                amount: '50000',
+                description: 'Deleted credit card: VISA',
+                activity_date: '2025-07-02T10:30:00Z',
+                before_data: { name: 'VISA' },
+                after_data: null
+            });
+            expect(deleted).toContain('Credit Card Deleted');
+            expect(deleted).not.toContain('activity-diff');
+        });
+    });
+
     describe('Responsive Design', () => {
         test('should have mobile-responsive card styling', () => {
             const cssPath = path.join(__dirname, '../public/css/fintech-theme.css');
@@ -0,0 +1,264 @@
+/**
+ * Expense Attachment Tests
+ * Covers uploading receipts with type/size checks, owner-only downloads, deletion and cleanup of stored files
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep uploaded files out of the project directory
+const attachmentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-test-'));
+process.env.ATTACHMENTS_DIR = attachmentsDir;
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+const { createLocalStorage } = require('../attachment-storage');
+
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+const PDF_BYTES = Buffer.from('%PDF-1.7\n%receipt');
+
+describe('Expense attachments', () => {
+    let mockQuery;
+    let agent;
+
+    const callsMatching = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+
+    const upload = (body) => agent.post('/api/expenses/8/attachments').send({
+        filename: 'receipt.png',
+        contentType: 'image/png',
+        data: PNG_BYTES.toString('base64'),
+        ...body
+    });
+
+    // Route queries by SQL text; the expense exists and has `existing` attachments
+    const mockAttachments = ({ expense = true, existing = 0, attachment = null } = {}) => {
+        mockQuery.mockImplementation((sql, params) => {
+            if (sql.includes('SELECT id FROM expenses')) return Promise.resolve({ rows: expense ? [{ id: 8 }] : [] });
+            if (sql.includes('COUNT(*) AS total FROM expense_attachments')) return Promise.resolve({ rows: [{ total: String(existing) }] });
+            if (sql.includes('INSERT INTO expense_attachments')) {
+                const [, expenseId, filename, contentType, size] = params;
+                return Promise.resolve({ rows: [{ id: 3, expense_id: expenseId, filename, content_type: contentType, size_bytes: size }] });
+            }
+            if (sql.includes('FROM expense_attachments WHERE id = $1')) return Promise.resolve({ rows: attachment ? [attachment] : [] });
+            return Promise.resolve({ rows: [] });
+        });
+    };
+
+    const storedKey = () => callsMatching('INSERT INTO expense_attachments')[0][1][5];
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+    });
+
+    afterAll(() => {
+        fs.rmSync(attachmentsDir, { recursive: true, force: true });
+    });
+
+    describe('POST /api/expenses/:id/attachments', () => {
+        test('should store the file and record it against the expense', async () => {
+            mockAttachments();
+
+            const response = await upload();
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ id: 3, filename: 'receipt.png', content_type: 'image/png', size_bytes: PNG_BYTES.length });
+            const [, params] = callsMatching('INSERT INTO expense_attachments')[0];
+            expect(params.slice(0, 5)).toEqual([1, '8', 'receipt.png', 'image/png', PNG_BYTES.length]);
+            expect(storedKey()).toMatch(/^1\/[0-9a-f-]{36}$/);
+            expect(fs.readFileSync(path.join(attachmentsDir, storedKey()))).toEqual(PNG_BYTES);
+        });
+
+        test('should keep only the base name of the uploaded file', async () => {
+            mockAttachments();
+
+            await upload({ filename: '..\\..\\scans/"March" invoice.pdf', contentType: 'application/pdf', data: PDF_BYTES.toString('base64') });
+
+            expect(callsMatching('INSERT INTO expense_attachments')[0][1][2]).toBe('March invoice.pdf');
+        });
+
+        test.each([
+            [{ contentType: 'text/html' }, 'Attachments must be a PDF, JPEG, PNG or WebP file'],
+            [{ contentType: 'application/pdf' }, 'Attachment contents do not match its file type'],
+            [{ data: '' }, 'Attachment file is empty'],
+            [{ filename: '' }, 'Attachment file name is required']
+        ])('should reject %p', async (body, error) => {
+            mockAttachments();
+
+            const response = await upload(body);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe(error);
+            expect(mockQuery).not.toHaveBeenCalled();
+        });
+
+        test('should reject files larger than 5 MB', async () => {
+            const data = Buffer.concat([PDF_BYTES, Buffer.alloc(5 * 1024 * 1024)]);
+
+            const response = await upload({ contentType: 'application/pdf', data: data.toString('base64') });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Attachments must be 5 MB or smaller');
+        });
+
+        test('should return 404 for expenses of other users', async () => {
+            mockAttachments({ expense: false });
+
+            const response = await upload();
+
+            expect(response.status).toBe(404);
+            expect(callsMatching('SELECT id FROM expenses')[0][1]).toEqual(['8', 1]);
+            expect(callsMatching('INSERT INTO expense_attachments')).toHaveLength(0);
+        });
+
+        test('should limit the number of attachments per expense', async () => {
+            mockAttachments({ existing: 10 });
+
+            const response = await upload();
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('An expense can have at most 10 attachments');
+        });
+
+        test('should remove the stored file when the row cannot be saved', async () => {
+            mockAttachments();
+            const implementation = mockQuery.getMockImplementation();
+            mockQuery.mockImplementation((sql, params) => (
+                sql.includes('INSERT INTO expense_attachments') ? Promise.reject(new Error('insert failed')) : implementation(sql, params)
+            ));
+
+            const response = await upload();
+
+            expect(response.status).toBe(500);
+            expect(fs.readdirSync(path.join(attachmentsDir, '1'))).not.toContain(storedKey().split('/')[1]);
+        });
+    });
+
+    describe('GET /api/expenses/:id/attachments', () => {
+        test('should list the attachments of an expense', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT id FROM expenses')) return Promise.resolve({ rows: [{ id: 8 }] });
+                return Promise.resolve({ rows: [{ id: 3, filename: 'receipt.png' }] });
+            });
+
+            const response = await agent.get('/api/expenses/8/attachments');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual([{ id: 3, filename: 'receipt.png' }]);
+            expect(callsMatching('FROM expense_attachments')[0][0]).not.toContain('storage_key');
+        });
+    });
+
+    describe('GET /api/attachments/:id', () => {
+        test('should send the file to its owner as a download', async () => {
+            mockAttachments();
+            await upload();
+            const attachment = { filename: 'receipt.png', content_type: 'image/png', storage_key: storedKey() };
+            mockQuery.mockReset();
+            mockAttachments({ attachment });
+
+            const response = await agent.get('/api/attachments/3');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toBe('image/png');
+            expect(response.headers['content-disposition']).toBe('attachment; filename="receipt.png"');
+            expect(response.body).toEqual(PNG_BYTES);
+            expect(callsMatching('FROM expense_attachments WHERE id = $1')[0][1]).toEqual(['3', 1]);
+        });
+
+        test('should return 404 for attachments of other users', async () => {
+            mockAttachments();
+
+            const response = await agent.get('/api/attachments/3');
+
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Attachment not found');
+        });
+    });
+
+    describe('Removing attachments', () => {
+        test('should delete the row and the stored file', async () => {
+            mockAttachments();
+            await upload();
+            const key = storedKey();
+            mockQuery.mockReset();
+            mockQuery.mockResolvedValue({ rows: [{ storage_key: key }] });
+
+            const response = await agent.delete('/api/attachments/3');
+
+            expect(response.status).toBe(200);
+            expect(fs.existsSync(path.join(attachmentsDir, key))).toBe(false);
+        });
+
+        test('should remove the files of expenses purged from the trash', async () => {
+            mockAttachments();
+            await upload();
+            const key = storedKey();
+            mockQuery.mockReset();
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT a.storage_key')) return Promise.resolve({ rows: [{ storage_key: key }] });
+                return Promise.resolve({ rows: [], rowCount: 1 });
+            });
+
+            const response = await agent.delete('/api/trash');
+
+            expect(response.status).toBe(200);
+            expect(fs.existsSync(path.join(attachmentsDir, key))).toBe(false);
+        });
+    });
+
+    describe('Local attachment storage', () => {
+        const storage = createLocalStorage(attachmentsDir);
+
+        test('should resolve missing files to null', async () => {
+            await expect(storage.read('1/missing')).resolves.toBeNull();
+            await expect(storage.remove('1/missing')).resolves.toBeUndefined();
+        });
+
+        test('should refuse keys outside the storage directory', async () => {
+            await expect(storage.save('../escape', PNG_BYTES)).rejects.toThrow('Invalid attachment key');
+            await expect(storage.read('/etc/passwd')).rejects.toThrow('Invalid attachment key');
+        });
+    });
+});
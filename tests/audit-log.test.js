@@ -0,0 +1,205 @@
+/**
+ * Audit Log Tests
+ * Covers the audit trail for income, expense, bank, card and cash changes and its activity feed entries
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('Audit log', () => {
+    let mockQuery;
+    let agent;
+
+    const callsMatching = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+    const auditCalls = () => callsMatching('INSERT INTO audit_log').map(([, params]) => ({
+        userId: params[0],
+        entityType: params[1],
+        entityId: params[2],
+        action: params[3],
+        before: params[4] ? JSON.parse(params[4]) : null,
+        after: params[5] ? JSON.parse(params[5]) : null
+    }));
+
+    const income = { id: 5, source: 'Salary', amount: '50000.00', credited_to_type: 'bank', credited_to_id: 2, date: '2025-07-01' };
+    const expense = { id: 8, title: 'Dinner', amount: '450.00', payment_method: 'bank', payment_source_id: 2, date: '2025-07-02' };
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+    });
+
+    describe('income and expenses', () => {
+        test('should record new income with its row', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('INSERT INTO income_entries')) return Promise.resolve({ rows: [income] });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/income').send({
+                source: 'Salary', amount: 50000, creditedToType: 'bank', creditedToId: 2, date: '2025-07-01'
+            });
+
+            expect(response.status).toBe(200);
+            expect(auditCalls()).toEqual([{ userId: 1, entityType: 'income', entityId: 5, action: 'created', before: null, after: income }]);
+        });
+
+        test('should record income edits with before and after values inside the transaction', async () => {
+            const edited = { ...income, amount: '55000.00' };
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT * FROM income_entries')) return Promise.resolve({ rows: [income] });
+                if (sql.includes('UPDATE income_entries')) return Promise.resolve({ rows: [edited] });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.put('/api/income/5').send({
+                source: 'Salary', amount: 55000, creditedToType: 'bank', creditedToId: 2, date: '2025-07-01'
+            });
+
+            expect(response.status).toBe(200);
+            expect(auditCalls()).toEqual([{ userId: 1, entityType: 'income', entityId: 5, action: 'updated', before: income, after: edited }]);
+
+            const sqls = mockQuery.mock.calls.map(([sql]) => sql);
+            expect(sqls.indexOf('COMMIT')).toBeGreaterThan(sqls.findIndex(sql => sql.includes('INSERT INTO audit_log')));
+        });
+
+        test('should record deleted expenses with the removed row', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT * FROM expenses')) return Promise.resolve({ rows: [expense] });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.delete('/api/expenses/8');
+
+            expect(response.status).toBe(200);
+            expect(auditCalls()).toEqual([{ userId: 1, entityType: 'expense', entityId: 8, action: 'deleted', before: expense, after: null }]);
+        });
+
+        test('should not record anything when the entry does not exist', async () => {
+            mockQuery.mockResolvedValue({ rows: [] });
+
+            const response = await agent.delete('/api/income/404');
+
+            expect(response.status).toBe(404);
+            expect(auditCalls()).toHaveLength(0);
+        });
+    });
+
+    describe('accounts', () => {
+        test('should record bank edits', async () => {
+            const bank = { id: 2, name: 'HDFC', initial_balance: '10000.00', current_balance: '9000.00' };
+            const edited = { ...bank, initial_balance: '12000.00', current_balance: '11000.00' };
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT * FROM banks')) return Promise.resolve({ rows: [bank] });
+                if (sql.includes('UPDATE banks')) return Promise.resolve({ rows: [edited] });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.put('/api/banks/2').send({ name: 'HDFC', initialBalance: 12000 });
+
+            expect(response.status).toBe(200);
+            expect(auditCalls()).toEqual([{ userId: 1, entityType: 'bank', entityId: 2, action: 'updated', before: bank, after: edited }]);
+        });
+
+        test('should record deleted credit cards', async () => {
+            const card = { id: 3, name: 'VISA', credit_limit: '50000.00', used_limit: '0.00' };
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT COUNT(*)')) return Promise.resolve({ rows: [{ count: '0' }] });
+                if (sql.includes('DELETE FROM credit_cards')) return Promise.resolve({ rows: [card] });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.delete('/api/credit-cards/3');
+
+            expect(response.status).toBe(200);
+            expect(auditCalls()).toEqual([{ userId: 1, entityType: 'credit_card', entityId: 3, action: 'deleted', before: card, after: null }]);
+        });
+
+        test('should record cash balance changes as updates once a balance exists', async () => {
+            const cash = { id: 4, balance: '500.00', initial_balance: '500.00' };
+            const edited = { ...cash, balance: '800.00' };
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT * FROM cash_balance')) return Promise.resolve({ rows: [cash] });
+                if (sql.includes('UPDATE cash_balance')) return Promise.resolve({ rows: [edited] });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/cash-balance').send({ balance: 800 });
+
+            expect(response.status).toBe(200);
+            expect(auditCalls()).toEqual([{ userId: 1, entityType: 'cash', entityId: 4, action: 'updated', before: cash, after: edited }]);
+        });
+    });
+
+    describe('GET /api/activity', () => {
+        test('should list edits and deletes from the audit log', async () => {
+            const auditActivity = {
+                activity_type: 'audit',
+                id: 31,
+                description: 'Edited income: Salary',
+                amount: '55000.00',
+                account_info: 'Income',
+                activity_date: '2025-07-02T10:30:00.000Z',
+                action_type: 'updated',
+                category_name: null,
+                entity_type: 'income',
+                before_data: income,
+                after_data: { ...income, amount: '55000.00' }
+            };
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('combined_activities')) return Promise.resolve({ rows: [auditActivity] });
+                if (sql.includes('combined_count')) return Promise.resolve({ rows: [{ total: '1' }] });
+                return Promise.resolve({ rows: [{ totaltransactions: '0' }] });
+            });
+
+            const response = await agent.get('/api/activity');
+
+            expect(response.status).toBe(200);
+            expect(response.body.activities).toEqual([auditActivity]);
+
+            const [activitySql] = callsMatching('combined_activities')[0];
+            expect(activitySql).toContain('FROM audit_log a');
+            expect(activitySql).toContain('a.action <> \'created\'');
+            expect(callsMatching('combined_count')[0][0]).toContain('FROM audit_log');
+        });
+    });
+});
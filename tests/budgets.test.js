@@ -0,0 +1,204 @@
+/**
+ * Budget Tests
+ * Covers per-category monthly budgets and overspend warnings on new expenses
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('Budgets', () => {
+    let mockQuery;
+    let agent;
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+    });
+
+    test('should require authentication', async () => {
+        const response = await request(app).get('/api/budgets');
+        expect(response.status).toBe(401);
+    });
+
+    test('should return spent vs. limit for the requested month', async () => {
+        mockQuery.mockResolvedValueOnce({
+            rows: [
+                { id: 1, category_id: 3, category_name: 'Dining', monthly_limit: '2000.00', spent: '2500.00' },
+                { id: 2, category_id: 4, category_name: 'Groceries', monthly_limit: '5000.00', spent: '1000.00' }
+            ]
+        })
+            .mockResolvedValueOnce({ rows: [{ base_currency: 'INR' }] })
+            .mockResolvedValueOnce({ rows: [] });
+
+        const response = await agent.get('/api/budgets?month=7&year=2025');
+
+        expect(response.status).toBe(200);
+        expect(mockQuery.mock.calls[0][1]).toEqual([1, 7, 2025]);
+        expect(response.body[0]).toEqual({
+            id: 1,
+            categoryId: 3,
+            categoryName: 'Dining',
+            monthlyLimit: 2000,
+            spent: 2500,
+            remaining: -500,
+            percentUsed: 125,
+            isOverBudget: true
+        });
+        expect(response.body[1].isOverBudget).toBe(false);
+    });
+
+    test('should convert spending from foreign-currency accounts into the base currency', async () => {
+        mockQuery.mockResolvedValueOnce({
+            rows: [
+                { id: 1, category_id: 3, category_name: 'Dining', monthly_limit: '2000.00', currency: 'INR', spent: '500.00' },
+                { id: 1, category_id: 3, category_name: 'Dining', monthly_limit: '2000.00', currency: 'USD', spent: '20.00' }
+            ]
+        })
+            .mockResolvedValueOnce({ rows: [{ base_currency: 'INR' }] })
+            .mockResolvedValueOnce({ rows: [{ currency: 'USD', rate: '80' }] });
+
+        const response = await agent.get('/api/budgets?month=7&year=2025');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toHaveLength(1);
+        expect(response.body[0]).toMatchObject({ spent: 2100, remaining: -100, isOverBudget: true });
+    });
+
+    test('should validate the monthly limit', async () => {
+        const response = await agent.post('/api/budgets').send({ categoryId: 3, monthlyLimit: -10 });
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Monthly limit must be a positive number');
+    });
+
+    test('should require a category the user owns', async () => {
+        mockQuery.mockResolvedValueOnce({ rows: [] }); // category lookup
+
+        const response = await agent.post('/api/budgets').send({ categoryId: 99, monthlyLimit: 1000 });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Category not found');
+    });
+
+    test('should upsert the budget for a category', async () => {
+        mockQuery
+            .mockResolvedValueOnce({ rows: [{ id: 3 }] })
+            .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1, category_id: 3, monthly_limit: '1500.00' }] });
+
+        const response = await agent.post('/api/budgets').send({ categoryId: 3, monthlyLimit: '1500' });
+
+        expect(response.status).toBe(200);
+        expect(mockQuery.mock.calls[1][0]).toContain('ON CONFLICT (user_id, category_id) DO UPDATE');
+        expect(mockQuery.mock.calls[1][1]).toEqual([1, 3, 1500]);
+    });
+
+    test('should return 404 when deleting an unknown budget', async () => {
+        mockQuery.mockResolvedValueOnce({ rows: [] });
+
+        const response = await agent.delete('/api/budgets/42');
+
+        expect(response.status).toBe(404);
+        expect(response.body.error).toBe('Budget not found');
+    });
+
+    describe('POST /api/expenses budget warning', () => {
+        const mockExpenseQueries = (budgetRow) => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('FROM expense_categories')) {
+                    return Promise.resolve({ rows: [{ id: 3 }] });
+                }
+                if (sql.includes('tracking_option')) {
+                    return Promise.resolve({ rows: [{ tracking_option: 'expenses' }] });
+                }
+                if (sql.includes('INSERT INTO expenses')) {
+                    return Promise.resolve({ rows: [{ id: 11, title: 'Dinner', amount: '800.00', category_id: 3 }] });
+                }
+                if (sql.includes('FROM budgets')) {
+                    return Promise.resolve({ rows: budgetRow ? [budgetRow] : [] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+        };
+
+        const expense = {
+            title: 'Dinner',
+            amount: 800,
+            paymentMethod: 'cash',
+            paymentSourceId: null,
+            categoryId: 3,
+            date: '2025-07-10'
+        };
+
+        test('should include a warning when the category goes over budget', async () => {
+            mockExpenseQueries({ id: 1, category_id: 3, category_name: 'Dining', monthly_limit: '2000.00', spent: '2300.00' });
+
+            const response = await agent.post('/api/expenses').send(expense);
+
+            expect(response.status).toBe(200);
+            expect(response.body.id).toBe(11);
+            expect(response.body.budgetWarning).toEqual({
+                categoryName: 'Dining',
+                monthlyLimit: 2000,
+                spent: 2300,
+                overBy: 300
+            });
+        });
+
+        test('should not warn while the category is within budget', async () => {
+            mockExpenseQueries({ id: 1, category_id: 3, category_name: 'Dining', monthly_limit: '2000.00', spent: '900.00' });
+
+            const response = await agent.post('/api/expenses').send(expense);
+
+            expect(response.status).toBe(200);
+            expect(response.body.budgetWarning).toBeUndefined();
+        });
+
+        test('should not check budgets for uncategorized expenses', async () => {
+            mockExpenseQueries(null);
+
+            const response = await agent.post('/api/expenses').send({ ...expense, categoryId: '' });
+
+            expect(response.status).toBe(200);
+            expect(mockQuery.mock.calls.some(([sql]) => sql.includes('FROM budgets'))).toBe(false);
+        });
+    });
+});
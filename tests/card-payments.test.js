@@ -0,0 +1,282 @@
+/**
+ * Credit Card Payment Tests
+ * Covers paying card bills from banks/cash and how payments affect historical used limits
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('Credit card payments', () => {
+    let mockQuery;
+    let agent;
+
+    const callsMatching = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+
+    const payment = {
+        cardId: 3,
+        sourceType: 'bank',
+        sourceId: '2',
+        amount: 8000,
+        date: '2025-07-20',
+        note: 'July bill'
+    };
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+    });
+
+    test('should require authentication', async () => {
+        const response = await request(app).get('/api/card-payments');
+        expect(response.status).toBe(401);
+    });
+
+    describe('POST /api/card-payments', () => {
+        test('should only allow paying from banks or cash', async () => {
+            const response = await agent.post('/api/card-payments').send({ ...payment, sourceType: 'credit_card' });
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Card bills can only be paid from a bank or cash');
+        });
+
+        test.each([
+            ['a missing card', undefined],
+            ['a non-numeric card', 'abc']
+        ])('should reject %s', async (label, cardId) => {
+            const response = await agent.post('/api/card-payments').send({ ...payment, cardId });
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Card is required');
+            expect(mockQuery).not.toHaveBeenCalled();
+        });
+
+        test('should reject invalid amounts', async () => {
+            const response = await agent.post('/api/card-payments').send({ ...payment, amount: -5 });
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Amount must be a positive number');
+        });
+
+        test('should reject a date that does not exist', async () => {
+            const response = await agent.post('/api/card-payments').send({ ...payment, date: '2025-02-30' });
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Valid date is required');
+            expect(mockQuery).not.toHaveBeenCalled();
+        });
+
+        test('should return 404 for a card the user does not own', async () => {
+            mockQuery.mockResolvedValue({ rows: [] });
+
+            const response = await agent.post('/api/card-payments').send(payment);
+
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Credit card not found');
+            expect(callsMatching('ROLLBACK')).toHaveLength(1);
+        });
+
+        test('should not allow paying more than the outstanding balance', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('FROM credit_cards WHERE id = $1 AND user_id = $2 FOR UPDATE')) {
+                    return Promise.resolve({ rows: [{ id: 3, used_limit: '5000.00' }] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/card-payments').send(payment);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Payment exceeds the outstanding card balance');
+            expect(callsMatching('UPDATE credit_cards')).toHaveLength(0);
+        });
+
+        test('should roll back when the bank balance is insufficient', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('FROM credit_cards WHERE id = $1 AND user_id = $2 FOR UPDATE')) {
+                    return Promise.resolve({ rows: [{ id: 3, used_limit: '12000.00' }] });
+                }
+                if (sql.includes('FROM banks WHERE id = $1 AND user_id = $2 FOR UPDATE')) {
+                    return Promise.resolve({ rows: [{ balance: '1000.00' }] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/card-payments').send(payment);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Insufficient bank balance');
+            expect(callsMatching('ROLLBACK')).toHaveLength(1);
+            expect(callsMatching('UPDATE banks')).toHaveLength(0);
+        });
+
+        test('should reject paying from an account in another currency', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('FROM credit_cards WHERE id = $1 AND user_id = $2 FOR UPDATE')) {
+                    return Promise.resolve({ rows: [{ id: 3, used_limit: '12000.00', currency: 'USD' }] });
+                }
+                if (sql.includes('FOR UPDATE')) {
+                    return Promise.resolve({ rows: [{ balance: '20000.00', currency: 'INR' }] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/card-payments').send(payment);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Card bills must be paid from an account in the card\'s currency');
+            expect(callsMatching('ROLLBACK')).toHaveLength(1);
+            expect(callsMatching('UPDATE credit_cards')).toHaveLength(0);
+        });
+
+        test('should debit the bank and reduce the used limit atomically', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('FROM credit_cards WHERE id = $1 AND user_id = $2 FOR UPDATE')) {
+                    return Promise.resolve({ rows: [{ id: 3, used_limit: '12000.00' }] });
+                }
+                if (sql.includes('FOR UPDATE')) {
+                    return Promise.resolve({ rows: [{ balance: '20000.00' }] });
+                }
+                if (sql.includes('INSERT INTO card_payments')) {
+                    return Promise.resolve({ rows: [{ id: 6, amount: '8000.00' }] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/card-payments').send(payment);
+
+            expect(response.status).toBe(200);
+            const statements = mockQuery.mock.calls.map(([sql]) => sql);
+            expect(statements[0]).toBe('BEGIN');
+            expect(statements[statements.length - 1]).toBe('COMMIT');
+            expect(callsMatching('UPDATE banks SET current_balance')[0][1]).toEqual([-8000, 2, 1]);
+            expect(callsMatching('UPDATE credit_cards SET used_limit = used_limit - $1')[0][1]).toEqual([8000, 3, 1]);
+            expect(callsMatching('INSERT INTO card_payments')[0][1]).toEqual([1, 3, 'bank', 2, 8000, 'July bill', '2025-07-20', 7, 2025]);
+        });
+
+        test('should debit cash when paying from cash', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('FROM credit_cards WHERE id = $1 AND user_id = $2 FOR UPDATE')) {
+                    return Promise.resolve({ rows: [{ id: 3, used_limit: '12000.00' }] });
+                }
+                if (sql.includes('FOR UPDATE')) {
+                    return Promise.resolve({ rows: [{ balance: '9000.00' }] });
+                }
+                return Promise.resolve({ rows: [{ id: 7 }] });
+            });
+
+            const response = await agent.post('/api/card-payments').send({ ...payment, sourceType: 'cash', sourceId: null });
+
+            expect(response.status).toBe(200);
+            expect(callsMatching('UPDATE cash_balance SET balance')[0][1]).toEqual([-8000, 1]);
+            expect(callsMatching('UPDATE banks')).toHaveLength(0);
+        });
+    });
+
+    describe('DELETE /api/card-payments/:id', () => {
+        test('should restore the bank balance and the used limit', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('DELETE FROM card_payments')) {
+                    return Promise.resolve({ rows: [{ id: 6, card_id: 3, source_type: 'bank', source_id: 2, amount: '8000.00' }] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.delete('/api/card-payments/6');
+
+            expect(response.status).toBe(200);
+            expect(callsMatching('UPDATE banks SET current_balance')[0][1]).toEqual(['8000.00', 2, 1]);
+            expect(callsMatching('UPDATE credit_cards SET used_limit = used_limit + $1')[0][1]).toEqual(['8000.00', 3, 1]);
+            expect(callsMatching('COMMIT')).toHaveLength(1);
+        });
+
+        test('should return 404 for unknown payments', async () => {
+            mockQuery.mockResolvedValue({ rows: [] });
+
+            const response = await agent.delete('/api/card-payments/99');
+
+            expect(response.status).toBe(404);
+            expect(callsMatching('ROLLBACK')).toHaveLength(1);
+        });
+    });
+
+    test('should subtract payments from the historical used limit in the monthly summary', async () => {
+        mockQuery.mockImplementation((sql) => {
+            if (sql.includes('SELECT created_at')) {
+                return Promise.resolve({ rows: [{ created_at: '2024-01-01', tracking_option: 'both' }] });
+            }
+            if (sql.includes('balance_at_month_end')) {
+                return Promise.resolve({ rows: [{ id: 2, name: 'HDFC', initial_balance: '20000', balance_at_month_end: '12000' }] });
+            }
+            if (sql.includes('SELECT * FROM credit_cards')) {
+                return Promise.resolve({ rows: [{ id: 3, name: 'Visa', credit_limit: '50000.00', used_limit: '4000.00' }] });
+            }
+            if (sql.includes('AS used_limit')) {
+                return Promise.resolve({ rows: [{ used_limit: '4000.00' }] });
+            }
+            return Promise.resolve({ rows: [] });
+        });
+
+        const response = await agent.get('/api/monthly-summary?month=7&year=2025');
+
+        expect(response.status).toBe(200);
+        expect(response.body.creditCards[0].used_limit).toBe('4000.00');
+        const [usedSql, usedParams] = callsMatching('AS used_limit')[0];
+        expect(usedSql).toContain('FROM card_payments');
+        expect(usedParams.slice(0, 2)).toEqual([1, 3]);
+        expect(callsMatching('balance_at_month_end')[0][0]).toContain('FROM card_payments');
+    });
+
+    test('should list card payments in the activity feed as a distinct type', async () => {
+        mockQuery.mockImplementation((sql) => {
+            if (sql.includes('combined_activities')) {
+                return Promise.resolve({ rows: [{ activity_type: 'card_payment', id: 6, description: 'July bill', amount: '8000.00', account_info: 'HDFC → Visa' }] });
+            }
+            if (sql.includes('combined_count')) {
+                return Promise.resolve({ rows: [{ total: '1' }] });
+            }
+            return Promise.resolve({ rows: [{}] });
+        });
+
+        const response = await agent.get('/api/activity');
+
+        expect(response.status).toBe(200);
+        expect(response.body.activities[0].activity_type).toBe('card_payment');
+        expect(callsMatching('combined_count')[0][0]).toContain('FROM card_payments');
+    });
+});
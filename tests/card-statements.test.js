@@ -0,0 +1,198 @@
+/**
+ * Credit Card Statement Tests
+ * Covers statement cycle settings and per-cycle statements with due dates
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('Credit card statements', () => {
+    let mockQuery;
+    let agent;
+
+    const callsMatching = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+
+    const card = { id: 3, name: 'VISA', credit_limit: '50000.00', used_limit: '2500.00', statement_day: 5, payment_due_days: 20 };
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+    });
+
+    describe('statement cycle settings', () => {
+        test('should default new cards to day 1 with 20 days to pay', async () => {
+            mockQuery.mockResolvedValue({ rows: [{ id: 3 }] });
+
+            const response = await agent.post('/api/credit-cards').send({ name: 'visa', creditLimit: 50000 });
+
+            expect(response.status).toBe(200);
+            expect(callsMatching('INSERT INTO credit_cards')[0][1]).toEqual([1, 'VISA', 50000, 1, 20, 'INR']);
+        });
+
+        test('should reject an invalid statement day', async () => {
+            const response = await agent.post('/api/credit-cards').send({ name: 'visa', creditLimit: 50000, statementDay: 32 });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Statement day must be between 1 and 31');
+            expect(callsMatching('INSERT INTO credit_cards')).toHaveLength(0);
+        });
+
+        test('should keep the existing cycle when editing without cycle fields', async () => {
+            mockQuery.mockResolvedValue({ rows: [card] });
+
+            const response = await agent.put('/api/credit-cards/3').send({ name: 'VISA', creditLimit: 60000 });
+
+            expect(response.status).toBe(200);
+            expect(callsMatching('UPDATE credit_cards')[0][1]).toEqual(['VISA', 60000, 5, 20, '3', 1, 'INR']);
+        });
+
+        test('should update the cycle when editing', async () => {
+            mockQuery.mockResolvedValue({ rows: [card] });
+
+            const response = await agent.put('/api/credit-cards/3').send({ name: 'VISA', creditLimit: 60000, statementDay: 15, paymentDueDays: 25 });
+
+            expect(response.status).toBe(200);
+            expect(callsMatching('UPDATE credit_cards')[0][1]).toEqual(['VISA', 60000, 15, 25, '3', 1, 'INR']);
+        });
+    });
+
+    describe('GET /api/credit-cards/:id/statements', () => {
+        beforeEach(() => {
+            // Only fake the clock; supertest still needs real timers
+            jest.useFakeTimers({
+                now: new Date('2025-07-10T12:00:00Z'),
+                doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval', 'queueMicrotask']
+            });
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('should return 404 for a card the user does not own', async () => {
+            mockQuery.mockResolvedValue({ rows: [] });
+
+            const response = await agent.get('/api/credit-cards/9/statements');
+
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Credit card not found');
+        });
+
+        test('should split charges and payments into cycles with due dates', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT * FROM credit_cards')) {
+                    return Promise.resolve({ rows: [card] });
+                }
+                if (sql.includes('FROM expenses')) {
+                    return Promise.resolve({
+                        rows: [
+                            { day: '2025-05-20', amount: '1000.00' },
+                            { day: '2025-06-10', amount: '3000.00' },
+                            { day: '2025-07-08', amount: '500.00' }
+                        ]
+                    });
+                }
+                if (sql.includes('FROM card_payments')) {
+                    return Promise.resolve({
+                        rows: [
+                            { day: '2025-06-01', amount: '1000.00' },
+                            { day: '2025-07-07', amount: '1000.00' }
+                        ]
+                    });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.get('/api/credit-cards/3/statements?count=2');
+
+            expect(response.status).toBe(200);
+            const [open, latest, previous] = response.body.statements;
+            expect(response.body.statements).toHaveLength(3);
+
+            expect(open).toMatchObject({
+                periodStart: '2025-07-06',
+                periodEnd: '2025-08-05',
+                openingBalance: 3000,
+                charges: 500,
+                payments: 1000,
+                closingBalance: 2500,
+                dueDate: '2025-08-25',
+                isOpen: true
+            });
+            expect(latest).toMatchObject({
+                periodStart: '2025-06-06',
+                periodEnd: '2025-07-05',
+                openingBalance: 0,
+                charges: 3000,
+                payments: 0,
+                closingBalance: 3000,
+                dueDate: '2025-07-25',
+                isOpen: false
+            });
+            expect(previous).toMatchObject({ periodStart: '2025-05-06', periodEnd: '2025-06-05', charges: 1000, payments: 1000 });
+
+            expect(response.body.currentDue).toEqual({
+                statementDate: '2025-07-05',
+                dueDate: '2025-07-25',
+                amountDue: 2000,
+                daysUntilDue: 15,
+                isOverdue: false
+            });
+        });
+
+        test('should clamp statement days to the end of short months', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT * FROM credit_cards')) {
+                    return Promise.resolve({ rows: [{ ...card, statement_day: 31 }] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.get('/api/credit-cards/3/statements?count=1');
+
+            expect(response.status).toBe(200);
+            expect(response.body.statements[0]).toMatchObject({ periodStart: '2025-07-01', periodEnd: '2025-07-31' });
+            expect(response.body.statements[1]).toMatchObject({ periodStart: '2025-06-01', periodEnd: '2025-06-30' });
+        });
+    });
+});
@@ -0,0 +1,311 @@
+/**
+ * Categorization Rule Tests
+ * Covers rule validation and CRUD, rules applied to new and imported expenses, and re-running rules on history
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('Categorization rules', () => {
+    let mockQuery;
+    let agent;
+
+    const callsMatching = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+    const UNSAFE_PATTERN_ERROR = 'Title pattern is too complex: avoid back-references, lookarounds, '
+        + 'repeated groups that contain repeats or alternatives, and more than 3 repeats';
+
+    const swiggyRule = {
+        id: 1, match_type: 'contains', pattern: 'swiggy', min_amount: null, max_amount: null,
+        payment_method: null, payment_source_id: null, category_id: 4, tags: ['food'], rename_to: 'Swiggy'
+    };
+    const bigCardRule = {
+        id: 2, match_type: 'regex', pattern: '^amzn|amazon', min_amount: '1000.00', max_amount: null,
+        payment_method: 'credit_card', payment_source_id: 3, category_id: 6, tags: [], rename_to: null
+    };
+
+    // Answers the lookups made while adding an expense; rules come from `rules`
+    const mockExpenseQueries = (rules) => {
+        mockQuery.mockImplementation((sql, params) => {
+            if (sql.includes('FROM categorization_rules')) return Promise.resolve({ rows: rules });
+            if (sql.includes('SELECT id FROM expense_categories')) return Promise.resolve({ rows: [{ id: params[0] }] });
+            if (sql.includes('SELECT tracking_option')) return Promise.resolve({ rows: [{ tracking_option: 'expenses' }] });
+            if (sql.includes('INSERT INTO expenses')) return Promise.resolve({ rows: [{ id: 10 }] });
+            return Promise.resolve({ rows: [] });
+        });
+    };
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+        mockQuery.mockResolvedValue({ rows: [] });
+    });
+
+    describe('Managing rules', () => {
+        test('should list rules in the order they are tried', async () => {
+            mockQuery.mockResolvedValueOnce({ rows: [{ id: 1, pattern: 'swiggy', category_name: 'Food' }] });
+
+            const response = await agent.get('/api/category-rules');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual([{ id: 1, pattern: 'swiggy', category_name: 'Food' }]);
+            const [sql, params] = mockQuery.mock.calls[0];
+            expect(sql).toContain('LEFT JOIN expense_categories ec ON r.category_id = ec.id');
+            expect(sql).toContain('ORDER BY r.id');
+            expect(params).toEqual([1]);
+        });
+
+        test('should create a rule with conditions and actions', async () => {
+            mockQuery.mockImplementation((sql, params) => {
+                if (sql.includes('SELECT id FROM expense_categories')) return Promise.resolve({ rows: [{ id: params[0] }] });
+                if (sql.includes('COUNT(*) as count')) return Promise.resolve({ rows: [{ count: '2' }] });
+                return Promise.resolve({ rows: [{ id: 5 }] });
+            });
+
+            const response = await agent.post('/api/category-rules').send({
+                matchType: 'regex',
+                pattern: ' ^uber ',
+                minAmount: '50',
+                maxAmount: '',
+                paymentSource: 'credit_card-3',
+                categoryId: 6,
+                tags: '#Travel, work',
+                renameTo: ' Uber ride '
+            });
+
+            expect(response.status).toBe(200);
+            const [sql, params] = callsMatching('INSERT INTO categorization_rules')[0];
+            expect(sql).toContain('RETURNING *');
+            expect(params).toEqual([1, 'regex', '^uber', 50, null, 'credit_card', 3, 6, ['travel', 'work'], 'Uber ride']);
+        });
+
+        test.each([
+            ['an unknown match type', { matchType: 'starts', pattern: 'x', categoryId: 1 }, 'Match type must be contains or regex'],
+            ['an invalid regex', { matchType: 'regex', pattern: '(unclosed', categoryId: 1 }, 'Title pattern is not a valid regular expression'],
+            ['a nested repeat', { matchType: 'regex', pattern: '(a+)+$', categoryId: 1 }, UNSAFE_PATTERN_ERROR],
+            ['a repeated alternation', { matchType: 'regex', pattern: '(uber|ub)*x', categoryId: 1 }, UNSAFE_PATTERN_ERROR],
+            ['a back-reference', { matchType: 'regex', pattern: '(a)\\1', categoryId: 1 }, UNSAFE_PATTERN_ERROR],
+            ['too many repeats', { matchType: 'regex', pattern: '.*a.*b.*c.*d', categoryId: 1 }, UNSAFE_PATTERN_ERROR],
+            ['a negative amount', { minAmount: '-5', categoryId: 1 }, 'Amounts must be zero or more'],
+            ['a reversed amount range', { minAmount: '500', maxAmount: '100', categoryId: 1 }, 'Minimum amount must not be more than the maximum amount'],
+            ['an unknown payment source', { paymentSource: 'wallet', categoryId: 1 }, 'Payment source must be cash, bank, credit_card or a single account such as bank-3'],
+            ['an invalid tag', { pattern: 'x', tags: 'bad tag!' }, 'Invalid tag "tag!": use up to 30 letters, numbers, - or _'],
+            ['no conditions', { categoryId: 1 }, 'Add at least one condition: title, amount or payment source'],
+            ['no actions', { pattern: 'swiggy' }, 'Choose a category, tags or a new title for matching expenses']
+        ])('should reject a rule with %s', async (label, body, error) => {
+            const response = await agent.post('/api/category-rules').send(body);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe(error);
+            expect(callsMatching('INSERT INTO categorization_rules')).toHaveLength(0);
+        });
+
+        test('should reject a category that belongs to someone else', async () => {
+            const response = await agent.post('/api/category-rules').send({ pattern: 'swiggy', categoryId: 99 });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Category not found');
+        });
+
+        test('should limit how many rules a user can have', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('COUNT(*) as count')) return Promise.resolve({ rows: [{ count: '100' }] });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/category-rules').send({ pattern: 'swiggy', renameTo: 'Swiggy' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('You can have at most 100 rules');
+        });
+
+        test('should update only the user\'s own rule', async () => {
+            const response = await agent.put('/api/category-rules/7').send({ pattern: 'ola', renameTo: 'Ola' });
+
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Rule not found');
+            const [sql, params] = callsMatching('UPDATE categorization_rules')[0];
+            expect(sql).toContain('WHERE id = $10 AND user_id = $11');
+            expect(params).toEqual(['contains', 'ola', null, null, null, null, null, [], 'Ola', '7', 1]);
+        });
+
+        test('should delete a rule', async () => {
+            mockQuery.mockResolvedValueOnce({ rows: [{ id: 7 }] });
+
+            const response = await agent.delete('/api/category-rules/7');
+
+            expect(response.status).toBe(200);
+            expect(mockQuery.mock.calls[0][1]).toEqual(['7', 1]);
+        });
+    });
+
+    describe('Applying rules to new expenses', () => {
+        const expense = { title: 'SWIGGY order 1234', amount: 450, paymentMethod: 'cash', date: '2025-07-01' };
+
+        test('should rename, categorize and tag a matching expense', async () => {
+            mockExpenseQueries([swiggyRule]);
+
+            const response = await agent.post('/api/expenses').send({ ...expense, tags: '#weekend' });
+
+            expect(response.status).toBe(200);
+            const params = callsMatching('INSERT INTO expenses')[0][1];
+            expect(params[1]).toBe('Swiggy');
+            expect(params[8]).toBe(4);
+            expect(params[9]).toEqual(['weekend', 'food']);
+        });
+
+        test('should keep a category the user picked', async () => {
+            mockExpenseQueries([swiggyRule]);
+
+            await agent.post('/api/expenses').send({ ...expense, categoryId: 2 });
+
+            const params = callsMatching('INSERT INTO expenses')[0][1];
+            expect(params[1]).toBe('Swiggy');
+            expect(params[8]).toBe(2);
+        });
+
+        test('should use the first rule whose amount and payment source also match', async () => {
+            mockExpenseQueries([{ ...bigCardRule, id: 1, payment_source_id: 9 }, bigCardRule, swiggyRule]);
+
+            await agent.post('/api/expenses').send({
+                title: 'AMZN Mktp', amount: 1500, paymentMethod: 'credit_card', paymentSourceId: 3, date: '2025-07-01'
+            });
+
+            const params = callsMatching('INSERT INTO expenses')[0][1];
+            expect(params[1]).toBe('AMZN Mktp');
+            expect(params[8]).toBe(6);
+        });
+
+        test('should leave an expense no rule matches as entered', async () => {
+            mockExpenseQueries([bigCardRule]);
+
+            await agent.post('/api/expenses').send({ ...expense, title: 'Amazon', amount: 999 });
+
+            const params = callsMatching('INSERT INTO expenses')[0][1];
+            expect(params[1]).toBe('Amazon');
+            expect(params[8]).toBeNull();
+            expect(params[9]).toEqual([]);
+        });
+
+        test('should skip a stored pattern that could backtrack without running it', async () => {
+            mockExpenseQueries([{ ...swiggyRule, match_type: 'regex', pattern: '(a+)+$' }]);
+            const started = Date.now();
+
+            const response = await agent.post('/api/expenses').send({ ...expense, title: `${'a'.repeat(40)}!` });
+
+            expect(response.status).toBe(200);
+            expect(Date.now() - started).toBeLessThan(1000);
+            expect(callsMatching('INSERT INTO expenses')[0][1][8]).toBeNull();
+        });
+    });
+
+    describe('Applying rules during imports and to history', () => {
+        let client;
+
+        beforeEach(() => {
+            client = { query: mockQuery, release: jest.fn() };
+            pool.connect.mockResolvedValue(client);
+        });
+
+        test('should apply rules to imported expenses', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('FROM banks')) return Promise.resolve({ rows: [{ id: 2 }] });
+                if (sql.includes('FROM categorization_rules')) return Promise.resolve({ rows: [swiggyRule] });
+                if (sql.includes('INSERT INTO expenses')) return Promise.resolve({ rows: [{ id: 12 }] });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/import/commit').send({
+                bankId: 2,
+                transactions: [{ type: 'expense', date: '2025-07-01', description: 'SWIGGY, BANGALORE', amount: 450 }]
+            });
+
+            expect(response.status).toBe(200);
+            expect(callsMatching('INSERT INTO expenses')[0][1]).toEqual([1, 'Swiggy', 450, 'bank', 2, '2025-07-01', 7, 2025, 4, ['food'], null]);
+        });
+
+        test('should update past expenses the rules change and audit each one', async () => {
+            const expenses = [
+                { id: 1, title: 'Swiggy dinner', amount: '300.00', payment_method: 'cash', payment_source_id: null, category_id: null, tags: [] },
+                { id: 2, title: 'Swiggy', amount: '200.00', payment_method: 'cash', payment_source_id: null, category_id: 4, tags: ['food'] },
+                { id: 3, title: 'Rent', amount: '20000.00', payment_method: 'bank', payment_source_id: 2, category_id: null, tags: [] }
+            ];
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('FROM categorization_rules')) return Promise.resolve({ rows: [swiggyRule] });
+                if (sql.includes('SELECT * FROM expenses')) return Promise.resolve({ rows: expenses });
+                if (sql.includes('UPDATE expenses')) return Promise.resolve({ rows: [{ id: 1, title: 'Swiggy' }] });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/category-rules/apply').send({});
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ checked: 3, updated: 1 });
+            expect(callsMatching('SELECT * FROM expenses')[0][0]).toContain('deleted_at IS NULL');
+            expect(callsMatching('UPDATE expenses')).toHaveLength(1);
+            expect(callsMatching('UPDATE expenses')[0][1]).toEqual(['Swiggy', 4, ['food'], 1, 1]);
+            expect(callsMatching('INSERT INTO audit_log')).toHaveLength(1);
+            expect(mockQuery.mock.calls.map(([sql]) => sql)).toContain('COMMIT');
+            expect(client.release).toHaveBeenCalled();
+        });
+
+        test('should replace existing categories only when asked', async () => {
+            const expenses = [
+                { id: 5, title: 'Swiggy', amount: '200.00', payment_method: 'cash', payment_source_id: null, category_id: 2, tags: ['food'] }
+            ];
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('FROM categorization_rules')) return Promise.resolve({ rows: [swiggyRule] });
+                if (sql.includes('SELECT * FROM expenses')) return Promise.resolve({ rows: expenses });
+                if (sql.includes('UPDATE expenses')) return Promise.resolve({ rows: [{ id: 5 }] });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const kept = await agent.post('/api/category-rules/apply').send({});
+            expect(kept.body.updated).toBe(0);
+
+            const replaced = await agent.post('/api/category-rules/apply').send({ overwriteCategory: true });
+            expect(replaced.body.updated).toBe(1);
+            expect(callsMatching('UPDATE expenses')[0][1]).toEqual(['Swiggy', 4, ['food'], 5, 1]);
+        });
+    });
+});
@@ -0,0 +1,312 @@
+/**
+ * Currency Tests
+ * Covers per-account currencies, exchange rates, base currency changes and converted summaries
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('Currencies', () => {
+    let mockQuery;
+    let agent;
+
+    const callsMatching = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+    });
+
+    describe('account currencies', () => {
+        test('should store the currency of a new bank', async () => {
+            mockQuery.mockResolvedValue({ rows: [{ id: 3, name: 'CHASE', currency: 'USD' }] });
+
+            const response = await agent.post('/api/banks').send({ name: 'Chase', initialBalance: 100, currency: 'usd' });
+
+            expect(response.status).toBe(200);
+            expect(callsMatching('INSERT INTO banks')[0][1]).toEqual([1, 'CHASE', 100, 'USD']);
+        });
+
+        test('should default new banks to INR', async () => {
+            mockQuery.mockResolvedValue({ rows: [{ id: 3, name: 'HDFC', currency: 'INR' }] });
+
+            await agent.post('/api/banks').send({ name: 'HDFC', initialBalance: 100 });
+
+            expect(callsMatching('INSERT INTO banks')[0][1]).toEqual([1, 'HDFC', 100, 'INR']);
+        });
+
+        test.each(['US', 'dollars', '12A'])('should reject currency %p', async (currency) => {
+            const response = await agent.post('/api/banks').send({ name: 'Chase', initialBalance: 100, currency });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Currency must be a three-letter code such as INR or USD');
+            expect(mockQuery).not.toHaveBeenCalled();
+        });
+
+        test('should show the used limit in the card currency', async () => {
+            mockQuery.mockResolvedValue({ rows: [{ id: 2, used_limit: '7500', currency: 'USD' }] });
+
+            const response = await agent.put('/api/credit-cards/2').send({ name: 'Amex', creditLimit: 5000 });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Credit limit cannot be less than used limit ($7,500.00)');
+        });
+
+        describe('changing the currency of an account in use', () => {
+            const lockedError = 'The currency cannot be changed once the account has entries, transfers or card payments';
+
+            // Route by SQL text; the account is found in INR and `hasActivity` answers the activity check
+            const mockAccountQueries = (hasActivity) => {
+                mockQuery.mockImplementation((sql) => {
+                    if (sql.includes('AS has_activity')) return Promise.resolve({ rows: [{ has_activity: hasActivity }] });
+                    if (sql.includes('FROM banks') || sql.includes('FROM credit_cards') || sql.includes('FROM cash_balance')) {
+                        return Promise.resolve({ rows: [{ id: 2, initial_balance: '100.00', used_limit: '0', currency: 'INR' }] });
+                    }
+                    return Promise.resolve({ rows: [{ id: 2, currency: 'USD' }] });
+                });
+            };
+
+            test.each([
+                ['bank', () => agent.put('/api/banks/2').send({ name: 'HDFC', initialBalance: 100, currency: 'USD' }), ['bank', 2]],
+                ['credit card', () => agent.put('/api/credit-cards/2').send({ name: 'Amex', creditLimit: 5000, currency: 'USD' }), ['credit_card', 2]],
+                ['cash wallet', () => agent.post('/api/cash-balance').send({ balance: 100, currency: 'USD' }), ['cash', null]]
+            ])('should reject it for a %s', async (label, send, accountParams) => {
+                mockAccountQueries(true);
+
+                const response = await send();
+
+                expect(response.status).toBe(400);
+                expect(response.body.error).toBe(lockedError);
+                expect(callsMatching('AS has_activity')[0][1]).toEqual([1, ...accountParams]);
+                expect(callsMatching('UPDATE')).toHaveLength(0);
+            });
+
+            test('should allow it while the account is unused', async () => {
+                mockAccountQueries(false);
+
+                const response = await agent.put('/api/banks/2').send({ name: 'HDFC', initialBalance: 100, currency: 'USD' });
+
+                expect(response.status).toBe(200);
+                expect(callsMatching('UPDATE banks')[0][1][5]).toBe('USD');
+            });
+
+            test('should not check activity when the currency stays the same', async () => {
+                mockAccountQueries(true);
+
+                const response = await agent.put('/api/banks/2').send({ name: 'HDFC', initialBalance: 100, currency: 'inr' });
+
+                expect(response.status).toBe(200);
+                expect(callsMatching('AS has_activity')).toHaveLength(0);
+            });
+        });
+    });
+
+    describe('exchange rates', () => {
+        const mockBaseCurrency = (baseCurrency, extra = () => null) => {
+            mockQuery.mockImplementation((sql) => {
+                const rows = extra(sql);
+                if (rows) return Promise.resolve({ rows });
+                if (sql.includes('SELECT base_currency FROM users')) {
+                    return Promise.resolve({ rows: [{ base_currency: baseCurrency }] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+        };
+
+        test('should list rates and account currencies without one', async () => {
+            mockBaseCurrency('INR', (sql) => {
+                if (sql.includes('FROM exchange_rates')) return [{ currency: 'USD', rate: '83.25000000' }];
+                if (sql.includes('UNION')) return [{ currency: 'INR' }, { currency: 'USD' }, { currency: 'GBP' }, { currency: 'EUR' }];
+                return null;
+            });
+
+            const response = await agent.get('/api/exchange-rates');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({
+                baseCurrency: 'INR',
+                rates: [{ currency: 'USD', rate: '83.25000000' }],
+                missingRates: ['EUR', 'GBP']
+            });
+        });
+
+        test('should save a rate', async () => {
+            mockBaseCurrency('INR', (sql) => (sql.includes('INSERT INTO exchange_rates') ? [{ currency: 'USD', rate: '83.25' }] : null));
+
+            const response = await agent.put('/api/exchange-rates/usd').send({ rate: '83.25' });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ currency: 'USD', rate: '83.25' });
+            expect(callsMatching('INSERT INTO exchange_rates')[0][1]).toEqual([1, 'USD', 83.25]);
+        });
+
+        test.each([0, -2, 'abc', null])('should reject rate %p', async (rate) => {
+            const response = await agent.put('/api/exchange-rates/USD').send({ rate });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Rate must be a number greater than 0');
+            expect(mockQuery).not.toHaveBeenCalled();
+        });
+
+        test('should not store a rate for the base currency', async () => {
+            mockBaseCurrency('INR');
+
+            const response = await agent.put('/api/exchange-rates/INR').send({ rate: 1 });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('The base currency does not need an exchange rate');
+            expect(callsMatching('INSERT INTO exchange_rates')).toHaveLength(0);
+        });
+
+        test('should return 404 when deleting a missing rate', async () => {
+            mockQuery.mockResolvedValue({ rows: [] });
+
+            const response = await agent.delete('/api/exchange-rates/usd');
+
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Exchange rate not found');
+            expect(callsMatching('DELETE FROM exchange_rates')[0][1]).toEqual([1, 'USD']);
+        });
+    });
+
+    describe('POST /api/set-base-currency', () => {
+        test('should rebase existing rates on the new base currency', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT base_currency FROM users')) return Promise.resolve({ rows: [{ base_currency: 'INR' }] });
+                if (sql.includes('SELECT currency, rate FROM exchange_rates')) {
+                    return Promise.resolve({ rows: [{ currency: 'USD', rate: '80' }, { currency: 'EUR', rate: '88' }] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/set-base-currency').send({ baseCurrency: 'usd' });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ success: true, baseCurrency: 'USD' });
+            expect(callsMatching('SET rate = rate / $2')[0][1]).toEqual([1, 80]);
+            expect(callsMatching('DELETE FROM exchange_rates')[0][1]).toEqual([1, 'USD']);
+            expect(callsMatching('INSERT INTO exchange_rates')[0][1]).toEqual([1, 'INR', 1 / 80]);
+            expect(callsMatching('UPDATE users SET base_currency')[0][1]).toEqual(['USD', 1]);
+            expect(callsMatching('COMMIT')).toHaveLength(1);
+        });
+
+        test('should require a rate for the new base when other rates exist', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT base_currency FROM users')) return Promise.resolve({ rows: [{ base_currency: 'INR' }] });
+                if (sql.includes('SELECT currency, rate FROM exchange_rates')) {
+                    return Promise.resolve({ rows: [{ currency: 'USD', rate: '80' }] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/set-base-currency').send({ baseCurrency: 'GBP' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Add an exchange rate for GBP before making it the base currency');
+            expect(callsMatching('UPDATE users SET base_currency')).toHaveLength(0);
+            expect(callsMatching('ROLLBACK')).toHaveLength(1);
+        });
+
+        test('should reject an invalid code', async () => {
+            const response = await agent.post('/api/set-base-currency').send({ baseCurrency: 'rupees' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Currency must be a three-letter code such as INR or USD');
+        });
+
+        test('should include the base currency in the user info', async () => {
+            mockQuery.mockResolvedValue({ rows: [{ name: 'Test User', tracking_option: 'both', base_currency: 'USD' }] });
+
+            const response = await agent.get('/api/user');
+
+            expect(response.body.base_currency).toBe('USD');
+        });
+    });
+
+    describe('GET /api/monthly-summary', () => {
+        const mockSummary = (rates) => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT base_currency FROM users')) return Promise.resolve({ rows: [{ base_currency: 'INR' }] });
+                if (sql.includes('FROM users')) {
+                    return Promise.resolve({ rows: [{ created_at: '2020-01-01', tracking_option: 'income' }] });
+                }
+                if (sql.includes('FROM exchange_rates')) return Promise.resolve({ rows: rates });
+                if (sql.includes('total_income')) {
+                    return Promise.resolve({ rows: [{ currency: 'INR', total_income: '1000' }, { currency: 'USD', total_income: '10' }] });
+                }
+                if (sql.includes('b.initial_balance +')) {
+                    return Promise.resolve({
+                        rows: [
+                            { id: 1, name: 'HDFC', currency: 'INR', initial_balance: '0', balance_at_month_end: '5000' },
+                            { id: 2, name: 'CHASE', currency: 'USD', initial_balance: '0', balance_at_month_end: '100' }
+                        ]
+                    });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+        };
+
+        test('should convert foreign currency amounts into the base currency', async () => {
+            mockSummary([{ currency: 'USD', rate: '80' }]);
+
+            const response = await agent.get('/api/monthly-summary?month=1&year=2025');
+
+            expect(response.status).toBe(200);
+            expect(response.body.baseCurrency).toBe('INR');
+            expect(response.body.monthlyIncome).toBe(1800);
+            expect(response.body.totalCurrentWealth).toBe(13000);
+            expect(response.body.banks[1]).toMatchObject({ currency: 'USD', current_balance: '100', converted_balance: 8000 });
+            expect(response.body.missingRates).toEqual([]);
+        });
+
+        test('should count amounts 1:1 and report currencies without a rate', async () => {
+            mockSummary([]);
+
+            const response = await agent.get('/api/monthly-summary?month=1&year=2025');
+
+            expect(response.body.monthlyIncome).toBe(1010);
+            expect(response.body.missingRates).toEqual(['USD']);
+        });
+    });
+});
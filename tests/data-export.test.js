@@ -0,0 +1,152 @@
+/**
+ * Data Export Tests
+ * Covers the full JSON export and the ZIP of per-table CSVs
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+// Import the actual server app AFTER mocking
+const zlib = require('zlib');
+const { app, pool } = require('../server');
+
+// Read back the entries of a ZIP produced by the export (local headers only)
+function readZipEntries(buffer) {
+    const entries = {};
+    let offset = 0;
+    while (buffer.readUInt32LE(offset) === 0x04034b50) {
+        const compressedSize = buffer.readUInt32LE(offset + 18);
+        const nameLength = buffer.readUInt16LE(offset + 26);
+        const extraLength = buffer.readUInt16LE(offset + 28);
+        const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const dataStart = offset + 30 + nameLength + extraLength;
+        entries[name] = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize)).toString('utf8');
+        offset = dataStart + compressedSize;
+    }
+    return entries;
+}
+
+const binaryParser = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Data export', () => {
+    let mockQuery;
+    let agent;
+
+    const tableRows = {
+        users: [{ username: 'testuser', name: 'Test User', email: 'test@example.com', tracking_option: 'both' }],
+        banks: [{ id: 2, name: 'HDFC', initial_balance: '10000.00', current_balance: '9550.00', created_at: new Date('2025-06-01T10:00:00Z') }],
+        credit_cards: [{ id: 3, name: 'VISA', credit_limit: '50000.00', used_limit: '0.00', statement_day: 5, payment_due_days: 20 }],
+        expense_categories: [{ id: 7, name: 'Food' }],
+        expenses: [{
+            id: 11, title: 'Dinner, "Swiggy"', amount: '450.00', payment_method: 'bank', payment_source_id: 2,
+            category_id: 7, date: new Date(2025, 6, 1), month: 7, year: 2025
+        }],
+    };
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+        mockQuery.mockImplementation((sql) => {
+            const table = sql.match(/FROM (\w+) WHERE/)[1];
+            return Promise.resolve({ rows: tableRows[table] || [] });
+        });
+    });
+
+    test('should require authentication', async () => {
+        const response = await request(app).get('/api/export');
+        expect(response.status).toBe(401);
+    });
+
+    test('should reject unknown formats', async () => {
+        const response = await agent.get('/api/export?format=xml');
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Export format must be json or zip');
+    });
+
+    test('should export every table as versioned JSON with ids kept', async () => {
+        const response = await agent.get('/api/export');
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-disposition']).toMatch(/attachment; filename=balancetrack-export-\d{4}-\d{2}-\d{2}\.json/);
+        expect(response.body).toMatchObject({
+            format: 'balancetrack-export',
+            version: 1,
+            user: { username: 'testuser', trackingOption: 'both' }
+        });
+        expect(Object.keys(response.body.tables)).toEqual([
+            'banks', 'credit_cards', 'cash_balance', 'exchange_rates', 'expense_categories', 'budgets', 'categorization_rules',
+            'recurring_transactions', 'income_entries', 'expenses', 'expense_splits', 'transfers', 'card_payments', 'saved_filters'
+        ]);
+        expect(response.body.tables.expenses[0]).toMatchObject({ id: 11, payment_source_id: 2, category_id: 7, date: '2025-07-01' });
+
+        // Every table query is scoped to the logged-in user
+        mockQuery.mock.calls.forEach(([, params]) => expect(params).toEqual([1]));
+        // Split lines of trashed expenses stay out, like the expenses themselves
+        const splitsQuery = mockQuery.mock.calls.find(([sql]) => sql.includes('FROM expense_splits'))[0];
+        expect(splitsQuery).toContain('expense_id IN (SELECT id FROM expenses WHERE deleted_at IS NULL)');
+    });
+
+    test('should export a ZIP with a manifest and one CSV per table', async () => {
+        const response = await agent.get('/api/export?format=zip').buffer(true).parse(binaryParser);
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toBe('application/zip');
+
+        const entries = readZipEntries(response.body);
+        expect(Object.keys(entries)).toContain('manifest.json');
+        expect(Object.keys(entries)).toContain('card_payments.csv');
+
+        const manifest = JSON.parse(entries['manifest.json']);
+        expect(manifest.version).toBe(1);
+        expect(manifest.tables.find(table => table.name === 'banks')).toEqual({ name: 'banks', file: 'banks.csv', rows: 1 });
+
+        expect(entries['expenses.csv'].split('\r\n')).toEqual([
+            'id,title,amount,payment_method,payment_source_id,category_id,date,month,year,recurring_id,external_id,tags,notes,created_at',
+            '11,"Dinner, ""Swiggy""",450.00,bank,2,7,2025-07-01,7,2025,,,,,',
+            ''
+        ]);
+        expect(entries['transfers.csv']).toBe('id,from_type,from_id,to_type,to_id,amount,note,date,month,year,created_at\r\n');
+        expect(entries['banks.csv']).toContain('2,HDFC,10000.00,9550.00,2025-06-01T10:00:00.000Z');
+    });
+});
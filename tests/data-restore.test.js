@@ -0,0 +1,302 @@
+/**
+ * Data Restore Tests
+ * Covers restoring a JSON export: validation, id remapping, balance recompute and rollback
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('Data restore', () => {
+    let mockQuery;
+    let agent;
+
+    const callsMatching = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+
+    // A small export whose ids deliberately differ from the ids the restore will assign
+    const buildExport = () => ({
+        format: 'balancetrack-export',
+        version: 1,
+        exportedAt: '2025-08-01T10:00:00.000Z',
+        user: { username: 'olduser', name: 'Old User', email: 'old@example.com', trackingOption: 'expenses' },
+        tables: {
+            banks: [{ id: 2, name: 'HDFC', initial_balance: '10000.00', current_balance: '1.00', created_at: '2025-06-01T10:00:00.000Z' }],
+            credit_cards: [{ id: 3, name: 'VISA', credit_limit: '50000.00', used_limit: '0.00', statement_day: 5, payment_due_days: 20 }],
+            cash_balance: [{ id: 4, balance: '700.00', initial_balance: '500.00' }],
+            expense_categories: [{ id: 7, name: 'Food' }],
+            budgets: [{ id: 8, category_id: 7, monthly_limit: '3000.00' }],
+            categorization_rules: [
+                { id: 20, match_type: 'contains', pattern: 'swiggy', payment_method: 'credit_card', payment_source_id: 3, category_id: 7, tags: ['food'], rename_to: null },
+                { id: 21, match_type: 'contains', pattern: 'uber', payment_method: 'bank', payment_source_id: 55, category_id: null, tags: [], rename_to: 'Uber' }
+            ],
+            recurring_transactions: [{
+                id: 9, type: 'expense', title: 'Netflix', amount: '649.00', account_type: 'credit_card', account_id: 3,
+                category_id: 7, frequency: 'monthly', start_date: '2025-06-05', end_date: null, occurrence_limit: null,
+                occurrences_created: 2, next_run_date: '2025-08-05', is_active: true
+            }],
+            income_entries: [{ id: 10, source: 'Salary', amount: '50000.00', credited_to_type: 'bank', credited_to_id: 2, date: '2025-07-01', month: 7, year: 2025 }],
+            expenses: [
+                { id: 11, title: 'Dinner', amount: '450.00', payment_method: 'bank', payment_source_id: 2, category_id: 7, date: '2025-07-02', month: 7, year: 2025 },
+                { id: 12, title: 'Netflix', amount: '649.00', payment_method: 'credit_card', payment_source_id: 3, category_id: 7, recurring_id: 9, date: '2025-07-05', month: 7, year: 2025 },
+                { id: 13, title: 'Tea', amount: '20.00', payment_method: 'cash', payment_source_id: null, category_id: null, date: '2025-07-06', month: 7, year: 2025 }
+            ],
+            transfers: [{ id: 14, from_type: 'bank', from_id: 2, to_type: 'cash', to_id: null, amount: '2000.00', date: '2025-07-03', month: 7, year: 2025 }],
+            card_payments: [{ id: 15, card_id: 3, source_type: 'bank', source_id: 2, amount: '649.00', date: '2025-07-20', month: 7, year: 2025 }],
+            expense_splits: [
+                { id: 16, expense_id: 11, category_id: 7, amount: '300.00', note: 'Food' },
+                { id: 17, expense_id: 11, category_id: null, amount: '150.00', note: 'Gift' }
+            ],
+            saved_filters: [{ id: 18, name: 'Card spends', query: 'type=expense&account=credit_card' }]
+        }
+    });
+
+    // New ids handed out by this account's tables
+    const mockRestoreQueries = ({ existingRows = 0, failOn = null } = {}) => {
+        mockQuery.mockImplementation((sql) => {
+            if (failOn && sql.includes(failOn)) return Promise.reject(new Error('insert failed'));
+            if (sql.includes('AS total')) return Promise.resolve({ rows: [{ total: String(existingRows) }] });
+            if (sql.includes('SELECT tracking_option')) return Promise.resolve({ rows: [{ tracking_option: 'both' }] });
+            if (sql.includes('INSERT INTO banks')) return Promise.resolve({ rows: [{ id: 102, inserted: true }] });
+            if (sql.includes('INSERT INTO credit_cards')) return Promise.resolve({ rows: [{ id: 103, inserted: true }] });
+            if (sql.includes('INSERT INTO expense_categories')) return Promise.resolve({ rows: [{ id: 107 }] });
+            if (sql.includes('INSERT INTO recurring_transactions')) return Promise.resolve({ rows: [{ id: 109 }] });
+            if (sql.includes('INSERT INTO income_entries')) return Promise.resolve({ rows: [{ id: 110 }] });
+            if (sql.includes('INSERT INTO expenses')) return Promise.resolve({ rows: [{ id: 111 }] });
+            return Promise.resolve({ rows: [] });
+        });
+    };
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+    });
+
+    test('should require authentication', async () => {
+        const response = await request(app).post('/api/restore').send({ data: buildExport() });
+        expect(response.status).toBe(401);
+    });
+
+    describe('validation', () => {
+        test('should reject unknown restore modes', async () => {
+            const response = await agent.post('/api/restore').send({ data: buildExport(), mode: 'replace' });
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Restore mode must be fresh or merge');
+        });
+
+        test('should reject files that are not exports', async () => {
+            const response = await agent.post('/api/restore').send({ data: { banks: [] } });
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('File is not a BalanceTrack export');
+        });
+
+        test('should reject a missing or newer export version', async () => {
+            const missing = await agent.post('/api/restore').send({ data: { ...buildExport(), version: undefined } });
+            expect(missing.body.error).toBe('Export version is missing');
+
+            const newer = await agent.post('/api/restore').send({ data: { ...buildExport(), version: 2 } });
+            expect(newer.status).toBe(400);
+            expect(newer.body.error).toBe('Unsupported export version: 2');
+        });
+
+        test('should reject references to accounts that are not in the file', async () => {
+            const data = buildExport();
+            data.tables.expenses[1].payment_source_id = 99;
+
+            const response = await agent.post('/api/restore').send({ data });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('expenses row 2: unknown credit_card id 99');
+            // Nothing is written when the file is invalid
+            expect(mockQuery).not.toHaveBeenCalled();
+        });
+
+        test('should reject split lines that no longer add up to their expense', async () => {
+            const data = buildExport();
+            data.tables.expense_splits[1].amount = '100.00';
+
+            const response = await agent.post('/api/restore').send({ data });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('expense_splits for expense id 11: Split lines add up to 400.00 but the expense is 450.00');
+            expect(mockQuery).not.toHaveBeenCalled();
+        });
+
+        test('should reject split lines for expenses that are not in the file', async () => {
+            const data = buildExport();
+            data.tables.expense_splits[0].expense_id = 99;
+
+            const response = await agent.post('/api/restore').send({ data });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('expense_splits row 1: unknown expense id 99');
+        });
+
+        test('should reject regex rules that could backtrack', async () => {
+            const data = buildExport();
+            data.tables.categorization_rules[0] = { ...data.tables.categorization_rules[0], match_type: 'regex', pattern: '(a+)+$' };
+
+            const response = await agent.post('/api/restore').send({ data });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('categorization_rules row 1: pattern is too complex');
+        });
+
+        test('should reject rows with invalid dates or amounts', async () => {
+            const data = buildExport();
+            data.tables.transfers[0].amount = '-5';
+
+            const response = await agent.post('/api/restore').send({ data });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('transfers row 1: invalid amount');
+        });
+
+        test('should reject dates that do not exist', async () => {
+            const data = buildExport();
+            data.tables.card_payments[0].date = '2025-02-29';
+
+            const response = await agent.post('/api/restore').send({ data });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('card_payments row 1: invalid date');
+        });
+    });
+
+    describe('fresh restore', () => {
+        test('should refuse to restore into an account that already has data', async () => {
+            mockRestoreQueries({ existingRows: 3 });
+
+            const response = await agent.post('/api/restore').send({ data: buildExport(), mode: 'fresh' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('This account already has data. Use merge to add the backup to it');
+            expect(callsMatching('ROLLBACK')).toHaveLength(1);
+            expect(callsMatching('INSERT')).toHaveLength(0);
+        });
+
+        test('should remap every reference to the new ids and recompute balances', async () => {
+            mockRestoreQueries();
+
+            const response = await agent.post('/api/restore').send({ data: buildExport() });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({
+                mode: 'fresh',
+                restored: {
+                    banks: 1, credit_cards: 1, cash_balance: 1, exchange_rates: 0, expense_categories: 1, budgets: 1,
+                    categorization_rules: 1, recurring_transactions: 1, income_entries: 1, expenses: 3, expense_splits: 2,
+                    transfers: 1, card_payments: 1, saved_filters: 1
+                }
+            });
+
+            // Fresh restores adopt the backed-up tracking option and cash opening balance
+            expect(callsMatching('UPDATE users SET tracking_option')[0][1]).toEqual(['expenses', 1]);
+            expect(callsMatching('INSERT INTO cash_balance')[0][0]).toContain('DO UPDATE SET initial_balance');
+            expect(callsMatching('INSERT INTO cash_balance')[0][1]).toEqual([1, '500.00', 'INR']);
+
+            expect(callsMatching('INSERT INTO banks')[0][1]).toEqual([1, 'HDFC', '10000.00', '2025-06-01T10:00:00.000Z', 'INR']);
+            expect(callsMatching('INSERT INTO budgets')[0][1]).toEqual([1, 107, '3000.00']);
+            expect(callsMatching('INSERT INTO recurring_transactions')[0][1].slice(5, 7)).toEqual([103, 107]);
+            expect(callsMatching('INSERT INTO income_entries')[0][1].slice(3, 8)).toEqual(['bank', 102, '2025-07-01', 7, 2025]);
+
+            const expenseParams = callsMatching('INSERT INTO expenses').map(([, params]) => params.slice(3, 6));
+            expect(expenseParams).toEqual([['bank', 102, 107], ['credit_card', 103, 107], ['cash', null, null]]);
+            expect(callsMatching('INSERT INTO expenses')[1][1][9]).toBe(109);
+
+            expect(callsMatching('INSERT INTO transfers')[0][1].slice(1, 5)).toEqual(['bank', 102, 'cash', null]);
+            expect(callsMatching('INSERT INTO card_payments')[0][1].slice(1, 4)).toEqual([103, 'bank', 102]);
+
+            // Split lines follow their expense and category; rules keep their account and category
+            expect(callsMatching('INSERT INTO expense_splits').map(([, params]) => params.slice(1, 4)))
+                .toEqual([[111, 107, '300.00'], [111, null, '150.00']]);
+            expect(callsMatching('INSERT INTO categorization_rules')).toHaveLength(1);
+            expect(callsMatching('INSERT INTO categorization_rules')[0][1].slice(5, 9)).toEqual(['credit_card', 103, 107, ['food']]);
+            expect(callsMatching('INSERT INTO saved_filters')[0][1]).toEqual([1, 'Card spends', 'type=expense&account=credit_card', null]);
+
+            // Restored accounts and entries show up in the audit history
+            const audits = callsMatching('INSERT INTO audit_log').map(([, params]) => params.slice(1, 4));
+            expect(audits).toEqual(expect.arrayContaining([
+                ['bank', 102, 'created'],
+                ['credit_card', 103, 'created'],
+                ['income', 110, 'created'],
+                ['expense', 111, 'created']
+            ]));
+            expect(JSON.parse(callsMatching('INSERT INTO audit_log')[0][1][5])).not.toHaveProperty('inserted');
+
+            // Stored balances from the file are not trusted; they are rebuilt after all inserts
+            expect(callsMatching('UPDATE banks b SET current_balance')).toHaveLength(1);
+            expect(callsMatching('UPDATE cash_balance c SET')).toHaveLength(1);
+            expect(callsMatching('UPDATE credit_cards cc SET used_limit')).toHaveLength(1);
+
+            const sqls = mockQuery.mock.calls.map(([sql]) => sql);
+            expect(sqls.findIndex(sql => sql.includes('UPDATE banks b'))).toBeGreaterThan(sqls.findIndex(sql => sql.includes('INSERT INTO card_payments')));
+            expect(sqls[sqls.length - 1]).toBe('COMMIT');
+        });
+
+        test('should roll back everything when an insert fails', async () => {
+            mockRestoreQueries({ failOn: 'INSERT INTO transfers' });
+
+            const response = await agent.post('/api/restore').send({ data: buildExport() });
+
+            expect(response.status).toBe(500);
+            expect(callsMatching('ROLLBACK')).toHaveLength(1);
+            expect(callsMatching('COMMIT')).toHaveLength(0);
+            expect(callsMatching('UPDATE banks b SET current_balance')).toHaveLength(0);
+        });
+    });
+
+    describe('merge restore', () => {
+        test('should add to existing data without touching the cash opening balance or tracking option', async () => {
+            mockRestoreQueries({ existingRows: 12 });
+
+            const response = await agent.post('/api/restore').send({ data: buildExport(), mode: 'merge' });
+
+            expect(response.status).toBe(200);
+            expect(callsMatching('AS total')).toHaveLength(0);
+            expect(callsMatching('UPDATE users')).toHaveLength(0);
+            expect(callsMatching('INSERT INTO cash_balance')[0][0]).toContain('DO NOTHING');
+            // Same-named banks are reused rather than duplicated
+            expect(callsMatching('INSERT INTO banks')[0][0]).toContain('ON CONFLICT (user_id, name)');
+            expect(callsMatching('COMMIT')).toHaveLength(1);
+        });
+    });
+});
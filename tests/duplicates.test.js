@@ -0,0 +1,259 @@
+/**
+ * Duplicate Detection Tests
+ * Covers flagging likely duplicates when entries are added, the review list, merging and dismissing pairs
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('Duplicate detection', () => {
+    let mockQuery;
+    let agent;
+
+    const callsMatching = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+        mockQuery.mockResolvedValue({ rows: [] });
+    });
+
+    describe('Flagging new entries', () => {
+        const savedExpense = {
+            id: 12, title: 'Swiggy order', amount: '450.00', payment_method: 'bank', payment_source_id: 2, date: '2025-07-01'
+        };
+
+        const mockExpenseQueries = (candidates) => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT tracking_option')) return Promise.resolve({ rows: [{ tracking_option: 'expenses' }] });
+                if (sql.includes('INSERT INTO expenses')) return Promise.resolve({ rows: [savedExpense] });
+                if (sql.includes('AND amount = $5')) return Promise.resolve({ rows: candidates });
+                return Promise.resolve({ rows: [] });
+            });
+        };
+
+        test('should flag a same-account, same-amount expense with a similar title', async () => {
+            mockExpenseQueries([
+                { id: 9, title: 'SWIGGY BANGALORE', amount: '450.00', date: '2025-06-30' },
+                { id: 8, title: 'Uber', amount: '450.00', date: '2025-07-02' }
+            ]);
+
+            const response = await agent.post('/api/expenses').send({
+                title: 'Swiggy order', amount: 450, paymentMethod: 'bank', paymentSourceId: 2, date: '2025-07-01'
+            });
+
+            expect(response.status).toBe(200);
+            expect(response.body.possibleDuplicates).toEqual([{ id: 9, title: 'SWIGGY BANGALORE', amount: '450.00', date: '2025-06-30' }]);
+            const [sql, params] = callsMatching('AND amount = $5')[0];
+            expect(sql).toContain('FROM expenses');
+            expect(sql).toContain('payment_method = $3 AND payment_source_id IS NOT DISTINCT FROM $4');
+            expect(sql).toContain('date BETWEEN $6::date - 3 AND $6::date + 3');
+            expect(sql).toContain('deleted_at IS NULL');
+            expect(params).toEqual([1, 12, 'bank', 2, '450.00', '2025-07-01']);
+        });
+
+        test('should leave the response as it was when nothing looks duplicated', async () => {
+            mockExpenseQueries([{ id: 8, title: 'Uber', amount: '450.00', date: '2025-07-02' }]);
+
+            const response = await agent.post('/api/expenses').send({
+                title: 'Swiggy order', amount: 450, paymentMethod: 'bank', paymentSourceId: 2, date: '2025-07-01'
+            });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual(savedExpense);
+        });
+
+        test('should flag income on the same account', async () => {
+            const savedIncome = { id: 30, source: 'Salary July', amount: '85000.00', credited_to_type: 'cash', credited_to_id: null, date: '2025-07-01' };
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('INSERT INTO income_entries')) return Promise.resolve({ rows: [savedIncome] });
+                if (sql.includes('AND amount = $5')) return Promise.resolve({ rows: [{ id: 29, title: 'SALARY', amount: '85000.00', date: '2025-07-01' }] });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/income').send({
+                source: 'Salary July', amount: 85000, creditedToType: 'cash', date: '2025-07-01'
+            });
+
+            expect(response.status).toBe(200);
+            expect(response.body.possibleDuplicates).toHaveLength(1);
+            const [sql, params] = callsMatching('AND amount = $5')[0];
+            expect(sql).toContain('FROM income_entries');
+            expect(sql).toContain('credited_to_type = $3 AND credited_to_id IS NOT DISTINCT FROM $4');
+            expect(params).toEqual([1, 30, 'cash', null, '85000.00', '2025-07-01']);
+        });
+    });
+
+    describe('Review list', () => {
+        test('should list similar pairs that were not dismissed', async () => {
+            mockQuery.mockImplementation((sql, params) => {
+                if (params[1] === 'expense') {
+                    return Promise.resolve({
+                        rows: [
+                            { id: 3, title: 'Netflix', date: '2025-07-05', other_id: 4, other_title: 'NETFLIX.COM', other_date: '2025-07-05', amount: '649.00', account_name: 'HDFC', currency: 'INR' },
+                            { id: 5, title: 'Petrol', date: '2025-07-06', other_id: 6, other_title: 'Groceries', other_date: '2025-07-07', amount: '500.00', account_name: 'Cash', currency: 'INR' }
+                        ]
+                    });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.get('/api/duplicates');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual([{
+                type: 'expense',
+                amount: '649.00',
+                currency: 'INR',
+                account_name: 'HDFC',
+                entries: [
+                    { id: 3, title: 'Netflix', date: '2025-07-05' },
+                    { id: 4, title: 'NETFLIX.COM', date: '2025-07-05' }
+                ]
+            }]);
+            const [sql] = callsMatching('FROM expenses a')[0];
+            expect(sql).toContain('b.id > a.id');
+            expect(sql).toContain('b.date BETWEEN a.date - 3 AND a.date + 3');
+            expect(sql).toContain('FROM duplicate_dismissals d');
+            expect(callsMatching('FROM income_entries a')).toHaveLength(1);
+        });
+    });
+
+    describe('Merging and dismissing', () => {
+        let client;
+
+        beforeEach(() => {
+            client = { query: mockQuery, release: jest.fn() };
+            pool.connect.mockResolvedValue(client);
+        });
+
+        test('should merge details into the kept expense and trash the other', async () => {
+            const kept = { id: 3, title: 'Netflix', amount: '649.00', payment_method: 'bank', payment_source_id: 2, category_id: null, tags: ['ott'], notes: null };
+            const removed = { id: 4, title: 'NETFLIX.COM', amount: '649.00', payment_method: 'bank', payment_source_id: 2, category_id: 7, tags: ['ott', 'monthly'], notes: 'Family plan' };
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT * FROM expenses')) return Promise.resolve({ rows: [kept, removed] });
+                if (sql.includes('SELECT tracking_option')) return Promise.resolve({ rows: [{ tracking_option: 'both' }] });
+                if (sql.includes('UPDATE expenses SET tags')) return Promise.resolve({ rows: [{ ...kept, tags: ['ott', 'monthly'] }] });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/duplicates/merge').send({ type: 'expense', keepId: 3, removeId: 4 });
+
+            expect(response.status).toBe(200);
+            expect(response.body.removedId).toBe(4);
+            expect(callsMatching('UPDATE expenses SET tags')[0][1]).toEqual([['ott', 'monthly'], 'Family plan', 7, 3, 1]);
+            expect(callsMatching('UPDATE expense_attachments SET expense_id')[0][1]).toEqual([3, 4, 1]);
+            expect(callsMatching('UPDATE banks SET current_balance')[0][1]).toEqual([-649, 2, 1]);
+            expect(callsMatching('SET deleted_at = CURRENT_TIMESTAMP')[0][1]).toEqual([4, 1]);
+            expect(callsMatching('INSERT INTO audit_log').map(([, params]) => params[3])).toEqual(['updated', 'deleted']);
+            expect(mockQuery.mock.calls.map(([sql]) => sql)).toContain('COMMIT');
+            expect(client.release).toHaveBeenCalled();
+        });
+
+        test('should return 404 when either entry is missing', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT * FROM income_entries')) return Promise.resolve({ rows: [{ id: 3 }] });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/duplicates/merge').send({ type: 'income', keepId: 3, removeId: 4 });
+
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Entry not found');
+            expect(mockQuery.mock.calls.map(([sql]) => sql)).toContain('ROLLBACK');
+        });
+
+        test.each([
+            ['a transfer', { type: 'transfer', keepId: 1, removeId: 2 }, 'Type must be income or expense'],
+            ['an entry with itself', { type: 'expense', keepId: 2, removeId: 2 }, 'Choose two different entries to merge'],
+            ['entries with non-numeric ids', { type: 'expense', keepId: 'abc', removeId: 'xyz' }, 'Choose two different entries to merge'],
+            ['a missing entry id', { type: 'expense', keepId: 2 }, 'Choose two different entries to merge']
+        ])('should reject merging %s', async (label, body, error) => {
+            const response = await agent.post('/api/duplicates/merge').send(body);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe(error);
+            expect(mockQuery).not.toHaveBeenCalled();
+        });
+
+        test('should remember a dismissed pair with the smaller id first', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT id FROM expenses')) return Promise.resolve({ rows: [{ id: 3 }, { id: 4 }] });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/duplicates/dismiss').send({ type: 'expense', id: 4, otherId: 3 });
+
+            expect(response.status).toBe(200);
+            const [sql, params] = callsMatching('INSERT INTO duplicate_dismissals')[0];
+            expect(sql).toContain('ON CONFLICT (user_id, entry_type, entry_id, other_id) DO NOTHING');
+            expect(params).toEqual([1, 'expense', 3, 4]);
+        });
+
+        test('should not dismiss entries of another user', async () => {
+            const response = await agent.post('/api/duplicates/dismiss').send({ type: 'income', id: 3, otherId: 4 });
+
+            expect(response.status).toBe(404);
+            expect(callsMatching('INSERT INTO duplicate_dismissals')).toHaveLength(0);
+        });
+    });
+
+    describe('Title similarity', () => {
+        test('should not flag when only amounts and dates line up', async () => {
+            mockQuery.mockImplementation((sql, params) => {
+                if (params[1] === 'income') {
+                    return Promise.resolve({
+                        rows: [{ id: 1, title: '1500', date: '2025-07-01', other_id: 2, other_title: '1500', other_date: '2025-07-01', amount: '1500.00' },
+                            { id: 3, title: 'Freelance invoice 12', date: '2025-07-01', other_id: 4, other_title: 'Rent from tenant', other_date: '2025-07-01', amount: '1500.00' }]
+                    });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.get('/api/duplicates');
+
+            expect(response.body.map(pair => pair.entries[0].id)).toEqual([1]);
+        });
+    });
+});
@@ -0,0 +1,212 @@
+/**
+ * Expense Categories Tests
+ * Covers category CRUD, default seeding and category-aware expenses/summary
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('Expense Categories', () => {
+    let mockQuery;
+    let agent;
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+    });
+
+    test('should require authentication', async () => {
+        const response = await request(app).get('/api/categories');
+        expect(response.status).toBe(401);
+    });
+
+    test('should list existing categories', async () => {
+        mockQuery.mockResolvedValueOnce({ rows: [{ id: 3, name: 'Groceries' }, { id: 4, name: 'Rent' }] });
+
+        const response = await agent.get('/api/categories');
+
+        expect(response.status).toBe(200);
+        expect(response.body.map(c => c.name)).toEqual(['Groceries', 'Rent']);
+    });
+
+    test('should seed default categories when the user has none', async () => {
+        mockQuery
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [{ id: 1, name: 'Dining' }] });
+
+        const response = await agent.get('/api/categories');
+
+        expect(response.status).toBe(200);
+        expect(mockQuery.mock.calls[1][0]).toContain('SET categories_seeded = TRUE');
+        const seedCall = mockQuery.mock.calls[2];
+        expect(seedCall[0]).toContain('INSERT INTO expense_categories');
+        expect(seedCall[1][1]).toEqual(expect.arrayContaining(['Groceries', 'Rent', 'Utilities']));
+    });
+
+    test('should not re-seed defaults for a user who deleted every category', async () => {
+        mockQuery
+            .mockResolvedValueOnce({ rows: [] })
+            .mockResolvedValueOnce({ rows: [] });
+
+        const response = await agent.get('/api/categories');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual([]);
+        expect(mockQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO expense_categories'))).toBe(false);
+    });
+
+    test('should validate category name', async () => {
+        const response = await agent.post('/api/categories').send({ name: '   ' });
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Category name is required');
+    });
+
+    test('should create a category', async () => {
+        mockQuery.mockResolvedValueOnce({ rows: [{ id: 9, user_id: 1, name: 'Pets' }] });
+
+        const response = await agent.post('/api/categories').send({ name: ' Pets ' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.name).toBe('Pets');
+        expect(mockQuery.mock.calls[0][1]).toEqual([1, 'Pets']);
+    });
+
+    test('should reject duplicate categories', async () => {
+        const duplicateError = new Error('duplicate key');
+        duplicateError.code = '23505';
+        mockQuery.mockRejectedValueOnce(duplicateError);
+
+        const response = await agent.post('/api/categories').send({ name: 'Rent' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Category already exists');
+    });
+
+    test('should return 404 when deleting an unknown category', async () => {
+        mockQuery.mockResolvedValueOnce({ rows: [] });
+
+        const response = await agent.delete('/api/categories/999');
+
+        expect(response.status).toBe(404);
+    });
+
+    test('should reject expenses with a category that is not the user\'s', async () => {
+        mockQuery.mockResolvedValueOnce({ rows: [] }); // category lookup
+
+        const response = await agent.post('/api/expenses').send({
+            title: 'Vegetables',
+            amount: 250,
+            paymentMethod: 'cash',
+            paymentSourceId: null,
+            categoryId: 42,
+            date: '2025-07-10'
+        });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Category not found');
+    });
+
+    test('should store the category on new expenses', async () => {
+        mockQuery.mockImplementation((sql) => {
+            if (sql.includes('FROM expense_categories')) {
+                return Promise.resolve({ rows: [{ id: 3 }] });
+            }
+            if (sql.includes('tracking_option')) {
+                return Promise.resolve({ rows: [{ tracking_option: 'expenses' }] });
+            }
+            if (sql.includes('INSERT INTO expenses')) {
+                return Promise.resolve({ rows: [{ id: 11, title: 'Vegetables', category_id: 3 }] });
+            }
+            return Promise.resolve({ rows: [] });
+        });
+
+        const response = await agent.post('/api/expenses').send({
+            title: 'Vegetables',
+            amount: 250,
+            paymentMethod: 'cash',
+            paymentSourceId: null,
+            categoryId: '3',
+            date: '2025-07-10'
+        });
+
+        expect(response.status).toBe(200);
+        const insertCall = mockQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO expenses'));
+        expect(insertCall[1][8]).toBe(3);
+    });
+
+    test('should break monthly summary expenses down by category', async () => {
+        mockQuery.mockImplementation((sql) => {
+            if (sql.includes('SELECT created_at')) {
+                return Promise.resolve({ rows: [{ created_at: '2024-01-01', tracking_option: 'both' }] });
+            }
+            if (sql.includes('total_income')) {
+                return Promise.resolve({ rows: [{ total_income: '1000' }] });
+            }
+            if (sql.includes('total_expenses')) {
+                return Promise.resolve({ rows: [{ total_expenses: '600' }] });
+            }
+            if (sql.includes('GROUP BY ec.id')) {
+                return Promise.resolve({
+                    rows: [
+                        { category_id: 3, category_name: 'Groceries', total: '400', transaction_count: '2' },
+                        { category_id: null, category_name: 'Uncategorized', total: '200', transaction_count: '1' }
+                    ]
+                });
+            }
+            if (sql.includes('balance_at_month_end')) {
+                return Promise.resolve({ rows: [{ id: 1, name: 'HDFC', initial_balance: '500', balance_at_month_end: '900' }] });
+            }
+            return Promise.resolve({ rows: [] });
+        });
+
+        const response = await agent.get('/api/monthly-summary?month=1&year=2025');
+
+        expect(response.status).toBe(200);
+        expect(response.body.categoryBreakdown).toEqual([
+            { categoryId: 3, categoryName: 'Groceries', total: 400, transactionCount: 2 },
+            { categoryId: null, categoryName: 'Uncategorized', total: 200, transactionCount: 1 }
+        ]);
+    });
+});
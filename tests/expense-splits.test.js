@@ -0,0 +1,262 @@
+/**
+ * Expense Split Tests
+ * Covers splitting an expense into category lines, keeping them in step with its amount and category reports
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('Expense splits', () => {
+    let mockQuery;
+    let agent;
+
+    const callsMatching = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+        mockQuery.mockResolvedValue({ rows: [] });
+    });
+
+    describe('Listing split lines', () => {
+        test('should list the lines of an expense', async () => {
+            const lines = [
+                { id: 1, category_id: 3, category_name: 'Groceries', amount: '800.00', note: 'Vegetables' },
+                { id: 2, category_id: 5, category_name: 'Household', amount: '400.00', note: null }
+            ];
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT id FROM expenses')) return Promise.resolve({ rows: [{ id: 7 }] });
+                if (sql.includes('FROM expense_splits s')) return Promise.resolve({ rows: lines });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.get('/api/expenses/7/splits');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual(lines);
+            expect(callsMatching('FROM expense_splits s')[0][1]).toEqual(['7', 1]);
+        });
+
+        test('should return 404 for an expense of another user', async () => {
+            const response = await agent.get('/api/expenses/7/splits');
+
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Expense transaction not found');
+        });
+    });
+
+    describe('Saving split lines', () => {
+        const mockSplitQueries = ({ expense = { id: 7, amount: '1200.00' }, categories = [3, 5] } = {}) => {
+            mockQuery.mockImplementation((sql, params) => {
+                if (sql.includes('SELECT id, amount FROM expenses')) return Promise.resolve({ rows: expense ? [expense] : [] });
+                if (sql.includes('FROM expense_categories WHERE id')) {
+                    return Promise.resolve({ rows: categories.includes(params[0]) ? [{ id: params[0] }] : [] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+        };
+
+        test('should replace the lines without touching balances', async () => {
+            mockSplitQueries();
+
+            const response = await agent.put('/api/expenses/7/splits').send({
+                splits: [
+                    { categoryId: 3, amount: 800, note: ' Vegetables ' },
+                    { categoryId: '5', amount: '400.00' }
+                ]
+            });
+
+            expect(response.status).toBe(200);
+            expect(callsMatching('DELETE FROM expense_splits')[0][1]).toEqual([7, 1]);
+            expect(callsMatching('INSERT INTO expense_splits').map(([, params]) => params)).toEqual([
+                [1, 7, 3, 800, 'Vegetables'],
+                [1, 7, 5, 400, null]
+            ]);
+            expect(callsMatching('COMMIT')).toHaveLength(1);
+            expect(callsMatching('current_balance')).toHaveLength(0);
+            expect(callsMatching('UPDATE cash_balance')).toHaveLength(0);
+        });
+
+        test('should unsplit an expense with an empty list', async () => {
+            mockSplitQueries();
+
+            const response = await agent.put('/api/expenses/7/splits').send({ splits: [] });
+
+            expect(response.status).toBe(200);
+            expect(callsMatching('DELETE FROM expense_splits')).toHaveLength(1);
+            expect(callsMatching('INSERT INTO expense_splits')).toHaveLength(0);
+        });
+
+        test.each([
+            ['a missing list', {}, 'Split lines must be a list'],
+            ['a single line', { splits: [{ categoryId: 3, amount: 1200 }] }, 'A split needs at least two lines'],
+            ['a line without an amount', { splits: [{ categoryId: 3, amount: 1200 }, { categoryId: 5, amount: 0 }] }, 'Line 2: amount must be more than zero'],
+            ['a long note', { splits: [{ categoryId: 3, amount: 600, note: 'x'.repeat(201) }, { categoryId: 5, amount: 600 }] }, 'Line 1: note must be at most 200 characters'],
+            ['lines short of the expense', { splits: [{ categoryId: 3, amount: 800 }, { categoryId: 5, amount: 399.99 }] }, 'Split lines add up to 1199.99 but the expense is 1200.00'],
+            ['lines over the expense', { splits: [{ categoryId: 3, amount: 800 }, { categoryId: 5, amount: 500 }] }, 'Split lines add up to 1300.00 but the expense is 1200.00'],
+        ])('should reject %s', async (label, body, error) => {
+            mockSplitQueries();
+
+            const response = await agent.put('/api/expenses/7/splits').send(body);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe(error);
+            expect(callsMatching('ROLLBACK')).toHaveLength(1);
+            expect(callsMatching('DELETE FROM expense_splits')).toHaveLength(0);
+        });
+
+        test('should add up amounts to the cent', async () => {
+            mockSplitQueries({ expense: { id: 7, amount: '0.30' } });
+
+            const response = await agent.put('/api/expenses/7/splits').send({
+                splits: [{ categoryId: 3, amount: 0.1 }, { categoryId: 5, amount: 0.2 }]
+            });
+
+            expect(response.status).toBe(200);
+        });
+
+        test('should reject a category of another user', async () => {
+            mockSplitQueries({ categories: [3] });
+
+            const response = await agent.put('/api/expenses/7/splits').send({
+                splits: [{ categoryId: 3, amount: 800 }, { categoryId: 9, amount: 400 }]
+            });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Category not found');
+            expect(callsMatching('INSERT INTO expense_splits')).toHaveLength(0);
+        });
+
+        test('should return 404 for a missing or trashed expense', async () => {
+            mockSplitQueries({ expense: null });
+
+            const response = await agent.put('/api/expenses/7/splits').send({
+                splits: [{ categoryId: 3, amount: 800 }, { categoryId: 5, amount: 400 }]
+            });
+
+            expect(response.status).toBe(404);
+            expect(callsMatching('SELECT id, amount FROM expenses')[0][0]).toContain('deleted_at IS NULL');
+        });
+    });
+
+    describe('Editing a split expense', () => {
+        const mockEditQueries = (splitCount) => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT * FROM expenses')) {
+                    return Promise.resolve({ rows: [{ id: 7, amount: '1200.00', payment_method: 'cash', tags: [], notes: null }] });
+                }
+                if (sql.includes('FROM expense_splits')) return Promise.resolve({ rows: [{ total: String(splitCount) }] });
+                return Promise.resolve({ rows: [{ id: 7 }] });
+            });
+        };
+
+        test('should refuse a new amount while the expense is split', async () => {
+            mockEditQueries(2);
+
+            const response = await agent.put('/api/expenses/7').send({
+                title: 'Supermarket', amount: 1500, paymentMethod: 'cash', date: '2025-07-01'
+            });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('This expense is split; change or remove its split lines before changing the amount');
+            expect(callsMatching('UPDATE expenses SET title')).toHaveLength(0);
+        });
+
+        test('should allow other changes to a split expense', async () => {
+            mockEditQueries(2);
+
+            const response = await agent.put('/api/expenses/7').send({
+                title: 'Supermarket', amount: 1200, paymentMethod: 'cash', date: '2025-07-01'
+            });
+
+            expect(response.status).toBe(200);
+            expect(callsMatching('FROM expense_splits')).toHaveLength(0);
+        });
+
+        test('should allow a new amount when the expense is not split', async () => {
+            mockEditQueries(0);
+
+            const response = await agent.put('/api/expenses/7').send({
+                title: 'Supermarket', amount: 1500, paymentMethod: 'cash', date: '2025-07-01'
+            });
+
+            expect(response.status).toBe(200);
+            expect(callsMatching('UPDATE expenses SET title')).toHaveLength(1);
+        });
+    });
+
+    describe('Category reports', () => {
+        test('should break the monthly summary down by split lines', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT created_at')) {
+                    return Promise.resolve({ rows: [{ created_at: '2024-01-01', tracking_option: 'both' }] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.get('/api/monthly-summary?month=7&year=2025');
+
+            expect(response.status).toBe(200);
+            const [sql] = callsMatching('GROUP BY ec.id')[0];
+            expect(sql).toContain('LEFT JOIN expense_splits s ON s.expense_id = e.id');
+            expect(sql).toContain('COALESCE(s.amount, e.amount) AS amount');
+            expect(sql).toContain('COUNT(DISTINCT e.id) AS transaction_count');
+        });
+
+        test('should count split lines against category budgets', async () => {
+            await agent.get('/api/budgets?month=7&year=2025');
+
+            const [sql] = callsMatching('FROM budgets b')[0];
+            expect(sql).toContain('LEFT JOIN expense_splits s ON s.expense_id = e.id');
+            expect(sql).toContain('CASE WHEN s.id IS NULL THEN e.category_id ELSE s.category_id END AS category_id');
+        });
+
+        test('should show how many lines each listed expense is split into', async () => {
+            await agent.get('/api/expenses?month=7&year=2025');
+
+            const [sql] = callsMatching('FROM expenses e')[0];
+            expect(sql).toContain('as split_count');
+        });
+    });
+});
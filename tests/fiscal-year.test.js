@@ -0,0 +1,167 @@
+/**
+ * Fiscal Year Tests
+ * Covers the per-user financial year start and how reports and activity year filters follow it
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('Fiscal year', () => {
+    let mockQuery;
+    let agent;
+
+    const callsMatching = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+
+    const mockUser = (fiscalYearStart) => {
+        mockQuery.mockImplementation((sql) => {
+            if (sql.includes('FROM users')) {
+                return Promise.resolve({ rows: [{ tracking_option: 'both', fiscal_year_start: fiscalYearStart }] });
+            }
+            if (sql.includes('AS total_income')) return Promise.resolve({ rows: [{ total_income: '0', total_expenses: '0' }] });
+            if (sql.includes('combined_count')) return Promise.resolve({ rows: [{ total: '0' }] });
+            return Promise.resolve({ rows: [] });
+        });
+    };
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+    });
+
+    describe('POST /api/set-fiscal-year-start', () => {
+        test('should save the start month', async () => {
+            mockQuery.mockResolvedValue({ rows: [] });
+
+            const response = await agent.post('/api/set-fiscal-year-start').send({ fiscalYearStart: '4' });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ success: true, fiscalYearStart: 4 });
+            expect(callsMatching('UPDATE users SET fiscal_year_start')[0][1]).toEqual([4, 1]);
+        });
+
+        test.each([0, 13, 'april', null])('should reject %p', async (fiscalYearStart) => {
+            const response = await agent.post('/api/set-fiscal-year-start').send({ fiscalYearStart });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Fiscal year start must be a month from 1 to 12');
+            expect(mockQuery).not.toHaveBeenCalled();
+        });
+    });
+
+    test('should include the start month in the user info', async () => {
+        mockQuery.mockResolvedValue({ rows: [{ name: 'Test User', tracking_option: 'both', fiscal_year_start: 4 }] });
+
+        const response = await agent.get('/api/user');
+
+        expect(response.status).toBe(200);
+        expect(response.body.fiscal_year_start).toBe(4);
+    });
+
+    describe('reports', () => {
+        test('should run yearly reports April to March', async () => {
+            mockUser(4);
+
+            const response = await agent.get('/api/reports?period=year&year=2025');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ from: '2025-04-01', to: '2026-03-31', label: 'FY 2025-26', fiscalYearStart: 4 });
+            expect(callsMatching('AS total_income')[0][1]).toEqual([1, '2025-04-01', '2026-03-31']);
+        });
+
+        test('should start Q1 in the fiscal start month', async () => {
+            mockUser(4);
+
+            const q1 = await agent.get('/api/reports?period=quarter&year=2025&quarter=1');
+            const q4 = await agent.get('/api/reports?period=quarter&year=2025&quarter=4');
+
+            expect(q1.body).toMatchObject({ from: '2025-04-01', to: '2025-06-30', label: 'Q1 FY 2025-26' });
+            expect(q4.body).toMatchObject({ from: '2026-01-01', to: '2026-03-31', label: 'Q4 FY 2025-26' });
+        });
+
+        test('should keep calendar years when the year starts in January', async () => {
+            mockUser(1);
+
+            const response = await agent.get('/api/reports?period=year&year=2025');
+
+            expect(response.body).toMatchObject({ from: '2025-01-01', to: '2025-12-31', label: '2025' });
+        });
+    });
+
+    describe('GET /api/activity year filters', () => {
+        const dateParams = () => callsMatching('combined_activities')[0][1].slice(1, 3);
+
+        test('should filter a financial year', async () => {
+            mockUser(4);
+
+            const response = await agent.get('/api/activity?year=2025');
+
+            expect(response.status).toBe(200);
+            expect(dateParams()).toEqual(['2025-04-01', '2026-04-01']);
+        });
+
+        test('should put months before the start month in the next calendar year', async () => {
+            mockUser(4);
+
+            await agent.get('/api/activity?year=2025&month=2');
+
+            expect(dateParams()).toEqual(['2026-02-01', '2026-03-01']);
+        });
+
+        test('should keep calendar years by default', async () => {
+            mockUser(1);
+
+            await agent.get('/api/activity?year=2025&month=12');
+
+            expect(dateParams()).toEqual(['2025-12-01', '2026-01-01']);
+        });
+
+        test('should not look up the fiscal year without a year filter', async () => {
+            mockUser(4);
+
+            await agent.get('/api/activity');
+
+            expect(callsMatching('fiscal_year_start')).toHaveLength(0);
+        });
+    });
+});
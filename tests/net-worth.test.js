@@ -0,0 +1,161 @@
+/**
+ * Net Worth History Tests
+ * Covers month-end net worth across banks, cash and credit cards for a range of months
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('GET /api/net-worth', () => {
+    let mockQuery;
+    let agent;
+
+    const callsMatching = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+
+    // Balances grow by 1000 in the bank each month; the card carries 500 from June
+    const mockBalances = ({ createdAt = '2025-01-15T00:00:00.000Z', trackingOption = 'both' } = {}) => {
+        mockQuery.mockImplementation((sql, params) => {
+            if (sql.includes('FROM users')) {
+                return Promise.resolve({ rows: [{ created_at: createdAt, tracking_option: trackingOption }] });
+            }
+            if (sql.includes('balance_at_month_end') && !sql.includes('cash_balance_at_month_end')) {
+                const month = params[1].getMonth() + 1;
+                return Promise.resolve({ rows: [{ id: 2, name: 'HDFC', initial_balance: '10000.00', balance_at_month_end: String(10000 + month * 1000) }] });
+            }
+            if (sql.includes('cash_balance_at_month_end')) {
+                return Promise.resolve({ rows: [{ initial_balance: '200.00', cash_balance_at_month_end: '250.50' }] });
+            }
+            if (sql.includes('SELECT * FROM credit_cards')) {
+                return Promise.resolve({ rows: [{ id: 3, name: 'VISA', credit_limit: '50000.00' }] });
+            }
+            if (sql.includes('AS used_limit')) {
+                const month = params[2].getMonth() + 1;
+                return Promise.resolve({ rows: [{ used_limit: month >= 6 ? '500.00' : '0' }] });
+            }
+            return Promise.resolve({ rows: [] });
+        });
+    };
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+    });
+
+    test('should return net worth at the end of each month in the range', async () => {
+        mockBalances();
+
+        const response = await agent.get('/api/net-worth?from=2025-05&to=2025-07');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({
+            from: '2025-05',
+            to: '2025-07',
+            baseCurrency: 'INR',
+            missingRates: [],
+            points: [
+                { month: '2025-05', banks: 15000, cash: 250.5, cardLiabilities: 0, netWorth: 15250.5 },
+                { month: '2025-06', banks: 16000, cash: 250.5, cardLiabilities: 500, netWorth: 15750.5 },
+                { month: '2025-07', banks: 17000, cash: 250.5, cardLiabilities: 500, netWorth: 16750.5 }
+            ]
+        });
+
+        // Each month uses the same month-end balance query as the monthly summary
+        const monthEnds = callsMatching('b.created_at <= $2').map(([, params]) => params[1].getDate());
+        expect(monthEnds).toEqual([31, 30, 31]);
+    });
+
+    test('should leave out months before registration', async () => {
+        mockBalances();
+
+        const response = await agent.get('/api/net-worth?from=2024-11&to=2025-02');
+
+        expect(response.status).toBe(200);
+        expect(response.body.points.map(point => point.month)).toEqual(['2025-01', '2025-02']);
+    });
+
+    test('should not count credit cards for income-only users', async () => {
+        mockBalances({ trackingOption: 'income' });
+
+        const response = await agent.get('/api/net-worth?from=2025-06&to=2025-06');
+
+        expect(response.status).toBe(200);
+        expect(response.body.points[0]).toEqual({ month: '2025-06', banks: 16000, cash: 250.5, cardLiabilities: 0, netWorth: 16250.5 });
+        expect(callsMatching('FROM credit_cards')).toHaveLength(0);
+    });
+
+    test('should default to the 12 months ending this month', async () => {
+        mockBalances({ createdAt: '2020-01-01T00:00:00.000Z' });
+        const today = new Date();
+        const thisMonth = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
+
+        const response = await agent.get('/api/net-worth');
+
+        expect(response.status).toBe(200);
+        expect(response.body.to).toBe(thisMonth);
+        expect(response.body.points).toHaveLength(12);
+        expect(response.body.points[11].month).toBe(thisMonth);
+    });
+
+    test('should reject malformed months', async () => {
+        const response = await agent.get('/api/net-worth?from=2025-13&to=2025-12');
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('from and to must be months in YYYY-MM format');
+        expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    test('should reject ranges that end before they start', async () => {
+        const response = await agent.get('/api/net-worth?from=2025-07&to=2025-01');
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('from must not be after to');
+    });
+
+    test('should cap the range length', async () => {
+        const response = await agent.get('/api/net-worth?from=2010-01&to=2025-01');
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Net worth history is limited to 120 months');
+    });
+});
@@ -0,0 +1,184 @@
+/**
+ * Preferences Tests
+ * Covers saving display preferences, returning them with the user and applying the date format to the activity CSV
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('Display preferences', () => {
+    let mockQuery;
+    let agent;
+
+    const callsMatching = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+
+    const mockPreferences = (row) => {
+        mockQuery.mockImplementation((sql) => {
+            if (sql.includes('FROM user_preferences')) return Promise.resolve({ rows: row ? [row] : [] });
+            return Promise.resolve({ rows: [] });
+        });
+    };
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+    });
+
+    describe('POST /api/set-preferences', () => {
+        test('should save all preferences', async () => {
+            mockPreferences(null);
+
+            const response = await agent.post('/api/set-preferences').send({
+                currencySymbol: 'Rs.',
+                locale: 'en-us',
+                dateFormat: 'YYYY-MM-DD',
+                firstDayOfWeek: '0'
+            });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({
+                success: true,
+                preferences: { currencySymbol: 'Rs.', locale: 'en-US', dateFormat: 'YYYY-MM-DD', firstDayOfWeek: 0 }
+            });
+            expect(callsMatching('INSERT INTO user_preferences')[0][1]).toEqual([1, 'Rs.', 'en-US', 'YYYY-MM-DD', 0]);
+        });
+
+        test('should keep fields that were not sent', async () => {
+            mockPreferences({ currency_symbol: 'Rs.', locale: 'en-US', date_format: 'MM/DD/YYYY', first_day_of_week: 0 });
+
+            await agent.post('/api/set-preferences').send({ dateFormat: 'DD MMM YYYY' });
+
+            expect(callsMatching('INSERT INTO user_preferences')[0][1]).toEqual([1, 'Rs.', 'en-US', 'DD MMM YYYY', 0]);
+        });
+
+        test('should clear the currency symbol when sent empty', async () => {
+            mockPreferences({ currency_symbol: 'Rs.', locale: 'en-IN', date_format: 'DD/MM/YYYY', first_day_of_week: 1 });
+
+            const response = await agent.post('/api/set-preferences').send({ currencySymbol: '' });
+
+            expect(response.body.preferences.currencySymbol).toBeNull();
+        });
+
+        test.each([
+            [{ locale: 'not a locale!' }, 'Locale must be a supported language tag such as en-IN or en-US'],
+            [{ dateFormat: 'D.M.YY' }, 'Date format must be one of DD/MM/YYYY, MM/DD/YYYY, YYYY-MM-DD, DD MMM YYYY'],
+            [{ firstDayOfWeek: 7 }, 'First day of week must be from 0 (Sunday) to 6 (Saturday)'],
+            [{ currencySymbol: 'RUPEES123' }, 'Currency symbol must be at most 8 characters']
+        ])('should reject %p', async (body, error) => {
+            mockPreferences(null);
+
+            const response = await agent.post('/api/set-preferences').send(body);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe(error);
+            expect(callsMatching('INSERT INTO user_preferences')).toHaveLength(0);
+        });
+    });
+
+    describe('GET /api/user', () => {
+        test('should return the default preferences for users who never saved any', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('FROM user_preferences')) return Promise.resolve({ rows: [] });
+                return Promise.resolve({ rows: [{ name: 'Test User', tracking_option: 'both' }] });
+            });
+
+            const response = await agent.get('/api/user');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({
+                name: 'Test User',
+                preferences: { currencySymbol: null, locale: 'en-IN', dateFormat: 'DD/MM/YYYY', firstDayOfWeek: 1 }
+            });
+        });
+
+        test('should return saved preferences', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('FROM user_preferences')) {
+                    return Promise.resolve({ rows: [{ currency_symbol: 'Rs.', locale: 'en-US', date_format: 'MM/DD/YYYY', first_day_of_week: 0 }] });
+                }
+                return Promise.resolve({ rows: [{ name: 'Test User', tracking_option: 'both' }] });
+            });
+
+            const response = await agent.get('/api/user');
+
+            expect(response.body.preferences).toEqual({ currencySymbol: 'Rs.', locale: 'en-US', dateFormat: 'MM/DD/YYYY', firstDayOfWeek: 0 });
+        });
+    });
+
+    describe('activity CSV export', () => {
+        const mockActivity = (preferences) => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('FROM user_preferences')) return Promise.resolve({ rows: preferences ? [preferences] : [] });
+                if (sql.includes('combined_activities')) {
+                    return Promise.resolve({
+                        rows: [{ activity_date: '2025-01-31', activity_type: 'income', description: 'Salary', amount: '50000', currency: 'INR', account_info: 'HDFC' }]
+                    });
+                }
+                if (sql.includes('combined_count')) return Promise.resolve({ rows: [{ total: '1' }] });
+                return Promise.resolve({ rows: [] });
+            });
+        };
+
+        test('should write dates in the default DD/MM/YYYY format', async () => {
+            mockActivity(null);
+
+            const response = await agent.get('/api/activity?export=true');
+
+            expect(response.status).toBe(200);
+            expect(response.text.split('\n')[1]).toBe('31/01/2025,income,"Salary",50000.00,INR,"HDFC",""');
+        });
+
+        test.each([
+            ['MM/DD/YYYY', '01/31/2025'],
+            ['YYYY-MM-DD', '2025-01-31'],
+            ['DD MMM YYYY', '31 Jan 2025']
+        ])('should write dates as %s', async (dateFormat, expected) => {
+            mockActivity({ locale: 'en-IN', date_format: dateFormat, first_day_of_week: 1 });
+
+            const response = await agent.get('/api/activity?export=true');
+
+            expect(response.text.split('\n')[1].split(',')[0]).toBe(expected);
+        });
+    });
+});
@@ -0,0 +1,301 @@
+/**
+ * Recurring Transactions Tests
+ * Covers template validation and materialization of due occurrences
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('Recurring Transactions', () => {
+    let mockQuery;
+    let agent;
+
+    // Route queries by SQL text; `dueTemplates` are returned once by the materializer
+    const mockRecurringQueries = ({ dueTemplates = [], trackingOption = 'both' } = {}) => {
+        let templatesServed = false;
+        mockQuery.mockImplementation((sql) => {
+            if (sql.includes('FROM recurring_transactions') && sql.includes('FOR UPDATE')) {
+                const rows = templatesServed ? [] : dueTemplates;
+                templatesServed = true;
+                return Promise.resolve({ rows });
+            }
+            if (sql.includes('INSERT INTO recurring_transactions')) {
+                return Promise.resolve({ rows: [{ id: 5, type: 'income', title: 'Salary' }] });
+            }
+            if (sql.includes('INSERT INTO income_entries') || sql.includes('INSERT INTO expenses')) {
+                return Promise.resolve({ rows: [{ id: 30 + mockQuery.mock.calls.length }] });
+            }
+            if (sql.includes('FROM banks WHERE id')) {
+                return Promise.resolve({ rows: [{ id: 2 }] });
+            }
+            if (sql.includes('tracking_option')) {
+                return Promise.resolve({ rows: [{ tracking_option: trackingOption }] });
+            }
+            return Promise.resolve({ rows: [] });
+        });
+    };
+
+    const callsMatching = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+
+    const validTemplate = {
+        type: 'income',
+        title: 'Salary',
+        amount: 50000,
+        accountType: 'bank',
+        accountId: 2,
+        frequency: 'monthly',
+        startDate: '2025-01-31'
+    };
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+    });
+
+    test('should require authentication', async () => {
+        const response = await request(app).get('/api/recurring');
+        expect(response.status).toBe(401);
+    });
+
+    describe('validation', () => {
+        beforeEach(() => mockRecurringQueries());
+
+        test('should reject unknown frequencies', async () => {
+            const response = await agent.post('/api/recurring').send({ ...validTemplate, frequency: 'hourly' });
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Frequency must be daily, weekly, monthly or yearly');
+        });
+
+        test('should reject credit cards for income', async () => {
+            const response = await agent.post('/api/recurring').send({ ...validTemplate, accountType: 'credit_card' });
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Invalid account type');
+        });
+
+        test('should reject a start date that does not exist', async () => {
+            const response = await agent.post('/api/recurring').send({ ...validTemplate, startDate: '2025-04-31' });
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Valid start date is required');
+        });
+
+        test('should reject an end date before the start date', async () => {
+            const response = await agent.post('/api/recurring').send({ ...validTemplate, endDate: '2024-12-31' });
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('End date must be on or after the start date');
+        });
+
+        test('should reject a non-positive occurrence count', async () => {
+            const response = await agent.post('/api/recurring').send({ ...validTemplate, occurrenceLimit: 0 });
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Occurrence count must be a positive number');
+        });
+
+        test('should create a template starting on its start date', async () => {
+            const response = await agent.post('/api/recurring').send(validTemplate);
+
+            expect(response.status).toBe(200);
+            expect(response.body.created).toBe(0);
+            const insert = callsMatching('INSERT INTO recurring_transactions')[0];
+            expect(insert[1]).toEqual([1, 'income', 'Salary', 50000, 'bank', 2, null, 'monthly', '2025-01-31', null, null]);
+        });
+    });
+
+    describe('materialization', () => {
+        test('should create each due occurrence with balance effects and stop at the end date', async () => {
+            mockRecurringQueries({
+                dueTemplates: [{
+                    id: 7,
+                    type: 'income',
+                    title: 'Salary',
+                    amount: '50000.00',
+                    account_type: 'bank',
+                    account_id: 2,
+                    frequency: 'monthly',
+                    start_date: '2025-01-31',
+                    end_date: '2025-03-31',
+                    occurrence_limit: null,
+                    occurrences_created: 0,
+                    next_run_date: '2025-01-31'
+                }]
+            });
+
+            const response = await agent.get('/api/recurring');
+
+            expect(response.status).toBe(200);
+            const inserts = callsMatching('INSERT INTO income_entries');
+            expect(inserts.map(([, params]) => params[5])).toEqual(['2025-01-31', '2025-02-28', '2025-03-31']);
+            expect(inserts[0][1]).toEqual([1, 'Salary', '50000.00', 'bank', 2, '2025-01-31', 1, 2025, 7]);
+            expect(callsMatching('UPDATE banks SET current_balance = current_balance + $1')).toHaveLength(3);
+            const audits = callsMatching('INSERT INTO audit_log');
+            expect(audits).toHaveLength(3);
+            expect(audits[0][1].slice(0, 4)).toEqual([1, 'income', expect.any(Number), 'created']);
+
+            const update = callsMatching('UPDATE recurring_transactions')[0];
+            expect(update[1]).toEqual([3, '2025-04-30', false, 7]);
+            expect(callsMatching('COMMIT')).toHaveLength(1);
+        });
+
+        test('should stop after the occurrence count', async () => {
+            mockRecurringQueries({
+                dueTemplates: [{
+                    id: 8,
+                    type: 'expense',
+                    title: 'Gym',
+                    amount: '1500.00',
+                    account_type: 'credit_card',
+                    account_id: 4,
+                    category_id: 6,
+                    frequency: 'weekly',
+                    start_date: '2025-03-01',
+                    end_date: null,
+                    occurrence_limit: 4,
+                    occurrences_created: 2,
+                    next_run_date: '2025-03-15'
+                }]
+            });
+
+            await agent.get('/api/recurring');
+
+            const inserts = callsMatching('INSERT INTO expenses');
+            expect(inserts.map(([, params]) => params[5])).toEqual(['2025-03-15', '2025-03-22']);
+            expect(inserts[0][1][8]).toBe(6);
+            expect(callsMatching('UPDATE credit_cards SET used_limit = used_limit + $1')).toHaveLength(2);
+            expect(callsMatching('INSERT INTO audit_log').map(([, params]) => params[1])).toEqual(['expense', 'expense']);
+            expect(callsMatching('UPDATE recurring_transactions')[0][1]).toEqual([4, '2025-03-29', false, 8]);
+        });
+
+        test('should skip balance effects for expense-only users', async () => {
+            mockRecurringQueries({
+                trackingOption: 'expenses',
+                dueTemplates: [{
+                    id: 9,
+                    type: 'expense',
+                    title: 'Rent',
+                    amount: '20000.00',
+                    account_type: 'cash',
+                    account_id: null,
+                    category_id: null,
+                    frequency: 'yearly',
+                    start_date: '2024-02-29',
+                    end_date: null,
+                    occurrence_limit: 2,
+                    occurrences_created: 0,
+                    next_run_date: '2024-02-29'
+                }]
+            });
+
+            await agent.get('/api/recurring');
+
+            const inserts = callsMatching('INSERT INTO expenses');
+            expect(inserts.map(([, params]) => params[5])).toEqual(['2024-02-29', '2025-02-28']);
+            expect(callsMatching('UPDATE cash_balance')).toHaveLength(0);
+        });
+
+        test('should cap one run at 100 entries and leave the rest for the next run', async () => {
+            mockRecurringQueries({
+                dueTemplates: [{
+                    id: 11,
+                    type: 'expense',
+                    title: 'Coffee',
+                    amount: '50.00',
+                    account_type: 'cash',
+                    account_id: null,
+                    category_id: null,
+                    frequency: 'daily',
+                    start_date: '2024-01-01',
+                    end_date: null,
+                    occurrence_limit: null,
+                    occurrences_created: 0,
+                    next_run_date: '2024-01-01'
+                }]
+            });
+
+            const response = await agent.get('/api/recurring');
+
+            expect(response.status).toBe(200);
+            expect(callsMatching('INSERT INTO expenses')).toHaveLength(100);
+            expect(callsMatching('UPDATE recurring_transactions')[0][1]).toEqual([100, '2024-04-10', true, 11]);
+        });
+
+        test('should roll back when an entry cannot be created', async () => {
+            mockRecurringQueries({
+                dueTemplates: [{
+                    id: 10,
+                    type: 'income',
+                    title: 'Salary',
+                    amount: '100.00',
+                    account_type: 'cash',
+                    account_id: null,
+                    frequency: 'daily',
+                    start_date: '2025-01-01',
+                    end_date: null,
+                    occurrence_limit: 1,
+                    occurrences_created: 0,
+                    next_run_date: '2025-01-01'
+                }]
+            });
+            const defaultImplementation = mockQuery.getMockImplementation();
+            mockQuery.mockImplementation((sql, params) => {
+                if (sql.includes('INSERT INTO income_entries')) {
+                    return Promise.reject(new Error('insert failed'));
+                }
+                return defaultImplementation(sql, params);
+            });
+
+            const response = await agent.get('/api/recurring');
+
+            expect(response.status).toBe(500);
+            expect(callsMatching('ROLLBACK')).toHaveLength(1);
+            expect(callsMatching('COMMIT')).toHaveLength(0);
+        });
+    });
+
+    test('should return 404 when deleting an unknown template', async () => {
+        mockQuery.mockResolvedValueOnce({ rows: [] });
+
+        const response = await agent.delete('/api/recurring/99');
+
+        expect(response.status).toBe(404);
+        expect(response.body.error).toBe('Recurring transaction not found');
+    });
+});
@@ -0,0 +1,205 @@
+/**
+ * Financial Report Tests
+ * Covers yearly, quarterly and custom-range reports: totals, savings rate, rankings and account movement
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('GET /api/reports', () => {
+    let mockQuery;
+    let agent;
+
+    const callsMatching = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+
+    const mockReport = ({ trackingOption = 'both', totalIncome = '100000.00', totalExpenses = '75000.00' } = {}) => {
+        mockQuery.mockImplementation((sql) => {
+            if (sql.includes('FROM users')) return Promise.resolve({ rows: [{ tracking_option: trackingOption }] });
+            if (sql.includes('AS total_income')) return Promise.resolve({ rows: [{ currency: 'INR', total_income: totalIncome }] });
+            if (sql.includes('AS total_expenses')) return Promise.resolve({ rows: [{ currency: 'INR', total_expenses: totalExpenses }] });
+            if (sql.includes('GROUP BY i.source')) {
+                return Promise.resolve({ rows: [{ name: 'Interest', total: '10000.00', transaction_count: '1' }, { name: 'Salary', total: '90000.00', transaction_count: '3' }] });
+            }
+            if (sql.includes('GROUP BY e.title')) {
+                return Promise.resolve({ rows: [{ name: 'Rent', total: '45000.00', transaction_count: '3' }] });
+            }
+            if (sql.includes('GROUP BY account_type')) {
+                return Promise.resolve({
+                    rows: [
+                        { account_type: 'bank', account_id: 2, inflow: '95000.00', outflow: '60000.00' },
+                        { account_type: 'cash', account_id: null, inflow: '5000.00', outflow: '2000.00' },
+                        { account_type: 'cash', account_id: 0, inflow: '0', outflow: '1000.00' },
+                        { account_type: 'credit_card', account_id: 3, inflow: '8000.00', outflow: '12000.00' }
+                    ]
+                });
+            }
+            if (sql.includes('cash_balance_at_month_end')) {
+                return Promise.resolve({ rows: [{ initial_balance: '0', cash_balance_at_month_end: '2500.00' }] });
+            }
+            if (sql.includes('balance_at_month_end')) {
+                return Promise.resolve({ rows: [{ id: 2, name: 'HDFC', initial_balance: '10000.00', balance_at_month_end: '45000.00' }] });
+            }
+            if (sql.includes('SELECT * FROM credit_cards')) return Promise.resolve({ rows: [{ id: 3, name: 'VISA', currency: 'USD' }] });
+            if (sql.includes('AS used_limit')) return Promise.resolve({ rows: [{ used_limit: '4000.00' }] });
+            return Promise.resolve({ rows: [] });
+        });
+    };
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+    });
+
+    test('should report a full year with totals, savings rate and rankings', async () => {
+        mockReport();
+
+        const response = await agent.get('/api/reports?period=year&year=2025');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({
+            period: 'year',
+            from: '2025-01-01',
+            to: '2025-12-31',
+            label: '2025',
+            totalIncome: 100000,
+            totalExpenses: 75000,
+            netSavings: 25000,
+            savingsRate: 25,
+            topIncomeSources: [
+                { name: 'Salary', total: 90000, transactionCount: 3 },
+                { name: 'Interest', total: 10000, transactionCount: 1 }
+            ],
+            topPayees: [{ name: 'Rent', total: 45000, transactionCount: 3 }]
+        });
+        expect(callsMatching('AS total_income')[0][1]).toEqual([1, '2025-01-01', '2025-12-31']);
+    });
+
+    test('should show opening, in, out and closing for every account', async () => {
+        mockReport();
+
+        const response = await agent.get('/api/reports?period=year&year=2025');
+
+        expect(response.body.accounts).toEqual([
+            { type: 'bank', id: 2, name: 'HDFC', currency: 'INR', openingBalance: 10000, inflow: 95000, outflow: 60000, closingBalance: 45000 },
+            { type: 'cash', id: null, name: 'Cash', currency: 'INR', openingBalance: 500, inflow: 5000, outflow: 3000, closingBalance: 2500 },
+            { type: 'credit_card', id: 3, name: 'VISA', currency: 'USD', openingBalance: 0, inflow: 8000, outflow: 12000, closingBalance: -4000 }
+        ]);
+
+        // Closing balances use the same balance-as-of queries as the monthly summary
+        expect(callsMatching('b.created_at <= $2')[0][1]).toEqual([1, '2025-12-31']);
+    });
+
+    test('should resolve quarters to their calendar months', async () => {
+        mockReport();
+
+        const response = await agent.get('/api/reports?period=quarter&year=2024&quarter=1');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ period: 'quarter', from: '2024-01-01', to: '2024-03-31', label: 'Q1 2024' });
+    });
+
+    test('should accept custom date ranges', async () => {
+        mockReport();
+
+        const response = await agent.get('/api/reports?period=custom&from=2025-03-15&to=2025-04-14');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ from: '2025-03-15', to: '2025-04-14', label: '2025-03-15 to 2025-04-14' });
+        expect(callsMatching('GROUP BY account_type')[0][1]).toEqual([1, '2025-03-15', '2025-04-14']);
+    });
+
+    test('should leave the savings rate empty without income and skip cards for income-only users', async () => {
+        mockReport({ trackingOption: 'income', totalIncome: '0', totalExpenses: '0' });
+
+        const response = await agent.get('/api/reports?period=year&year=2025');
+
+        expect(response.status).toBe(200);
+        expect(response.body.savingsRate).toBeNull();
+        expect(response.body.accounts.map(account => account.type)).toEqual(['bank', 'cash']);
+        expect(callsMatching('FROM credit_cards')).toHaveLength(0);
+    });
+
+    test('should convert totals and rankings from foreign-currency accounts into the base currency', async () => {
+        mockQuery.mockImplementation((sql) => {
+            if (sql.includes('SELECT base_currency FROM users')) return Promise.resolve({ rows: [{ base_currency: 'INR' }] });
+            if (sql.includes('FROM users')) return Promise.resolve({ rows: [{ tracking_option: 'income' }] });
+            if (sql.includes('FROM exchange_rates')) return Promise.resolve({ rows: [{ currency: 'USD', rate: '80' }] });
+            if (sql.includes('AS total_income')) {
+                return Promise.resolve({ rows: [{ currency: 'INR', total_income: '1000' }, { currency: 'USD', total_income: '100' }] });
+            }
+            if (sql.includes('GROUP BY i.source')) {
+                return Promise.resolve({
+                    rows: [
+                        { name: 'Salary', currency: 'INR', total: '1000', transaction_count: '1' },
+                        { name: 'Salary', currency: 'USD', total: '100', transaction_count: '2' }
+                    ]
+                });
+            }
+            return Promise.resolve({ rows: [] });
+        });
+
+        const response = await agent.get('/api/reports?period=year&year=2025');
+
+        expect(response.status).toBe(200);
+        expect(response.body.totalIncome).toBe(9000);
+        expect(response.body.topIncomeSources).toEqual([{ name: 'Salary', total: 9000, transactionCount: 3 }]);
+        expect(response.body.baseCurrency).toBe('INR');
+        expect(response.body.missingRates).toEqual([]);
+    });
+
+    test.each([
+        ['period=month&year=2025', 'Report period must be year, quarter or custom'],
+        ['period=year&year=25', 'A valid year is required'],
+        ['period=quarter&year=2025&quarter=5', 'Quarter must be 1, 2, 3 or 4'],
+        ['period=custom&from=2025-01-01', 'Valid from and to dates (YYYY-MM-DD) are required'],
+        ['period=custom&from=2025-02-01&to=2025-02-29', 'Valid from and to dates (YYYY-MM-DD) are required'],
+        ['period=custom&from=2025-05-01&to=2025-04-01', 'to must be on or after from']
+    ])('should reject %s', async (query, error) => {
+        const response = await agent.get(`/api/reports?${query}`);
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe(error);
+        expect(mockQuery).not.toHaveBeenCalled();
+    });
+});
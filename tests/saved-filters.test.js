@@ -0,0 +1,196 @@
+/**
+ * Saved Filter Tests
+ * Covers saving, listing and deleting named activity filters and the activity filters they store
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('Saved filters', () => {
+    let mockQuery;
+    let agent;
+
+    const callsMatching = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+        mockQuery.mockResolvedValue({ rows: [] });
+    });
+
+    describe('Saving and listing', () => {
+        test('should list the user\'s saved filters by name', async () => {
+            const saved = [{ id: 2, name: 'Card spends', query: 'type=expense&account=credit_card' }];
+            mockQuery.mockResolvedValueOnce({ rows: saved });
+
+            const response = await agent.get('/api/saved-filters');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual(saved);
+            const [sql, params] = mockQuery.mock.calls[0];
+            expect(sql).toContain('FROM saved_filters WHERE user_id = $1 ORDER BY name');
+            expect(params).toEqual([1]);
+        });
+
+        test('should save a query string keeping only known, non-empty filters', async () => {
+            mockQuery.mockResolvedValueOnce({ rows: [{ id: 3, name: 'This quarter', query: 'period=this_quarter&type=expense' }] });
+
+            const response = await agent.post('/api/saved-filters').send({
+                name: '  This quarter ',
+                query: '?period=this_quarter&type=expense&tag=&page=3'
+            });
+
+            expect(response.status).toBe(200);
+            const [sql, params] = callsMatching('INSERT INTO saved_filters')[0];
+            expect(sql).toContain('ON CONFLICT (user_id, name) DO UPDATE SET query = EXCLUDED.query');
+            expect(params).toEqual([1, 'This quarter', 'type=expense&period=this_quarter']);
+        });
+
+        test('should accept the filters as an object', async () => {
+            await agent.post('/api/saved-filters').send({
+                name: 'Big bank spends',
+                query: { account: 'bank-4', min_amount: '1000' }
+            });
+
+            const [, params] = callsMatching('INSERT INTO saved_filters')[0];
+            expect(params).toEqual([1, 'Big bank spends', 'account=bank-4&min_amount=1000']);
+        });
+
+        test.each([
+            ['without a name', { query: 'type=expense' }, 'Filter name is required'],
+            ['with a long name', { name: 'x'.repeat(61), query: 'type=expense' }, 'Filter name must be at most 60 characters'],
+            ['without filters', { name: 'Empty', query: 'page=2' }, 'Choose at least one filter to save'],
+            ['with an unknown type', { name: 'Bad type', query: 'type=salary' }, 'Activity type must be one of'],
+            ['with an unknown account', { name: 'Bad account', query: 'account=wallet' }, 'Account must be cash, bank, credit_card or a single account such as bank-3']
+        ])('should reject a filter %s', async (label, body, error) => {
+            const response = await agent.post('/api/saved-filters').send(body);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toContain(error);
+            expect(callsMatching('INSERT INTO saved_filters')).toHaveLength(0);
+        });
+
+        test('should delete only the user\'s own saved filter', async () => {
+            mockQuery.mockResolvedValueOnce({ rows: [{ id: 2 }] });
+
+            const response = await agent.delete('/api/saved-filters/2');
+
+            expect(response.status).toBe(200);
+            const [sql, params] = mockQuery.mock.calls[0];
+            expect(sql).toContain('DELETE FROM saved_filters WHERE id = $1 AND user_id = $2');
+            expect(params).toEqual(['2', 1]);
+        });
+
+        test('should return 404 for a missing saved filter', async () => {
+            const response = await agent.delete('/api/saved-filters/99');
+
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Saved filter not found');
+        });
+    });
+
+    describe('Activity filters', () => {
+        beforeEach(() => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('COUNT(*) as total')) return Promise.resolve({ rows: [{ total: '0' }] });
+                if (sql.includes('fiscal_year_start')) return Promise.resolve({ rows: [{ fiscal_year_start: 1 }] });
+                return Promise.resolve({ rows: [] });
+            });
+        });
+
+        const activityCall = () => callsMatching('activity_type')[0];
+
+        test('should pass the activity type as a parameter', async () => {
+            const response = await agent.get('/api/activity?type=expense');
+
+            expect(response.status).toBe(200);
+            const [sql, params] = activityCall();
+            expect(sql).toContain('activity_type = $2');
+            expect(params.slice(0, 2)).toEqual([1, 'expense']);
+        });
+
+        test('should filter by account type and a single account', async () => {
+            await agent.get('/api/activity?account=credit_card-3');
+
+            const [sql, params] = activityCall();
+            expect(sql).toContain('account_type = $2');
+            expect(sql).toContain('account_id = $3');
+            expect(params.slice(0, 3)).toEqual([1, 'credit_card', 3]);
+        });
+
+        test('should filter by amount range', async () => {
+            await agent.get('/api/activity?min_amount=100&max_amount=500.50');
+
+            const [sql, params] = activityCall();
+            expect(sql).toContain('amount >= $2');
+            expect(sql).toContain('amount <= $3');
+            expect(params.slice(0, 3)).toEqual([1, 100, 500.5]);
+        });
+
+        test('should resolve a relative period ahead of month and year', async () => {
+            const lastYear = new Date().getFullYear() - 1;
+
+            await agent.get('/api/activity?period=last_year&month=5&year=2020');
+
+            const [sql, params] = activityCall();
+            expect(sql).toContain('activity_date >= $2');
+            expect(sql).toContain('activity_date < $3');
+            expect(params.slice(0, 3)).toEqual([1, `${lastYear}-01-01`, `${lastYear + 1}-01-01`]);
+        });
+
+        test.each([
+            ['type=salary', 'Activity type must be one of'],
+            ['period=next_week', 'Period must be one of'],
+            ['min_amount=-5', 'Amounts must be zero or more'],
+            ['from_date=01-02-2025', 'Dates must be in YYYY-MM-DD format'],
+            ['to_date=2025-04-31', 'Dates must be in YYYY-MM-DD format']
+        ])('should reject %s', async (query, error) => {
+            const response = await agent.get(`/api/activity?${query}`);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toContain(error);
+            expect(activityCall()).toBeUndefined();
+        });
+    });
+});
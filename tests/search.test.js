@@ -0,0 +1,185 @@
+/**
+ * Transaction Search Tests
+ * Covers parsing search text into words, amounts and ranges and the full-text query built from them
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+const fs = require('fs');
+const path = require('path');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('Transaction search', () => {
+    let mockQuery;
+    let agent;
+
+    const searchCall = () => mockQuery.mock.calls.find(([sql]) => sql.includes('FROM income_entries i'));
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+        mockQuery.mockResolvedValue({ rows: [] });
+    });
+
+    test('should prefix-match every word against the search documents', async () => {
+        mockQuery.mockResolvedValue({ rows: [{ type: 'expense', id: 4, description: 'Amazon order', amount: '1299.00' }] });
+
+        const response = await agent.get('/api/search?q=Amazon%20order!');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({
+            query: 'Amazon order!',
+            criteria: { terms: ['amazon', 'order'], amounts: [], amountConditions: [] },
+            results: [{ type: 'expense', id: 4, description: 'Amazon order', amount: '1299.00' }]
+        });
+        const [sql, params] = searchCall();
+        expect(params).toEqual([1, 'amazon:* & order:*', 'amazon:* & order:*']);
+        expect(sql).toContain('ts_rank(document, to_tsquery(\'simple\', $2)) AS rank');
+        expect(sql).toContain('i.deleted_at IS NULL');
+        expect(sql).toContain('e.deleted_at IS NULL');
+    });
+
+    test('should filter words with the same expressions as the search indexes', async () => {
+        const setupSource = fs.readFileSync(path.join(__dirname, '../setup-db.js'), 'utf8');
+        const indexExpression = (table) => setupSource
+            .match(new RegExp(`idx_${table}_search ON ${table} USING GIN \\(\\s*\\((.+)\\)\\s*\\)`))[1]
+            .replace(/COALESCE\((\w+), /g, 'COALESCE(ALIAS.$1, ');
+
+        await agent.get('/api/search?q=amazon');
+
+        const [sql] = searchCall();
+        const normalize = (text) => text.replace(/\s+/g, ' ');
+        expect(normalize(sql)).toContain(`${normalize(indexExpression('income_entries').replace(/ALIAS/g, 'i'))} @@ to_tsquery('simple', $3)`);
+        expect(normalize(sql)).toContain(`${normalize(indexExpression('expenses').replace(/ALIAS/g, 'e'))} @@ to_tsquery('simple', $3)`);
+    });
+
+    test('should match a word that names an account against that account\'s entries', async () => {
+        mockQuery.mockImplementation((sql) => {
+            if (sql.includes('FROM credit_cards WHERE user_id')) {
+                return Promise.resolve({ rows: [{ type: 'bank', id: 2, name: 'HDFC Savings' }, { type: 'credit_card', id: 5, name: 'Amazon Pay' }] });
+            }
+            return Promise.resolve({ rows: [] });
+        });
+
+        await agent.get('/api/search?q=amazon%20hdfc');
+
+        const [sql, params] = searchCall();
+        expect(params).toEqual([1, 'amazon:* & hdfc:*', 'amazon:*', 5, 'hdfc:*', 2]);
+        expect(sql).toContain('@@ to_tsquery(\'simple\', $3) OR (e.payment_method = \'credit_card\' AND e.payment_source_id = $4))');
+        expect(sql).toContain('@@ to_tsquery(\'simple\', $5) OR (i.credited_to_type = \'bank\' AND i.credited_to_id = $6))');
+    });
+
+    test('should search account names along with titles and notes', async () => {
+        await agent.get('/api/search?q=hdfc');
+
+        const [sql] = searchCall();
+        expect(sql).toContain('setweight(to_tsvector(\'simple\', COALESCE(e.title, \'\')), \'A\')');
+        expect(sql).toContain('setweight(to_tsvector(\'simple\', COALESCE(e.notes, \'\')), \'B\')');
+        expect(sql).toContain('setweight(to_tsvector(\'simple\', COALESCE(b.name, cc.name, \'Cash\')), \'C\')');
+    });
+
+    test('should match a bare number against the amount or the text', async () => {
+        await agent.get('/api/search?q=1,299.50');
+
+        const [sql, params] = searchCall();
+        expect(params).toEqual([1, '1299.50', '1299.50']);
+        expect(sql).toContain('(amount = $2 OR document @@ to_tsquery(\'simple\', $3))');
+        expect(sql).toContain('0 AS rank');
+    });
+
+    test.each([
+        ['100-500', ['amount >= $2', 'amount <= $3'], [100, 500]],
+        ['500..100', ['amount >= $2', 'amount <= $3'], [100, 500]],
+        ['>1000', ['amount > $2'], [1000]],
+        ['<=250.5', ['amount <= $2'], [250.5]]
+    ])('should filter amounts for %s', async (q, clauses, values) => {
+        await agent.get(`/api/search?q=${encodeURIComponent(q)}`);
+
+        const [sql, params] = searchCall();
+        clauses.forEach(clause => expect(sql).toContain(clause));
+        expect(params).toEqual([1, ...values]);
+    });
+
+    test('should combine words, amounts and filters', async () => {
+        await agent.get('/api/search?q=swiggy%20%3E200&type=expense&from_date=2025-03-01&to_date=2025-03-31&limit=500');
+
+        const [sql, params] = searchCall();
+        expect(params).toEqual([1, 'swiggy:*', 'swiggy:*', 200, 'expense', '2025-03-01', '2025-03-31']);
+        expect(sql).toContain('amount > $4');
+        expect(sql).toContain('type = $5');
+        expect(sql).toContain('date::date >= $6');
+        expect(sql).toContain('date::date <= $7');
+        expect(sql).toContain('LIMIT 200');
+    });
+
+    test.each([
+        ['', 'Search text is required'],
+        ['!!! ---', 'Search for words, amounts (450) or amount ranges (100-500, >1000)'],
+        ['x'.repeat(201), 'Search text must be at most 200 characters']
+    ])('should reject %p', async (q, error) => {
+        const response = await agent.get(`/api/search?q=${encodeURIComponent(q)}`);
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe(error);
+        expect(searchCall()).toBeUndefined();
+    });
+
+    test('should reject unknown types', async () => {
+        const response = await agent.get('/api/search?q=rent&type=transfer');
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Search type must be income or expense');
+    });
+
+    test.each([
+        'from_date=yesterday',
+        'from_date=2025-02-30',
+        'to_date=2025-7-1'
+    ])('should reject malformed dates (%s)', async (query) => {
+        const response = await agent.get(`/api/search?q=rent&${query}`);
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Dates must be in YYYY-MM-DD format');
+        expect(searchCall()).toBeUndefined();
+    });
+});
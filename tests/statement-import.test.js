@@ -0,0 +1,384 @@
+/**
+ * Statement Import Tests
+ * Covers CSV/OFX/QIF parsing, column mapping, duplicate flagging and the atomic import commit
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+const {
+    parseCsv,
+    parseStatementDate,
+    parseAmount,
+    guessCsvMapping,
+    parseCsvStatement,
+    parseOfxStatement,
+    parseQifStatement,
+    detectStatementFormat
+} = require('../import-parsers');
+
+const hdfcStatement = [
+    'Date,Narration,Withdrawal Amt.,Deposit Amt.,Closing Balance',
+    '01/07/2025,"SWIGGY, BANGALORE",450.00,,19550.00',
+    '02/07/2025,SALARY JULY,,"85,000.00",104550.00',
+    '03/07/2025,ATM WDL,2000.00,,102550.00',
+    'bad-date,BROKEN ROW,10.00,,102540.00'
+].join('\r\n');
+
+// OFX 1.x SGML: leaf elements are never closed
+const sgmlOfx = [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    '',
+    '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>',
+    '<STMTTRN>',
+    '<TRNTYPE>DEBIT',
+    '<DTPOSTED>20250701120000.000[+5.30:IST]',
+    '<TRNAMT>-450.00',
+    '<FITID>HDFC0001',
+    '<NAME>SWIGGY &amp; CO',
+    '<MEMO>UPI',
+    '</STMTTRN>',
+    '<STMTTRN>',
+    '<TRNTYPE>CREDIT',
+    '<DTPOSTED>20250702',
+    '<TRNAMT>85000.00',
+    '<FITID>HDFC0002',
+    '<NAME>SALARY JULY',
+    '</STMTTRN>',
+    '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+].join('\n');
+
+describe('Statement import parsers', () => {
+    test('should split quoted CSV fields with embedded commas and quotes', () => {
+        expect(parseCsv('a,"b, c","say ""hi"""\n\n1,2,3')).toEqual([
+            ['a', 'b, c', 'say "hi"'],
+            ['1', '2', '3']
+        ]);
+    });
+
+    test('should parse dates in the chosen format and with month names', () => {
+        expect(parseStatementDate('05/07/2025', 'DD/MM/YYYY')).toBe('2025-07-05');
+        expect(parseStatementDate('07/05/2025', 'MM/DD/YYYY')).toBe('2025-07-05');
+        expect(parseStatementDate('2025-07-05', 'YYYY-MM-DD')).toBe('2025-07-05');
+        expect(parseStatementDate('05-Jul-25')).toBe('2025-07-05');
+        expect(parseStatementDate('31/02/2025')).toBeNull();
+    });
+
+    test('should parse amounts with currency symbols, separators and Dr/Cr markers', () => {
+        expect(parseAmount('₹1,23,456.50')).toBe(123456.5);
+        expect(parseAmount('(250.00)')).toBe(-250);
+        expect(parseAmount('500.00 Dr')).toBe(-500);
+        expect(parseAmount('500.00 Cr')).toBe(500);
+        expect(parseAmount('')).toBeNull();
+        expect(parseAmount('n/a')).toBeNull();
+    });
+
+    test('should guess the mapping from common bank headers', () => {
+        expect(guessCsvMapping(['Date', 'Narration', 'Withdrawal Amt.', 'Deposit Amt.', 'Closing Balance'])).toEqual({
+            date: 0, description: 1, debit: 2, credit: 3
+        });
+        expect(guessCsvMapping(['Txn Date', 'Description', 'Amount'])).toEqual({
+            date: 0, description: 1, debit: 2, credit: 2
+        });
+    });
+
+    test('should turn debit/credit columns into expenses and income', () => {
+        const { columns, transactions } = parseCsvStatement(hdfcStatement);
+
+        expect(columns[1]).toBe('Narration');
+        expect(transactions).toHaveLength(4);
+        expect(transactions[0]).toMatchObject({ rowNumber: 2, date: '2025-07-01', description: 'SWIGGY, BANGALORE', amount: 450, type: 'expense', error: null });
+        expect(transactions[1]).toMatchObject({ date: '2025-07-02', amount: 85000, type: 'income' });
+        expect(transactions[3].error).toBe('Invalid or missing date');
+    });
+
+    test('should treat negative amounts as debits when debit and credit share a column', () => {
+        const { transactions } = parseCsvStatement('2025-07-01,Coffee,-120\n2025-07-02,Refund,40', {
+            hasHeader: false,
+            dateFormat: 'YYYY-MM-DD',
+            mapping: { date: 0, description: 1, debit: 2, credit: 2 }
+        });
+
+        expect(transactions.map(t => [t.type, t.amount])).toEqual([['expense', 120], ['income', 40]]);
+    });
+
+    test('should parse SGML OFX with FITIDs', () => {
+        const { transactions } = parseOfxStatement(sgmlOfx);
+
+        expect(transactions).toEqual([
+            { rowNumber: 1, date: '2025-07-01', description: 'SWIGGY & CO - UPI', amount: 450, type: 'expense', externalId: 'HDFC0001', error: null },
+            { rowNumber: 2, date: '2025-07-02', description: 'SALARY JULY', amount: 85000, type: 'income', externalId: 'HDFC0002', error: null }
+        ]);
+    });
+
+    test('should parse XML OFX', () => {
+        const xmlOfx = '<?xml version="1.0"?><?OFX OFXHEADER="200" VERSION="220"?><OFX><CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS><BANKTRANLIST>' +
+            '<STMTTRN><TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20250703</DTPOSTED><TRNAMT>-20.50</TRNAMT><FITID>CC-9</FITID><MEMO>Coffee</MEMO></STMTTRN>' +
+            '</BANKTRANLIST></CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1></OFX>';
+
+        expect(parseOfxStatement(xmlOfx).transactions[0]).toMatchObject({
+            date: '2025-07-03', description: 'Coffee', amount: 20.5, type: 'expense', externalId: 'CC-9'
+        });
+    });
+
+    test('should parse QIF records using the chosen date format', () => {
+        const qif = '!Type:Bank\nD05/07/2025\nT-1,200.00\nPRENT\nMJuly\n^\nD7/6\'25\nU500.00\nPREFUND\n^\n';
+        const { transactions } = parseQifStatement(qif, { dateFormat: 'DD/MM/YYYY' });
+
+        expect(transactions.map(t => [t.date, t.description, t.type, t.amount, t.externalId])).toEqual([
+            ['2025-07-05', 'RENT - July', 'expense', 1200, null],
+            ['2025-06-07', 'REFUND', 'income', 500, null]
+        ]);
+    });
+
+    test('should detect the statement format from its contents', () => {
+        expect(detectStatementFormat(sgmlOfx)).toBe('ofx');
+        expect(detectStatementFormat('!Type:Bank\nD01/07/2025')).toBe('qif');
+        expect(detectStatementFormat(hdfcStatement)).toBe('csv');
+    });
+});
+
+describe('Statement import API', () => {
+    let mockQuery;
+    let agent;
+
+    const callsMatching = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+    });
+
+    test('should require authentication', async () => {
+        const response = await request(app).post('/api/import/preview').send({ content: hdfcStatement, bankId: 2 });
+        expect(response.status).toBe(401);
+    });
+
+    describe('POST /api/import/preview', () => {
+        test('should return 404 for a bank the user does not own', async () => {
+            mockQuery.mockResolvedValue({ rows: [] });
+
+            const response = await agent.post('/api/import/preview').send({ content: hdfcStatement, bankId: 9 });
+
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Bank not found');
+        });
+
+        test('should flag rows that match existing entries for the bank', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT id FROM banks')) {
+                    return Promise.resolve({ rows: [{ id: 2 }] });
+                }
+                if (sql.includes('UNION ALL')) {
+                    return Promise.resolve({ rows: [{ type: 'expense', day: '2025-07-01', amount: '450.00' }] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/import/preview').send({ content: hdfcStatement, bankId: 2 });
+
+            expect(response.status).toBe(200);
+            expect(response.body.mapping).toEqual({ date: 0, description: 1, debit: 2, credit: 3 });
+            expect(response.body.transactions.map(t => t.duplicate)).toEqual([true, false, false, false]);
+            expect(response.body.summary).toEqual({ total: 4, valid: 3, duplicates: 1, alreadyImported: 0, errors: 1 });
+            expect(callsMatching('UNION ALL')[0][1]).toEqual([1, 2, '2025-07-01', '2025-07-03']);
+            expect(callsMatching('INSERT')).toHaveLength(0);
+        });
+
+        test('should mark OFX rows whose FITID was already imported', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT id FROM banks')) {
+                    return Promise.resolve({ rows: [{ id: 2 }] });
+                }
+                if (sql.includes('SELECT external_id FROM expenses')) {
+                    return Promise.resolve({ rows: [{ external_id: 'HDFC0001' }] });
+                }
+                if (sql.includes('UNION ALL')) {
+                    return Promise.resolve({ rows: [{ type: 'expense', day: '2025-07-01', amount: '450.00', external_id: 'HDFC0001' }] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/import/preview').send({ content: sgmlOfx, bankId: 2, format: 'ofx' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.format).toBe('ofx');
+            expect(response.body.transactions.map(t => [t.alreadyImported, t.duplicate])).toEqual([[true, true], [false, false]]);
+            expect(response.body.summary).toMatchObject({ duplicates: 0, alreadyImported: 1 });
+            expect(callsMatching('SELECT external_id FROM expenses')[0][1]).toEqual([1, 2, ['HDFC0001', 'HDFC0002']]);
+        });
+
+        test('should reject unknown formats', async () => {
+            const response = await agent.post('/api/import/preview').send({ content: hdfcStatement, bankId: 2, format: 'xlsx' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Unsupported statement format');
+        });
+    });
+
+    describe('POST /api/import/commit', () => {
+        const rows = [
+            { date: '2025-07-01', description: 'SWIGGY, BANGALORE', amount: 450, type: 'expense' },
+            { date: '2025-07-02', description: 'SALARY JULY', amount: 85000, type: 'income' }
+        ];
+
+        test('should reject an empty selection', async () => {
+            const response = await agent.post('/api/import/commit').send({ bankId: 2, transactions: [] });
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('No transactions selected for import');
+        });
+
+        test('should reject invalid rows before touching the database', async () => {
+            const response = await agent.post('/api/import/commit').send({
+                bankId: 2,
+                transactions: [rows[0], { ...rows[1], amount: 0 }]
+            });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Row 2: Amount must be a positive number');
+            expect(mockQuery).not.toHaveBeenCalled();
+        });
+
+        test('should reject rows with dates that do not exist', async () => {
+            const response = await agent.post('/api/import/commit').send({
+                bankId: 2,
+                transactions: [{ ...rows[0], date: '2025-06-31' }]
+            });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Row 1: Valid date is required');
+            expect(mockQuery).not.toHaveBeenCalled();
+        });
+
+        test('should insert income and expenses with balance updates in one transaction', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('FROM banks WHERE id = $1 AND user_id = $2 FOR UPDATE')) {
+                    return Promise.resolve({ rows: [{ id: 2 }] });
+                }
+                if (sql.includes('tracking_option')) {
+                    return Promise.resolve({ rows: [{ tracking_option: 'both' }] });
+                }
+                if (sql.includes('INSERT INTO expenses')) {
+                    return Promise.resolve({ rows: [{ id: 41 }] });
+                }
+                if (sql.includes('INSERT INTO income_entries')) {
+                    return Promise.resolve({ rows: [{ id: 42 }] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/import/commit').send({ bankId: 2, transactions: rows });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ imported: 2, incomeCount: 1, expenseCount: 1, skipped: 0 });
+            const statements = mockQuery.mock.calls.map(([sql]) => sql);
+            expect(statements[0]).toBe('BEGIN');
+            expect(statements[statements.length - 1]).toBe('COMMIT');
+            expect(callsMatching('INSERT INTO expenses')[0][1]).toEqual([1, 'SWIGGY, BANGALORE', 450, 'bank', 2, '2025-07-01', 7, 2025, null, [], null]);
+            expect(callsMatching('INSERT INTO income_entries')[0][1]).toEqual([1, 'SALARY JULY', 85000, 'bank', 2, '2025-07-02', 7, 2025, null]);
+            expect(callsMatching('UPDATE banks SET current_balance = current_balance - $1')[0][1]).toEqual([450, 2, 1]);
+            expect(callsMatching('UPDATE banks SET current_balance = current_balance + $1')[0][1]).toEqual([85000, 2, 1]);
+            expect(callsMatching('INSERT INTO audit_log').map(([, params]) => params.slice(0, 4))).toEqual([
+                [1, 'expense', 41, 'created'],
+                [1, 'income', 42, 'created']
+            ]);
+        });
+
+        test('should skip rows whose FITID is already recorded and store new FITIDs', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('FOR UPDATE')) {
+                    return Promise.resolve({ rows: [{ id: 2 }] });
+                }
+                if (sql.includes('SELECT external_id FROM expenses')) {
+                    return Promise.resolve({ rows: [{ external_id: 'HDFC0001' }] });
+                }
+                if (sql.includes('INSERT INTO income_entries')) {
+                    return Promise.resolve({ rows: [{ id: 42 }] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/import/commit').send({
+                bankId: 2,
+                transactions: [
+                    { ...rows[0], externalId: 'HDFC0001' },
+                    { ...rows[1], externalId: 'HDFC0002' },
+                    { ...rows[1], externalId: 'HDFC0002' }
+                ]
+            });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ imported: 1, incomeCount: 1, expenseCount: 0, skipped: 2 });
+            expect(callsMatching('INSERT INTO expenses')).toHaveLength(0);
+            expect(callsMatching('INSERT INTO income_entries')[0][1][8]).toBe('HDFC0002');
+        });
+
+        test('should roll back everything when a row fails', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('FOR UPDATE')) {
+                    return Promise.resolve({ rows: [{ id: 2 }] });
+                }
+                if (sql.includes('INSERT INTO income_entries')) {
+                    return Promise.reject(new Error('insert failed'));
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/import/commit').send({ bankId: 2, transactions: rows });
+
+            expect(response.status).toBe(500);
+            expect(callsMatching('ROLLBACK')).toHaveLength(1);
+            expect(callsMatching('COMMIT')).toHaveLength(0);
+        });
+
+        test('should return 404 for a bank the user does not own', async () => {
+            mockQuery.mockResolvedValue({ rows: [] });
+
+            const response = await agent.post('/api/import/commit').send({ bankId: 9, transactions: rows });
+
+            expect(response.status).toBe(404);
+            expect(callsMatching('INSERT')).toHaveLength(0);
+        });
+    });
+});
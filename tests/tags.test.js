@@ -0,0 +1,174 @@
+/**
+ * Tags and Notes Tests
+ * Covers tag normalization and note validation on income and expenses, and filtering by tag
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('Tags and notes', () => {
+    let mockQuery;
+    let agent;
+
+    const callsMatching = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+        mockQuery.mockImplementation((sql) => {
+            if (sql.includes('SELECT tracking_option FROM users')) return Promise.resolve({ rows: [{ tracking_option: 'expenses' }] });
+            if (sql.includes('INSERT INTO') || sql.includes('UPDATE income_entries') || sql.includes('UPDATE expenses')) {
+                return Promise.resolve({ rows: [{ id: 5 }] });
+            }
+            return Promise.resolve({ rows: [] });
+        });
+    });
+
+    describe('POST /api/income and /api/expenses', () => {
+        test('should normalize tags on a new income entry', async () => {
+            const response = await agent.post('/api/income').send({
+                source: 'Salary', amount: 1000, creditedToType: 'cash', date: '2025-07-01',
+                tags: '#Trip-Goa, reimbursable REIMBURSABLE', notes: '  Paid by the office  '
+            });
+
+            expect(response.status).toBe(200);
+            const [, params] = callsMatching('INSERT INTO income_entries')[0];
+            expect(params.slice(-2)).toEqual([['trip-goa', 'reimbursable'], 'Paid by the office']);
+        });
+
+        test('should store tags given as an array on a new expense', async () => {
+            const response = await agent.post('/api/expenses').send({
+                title: 'Hotel', amount: 300, paymentMethod: 'cash', date: '2025-07-01',
+                tags: ['Trip-Goa', '#hotel']
+            });
+
+            expect(response.status).toBe(200);
+            const [, params] = callsMatching('INSERT INTO expenses')[0];
+            expect(params.slice(-2)).toEqual([['trip-goa', 'hotel'], null]);
+        });
+
+        test.each([
+            [{ tags: 'trip goa!' }, 'Invalid tag "goa!": use up to 30 letters, numbers, - or _'],
+            [{ tags: Array.from({ length: 11 }, (_, i) => `tag${i}`) }, 'An entry can have at most 10 tags'],
+            [{ notes: 'x'.repeat(2001) }, 'Notes must be at most 2000 characters']
+        ])('should reject %#', async (details, error) => {
+            const response = await agent.post('/api/expenses').send({
+                title: 'Hotel', amount: 300, paymentMethod: 'cash', date: '2025-07-01', ...details
+            });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe(error);
+            expect(callsMatching('INSERT INTO expenses')).toHaveLength(0);
+        });
+    });
+
+    describe('PUT /api/income/:id and /api/expenses/:id', () => {
+        test('should keep existing tags and notes when they are not sent', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT * FROM income_entries')) {
+                    return Promise.resolve({ rows: [{ id: 5, amount: 100, credited_to_type: 'cash', tags: ['salary'], notes: 'July' }] });
+                }
+                return Promise.resolve({ rows: [{ id: 5 }] });
+            });
+
+            const response = await agent.put('/api/income/5').send({
+                source: 'Salary', amount: 120, creditedToType: 'cash', date: '2025-07-01'
+            });
+
+            expect(response.status).toBe(200);
+            const [, params] = callsMatching('UPDATE income_entries SET source')[0];
+            expect(params.slice(-2)).toEqual([['salary'], 'July']);
+        });
+
+        test('should clear notes sent empty and replace tags', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT * FROM expenses')) {
+                    return Promise.resolve({ rows: [{ id: 5, amount: 100, payment_method: 'cash', tags: ['food'], notes: 'Lunch' }] });
+                }
+                return Promise.resolve({ rows: [{ id: 5 }] });
+            });
+
+            const response = await agent.put('/api/expenses/5').send({
+                title: 'Dinner', amount: 120, paymentMethod: 'cash', date: '2025-07-01', tags: 'food, trip-goa', notes: ' '
+            });
+
+            expect(response.status).toBe(200);
+            const [, params] = callsMatching('UPDATE expenses SET title')[0];
+            expect(params.slice(-2)).toEqual([['food', 'trip-goa'], null]);
+        });
+    });
+
+    describe('Filtering by tag', () => {
+        test('should filter expenses by tag', async () => {
+            const response = await agent.get('/api/expenses?month=7&year=2025&tag=%23Trip-Goa');
+
+            expect(response.status).toBe(200);
+            const [sql, params] = callsMatching('FROM expenses e')[0];
+            expect(sql).toContain('$4 = ANY(e.tags)');
+            expect(params).toEqual([1, '7', '2025', 'trip-goa']);
+        });
+
+        test('should filter income by tag without a month', async () => {
+            await agent.get('/api/income?tag=salary');
+
+            const [sql, params] = callsMatching('FROM income_entries i')[0];
+            expect(sql).toContain('$2 = ANY(i.tags)');
+            expect(params).toEqual([1, 'salary']);
+        });
+
+        test('should filter the activity feed by tag', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('COUNT(*) as total')) return Promise.resolve({ rows: [{ total: '0' }] });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.get('/api/activity?tag=trip-goa');
+
+            expect(response.status).toBe(200);
+            const [sql, params] = callsMatching('activity_type')[0];
+            expect(sql).toContain('$2 = ANY(tags)');
+            expect(params).toContain('trip-goa');
+        });
+    });
+});
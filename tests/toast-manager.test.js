@@ -0,0 +1,35 @@
+/**
+ * Toast Manager Tests
+ * @jest-environment jsdom
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const loadScript = (filename) => {
+    eval(fs.readFileSync(path.join(__dirname, '../public/js', filename), 'utf8'));
+};
+
+describe('Toast Manager', () => {
+    beforeAll(() => {
+        loadScript('html-utils.js');
+        loadScript('toast-manager.js');
+    });
+
+    beforeEach(() => {
+        document.getElementById('toast-container').innerHTML = '';
+    });
+
+    test('should show user-entered text in messages and action labels as plain text', () => {
+        window.toastManager.show('Duplicate of "<img src=x onerror=alert(1)>"', 'warning', 4000, {
+            label: '<b>Undo</b>',
+            onClick: jest.fn()
+        });
+
+        const toast = document.querySelector('#toast-container .toast');
+        expect(toast.querySelector('img')).toBeNull();
+        expect(toast.querySelector('b')).toBeNull();
+        expect(toast.querySelector('.toast-message').textContent).toBe('Duplicate of "<img src=x onerror=alert(1)>"');
+        expect(toast.querySelector('.toast-action').textContent).toBe('<b>Undo</b>');
+    });
+});
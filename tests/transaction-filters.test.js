@@ -0,0 +1,172 @@
+/**
+ * Transaction History Filter Tests
+ * Covers account, amount and text filters, sorting and server-side pages on the income and expense lists
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('Transaction history filters', () => {
+    let mockQuery;
+    let agent;
+
+    const callsMatching = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+        mockQuery.mockResolvedValue({ rows: [] });
+    });
+
+    describe('Filtering and sorting', () => {
+        test('should keep returning the whole month newest first by default', async () => {
+            const rows = [{ id: 2, source: 'Salary' }];
+            mockQuery.mockResolvedValueOnce({ rows });
+
+            const response = await agent.get('/api/income?month=3&year=2025');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual(rows);
+            const [sql, params] = mockQuery.mock.calls[0];
+            expect(sql).toContain('ORDER BY i.date DESC, i.id DESC');
+            expect(sql).not.toContain('LIMIT');
+            expect(params).toEqual([1, '3', '2025']);
+        });
+
+        test('should filter income by a single account', async () => {
+            await agent.get('/api/income?month=3&year=2025&account=bank-4');
+
+            const [sql, params] = callsMatching('FROM income_entries i')[0];
+            expect(sql).toContain('i.credited_to_type = $4');
+            expect(sql).toContain('i.credited_to_id = $5');
+            expect(params).toEqual([1, '3', '2025', 'bank', 4]);
+        });
+
+        test('should filter expenses by account type, amount range and text', async () => {
+            await agent.get('/api/expenses?account=credit_card&min_amount=100&max_amount=500&q=50%25_off');
+
+            const [sql, params] = callsMatching('FROM expenses e')[0];
+            expect(sql).toContain('e.payment_method = $2');
+            expect(sql).toContain('e.amount >= $3');
+            expect(sql).toContain('e.amount <= $4');
+            expect(sql).toContain('(e.title ILIKE $5 OR e.notes ILIKE $5)');
+            expect(params).toEqual([1, 'credit_card', 100, 500, '%50\\%\\_off%']);
+        });
+
+        test.each([
+            ['sort=amount', 'e.amount DESC, e.id DESC'],
+            ['sort=amount&order=asc', 'e.amount ASC, e.id ASC'],
+            ['sort=title', 'LOWER(e.title) ASC, e.id ASC'],
+            ['sort=date&order=ASC', 'e.date ASC, e.id ASC']
+        ])('should sort expenses for %s', async (query, orderBy) => {
+            await agent.get(`/api/expenses?${query}`);
+
+            const [sql] = callsMatching('FROM expenses e')[0];
+            expect(sql).toContain(`ORDER BY ${orderBy}`);
+        });
+
+        test('should sort income by source when sorting by title', async () => {
+            await agent.get('/api/income?sort=title&order=desc');
+
+            const [sql] = callsMatching('FROM income_entries i')[0];
+            expect(sql).toContain('ORDER BY LOWER(i.source) DESC, i.id DESC');
+        });
+
+        test.each([
+            ['an unknown account', 'account=wallet', 'Account must be cash, bank, credit_card or a single account such as bank-3'],
+            ['a negative amount', 'min_amount=-1', 'Amounts must be zero or more'],
+            ['an unknown sort', 'sort=category', 'Sort must be one of date, amount, title'],
+            ['an unknown order', 'order=up', 'Order must be asc or desc'],
+            ['page 0', 'page=0', 'Page must be a whole number from 1'],
+            ['a page over 100 entries', 'limit=500', 'Limit must be a whole number from 1 to 100'],
+            ['search text over 100 characters', `q=${'a'.repeat(101)}`, 'Search text must be at most 100 characters']
+        ])('should reject %s', async (label, query, error) => {
+            const response = await agent.get(`/api/expenses?${query}`);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe(error);
+            expect(mockQuery).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Pages', () => {
+        test('should return one page of expenses with totals', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('COUNT(*) as total')) return Promise.resolve({ rows: [{ total: '53' }] });
+                return Promise.resolve({ rows: [{ id: 9, title: 'Rent' }] });
+            });
+
+            const response = await agent.get('/api/expenses?month=3&year=2025&page=3&limit=25');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({
+                entries: [{ id: 9, title: 'Rent' }],
+                currentPage: 3,
+                totalPages: 3,
+                totalItems: 53,
+                limit: 25
+            });
+            const [pageSql, pageParams] = callsMatching('FROM expenses e').find(([sql]) => sql.includes('LIMIT'));
+            expect(pageSql).toContain('ORDER BY e.date DESC, e.id DESC LIMIT 25 OFFSET 50');
+            expect(pageParams).toEqual([1, '3', '2025']);
+            const [countSql, countParams] = callsMatching('COUNT(*) as total')[0];
+            expect(countSql).toContain('e.month = $2 AND e.year = $3');
+            expect(countSql).not.toContain('ORDER BY');
+            expect(countParams).toEqual([1, '3', '2025']);
+        });
+
+        test('should default to the first page of 25 when only a page is asked for', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('COUNT(*) as total')) return Promise.resolve({ rows: [{ total: '0' }] });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.get('/api/income?page=1');
+
+            expect(response.body).toEqual({ entries: [], currentPage: 1, totalPages: 0, totalItems: 0, limit: 25 });
+            const [sql] = callsMatching('FROM income_entries i').find(([query]) => query.includes('LIMIT'));
+            expect(sql).toContain('LIMIT 25 OFFSET 0');
+        });
+    });
+});
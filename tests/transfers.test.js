@@ -0,0 +1,247 @@
+/**
+ * Transfer Tests
+ * Covers atomic bank/cash transfers and how they appear in summaries and activity
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('Transfers', () => {
+    let mockQuery;
+    let agent;
+
+    const callsMatching = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+
+    const withdrawal = {
+        fromType: 'bank',
+        fromId: '2',
+        toType: 'cash',
+        toId: null,
+        amount: 5000,
+        date: '2025-07-15',
+        note: 'ATM withdrawal'
+    };
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+    });
+
+    test('should require authentication', async () => {
+        const response = await request(app).get('/api/transfers');
+        expect(response.status).toBe(401);
+    });
+
+    describe('POST /api/transfers', () => {
+        test('should only allow banks and cash', async () => {
+            const response = await agent.post('/api/transfers').send({ ...withdrawal, toType: 'credit_card', toId: 3 });
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Transfers can only be made between banks and cash');
+        });
+
+        test('should reject transfers to the same account', async () => {
+            const response = await agent.post('/api/transfers').send({ ...withdrawal, toType: 'bank', toId: 2 });
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Source and destination must be different');
+        });
+
+        test('should reject invalid amounts', async () => {
+            const response = await agent.post('/api/transfers').send({ ...withdrawal, amount: 0 });
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Amount must be a positive number');
+        });
+
+        test.each(['2025-02-31', '2025-13-01', '15/07/2025'])('should reject the date %p', async (date) => {
+            const response = await agent.post('/api/transfers').send({ ...withdrawal, date });
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Valid date is required');
+            expect(mockQuery).not.toHaveBeenCalled();
+        });
+
+        test('should roll back when the source balance is insufficient', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('FROM banks WHERE id = $1 AND user_id = $2 FOR UPDATE')) {
+                    return Promise.resolve({ rows: [{ balance: '1000.00' }] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/transfers').send(withdrawal);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Insufficient bank balance');
+            expect(callsMatching('ROLLBACK')).toHaveLength(1);
+            expect(callsMatching('UPDATE banks')).toHaveLength(0);
+        });
+
+        test('should debit the source and credit the destination atomically', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('FOR UPDATE')) {
+                    return Promise.resolve({ rows: [{ balance: '20000.00' }] });
+                }
+                if (sql.includes('INSERT INTO transfers')) {
+                    return Promise.resolve({ rows: [{ id: 4, amount: '5000.00' }] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/transfers').send(withdrawal);
+
+            expect(response.status).toBe(200);
+            const statements = mockQuery.mock.calls.map(([sql]) => sql);
+            expect(statements[0]).toBe('BEGIN');
+            expect(statements[statements.length - 1]).toBe('COMMIT');
+            expect(callsMatching('UPDATE banks SET current_balance')[0][1]).toEqual([-5000, 2, 1]);
+            expect(callsMatching('UPDATE cash_balance SET balance')[0][1]).toEqual([5000, 1]);
+            expect(callsMatching('INSERT INTO transfers')[0][1]).toEqual([1, 'bank', 2, 'cash', null, 5000, 'ATM withdrawal', '2025-07-15', 7, 2025]);
+        });
+
+        test('should reject transfers between accounts in different currencies', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('FOR UPDATE')) {
+                    return Promise.resolve({ rows: [{ balance: '20000.00', currency: 'USD' }] });
+                }
+                if (sql.includes('SELECT currency FROM cash_balance')) {
+                    return Promise.resolve({ rows: [{ currency: 'INR' }] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/transfers').send(withdrawal);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Transfers can only be made between accounts in the same currency');
+            expect(callsMatching('ROLLBACK')).toHaveLength(1);
+            expect(callsMatching('UPDATE banks')).toHaveLength(0);
+            expect(callsMatching('INSERT INTO transfers')).toHaveLength(0);
+        });
+
+        test('should return 404 for a destination bank the user does not own', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('FOR UPDATE')) {
+                    return Promise.resolve({ rows: [{ balance: '20000.00' }] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/transfers').send({ ...withdrawal, fromType: 'cash', fromId: null, toType: 'bank', toId: 9 });
+
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Bank not found');
+            expect(callsMatching('ROLLBACK')).toHaveLength(1);
+        });
+    });
+
+    describe('DELETE /api/transfers/:id', () => {
+        test('should move the money back', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('DELETE FROM transfers')) {
+                    return Promise.resolve({ rows: [{ id: 4, from_type: 'bank', from_id: 2, to_type: 'cash', to_id: null, amount: '5000.00' }] });
+                }
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.delete('/api/transfers/4');
+
+            expect(response.status).toBe(200);
+            expect(callsMatching('UPDATE cash_balance SET balance')[0][1]).toEqual([-5000, 1]);
+            expect(callsMatching('UPDATE banks SET current_balance')[0][1]).toEqual(['5000.00', 2, 1]);
+            expect(callsMatching('COMMIT')).toHaveLength(1);
+        });
+
+        test('should return 404 for unknown transfers', async () => {
+            mockQuery.mockResolvedValue({ rows: [] });
+
+            const response = await agent.delete('/api/transfers/99');
+
+            expect(response.status).toBe(404);
+            expect(callsMatching('ROLLBACK')).toHaveLength(1);
+        });
+    });
+
+    test('should include transfers in month-end balances but not in income/expense totals', async () => {
+        mockQuery.mockImplementation((sql) => {
+            if (sql.includes('SELECT created_at')) {
+                return Promise.resolve({ rows: [{ created_at: '2024-01-01', tracking_option: 'both' }] });
+            }
+            if (sql.includes('total_income')) {
+                return Promise.resolve({ rows: [{ total_income: '0' }] });
+            }
+            if (sql.includes('total_expenses')) {
+                return Promise.resolve({ rows: [{ total_expenses: '0' }] });
+            }
+            if (sql.includes('balance_at_month_end')) {
+                return Promise.resolve({ rows: [{ id: 2, name: 'HDFC', initial_balance: '20000', balance_at_month_end: '15000' }] });
+            }
+            return Promise.resolve({ rows: [] });
+        });
+
+        const response = await agent.get('/api/monthly-summary?month=7&year=2025');
+
+        expect(response.status).toBe(200);
+        expect(response.body.monthlyIncome).toBe(0);
+        expect(response.body.totalExpenses).toBe(0);
+        const [bankSql] = callsMatching('balance_at_month_end')[0];
+        expect(bankSql).toContain('FROM transfers');
+        expect(callsMatching('total_income')[0][0]).not.toContain('transfers');
+    });
+
+    test('should list transfers in the activity feed as a distinct type', async () => {
+        mockQuery.mockImplementation((sql) => {
+            if (sql.includes('combined_activities')) {
+                return Promise.resolve({ rows: [{ activity_type: 'transfer', id: 4, description: 'ATM withdrawal', amount: '5000.00', account_info: 'HDFC → Cash' }] });
+            }
+            if (sql.includes('combined_count')) {
+                return Promise.resolve({ rows: [{ total: '1' }] });
+            }
+            return Promise.resolve({ rows: [{}] });
+        });
+
+        const response = await agent.get('/api/activity');
+
+        expect(response.status).toBe(200);
+        expect(response.body.activities[0].activity_type).toBe('transfer');
+        expect(callsMatching('combined_activities')[0][0]).toContain('\'transfer\' as activity_type');
+        expect(callsMatching('combined_count')[0][0]).toContain('FROM transfers');
+    });
+});
@@ -0,0 +1,212 @@
+/**
+ * Trash Tests
+ * Covers soft-deleting income and expenses, the trash list, restore, permanent delete and emptying the trash
+ * @jest-environment node
+ */
+
+const request = require('supertest');
+
+// Mock rate limiter to prevent 429 errors in tests
+jest.mock('express-rate-limit', () => {
+    return () => (req, res, next) => next(); // No-op middleware
+});
+
+// Keep sessions in memory so authenticated requests work without a database
+jest.mock('connect-pg-simple', () => (session) => session.MemoryStore);
+
+// Mock bcrypt so any password logs in
+jest.mock('bcryptjs', () => ({
+    hash: jest.fn().mockResolvedValue('hashedPassword'),
+    compare: jest.fn().mockResolvedValue(true)
+}));
+
+// Mock pg Pool to prevent real database connections
+jest.mock('pg', () => {
+    const mockQuery = jest.fn();
+    const mockPool = {
+        query: mockQuery,
+        connect: jest.fn().mockResolvedValue({
+            query: mockQuery,
+            release: jest.fn()
+        }),
+        end: jest.fn()
+    };
+    return { Pool: jest.fn(() => mockPool) };
+});
+
+
+// Import the actual server app AFTER mocking
+const { app, pool } = require('../server');
+
+describe('Trash', () => {
+    let mockQuery;
+    let agent;
+
+    const callsMatching = (text) => mockQuery.mock.calls.filter(([sql]) => sql.includes(text));
+
+    const income = { id: 5, source: 'Salary', amount: '50000.00', credited_to_type: 'bank', credited_to_id: 2, date: '2025-07-01' };
+    const expense = { id: 8, title: 'Dinner', amount: '450.00', payment_method: 'credit_card', payment_source_id: 3, date: '2025-07-02' };
+
+    beforeAll(async () => {
+        mockQuery = pool.query;
+        agent = request.agent(app);
+
+        mockQuery.mockResolvedValueOnce({
+            rows: [{ id: 1, password_hash: 'hashedPassword', name: 'Test User', tracking_option: 'both' }]
+        });
+        await agent.post('/api/login').send({ username: 'testuser', password: 'TestPass123&' });
+    });
+
+    beforeEach(() => {
+        mockQuery.mockReset();
+    });
+
+    describe('deleting entries', () => {
+        test('should move income to the trash and reverse its bank credit', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT * FROM income_entries')) return Promise.resolve({ rows: [income] });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.delete('/api/income/5');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ success: true, message: 'Income transaction moved to trash', id: 5, type: 'income' });
+            expect(callsMatching('DELETE FROM income_entries')).toHaveLength(0);
+            expect(callsMatching('SET deleted_at = CURRENT_TIMESTAMP')[0][1]).toEqual(['5', 1]);
+            expect(callsMatching('UPDATE banks SET current_balance')[0][1]).toEqual([-50000, 2, 1]);
+        });
+
+        test('should move expenses to the trash and release the card limit', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT * FROM expenses')) return Promise.resolve({ rows: [expense] });
+                if (sql.includes('SELECT tracking_option')) return Promise.resolve({ rows: [{ tracking_option: 'both' }] });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.delete('/api/expenses/8');
+
+            expect(response.status).toBe(200);
+            expect(response.body.message).toBe('Expense transaction moved to trash');
+            expect(callsMatching('UPDATE credit_cards SET used_limit')[0][1]).toEqual([-450, 3, 1]);
+        });
+
+        test('should leave balances alone for expense-only users', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT * FROM expenses')) return Promise.resolve({ rows: [expense] });
+                if (sql.includes('SELECT tracking_option')) return Promise.resolve({ rows: [{ tracking_option: 'expenses' }] });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.delete('/api/expenses/8');
+
+            expect(response.status).toBe(200);
+            expect(callsMatching('UPDATE credit_cards')).toHaveLength(0);
+            expect(callsMatching('SET deleted_at = CURRENT_TIMESTAMP')).toHaveLength(1);
+        });
+
+        test('should not trash entries that are already in the trash', async () => {
+            mockQuery.mockResolvedValue({ rows: [] });
+
+            const response = await agent.delete('/api/income/5');
+
+            expect(response.status).toBe(404);
+            expect(callsMatching('SELECT * FROM income_entries')[0][0]).toContain('deleted_at IS NULL');
+            expect(callsMatching('ROLLBACK')).toHaveLength(1);
+        });
+    });
+
+    describe('GET /api/trash', () => {
+        test('should list trashed income and expenses', async () => {
+            const rows = [
+                { type: 'expense', id: 8, description: 'Dinner', amount: '450.00', account_name: 'VISA', category_name: 'Food' },
+                { type: 'income', id: 5, description: 'Salary', amount: '50000.00', account_name: 'HDFC', category_name: null }
+            ];
+            mockQuery.mockResolvedValue({ rows });
+
+            const response = await agent.get('/api/trash');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual(rows);
+            expect(mockQuery.mock.calls[0][0]).toContain('deleted_at IS NOT NULL');
+            expect(mockQuery.mock.calls[0][1]).toEqual([1]);
+        });
+    });
+
+    describe('POST /api/trash/:type/:id/restore', () => {
+        test('should restore an entry, re-apply its balance and record the change', async () => {
+            const trashed = { ...income, deleted_at: '2025-07-03T10:00:00.000Z' };
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('SELECT * FROM income_entries')) return Promise.resolve({ rows: [trashed] });
+                if (sql.includes('SET deleted_at = NULL')) return Promise.resolve({ rows: [{ ...income, deleted_at: null }] });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.post('/api/trash/income/5/restore');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ ...income, deleted_at: null });
+            expect(callsMatching('UPDATE banks SET current_balance')[0][1]).toEqual([50000, 2, 1]);
+
+            const [, auditParams] = callsMatching('INSERT INTO audit_log')[0];
+            expect(auditParams.slice(0, 4)).toEqual([1, 'income', 5, 'updated']);
+            expect(JSON.parse(auditParams[4]).deleted_at).toBe('2025-07-03T10:00:00.000Z');
+            expect(JSON.parse(auditParams[5]).deleted_at).toBeNull();
+            expect(callsMatching('COMMIT')).toHaveLength(1);
+        });
+
+        test('should return 404 when the entry is not in the trash', async () => {
+            mockQuery.mockResolvedValue({ rows: [] });
+
+            const response = await agent.post('/api/trash/expense/8/restore');
+
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Trashed transaction not found');
+            expect(callsMatching('SET deleted_at = NULL')).toHaveLength(0);
+        });
+
+        test('should reject unknown trash types', async () => {
+            const response = await agent.post('/api/trash/transfer/8/restore');
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Trash type must be income or expense');
+            expect(mockQuery).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('permanent delete', () => {
+        test('should permanently delete one trashed entry', async () => {
+            mockQuery.mockResolvedValue({ rows: [{ id: 8 }] });
+
+            const response = await agent.delete('/api/trash/expense/8');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ success: true, message: 'Transaction permanently deleted' });
+            const [deleteSql] = callsMatching('DELETE FROM expenses')[0];
+            expect(deleteSql).toContain('deleted_at IS NOT NULL');
+            expect(callsMatching('UPDATE')).toHaveLength(0);
+        });
+
+        test('should return 404 for entries that are not in the trash', async () => {
+            mockQuery.mockResolvedValue({ rows: [] });
+
+            const response = await agent.delete('/api/trash/income/5');
+
+            expect(response.status).toBe(404);
+        });
+
+        test('should empty the whole trash', async () => {
+            mockQuery.mockImplementation((sql) => {
+                if (sql.includes('DELETE FROM income_entries')) return Promise.resolve({ rows: [], rowCount: 2 });
+                if (sql.includes('DELETE FROM expenses')) return Promise.resolve({ rows: [], rowCount: 3 });
+                return Promise.resolve({ rows: [] });
+            });
+
+            const response = await agent.delete('/api/trash');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ success: true, purged: 5 });
+            expect(callsMatching('COMMIT')).toHaveLength(1);
+        });
+    });
+});